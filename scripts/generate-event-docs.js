@@ -0,0 +1,37 @@
+/**
+ * Event Reference Generator - Writes docs/events.md from the event catalogue
+ *
+ * Usage: npm run docs:events            regenerate docs/events.md
+ *        npm run docs:events -- --check fail if docs/events.md is out of date
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { eventCatalogue, generateEventReference } from '../src/js/services/eventCatalogue.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_FILE = path.join(ROOT_DIR, 'docs', 'events.md');
+
+async function main() {
+    const reference = `${generateEventReference(eventCatalogue)}\n`;
+
+    if (process.argv.includes('--check')) {
+        const current = await fs.readFile(OUTPUT_FILE, 'utf8').catch(() => null);
+        if (current !== reference) {
+            console.error('❌ docs/events.md is out of date - run npm run docs:events');
+            process.exitCode = 1;
+            return;
+        }
+        console.log('✅ docs/events.md is up to date');
+        return;
+    }
+
+    await fs.writeFile(OUTPUT_FILE, reference);
+    console.log(`✅ Wrote ${Object.keys(eventCatalogue).length} events to docs/events.md`);
+}
+
+main().catch(error => {
+    console.error('❌ Could not generate the event reference:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+/**
+ * Ticket Generator - Large, repeatable help-desk queues for benchmarks
+ *
+ * Usage: npm run fixtures:tickets [-- options]
+ *
+ *   --count n     how many tickets (10000)
+ *   --seed n      same seed, same tickets (1)
+ *   --out file    where to write them (test-results/tickets-<count>.json)
+ *
+ * `npm run test:suite -- --tickets 10000` generates a queue on the fly and
+ * shows it in the tickets widget, so the performance checks run against it.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CATEGORIES = [
+    { category: 'infrastructure', icon: '🖥️', subjects: ['Server', 'Backup job', 'Storage array', 'Database cluster'] },
+    { category: 'network', icon: '🔗', subjects: ['VPN', 'Wi-Fi', 'Firewall', 'DNS'] },
+    { category: 'software', icon: '💿', subjects: ['Outlook', 'Teams', 'ERP client', 'Browser'] },
+    { category: 'hardware', icon: '🖨️', subjects: ['Printer', 'Laptop', 'Monitor', 'Docking station'] },
+    { category: 'access', icon: '🔐', subjects: ['Password reset', 'Shared drive', 'SSO login', 'Badge reader'] }
+];
+const PROBLEMS = ['not responding', 'keeps disconnecting', 'running slowly', 'showing errors', 'needs replacing', 'access denied'];
+const STATUSES = [['open', 0.35], ['in_progress', 0.25], ['pending', 0.15], ['resolved', 0.25]];
+const PRIORITIES = [['high', 0.2], ['medium', 0.5], ['low', 0.3]];
+const ASSIGNEES = ['IT Ingrid', 'Network Nadia', 'Desktop Dan', 'Security Sam', 'Unassigned'];
+const REPORTERS = ['Sarah Johnson', 'David Chen', 'Maria Garcia', 'James Wilson', 'Aisha Khan', 'Tom Becker'];
+const DEPARTMENTS = ['IT Operations', 'Finance', 'Sales', 'Human Resources', 'Engineering'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * `count` tickets shaped like src/data/tickets.json, created in the 30 days
+ * before `now`
+ */
+export function generateTickets(count = 10000, { seed = 1, now = '2025-07-15T12:00:00Z' } = {}) {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const weighted = (options) => {
+        let roll = random();
+        const match = options.find(([, weight]) => (roll -= weight) < 0);
+        return (match || options[options.length - 1])[0];
+    };
+    const nowMs = new Date(now).getTime();
+    const width = String(count).length;
+
+    return Array.from({ length: count }, (_, i) => {
+        const { category, icon, subjects } = pick(CATEGORIES);
+        const subject = pick(subjects);
+        const problem = pick(PROBLEMS);
+        const status = weighted(STATUSES);
+        const createdMs = nowMs - Math.floor(random() * 30 * 24) * HOUR_MS;
+        const updatedMs = Math.min(nowMs, createdMs + Math.floor(random() * 48) * HOUR_MS);
+
+        const ticket = {
+            id: `GEN-${String(i + 1).padStart(width, '0')}`,
+            title: `${subject} ${problem}`,
+            description: `${pick(REPORTERS).split(' ')[0]}'s team reports the ${subject.toLowerCase()} is ${problem}`,
+            status,
+            priority: weighted(PRIORITIES),
+            category,
+            assignee: pick(ASSIGNEES),
+            reporter: pick(REPORTERS),
+            createdAt: new Date(createdMs).toISOString(),
+            updatedAt: new Date(updatedMs).toISOString(),
+            dueDate: new Date(createdMs + (8 + Math.floor(random() * 120)) * HOUR_MS).toISOString(),
+            tags: [category, subject.toLowerCase().replace(/\s+/g, '-')],
+            department: pick(DEPARTMENTS),
+            icon
+        };
+
+        if (random() < 0.4) {
+            ticket.affectedUsers = 1 + Math.floor(random() * 50);
+        }
+        if (status === 'in_progress') {
+            ticket.progress = 10 * (1 + Math.floor(random() * 9));
+        }
+        if (status === 'resolved') {
+            ticket.resolvedAt = ticket.updatedAt;
+            ticket.resolution = `${subject} restored`;
+        }
+        return ticket;
+    });
+}
+
+function parseArgs(argv) {
+    const options = { count: 10000, seed: 1, out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--count':
+                options.count = Number(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = Number(argv[++i]);
+                break;
+            case '--out':
+                options.out = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    options.out = options.out || path.join('test-results', `tickets-${options.count}.json`);
+    return options;
+}
+
+// Write a file when run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const options = parseArgs(process.argv.slice(2));
+    const tickets = generateTickets(options.count, { seed: options.seed });
+
+    await fs.mkdir(path.dirname(options.out), { recursive: true });
+    await fs.writeFile(options.out, JSON.stringify(tickets, null, 2) + '\n');
+    console.log(`🎫 Wrote ${tickets.length} tickets to ${options.out}`);
+}
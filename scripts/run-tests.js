@@ -0,0 +1,372 @@
+/**
+ * Headless Test Runner - Runs the TestingSuite against index.html in jsdom
+ *
+ * Usage: npm run test:suite [-- options]
+ *
+ *   --categories a,b   accessibility, functionality, responsive, performance
+ *                      (default), compatibility
+ *   --out-dir dir      where junit.xml and results.json go (test-results)
+ *   --timeout ms       how long the dashboard may take to start (15000)
+ *   --budget-scale n   multiply the time budgets in `performance.budgets` (4):
+ *                      jsdom is several times slower than a browser at DOM work
+ *   --tickets n        show n generated tickets (scripts/generate-tickets.js)
+ *                      instead of the fixture, to benchmark a large queue
+ *   --verbose          show the dashboard's own console output
+ *
+ * The page is served from the repository at http://localhost/, so widgets
+ * load the src/data fixtures through their usual static adapter. Requests
+ * to any other origin fail like a dropped connection. The process exits
+ * with 1 when a check fails or the dashboard doesn't start - including a
+ * widget going over its `performance.budgets` (web vitals need a browser
+ * and are skipped).
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { JSDOM, ResourceLoader } from 'jsdom';
+import { generateTickets } from './generate-tickets.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ORIGIN = 'http://localhost';
+const DEFAULT_CATEGORIES = ['accessibility', 'functionality', 'responsive', 'performance'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+function parseArgs(argv) {
+    const options = {
+        categories: DEFAULT_CATEGORIES,
+        outDir: 'test-results',
+        timeout: 15000,
+        budgetScale: 4,
+        tickets: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--categories':
+                options.categories = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+                break;
+            case '--out-dir':
+                options.outDir = argv[++i];
+                break;
+            case '--timeout':
+                options.timeout = Number(argv[++i]);
+                break;
+            case '--budget-scale':
+                options.budgetScale = Number(argv[++i]);
+                break;
+            case '--tickets':
+                options.tickets = Number(argv[++i]);
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Map a same-origin URL to a file in the repository (null if outside it)
+ */
+function resolveLocalFile(url) {
+    const filePath = path.join(ROOT_DIR, decodeURIComponent(url.pathname));
+    return filePath.startsWith(ROOT_DIR + path.sep) ? filePath : null;
+}
+
+/**
+ * Serves stylesheets linked from index.html
+ */
+class RepositoryLoader extends ResourceLoader {
+    fetch(url) {
+        const target = new URL(url);
+        if (target.origin !== ORIGIN) {
+            return null;
+        }
+
+        const filePath = resolveLocalFile(target);
+        return filePath ? fs.readFile(filePath) : null;
+    }
+}
+
+/**
+ * fetch() for the page: GET from the repository, nothing else
+ */
+function createFetch(window) {
+    return async (input, init = {}) => {
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+        const method = (init.method || 'GET').toUpperCase();
+
+        if (url.origin !== ORIGIN) {
+            throw new TypeError(`fetch failed: ${url.href} is not reachable from tests`);
+        }
+
+        const filePath = resolveLocalFile(url);
+        if (method !== 'GET' || !filePath) {
+            return new Response(null, { status: method !== 'GET' ? 405 : 404 });
+        }
+
+        try {
+            const body = await fs.readFile(filePath);
+            const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+            return new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+        } catch (error) {
+            return new Response(null, { status: 404 });
+        }
+    };
+}
+
+/**
+ * jsdom has no matchMedia; answer width queries from innerWidth
+ */
+function createMatchMedia(window) {
+    const evaluate = (query) => {
+        const conditions = Array.from(query.matchAll(/\((min|max)-width:\s*(\d+)px\)/g));
+        if (conditions.length === 0) return false;
+
+        return conditions.every(([, bound, width]) => (bound === 'min'
+            ? window.innerWidth >= Number(width)
+            : window.innerWidth <= Number(width)));
+    };
+
+    return (query) => ({
+        media: query,
+        matches: evaluate(query),
+        onchange: null,
+        addListener() {},
+        removeListener() {},
+        addEventListener() {},
+        removeEventListener() {},
+        dispatchEvent() {
+            return false;
+        }
+    });
+}
+
+/**
+ * Expose the page's globals (document, HTMLElement, localStorage, ...) to the
+ * dashboard modules, which run in Node's own context
+ */
+function installGlobals(window) {
+    window.fetch = createFetch(window);
+    window.matchMedia = createMatchMedia(window);
+
+    Object.getOwnPropertyNames(window).forEach(key => {
+        if (key in globalThis) return;
+        Object.defineProperty(globalThis, key, {
+            configurable: true,
+            get: () => window[key]
+        });
+    });
+
+    ['window', 'document', 'navigator', 'location', 'fetch', 'Event', 'EventTarget', 'CustomEvent', 'Node', 'Element'].forEach(key => {
+        Object.defineProperty(globalThis, key, { configurable: true, writable: true, value: window[key] });
+    });
+}
+
+/**
+ * Time budgets multiplied by `scale`; CLS is a score, not a time
+ */
+function scaleBudgets(budgets, scale) {
+    const scaled = {};
+    Object.entries(budgets).forEach(([metric, budget]) => {
+        if (metric === 'widgets') {
+            scaled.widgets = Object.fromEntries(Object.entries(budget)
+                .map(([widget, widgetBudgets]) => [widget, scaleBudgets(widgetBudgets, scale)]));
+        } else {
+            scaled[metric] = typeof budget === 'number' && metric !== 'cls' ? budget * scale : budget;
+        }
+    });
+    return scaled;
+}
+
+async function waitFor(predicate, timeout, message) {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeout) {
+            throw new Error(message);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+/**
+ * Load index.html and its module scripts; resolves once the dashboard is up
+ */
+async function startDashboard(options) {
+    const html = await fs.readFile(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: `${ORIGIN}/index.html`,
+        resources: new RepositoryLoader(),
+        runScripts: 'dangerously',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+
+    installGlobals(window);
+
+    const { getConfig, mergeConfig } = await import('../src/js/config.js');
+    window.DASHBOARD_CONFIG = mergeConfig(window.DASHBOARD_CONFIG, {
+        performance: { budgets: scaleBudgets(getConfig().performance.budgets, options.budgetScale) }
+    });
+
+    if (options.tickets) {
+        window.DASHBOARD_CONFIG = mergeConfig(window.DASHBOARD_CONFIG, {
+            dataSources: {
+                adapters: { mock: { data: { tickets: generateTickets(options.tickets) } } },
+                resources: { tickets: { adapter: 'mock' } }
+            }
+        });
+    }
+
+    // jsdom doesn't run module scripts, so import them the way the page would
+    const modules = Array.from(window.document.querySelectorAll('script[type="module"][src]'),
+        script => new URL(script.getAttribute('src'), window.location.href));
+    for (const moduleUrl of modules) {
+        await import(pathToFileURL(resolveLocalFile(moduleUrl)).href);
+    }
+
+    await waitFor(
+        () => window.dashboard && (window.dashboard.isInitialized || window.document.querySelector('.error-message')),
+        options.timeout,
+        `Dashboard did not start within ${options.timeout}ms`
+    );
+
+    if (!window.dashboard.isInitialized) {
+        throw new Error('Dashboard failed to initialize (error message shown)');
+    }
+
+    return window;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * One <testsuite> per category
+ */
+function toJUnit(results, durationMs) {
+    const categories = new Map();
+    results.forEach(result => {
+        if (!categories.has(result.category)) categories.set(result.category, []);
+        categories.get(result.category).push(result);
+    });
+
+    const failures = results.filter(result => !result.passed).length;
+    const skipped = results.filter(result => result.skipped).length;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="dashboard" tests="${results.length}" failures="${failures}" skipped="${skipped}" time="${(durationMs / 1000).toFixed(3)}">`
+    ];
+
+    categories.forEach((categoryResults, category) => {
+        const categoryFailures = categoryResults.filter(result => !result.passed).length;
+        const categorySkipped = categoryResults.filter(result => result.skipped).length;
+        lines.push(`  <testsuite name="${escapeXml(category)}" tests="${categoryResults.length}" failures="${categoryFailures}" skipped="${categorySkipped}">`);
+
+        categoryResults.forEach(result => {
+            const className = `dashboard.${category.toLowerCase().replace(/\s+/g, '-')}`;
+            lines.push(`    <testcase classname="${escapeXml(className)}" name="${escapeXml(result.test)}">`);
+            if (result.skipped) {
+                lines.push(`      <skipped message="${escapeXml(result.message)}"/>`);
+            } else if (!result.passed) {
+                const details = result.details ? JSON.stringify(result.details, null, 2) : '';
+                lines.push(`      <failure message="${escapeXml(result.message)}" type="${escapeXml(result.severity)}">${escapeXml(details)}</failure>`);
+            }
+            lines.push('    </testcase>');
+        });
+
+        lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>', '');
+    return lines.join('\n');
+}
+
+function printSummary(results) {
+    results.forEach(result => {
+        const icon = result.skipped ? '⏭️ ' : result.passed ? '✅' : '❌';
+        const message = result.passed && !result.skipped ? '' : ` - ${result.message}`;
+        console.log(`${icon} ${result.category} › ${result.test}${message}`);
+    });
+
+    const failed = results.filter(result => !result.passed).length;
+    const skipped = results.filter(result => result.skipped).length;
+    console.log(`\n📊 ${results.length - failed - skipped} passed, ${failed} failed, ${skipped} skipped`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const startedAt = Date.now();
+
+    const pageConsole = { log: console.log, info: console.info, debug: console.debug };
+    if (!options.verbose) {
+        // Warnings and errors (e.g. event contract violations) stay visible
+        console.log = console.info = console.debug = () => {};
+    }
+
+    let results;
+    let report;
+    let stage = 'Dashboard Startup';
+    try {
+        await startDashboard(options);
+        stage = 'Test Suite';
+        const { TestingSuite } = await import('../src/js/utils/testing.js');
+        const suite = new TestingSuite({ layout: false });
+        results = await suite.runAllTests({ categories: options.categories });
+        report = suite.report;
+    } catch (error) {
+        results = [{
+            category: 'Setup',
+            test: stage,
+            passed: false,
+            message: error.message,
+            severity: 'high',
+            details: { stack: error.stack }
+        }];
+        report = { timestamp: new Date().toISOString(), results };
+    } finally {
+        Object.assign(console, pageConsole);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const outDir = path.resolve(ROOT_DIR, options.outDir);
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, 'results.json'), JSON.stringify({
+        ...report,
+        environment: { runner: 'jsdom', categories: options.categories, budgetScale: options.budgetScale, tickets: options.tickets, durationMs }
+    }, null, 2));
+    await fs.writeFile(path.join(outDir, 'junit.xml'), toJUnit(results, durationMs));
+
+    printSummary(results);
+    const shownDir = outDir.startsWith(ROOT_DIR) ? path.relative(ROOT_DIR, outDir) || '.' : outDir;
+    console.log(`📁 Reports written to ${shownDir}/junit.xml and results.json`);
+
+    // Timers, BroadcastChannel etc. of the running dashboard would keep Node alive
+    process.exit(results.some(result => !result.passed) ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Test runner failed:', error);
+    process.exit(1);
+});
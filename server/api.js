@@ -0,0 +1,345 @@
+/**
+ * Local REST Backend - Serves src/data/*.json as CRUD resources
+ *
+ * Usage: npm run api   (PORT defaults to 3000)
+ *
+ *   GET    /api/:resource        list records
+ *   GET    /api/:resource/:id    single record
+ *   POST   /api/:resource        create a record (id generated if missing)
+ *   PATCH  /api/:resource/:id    merge changes into a record
+ *   DELETE /api/:resource/:id    remove a record
+ *   GET    /api/stream           Server-Sent Events feed of the changes above
+ *
+ * Changes are written back to the JSON files, so they survive restarts.
+ * Set MOCK_PUSH=1 to also stream random demo patches (see push.js).
+ * The server also serves the dashboard itself and points it at this API,
+ * so opening http://localhost:3000 gives a full persisted round-trip.
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PushHub, startMockPublisher } from './push.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const RESOURCES = {
+    tasks: 'tasks.json',
+    tickets: 'tickets.json',
+    events: 'calendar.json',
+    announcements: 'announcements.json',
+    shortcuts: 'shortcuts.json',
+    dismissals: 'dismissals.json'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// What the dashboard needs; the rest of the repository (.git, server/,
+// scripts/...) is not served, as CORS lets any page read responses
+const STATIC_FILES = new Set(['index.html', 'sw.js']);
+const STATIC_DIRS = ['src/', 'plugins/'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * File-backed record store. Writes are serialized per file and go through a
+ * temp file + rename so a crash never leaves half-written JSON behind.
+ */
+export class JsonFileStore {
+    constructor(dataDir, resources = RESOURCES) {
+        this.dataDir = dataDir;
+        this.resources = resources;
+        this.writeQueues = new Map();
+    }
+
+    hasResource(resource) {
+        return Object.prototype.hasOwnProperty.call(this.resources, resource);
+    }
+
+    filePath(resource) {
+        return path.join(this.dataDir, this.resources[resource]);
+    }
+
+    async list(resource) {
+        try {
+            const contents = await fs.readFile(this.filePath(resource), 'utf8');
+            return JSON.parse(contents);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async get(resource, id) {
+        const records = await this.list(resource);
+        return records.find(record => record.id === id) || null;
+    }
+
+    async create(resource, record) {
+        return this.mutate(resource, records => {
+            const created = {
+                ...record,
+                id: record.id || `${resource}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+            };
+
+            if (records.some(existing => existing.id === created.id)) {
+                throw new HttpError(409, `Record already exists: ${created.id}`);
+            }
+
+            records.push(created);
+            return created;
+        });
+    }
+
+    async update(resource, id, changes) {
+        return this.mutate(resource, records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) {
+                throw new HttpError(404, `Record not found: ${id}`);
+            }
+
+            records[index] = { ...records[index], ...changes, id };
+            return records[index];
+        });
+    }
+
+    async remove(resource, id) {
+        return this.mutate(resource, records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) {
+                throw new HttpError(404, `Record not found: ${id}`);
+            }
+
+            return records.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Read-modify-write a resource file, one writer at a time
+     */
+    mutate(resource, change) {
+        const previous = this.writeQueues.get(resource) || Promise.resolve();
+
+        const next = previous.catch(() => {}).then(async () => {
+            const records = await this.list(resource);
+            const result = change(records);
+            await this.write(resource, records);
+            return result;
+        });
+
+        this.writeQueues.set(resource, next);
+        return next;
+    }
+
+    async write(resource, records) {
+        const target = this.filePath(resource);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(records, null, 2) + '\n', 'utf8');
+        await fs.rename(temp, target);
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    if (chunks.length === 0) {
+        return {};
+    }
+
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('not an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * Handle /api/* requests
+ */
+async function handleApi(req, res, store, hub, segments) {
+    const [resource, rawId, ...rest] = segments;
+    const id = rawId ? decodeURIComponent(rawId) : null;
+
+    if (resource === 'stream' && segments.length === 1 && req.method === 'GET') {
+        return hub.handleStream(req, res);
+    }
+
+    if (!resource || rest.length > 0 || !store.hasResource(resource)) {
+        throw new HttpError(404, `Unknown resource: ${segments.join('/')}`);
+    }
+
+    switch (req.method) {
+        case 'GET': {
+            if (!id) {
+                return sendJson(res, 200, await store.list(resource));
+            }
+            const record = await store.get(resource, id);
+            if (!record) {
+                throw new HttpError(404, `Record not found: ${id}`);
+            }
+            return sendJson(res, 200, record);
+        }
+
+        case 'POST': {
+            if (id) {
+                throw new HttpError(405, 'POST is only allowed on collections');
+            }
+            const created = await store.create(resource, await readJsonBody(req));
+            hub.publish({ resource, op: 'create', id: created.id, data: created });
+            return sendJson(res, 201, created);
+        }
+
+        case 'PATCH': {
+            if (!id) {
+                throw new HttpError(405, 'PATCH requires a record id');
+            }
+            const updated = await store.update(resource, id, await readJsonBody(req));
+            hub.publish({ resource, op: 'update', id, data: updated });
+            return sendJson(res, 200, updated);
+        }
+
+        case 'DELETE':
+            if (!id) {
+                throw new HttpError(405, 'DELETE requires a record id');
+            }
+            await store.remove(resource, id);
+            hub.publish({ resource, op: 'remove', id });
+            return sendJson(res, 204);
+
+        default:
+            throw new HttpError(405, `Method not allowed: ${req.method}`);
+    }
+}
+
+/**
+ * Serve the dashboard's static files; index.html is pointed at this API
+ */
+async function handleStatic(req, res, rootDir, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+    }
+
+    const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(rootDir, relativePath);
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+
+    const servedPath = path.relative(rootDir, filePath).split(path.sep).join('/');
+    if (!STATIC_FILES.has(servedPath) && !STATIC_DIRS.some(dir => servedPath.startsWith(dir))) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+
+    let contents;
+    try {
+        contents = await fs.readFile(filePath);
+    } catch (error) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+
+    if (relativePath === 'index.html') {
+        const configScript = `<script>window.DASHBOARD_CONFIG = { dataSources: { defaultAdapter: 'rest' }, realtime: { pushUrl: '/api/stream' } };</script>\n    `;
+        contents = contents.toString('utf8').replace('<script type="module"', `${configScript}<script type="module"`);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : contents);
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ */
+export function createApiServer(options = {}) {
+    const rootDir = options.rootDir || ROOT_DIR;
+    const store = options.store || new JsonFileStore(options.dataDir || path.join(rootDir, 'src', 'data'));
+    const hub = options.hub || new PushHub();
+
+    const server = http.createServer(async (req, res) => {
+        // Allow the dashboard to be served from another local port (e.g. npm run dev)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const segments = pathname.split('/').filter(Boolean);
+
+        try {
+            if (segments[0] === 'api') {
+                await handleApi(req, res, store, hub, segments.slice(1));
+            } else {
+                await handleStatic(req, res, rootDir, pathname);
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error('❌ API error:', error);
+            }
+            sendJson(res, status, { error: error.message });
+        }
+    });
+
+    server.pushHub = hub;
+    return server;
+}
+
+// Start the server when run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3000;
+    const server = createApiServer();
+    server.listen(port, () => {
+        console.log(`🚀 Dashboard API listening on http://localhost:${port}`);
+        console.log(`📁 Resources: ${Object.keys(RESOURCES).map(name => `/api/${name}`).join(', ')}`);
+        console.log(`📡 Push stream: http://localhost:${port}/api/stream`);
+    });
+
+    if (process.env.MOCK_PUSH) {
+        startMockPublisher(server.pushHub, Number(process.env.PUSH_INTERVAL_MS) || 15000);
+        console.log('🎲 Publishing mock push events');
+    }
+}
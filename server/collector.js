@@ -0,0 +1,431 @@
+/**
+ * Error Collector - Development endpoint for the dashboard's error reports
+ * and performance samples
+ *
+ * Usage: npm run collector   (PORT defaults to 3002)
+ *
+ *   POST   /reports    { reports: [...] } from services/errorReporter.js
+ *   GET    /reports    grouped errors as JSON, most recent first
+ *   DELETE /reports    forget all errors
+ *   POST   /metrics    { samples: [...] } from services/performanceMonitor.js
+ *   GET    /metrics    percentiles per metric and widget as JSON
+ *   DELETE /metrics    forget all samples
+ *   GET    /           HTML view with error counts, latest stack and
+ *                      breadcrumbs, and the performance percentiles
+ *
+ * Reports are grouped by fingerprint: the error name, the message with
+ * numbers and IDs masked, and the top stack frame without line numbers - so
+ * the same bug seen on different records or builds counts as one. A report
+ * may bring its own `fingerprint` to override this. Everything is kept in
+ * memory.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { formatMetric, percentile } from '../src/js/services/performanceMonitor.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * The same message with variable parts masked, e.g.
+ * `Record not found: TKT-012` -> `Record not found: <id>`
+ */
+export function normalizeMessage(message) {
+    return String(message ?? '')
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b[A-Za-z]+[-_]\w*\d\w*\b/g, '<id>')
+        .replace(/\b\d+(\.\d+)?\b/g, '<n>')
+        .trim();
+}
+
+/**
+ * `function (file)` of the first stack frame, in Chrome or Firefox format
+ */
+export function topFrame(stack) {
+    const lines = String(stack || '').split('\n');
+
+    for (const line of lines) {
+        const chrome = line.match(/^\s*at (?:(.+?) \()?(.+?):\d+:\d+\)?$/);
+        const firefox = line.match(/^(.*?)@(.+?):\d+:\d+$/);
+        const match = chrome || firefox;
+        if (match) {
+            const file = match[2].replace(/[?#].*$/, '').split('/').pop();
+            return `${match[1] || '<anonymous>'} (${file})`;
+        }
+    }
+
+    return '';
+}
+
+export function fingerprint(report) {
+    if (typeof report.fingerprint === 'string' && report.fingerprint) {
+        return report.fingerprint;
+    }
+
+    const key = [report.name || 'Error', normalizeMessage(report.message), topFrame(report.stack)].join('|');
+    return createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * In-memory store of error groups
+ */
+export class ErrorCollector {
+    constructor(options = {}) {
+        this.maxGroups = options.maxGroups || 500;
+        this.groups = new Map();
+    }
+
+    /**
+     * Add reports; returns how many were accepted
+     */
+    add(reports) {
+        let accepted = 0;
+
+        reports.forEach(report => {
+            if (!report || typeof report !== 'object' || typeof report.message !== 'string') return;
+
+            const id = fingerprint(report);
+            const seenAt = report.timestamp || new Date().toISOString();
+            let group = this.groups.get(id);
+
+            if (!group) {
+                group = {
+                    fingerprint: id,
+                    name: report.name || 'Error',
+                    message: report.message,
+                    count: 0,
+                    firstSeen: seenAt,
+                    lastSeen: seenAt,
+                    sources: {},
+                    widgets: {},
+                    latest: null
+                };
+                this.groups.set(id, group);
+            }
+
+            group.count++;
+            group.lastSeen = seenAt > group.lastSeen ? seenAt : group.lastSeen;
+            group.firstSeen = seenAt < group.firstSeen ? seenAt : group.firstSeen;
+            group.sources[report.source || 'unknown'] = (group.sources[report.source || 'unknown'] || 0) + 1;
+            if (report.widget) {
+                group.widgets[report.widget] = (group.widgets[report.widget] || 0) + 1;
+            }
+            group.latest = report;
+            accepted++;
+        });
+
+        this.trim();
+        return accepted;
+    }
+
+    /**
+     * Drop the groups seen longest ago beyond maxGroups
+     */
+    trim() {
+        if (this.groups.size <= this.maxGroups) return;
+
+        this.list().slice(this.maxGroups).forEach(group => this.groups.delete(group.fingerprint));
+    }
+
+    /**
+     * Groups, most recently seen first
+     */
+    list() {
+        return Array.from(this.groups.values())
+            .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : a.lastSeen > b.lastSeen ? -1 : 0));
+    }
+
+    clear() {
+        this.groups.clear();
+    }
+}
+
+/**
+ * In-memory store of performance samples, oldest dropped beyond maxSamples
+ */
+export class MetricsCollector {
+    constructor(options = {}) {
+        this.maxSamples = options.maxSamples || 5000;
+        this.samples = [];
+    }
+
+    /**
+     * Add samples; returns how many were accepted
+     */
+    add(samples) {
+        const valid = samples.filter(sample => sample && typeof sample === 'object'
+            && typeof sample.metric === 'string' && Number.isFinite(sample.value));
+
+        this.samples.push(...valid);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.maxSamples);
+        }
+        return valid.length;
+    }
+
+    /**
+     * Percentiles per metric and widget, sorted by metric then widget
+     */
+    summarize() {
+        const series = new Map();
+        this.samples.forEach(sample => {
+            const key = `${sample.metric}|${sample.widget || ''}`;
+            if (!series.has(key)) {
+                series.set(key, { metric: sample.metric, widget: sample.widget || null, values: [], lastSeen: sample.time || null });
+            }
+            const entry = series.get(key);
+            entry.values.push(sample.value);
+            entry.lastSeen = sample.time || entry.lastSeen;
+        });
+
+        return Array.from(series.values())
+            .map(({ values, ...entry }) => ({
+                ...entry,
+                count: values.length,
+                p50: percentile(values, 50),
+                p75: percentile(values, 75),
+                p95: percentile(values, 95),
+                max: Math.max(...values)
+            }))
+            .sort((a, b) => a.metric.localeCompare(b.metric) || (a.widget || '').localeCompare(b.widget || ''));
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts).map(([name, count]) => `${escapeHtml(name)} ×${count}`).join(', ');
+}
+
+function renderMetrics(metrics) {
+    if (metrics.length === 0) {
+        return '<p>No performance samples yet.</p>';
+    }
+
+    const rows = metrics.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.metric)}</td>
+                    <td>${escapeHtml(entry.widget || '–')}</td>
+                    <td class="count">${entry.count}</td>
+                    ${['p50', 'p75', 'p95', 'max'].map(key => `<td>${formatMetric(entry.metric, entry[key])}</td>`).join('')}
+                </tr>`).join('');
+
+    return `
+        <table>
+            <thead>
+                <tr><th scope="col">Metric</th><th scope="col">Widget</th><th scope="col">Samples</th>
+                    <th scope="col">p50</th><th scope="col">p75</th><th scope="col">p95</th><th scope="col">Max</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>`;
+}
+
+/**
+ * The HTML overview; refreshes itself every 10 seconds
+ */
+export function renderCollectorPage(groups, metrics = []) {
+    const total = groups.reduce((sum, group) => sum + group.count, 0);
+
+    const rows = groups.map(group => {
+        const latest = group.latest || {};
+        const breadcrumbs = (latest.breadcrumbs || [])
+            .map(crumb => `${crumb.time} [${crumb.type}] ${crumb.message}${crumb.data ? ` ${crumb.data}` : ''}`)
+            .join('\n');
+
+        return `
+            <tr>
+                <td class="count">${group.count}</td>
+                <td>
+                    <strong>${escapeHtml(group.name)}</strong>: ${escapeHtml(group.message)}
+                    <details>
+                        <summary>Latest report · ${escapeHtml(latest.url)}</summary>
+                        <pre>${escapeHtml(latest.stack || 'No stack trace')}</pre>
+                        <h3>Breadcrumbs</h3>
+                        <pre>${escapeHtml(breadcrumbs || 'None')}</pre>
+                    </details>
+                </td>
+                <td>${formatCounts(group.sources)}</td>
+                <td>${formatCounts(group.widgets) || '–'}</td>
+                <td><time datetime="${escapeHtml(group.firstSeen)}">${escapeHtml(group.firstSeen)}</time></td>
+                <td><time datetime="${escapeHtml(group.lastSeen)}">${escapeHtml(group.lastSeen)}</time></td>
+                <td><code>${escapeHtml(group.fingerprint)}</code></td>
+            </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta http-equiv="refresh" content="10">
+    <title>Error Collector</title>
+    <style>
+        body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: start; vertical-align: top; }
+        .count { font-size: 1.25rem; font-weight: bold; text-align: end; }
+        pre { background: #f3f4f6; padding: 0.5rem; overflow-x: auto; font-size: 12px; }
+        h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+        h3 { font-size: 13px; margin: 0.5rem 0 0; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>Error Collector</h1>
+        <h2>Errors</h2>
+        <p>${total} report${total === 1 ? '' : 's'} in ${groups.length} group${groups.length === 1 ? '' : 's'}</p>
+        ${groups.length === 0 ? '<p>No errors reported yet.</p>' : `
+        <table>
+            <thead>
+                <tr><th scope="col">Count</th><th scope="col">Error</th><th scope="col">Source</th><th scope="col">Widgets</th>
+                    <th scope="col">First seen</th><th scope="col">Last seen</th><th scope="col">Fingerprint</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>`}
+        <h2>Performance</h2>
+        ${renderMetrics(metrics)}
+    </main>
+</body>
+</html>
+`;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Parse a batch of `field` (reports or samples); sendBeacon posts it as text/plain
+ */
+async function readBatch(req, field) {
+    let size = 0;
+    const chunks = [];
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be JSON');
+    }
+
+    const items = Array.isArray(body && body[field]) ? body[field] : [body];
+    if (items.length === 0) {
+        throw new HttpError(400, `No ${field} in request`);
+    }
+    return items;
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ */
+export function createCollectorServer(options = {}) {
+    const collector = options.collector || new ErrorCollector(options);
+    const metrics = options.metrics || new MetricsCollector(options);
+
+    const server = http.createServer(async (req, res) => {
+        // The dashboard posts from another local port
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (pathname === '/' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+                res.end(renderCollectorPage(collector.list(), metrics.summarize()));
+                return;
+            }
+
+            if (pathname === '/metrics') {
+                switch (req.method) {
+                    case 'POST':
+                        return sendJson(res, 202, { accepted: metrics.add(await readBatch(req, 'samples')) });
+                    case 'GET':
+                        return sendJson(res, 200, metrics.summarize());
+                    case 'DELETE':
+                        metrics.clear();
+                        return sendJson(res, 204);
+                    default:
+                        throw new HttpError(405, `Method not allowed: ${req.method}`);
+                }
+            }
+
+            if (pathname !== '/reports') {
+                throw new HttpError(404, `Not found: ${pathname}`);
+            }
+
+            switch (req.method) {
+                case 'POST': {
+                    const accepted = collector.add(await readBatch(req, 'reports'));
+                    if (accepted > 0) {
+                        console.log(`🐞 ${accepted} error report${accepted === 1 ? '' : 's'} received`);
+                    }
+                    return sendJson(res, 202, { accepted });
+                }
+                case 'GET':
+                    return sendJson(res, 200, collector.list());
+                case 'DELETE':
+                    collector.clear();
+                    return sendJson(res, 204);
+                default:
+                    throw new HttpError(405, `Method not allowed: ${req.method}`);
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error('❌ Collector error:', error);
+            }
+            sendJson(res, status, { error: error.message });
+        }
+    });
+
+    server.collector = collector;
+    server.metrics = metrics;
+    return server;
+}
+
+// Start the server when run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3002;
+    createCollectorServer().listen(port, () => {
+        console.log(`🐞 Error collector listening on http://localhost:${port}`);
+        console.log(`📮 Point errorReporting.endpoint at http://localhost:${port}/reports`);
+        console.log(`⏱️ and performance.endpoint at http://localhost:${port}/metrics`);
+    });
+}
@@ -0,0 +1,204 @@
+/**
+ * Push Hub - Server-Sent Events channel for incremental data patches
+ *
+ * Every patch gets an id of the form "<bootId>-<sequence>". Clients that
+ * reconnect send the last id they saw (Last-Event-ID header or ?lastEventId=)
+ * and receive everything they missed from a bounded replay buffer. If their
+ * id is from an earlier server run or has fallen out of the buffer, they get
+ * a `reset` event and should reload their data in full.
+ *
+ * Run standalone as a mock push server for offline development:
+ *
+ *   npm run push:mock    (PORT defaults to 3001, stream at /stream)
+ *
+ * which publishes a demo announcement or ticket status change every few seconds.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HEARTBEAT_MS = 25000;
+
+export class PushHub {
+    constructor(options = {}) {
+        this.bootId = options.bootId || Date.now().toString(36);
+        this.bufferSize = options.bufferSize || 200;
+        this.retryMs = options.retryMs || 3000;
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Set();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Publish a patch: { resource, op: 'create' | 'update' | 'remove', id, data }
+     */
+    publish(patch) {
+        this.sequence++;
+        const message = {
+            id: `${this.bootId}-${this.sequence}`,
+            sequence: this.sequence,
+            event: 'patch',
+            data: { ...patch, publishedAt: new Date().toISOString() }
+        };
+
+        this.buffer.push(message);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.clients.forEach(res => this.send(res, message));
+        return message;
+    }
+
+    /**
+     * Attach an HTTP request as an SSE subscriber
+     */
+    handleStream(req, res) {
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const lastEventId = req.headers['last-event-id'] || searchParams.get('lastEventId');
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        this.replay(res, lastEventId);
+
+        this.clients.add(res);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+    }
+
+    /**
+     * Send missed patches, or a reset when they can't be replayed
+     */
+    replay(res, lastEventId) {
+        if (!lastEventId) return;
+
+        const [bootId, rawSequence] = String(lastEventId).split('-');
+        const sequence = Number(rawSequence);
+        const oldestBuffered = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+
+        const canResume = bootId === this.bootId &&
+            Number.isInteger(sequence) &&
+            sequence <= this.sequence &&
+            sequence >= oldestBuffered - 1;
+
+        if (!canResume) {
+            this.send(res, {
+                id: `${this.bootId}-${this.sequence}`,
+                event: 'reset',
+                data: { reason: 'history-unavailable' }
+            });
+            return;
+        }
+
+        this.buffer
+            .filter(message => message.sequence > sequence)
+            .forEach(message => this.send(res, message));
+    }
+
+    send(res, message) {
+        res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message.data)}\n\n`);
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(res => res.write(': heartbeat\n\n'));
+        }, HEARTBEAT_MS);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    /**
+     * Close all subscriber connections
+     */
+    close() {
+        this.stopHeartbeat();
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+    }
+}
+
+/**
+ * Publish random demo patches, like the old simulated updates
+ */
+export function startMockPublisher(hub, intervalMs = 15000) {
+    const statuses = ['open', 'in_progress', 'pending', 'resolved'];
+    let count = 0;
+
+    const timer = setInterval(() => {
+        count++;
+
+        if (count % 2 === 1) {
+            const id = `ann_live_${Date.now()}`;
+            hub.publish({
+                resource: 'announcements',
+                op: 'create',
+                id,
+                data: {
+                    id,
+                    title: `Live Update #${count}`,
+                    message: 'This announcement was pushed by the mock push server.',
+                    type: 'info',
+                    priority: 'medium',
+                    dismissible: true,
+                    createdAt: new Date().toISOString(),
+                    author: 'Mock Push Server',
+                    icon: '📡'
+                }
+            });
+        } else {
+            const ticketNumber = String(1 + Math.floor(Math.random() * 12)).padStart(3, '0');
+            const id = `TKT-${ticketNumber}`;
+            hub.publish({
+                resource: 'tickets',
+                op: 'update',
+                id,
+                data: {
+                    status: statuses[Math.floor(Math.random() * statuses.length)],
+                    updatedAt: new Date().toISOString()
+                }
+            });
+        }
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+// Run as a standalone mock push server
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3001;
+    const intervalMs = Number(process.env.PUSH_INTERVAL_MS) || 15000;
+    const hub = new PushHub();
+
+    http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && pathname === '/stream') {
+            hub.handleStream(req, res);
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }).listen(port, () => {
+        console.log(`📡 Mock push server streaming on http://localhost:${port}/stream`);
+    });
+
+    startMockPublisher(hub, intervalMs);
+}
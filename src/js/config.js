@@ -0,0 +1,181 @@
+/**
+ * Dashboard Configuration - Deployment settings for services and data sources
+ *
+ * Defaults live here. A deployment can override any value without touching
+ * the source by defining `window.DASHBOARD_CONFIG` before main.js loads, e.g.
+ *
+ *   <script>
+ *     window.DASHBOARD_CONFIG = {
+ *       dataSources: { defaultAdapter: 'rest', adapters: { rest: { baseUrl: 'https://intranet.example.com/api' } } }
+ *     };
+ *   </script>
+ */
+
+export const defaultConfig = {
+    dataSources: {
+        // Adapter used by any resource that doesn't name its own
+        defaultAdapter: 'static',
+
+        adapters: {
+            static: {
+                baseUrl: 'src/data'
+            },
+            rest: {
+                baseUrl: '/api',
+                headers: {}
+            },
+            mock: {
+                latencyMs: 0,
+                data: {}
+            }
+        },
+
+        // Resource name -> adapter overrides. `file` is used by the static
+        // adapter, `endpoint` by the REST adapter (defaults to the resource name).
+        resources: {
+            announcements: { file: 'announcements.json' },
+            shortcuts: { file: 'shortcuts.json' },
+            tasks: { file: 'tasks.json' },
+            events: { file: 'calendar.json', endpoint: 'events' },
+            tickets: { file: 'tickets.json' },
+            dismissals: { file: 'dismissals.json' }
+        }
+    },
+
+    events: {
+        // Listener count per event name above which a leak warning is logged
+        maxListeners: 50,
+        // Recent events kept for `eventBus.on(name, callback, { replay: true })`
+        replayLimit: 50,
+        // Check payloads against the event catalogue and warn about unknown
+        // events; null = only in development (localhost or ?debug=1)
+        validate: null
+    },
+
+    realtime: {
+        // Server-Sent Events endpoint for data patches; null disables push
+        // (the local API server serves '/api/stream', `npm run push:mock` serves
+        // 'http://localhost:3001/stream')
+        pushUrl: null,
+        reconnectBaseMs: 1000,
+        reconnectMaxMs: 60000
+    },
+
+    outbox: {
+        // Queued changes are retried with backoff; server errors give up
+        // after maxAttempts, network errors wait for the connection
+        maxAttempts: 5,
+        retryBaseMs: 2000,
+        retryMaxMs: 60000
+    },
+
+    errorReporting: {
+        // Where batches of error reports are POSTed; null keeps them in memory
+        // (`npm run collector` serves 'http://localhost:3002/reports')
+        endpoint: null,
+        // Send when this many are queued, or this long after the first
+        batchSize: 10,
+        flushIntervalMs: 10000,
+        // Unsent reports kept while the endpoint is unreachable
+        maxQueue: 100,
+        // Recent events, clicks and user actions attached to each report
+        maxBreadcrumbs: 30
+    },
+
+    performance: {
+        // Where new samples are POSTed; null keeps them in storage only
+        // (`npm run collector` serves 'http://localhost:3002/metrics')
+        endpoint: null,
+        flushIntervalMs: 30000,
+        // Samples kept in storage across sessions
+        maxSamples: 500,
+        // Limits in milliseconds (CLS has no unit); null switches one off
+        budgets: {
+            lcp: 2500,
+            cls: 0.1,
+            inp: 200,
+            longTask: 200,
+            // Per widget, overridable for one widget, e.g. { calendar: { render: 100 } }
+            init: 1000,
+            render: 50,
+            refresh: 2000,
+            widgets: {}
+        }
+    },
+
+    dataProcessing: {
+        // Worker that filters, sorts and counts widget data (see
+        // services/dataProcessor.js); null keeps it on the main thread
+        workerUrl: 'src/js/services/dataWorker.js',
+        // Shorter lists aren't worth the round trip
+        workerThreshold: 1000
+    },
+
+    i18n: {
+        // Used when neither ?lang=, a saved choice nor the browser languages
+        // match a locale pack (see services/i18n.js)
+        defaultLocale: 'en',
+        // Packs offered in the settings panel, from src/js/locales/index.js
+        locales: ['en', 'de', 'ka', 'ar', 'he'],
+        // Currency of amounts that don't carry their own
+        currency: 'USD'
+    },
+
+    offline: {
+        // Service worker that caches the app shell and widget data (see sw.js);
+        // null disables it
+        serviceWorkerUrl: 'sw.js'
+    },
+
+    devtools: {
+        // Developer panel (Alt+Shift+D or ?debug=1): events kept in the log
+        // and how often the widget/service views refresh
+        maxEvents: 500,
+        refreshMs: 1000
+    },
+
+    accessibility: {
+        // Audit each widget on its own after it renders and warn about new
+        // violations (see utils/a11yAudit.js); null = only in development
+        auditWidgets: null,
+        // Renders within this window are audited once
+        auditDelayMs: 100,
+        // Rule IDs to leave out, e.g. ['landmark-unique']
+        disabledRules: []
+    },
+
+    widgets: {
+        // JSON manifest listing third-party widget modules (see widgets/registry.js)
+        manifestUrl: 'plugins/manifest.json'
+    }
+};
+
+/**
+ * Recursively merge plain objects; arrays and primitives from `override` win
+ */
+export function mergeConfig(base, override) {
+    if (!override || typeof override !== 'object') {
+        return base;
+    }
+
+    const result = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        const baseValue = base ? base[key] : undefined;
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+        const baseIsPlainObject = baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue);
+
+        result[key] = isPlainObject && baseIsPlainObject
+            ? mergeConfig(baseValue, value)
+            : value;
+    });
+
+    return result;
+}
+
+/**
+ * Get the effective configuration (defaults + window.DASHBOARD_CONFIG)
+ */
+export function getConfig() {
+    const overrides = typeof window !== 'undefined' ? window.DASHBOARD_CONFIG : null;
+    return mergeConfig(defaultConfig, overrides);
+}
@@ -0,0 +1,258 @@
+/**
+ * العربية - Arabic locale pack (right-to-left)
+ */
+
+export default {
+    locale: 'ar',
+    name: 'العربية',
+    intl: 'ar',
+    dir: 'rtl',
+    messages: {
+        // Page
+        'app.title': 'لوحة بداية اليوم الذكية',
+        'app.description': 'لوحة بداية اليوم الذكية - الصفحة الرئيسية للشبكة الداخلية لتسهيل سير العمل اليومي',
+        'app.skipToContent': 'انتقل إلى المحتوى الرئيسي',
+        'app.navigation': 'التنقل الرئيسي',
+        'app.loading': 'جارٍ تحميل اللوحة...',
+        'app.loaded': 'تم تحميل اللوحة بنجاح',
+        'app.footer': '© 2025 لوحة بداية اليوم الذكية. أُنشئت لتحدي DEV.to Holistic Webdev.',
+        'app.error.title': 'خطأ في تحميل اللوحة',
+        'app.error.message': 'عذرًا، حدثت مشكلة أثناء تحميل اللوحة. يُرجى تحديث الصفحة والمحاولة مرة أخرى.',
+        'app.error.refresh': 'تحديث الصفحة',
+        'app.error.announcement': 'تعذّر تحميل اللوحة. يُرجى تحديث الصفحة.',
+        'network.offline': 'انقطع الاتصال - العمل دون اتصال',
+        'network.online': 'عاد الاتصال',
+
+        // Header
+        'header.travel': 'وقت العرض · العودة إلى الآن',
+        'header.travelTitle': 'تُعرض اللوحة في وقت آخر. الوقت الفعلي: {realTime}',
+        'header.about': 'حول',
+        'header.aboutLabel': 'حول هذه اللوحة',
+        'outbox.saving': '{count, plural, one {جارٍ حفظ تغيير واحد…} two {جارٍ حفظ تغييرين…} few {جارٍ حفظ # تغييرات…} many {جارٍ حفظ # تغييرًا…} other {جارٍ حفظ # تغيير…}}',
+        'outbox.pending': '{count, plural, one {تغيير واحد معلّق} two {تغييران معلّقان} few {# تغييرات معلّقة} many {# تغييرًا معلّقًا} other {# تغيير معلّق}}',
+        'outbox.waiting': 'بانتظار الحفظ:\n{labels}',
+        'outbox.failed': 'تعذّر تنفيذ: {label}. تم التراجع عن التغيير.',
+
+        // About dialog
+        'about.title': 'حول لوحة بداية اليوم الذكية',
+        'about.close': 'إغلاق نافذة حول',
+        'about.version': 'الإصدار {version}',
+        'about.description': 'صفحة رئيسية احترافية وغنية بالميزات للشبكة الداخلية، تسهّل سير العمل اليومي للموظفين بعرض المعلومات والأدوات المهمة في لوحة واحدة متكاملة.',
+        'about.features': 'الميزات الرئيسية:',
+        'about.feature.announcements': 'إعلانات وتنبيهات فورية',
+        'about.feature.quickLaunch': 'اختصارات تشغيل سريع قابلة للتخصيص',
+        'about.feature.tasks': 'إدارة المهام والموافقات',
+        'about.feature.calendar': 'تقويم فريق متكامل',
+        'about.feature.tickets': 'متابعة تذاكر الدعم',
+        'about.feature.customization': 'خيارات تخصيص كاملة',
+        'about.feature.accessibility': 'متوافقة مع إرشادات WCAG 2.1 AA لإمكانية الوصول',
+        'about.feature.responsive': 'تصميم متجاوب لجميع الأجهزة',
+        'about.builtWith': 'بُنيت باستخدام:',
+        'about.footer': 'صُنعت بـ ❤️ من أجل إنتاجية أفضل في العمل',
+
+        // Loading, undo and theme
+        'loading.default': 'جارٍ التحميل...',
+        'loading.complete': 'اكتمل التحميل',
+        'commands.lastAction': 'الإجراء الأخير',
+        'commands.recorded': '{label}. اضغط Control+Z للتراجع.',
+        'commands.undo': 'تراجع',
+        'commands.redo': 'إعادة',
+        'commands.dismiss': 'إغلاق',
+        'commands.nothingToUndo': 'لا يوجد ما يمكن التراجع عنه',
+        'commands.nothingToRedo': 'لا يوجد ما يمكن إعادته',
+        'commands.undone': 'تم التراجع: {label}',
+        'commands.redone': 'تمت الإعادة: {label}',
+        'commands.failed': '{direction, select, undo {تعذّر التراجع: {label}} other {تعذّرت الإعادة: {label}}}',
+        'commands.undoAction': 'التراجع عن: {label}',
+        'theme.switched': 'تم التبديل إلى الوضع {theme, select, dark {الداكن} other {الفاتح}}',
+        'theme.switchTo': 'التبديل إلى الوضع {theme, select, dark {الداكن} other {الفاتح}}',
+
+        // Settings panel
+        'settings.title': 'إعدادات اللوحة',
+        'settings.close': 'إغلاق الإعدادات',
+        'settings.language': 'اللغة',
+        'settings.theme': 'المظهر',
+        'settings.theme.light': 'فاتح',
+        'settings.theme.dark': 'داكن',
+        'settings.theme.auto': 'تلقائي',
+        'settings.fontSize': 'حجم الخط',
+        'settings.fontSize.small': 'صغير',
+        'settings.fontSize.medium': 'متوسط',
+        'settings.fontSize.large': 'كبير',
+        'settings.compactMode': 'الوضع المضغوط',
+        'settings.highContrast': 'تباين عالٍ',
+        'settings.animations': 'تفعيل الحركات',
+        'settings.autoRefresh': 'التحديث التلقائي',
+        'settings.visibleWidgets': 'الأدوات الظاهرة',
+        'settings.clock': 'تاريخ اللوحة ووقتها',
+        'settings.clockHint': 'اعرض اللوحة كما تبدو في لحظة أخرى، مثلًا لعرض توضيحي. اتركه فارغًا لاستخدام الوقت الفعلي.',
+        'settings.clockReset': 'استخدام الوقت الفعلي',
+        'settings.reset': 'استعادة الإعدادات الافتراضية',
+        'settings.resetDone': 'تمت استعادة الإعدادات الافتراضية',
+        'settings.export': 'تصدير الإعدادات',
+        'settings.import': 'استيراد الإعدادات',
+        'settings.imported': 'تم استيراد الإعدادات بنجاح!',
+        'settings.importFailed': 'تعذّر استيراد الإعدادات. يُرجى التحقق من تنسيق الملف.',
+
+        // Shared by the widgets
+        'widget.announcements.title': 'الإعلانات',
+        'widget.quickLaunch.title': 'التشغيل السريع',
+        'widget.tasks.title': 'المهام والموافقات',
+        'widget.calendar.title': 'تقويم الفريق',
+        'widget.tickets.title': 'تذاكر الدعم',
+        'widget.error': 'حدث خطأ أثناء تحميل البيانات',
+        'widget.retry': 'إعادة المحاولة',
+        'widget.empty': 'لا توجد بيانات',
+        'widget.refresh': 'تحديث',
+        'widget.queuedChange': '{message} - ستتم المزامنة عند عودة الاتصال',
+        'widget.offline': 'دون اتصال، آخر تحديث {time}',
+        'widget.offline.justNow': 'الآن',
+        'widget.offline.unknownTime': 'في وقت غير معروف',
+        'time.justNow': 'الآن',
+        'time.minutesAgo': '{count, plural, one {منذ دقيقة} two {منذ دقيقتين} few {منذ # دقائق} many {منذ # دقيقة} other {منذ # دقيقة}}',
+        'time.hoursAgo': '{count, plural, one {منذ ساعة} two {منذ ساعتين} few {منذ # ساعات} many {منذ # ساعة} other {منذ # ساعة}}',
+        'time.daysAgo': '{count, plural, one {منذ يوم} two {منذ يومين} few {منذ # أيام} many {منذ # يومًا} other {منذ # يوم}}',
+        'common.filter': '{label} ({count})',
+        'common.view': 'عرض',
+        'common.viewDetails': 'عرض تفاصيل {name}',
+        'common.overdue': '(متأخرة)',
+        'common.highPriority': 'أولوية عالية',
+        'common.statusLabel': 'الحالة: {status}',
+        'common.priorityLabel': 'الأولوية: {priority}',
+        'priority': '{priority, select, high {عالية} medium {متوسطة} low {منخفضة} other {{priority}}}',
+        'field.description': 'الوصف:',
+        'field.type': 'النوع:',
+        'field.status': 'الحالة:',
+        'field.priority': 'الأولوية:',
+        'field.category': 'الفئة:',
+        'field.assignee': 'المسؤول:',
+        'field.assigned': 'مُسندة إلى:',
+        'field.requester': 'مقدّم الطلب:',
+        'field.from': 'من:',
+        'field.reporter': 'المُبلِّغ:',
+        'field.due': 'الاستحقاق:',
+        'field.dueDate': 'تاريخ الاستحقاق:',
+        'field.created': 'تاريخ الإنشاء:',
+        'field.lastUpdated': 'آخر تحديث:',
+        'field.amount': 'المبلغ:',
+        'field.impact': 'التأثير:',
+        'field.affectedUsers': 'المستخدمون المتأثرون:',
+        'field.tags': 'الوسوم:',
+        'field.resolution': 'الحل:',
+        'field.time': 'الوقت:',
+        'field.location': 'المكان:',
+        'field.attendees': 'المشاركون:',
+        'field.organizer': 'المنظّم:',
+        'field.meetingLink': 'رابط الاجتماع:',
+
+        // Announcements
+        'announcements.toggle': 'إظهار الإعلانات أو إخفاؤها',
+        'announcements.toggleCount': '{expanded, select, true {طيّ} other {توسيع}} {count, plural, zero {الإعلانات} one {إعلان واحد} two {إعلانين} few {# إعلانات} many {# إعلانًا} other {# إعلان}}',
+        'announcements.collapse': 'طيّ الإعلانات',
+        'announcements.expand': 'توسيع الإعلانات',
+        'announcements.collapsed': 'تم طيّ الإعلانات',
+        'announcements.expanded': 'تم توسيع الإعلانات',
+        'announcements.empty': 'لا توجد إعلانات حاليًا',
+        'announcements.new': 'إعلان جديد: {title}',
+        'announcements.highPriorityCount': '{count, plural, one {يتوفر إعلان واحد عالي الأولوية} two {يتوفر إعلانان عاليا الأولوية} few {تتوفر # إعلانات عالية الأولوية} many {يتوفر # إعلانًا عالي الأولوية} other {يتوفر # إعلان عالي الأولوية}}',
+        'announcements.dismissLabel': 'إغلاق الإعلان: {title}',
+        'announcements.expires': 'ينتهي في {date}',
+        'announcements.dismissed': 'تم إغلاق الإعلان "{title}"',
+        'announcements.dismissAction': 'إغلاق الإعلان "{title}"',
+        'announcements.restoreAction': 'استعادة الإعلان "{title}"',
+        'announcements.cleared': 'تمت استعادة جميع الإعلانات المغلقة',
+
+        // Quick launch
+        'quickLaunch.empty': 'لا توجد اختصارات',
+        'quickLaunch.grid': 'اختصارات التشغيل السريع',
+        'quickLaunch.addNew': 'إضافة اختصار جديد',
+        'quickLaunch.addMore': 'إضافة المزيد',
+        'quickLaunch.edit': 'تعديل الاختصار',
+        'quickLaunch.editLabel': 'تعديل اختصار {title}',
+        'quickLaunch.delete': 'حذف الاختصار',
+        'quickLaunch.deleteLabel': 'حذف اختصار {title}',
+        'quickLaunch.dragStarted': 'بدأ سحب الاختصار. استخدم مفاتيح الأسهم لإعادة الترتيب.',
+        'quickLaunch.reordered': 'تمت إعادة ترتيب الاختصار',
+        'quickLaunch.added': 'تمت إضافة الاختصار "{title}"',
+        'quickLaunch.deleted': 'تم حذف الاختصار "{title}"',
+        'quickLaunch.dialog.addTitle': 'إضافة اختصار جديد',
+        'quickLaunch.dialog.editTitle': 'تعديل الاختصار',
+        'quickLaunch.dialog.title': 'العنوان',
+        'quickLaunch.dialog.url': 'الرابط',
+        'quickLaunch.dialog.description': 'الوصف',
+        'quickLaunch.dialog.icon': 'الأيقونة (رمز تعبيري)',
+        'quickLaunch.dialog.color': 'اللون',
+        'quickLaunch.dialog.cancel': 'إلغاء',
+        'quickLaunch.dialog.add': 'إضافة اختصار',
+        'quickLaunch.dialog.update': 'تحديث الاختصار',
+
+        // Tasks
+        'tasks.empty': 'لا توجد مهام',
+        'tasks.filters': 'عوامل تصفية المهام',
+        'tasks.filter.all': 'الكل',
+        'tasks.filter.pending': 'قيد الانتظار',
+        'tasks.filter.approvals': 'الموافقات',
+        'tasks.filter.high': 'أولوية عالية',
+        'tasks.filtered': 'تمت تصفية المهام: {filter}',
+        'tasks.overdueCount': 'متأخرة: {count}',
+        'tasks.dueTodayCount': 'مستحقة اليوم: {count}',
+        'tasks.today': '(اليوم)',
+        'tasks.completedAgo': 'اكتملت {time}',
+        'tasks.status': '{status, select, pending {قيد الانتظار} in_progress {قيد التنفيذ} completed {مكتملة} rejected {مرفوضة} other {{status}}}',
+        'tasks.type': '{type, select, approval {موافقة} task {مهمة} other {{type}}}',
+        'tasks.approve': 'موافقة',
+        'tasks.approveLabel': 'الموافقة على {title}',
+        'tasks.reject': 'رفض',
+        'tasks.rejectLabel': 'رفض {title}',
+        'tasks.complete': 'إكمال',
+        'tasks.completeLabel': 'تحديد {title} كمكتملة',
+        'tasks.approveAction': 'الموافقة على المهمة "{title}"',
+        'tasks.rejectAction': 'رفض المهمة "{title}"',
+        'tasks.completeAction': 'إكمال المهمة "{title}"',
+        'tasks.approved': 'تمت الموافقة على المهمة "{title}"',
+        'tasks.rejected': 'تم رفض المهمة "{title}"',
+        'tasks.completed': 'اكتملت المهمة "{title}"',
+        'tasks.closeDetails': 'إغلاق تفاصيل المهمة',
+
+        // Calendar
+        'calendar.todayTitle': 'جدول اليوم',
+        'calendar.eventCount': '{count, plural, zero {لا توجد فعاليات} one {فعالية واحدة} two {فعاليتان} few {# فعاليات} many {# فعالية} other {# فعالية}}',
+        'calendar.noEventsToday': 'لا توجد فعاليات مجدولة اليوم',
+        'calendar.upcoming': 'الفعاليات القادمة',
+        'calendar.eventLabel': 'فعالية: {title} في {time}',
+        'calendar.live': 'مباشر',
+        'calendar.attendees': '{count, plural, one {مشارك واحد} two {مشاركان} few {# مشاركين} many {# مشاركًا} other {# مشارك}}',
+        'calendar.join': 'الانضمام إلى الاجتماع',
+        'calendar.grid': 'التقويم',
+        'calendar.previousMonth': 'الشهر السابق',
+        'calendar.nextMonth': 'الشهر التالي',
+        'calendar.dayLabel': '{hasEvents, select, true {{date} فيه فعاليات} other {{date}}}',
+        'calendar.dayEvents': '{count, plural, =0 {لا توجد فعاليات} one {فعالية واحدة} two {فعاليتان} few {# فعاليات} many {# فعالية} other {# فعالية}} في {date}',
+        'calendar.closeDetails': 'إغلاق تفاصيل الفعالية',
+
+        // Support tickets
+        'tickets.empty': 'لم يتم العثور على تذاكر دعم',
+        'tickets.stat.high': 'أولوية عالية',
+        'tickets.stat.medium': 'متوسطة',
+        'tickets.stat.low': 'منخفضة',
+        'tickets.stat.overdue': 'متأخرة',
+        'tickets.filters': 'عوامل تصفية التذاكر',
+        'tickets.filter.open': 'مفتوحة',
+        'tickets.filter.high': 'أولوية عالية',
+        'tickets.filter.assigned': 'المُسندة إليّ',
+        'tickets.filter.all': 'الكل',
+        'tickets.filtered': 'تمت تصفية التذاكر: {filter}',
+        'tickets.status': '{status, select, open {مفتوحة} in_progress {قيد التنفيذ} pending {قيد الانتظار} resolved {محلولة} other {{status}}}',
+        'tickets.affected': '{count, plural, one {مستخدم واحد متأثر} two {مستخدمان متأثران} few {# مستخدمين متأثرين} many {# مستخدمًا متأثرًا} other {# مستخدم متأثر}}',
+        'tickets.progress': 'اكتمل {progress}%',
+        'tickets.start': 'بدء',
+        'tickets.startLabel': 'بدء العمل على {id}',
+        'tickets.resolve': 'حل',
+        'tickets.resolveLabel': 'حل {id}',
+        'tickets.startAction': 'بدء التذكرة {id}',
+        'tickets.resolveAction': 'حل التذكرة {id}',
+        'tickets.started': 'بدأ العمل على التذكرة {id}',
+        'tickets.resolved': 'تم حل التذكرة {id}',
+        'tickets.closeDetails': 'إغلاق تفاصيل التذكرة'
+    }
+};
@@ -0,0 +1,258 @@
+/**
+ * Deutsch - German locale pack
+ */
+
+export default {
+    locale: 'de',
+    name: 'Deutsch',
+    intl: 'de-DE',
+    dir: 'ltr',
+    messages: {
+        // Page
+        'app.title': 'Smart Day-Starter Dashboard',
+        'app.description': 'Smart Day-Starter Dashboard - Die Intranet-Startseite für einen reibungslosen Arbeitstag',
+        'app.skipToContent': 'Zum Hauptinhalt springen',
+        'app.navigation': 'Hauptnavigation',
+        'app.loading': 'Dashboard wird geladen...',
+        'app.loaded': 'Dashboard erfolgreich geladen',
+        'app.footer': '© 2025 Smart Day-Starter Dashboard. Entwickelt für die DEV.to Holistic Webdev Challenge.',
+        'app.error.title': 'Fehler beim Laden des Dashboards',
+        'app.error.message': 'Beim Laden des Dashboards ist leider ein Problem aufgetreten. Bitte laden Sie die Seite neu, um es noch einmal zu versuchen.',
+        'app.error.refresh': 'Seite neu laden',
+        'app.error.announcement': 'Das Dashboard konnte nicht geladen werden. Bitte laden Sie die Seite neu.',
+        'network.offline': 'Verbindung unterbrochen - offline weiterarbeiten',
+        'network.online': 'Verbindung wiederhergestellt',
+
+        // Header
+        'header.travel': 'Demo-Zeit · Zurück zu jetzt',
+        'header.travelTitle': 'Das Dashboard zeigt einen anderen Zeitpunkt. Tatsächliche Zeit: {realTime}',
+        'header.about': 'Info',
+        'header.aboutLabel': 'Über dieses Dashboard',
+        'outbox.saving': '{count, plural, one {# Änderung wird gespeichert…} other {# Änderungen werden gespeichert…}}',
+        'outbox.pending': '{count, plural, one {# Änderung ausstehend} other {# Änderungen ausstehend}}',
+        'outbox.waiting': 'Noch nicht gespeichert:\n{labels}',
+        'outbox.failed': 'Fehlgeschlagen: {label}. Die Änderung wurde rückgängig gemacht.',
+
+        // About dialog
+        'about.title': 'Über Smart Day-Starter Dashboard',
+        'about.close': 'Info-Dialog schließen',
+        'about.version': 'Version {version}',
+        'about.description': 'Eine professionelle, funktionsreiche Intranet-Startseite, die den Arbeitsalltag vereinfacht, indem sie wichtige Informationen und Werkzeuge in einem einheitlichen Dashboard bündelt.',
+        'about.features': 'Wichtige Funktionen:',
+        'about.feature.announcements': 'Mitteilungen und Warnungen in Echtzeit',
+        'about.feature.quickLaunch': 'Anpassbare Schnellzugriffe',
+        'about.feature.tasks': 'Aufgaben- und Freigabeverwaltung',
+        'about.feature.calendar': 'Integrierter Teamkalender',
+        'about.feature.tickets': 'Verfolgung von Support-Tickets',
+        'about.feature.customization': 'Umfassende Anpassungsmöglichkeiten',
+        'about.feature.accessibility': 'Barrierefreiheit nach WCAG 2.1 AA',
+        'about.feature.responsive': 'Responsives Design für alle Geräte',
+        'about.builtWith': 'Entwickelt mit:',
+        'about.footer': 'Mit ❤️ für produktiveres Arbeiten entwickelt',
+
+        // Loading, undo and theme
+        'loading.default': 'Wird geladen...',
+        'loading.complete': 'Laden abgeschlossen',
+        'commands.lastAction': 'Letzte Aktion',
+        'commands.recorded': '{label}. Mit Strg+Z rückgängig machen.',
+        'commands.undo': 'Rückgängig',
+        'commands.redo': 'Wiederholen',
+        'commands.dismiss': 'Schließen',
+        'commands.nothingToUndo': 'Nichts rückgängig zu machen',
+        'commands.nothingToRedo': 'Nichts zu wiederholen',
+        'commands.undone': 'Rückgängig gemacht: {label}',
+        'commands.redone': 'Wiederholt: {label}',
+        'commands.failed': '{direction, select, undo {Konnte nicht rückgängig gemacht werden: {label}} other {Konnte nicht wiederholt werden: {label}}}',
+        'commands.undoAction': 'rückgängig: {label}',
+        'theme.switched': '{theme, select, dark {Dunkles} other {Helles}} Design aktiviert',
+        'theme.switchTo': 'Zum {theme, select, dark {dunklen} other {hellen}} Design wechseln',
+
+        // Settings panel
+        'settings.title': 'Dashboard-Einstellungen',
+        'settings.close': 'Einstellungen schließen',
+        'settings.language': 'Sprache',
+        'settings.theme': 'Design',
+        'settings.theme.light': 'Hell',
+        'settings.theme.dark': 'Dunkel',
+        'settings.theme.auto': 'Automatisch',
+        'settings.fontSize': 'Schriftgröße',
+        'settings.fontSize.small': 'Klein',
+        'settings.fontSize.medium': 'Mittel',
+        'settings.fontSize.large': 'Groß',
+        'settings.compactMode': 'Kompakte Ansicht',
+        'settings.highContrast': 'Hoher Kontrast',
+        'settings.animations': 'Animationen aktivieren',
+        'settings.autoRefresh': 'Automatisch aktualisieren',
+        'settings.visibleWidgets': 'Sichtbare Widgets',
+        'settings.clock': 'Datum und Uhrzeit des Dashboards',
+        'settings.clockHint': 'Zeigt das Dashboard so, wie es zu einem anderen Zeitpunkt aussieht, z. B. für eine Vorführung. Leer lassen für die tatsächliche Zeit.',
+        'settings.clockReset': 'Tatsächliche Zeit verwenden',
+        'settings.reset': 'Auf Standard zurücksetzen',
+        'settings.resetDone': 'Einstellungen auf Standard zurückgesetzt',
+        'settings.export': 'Einstellungen exportieren',
+        'settings.import': 'Einstellungen importieren',
+        'settings.imported': 'Einstellungen erfolgreich importiert!',
+        'settings.importFailed': 'Einstellungen konnten nicht importiert werden. Bitte prüfen Sie das Dateiformat.',
+
+        // Shared by the widgets
+        'widget.announcements.title': 'Mitteilungen',
+        'widget.quickLaunch.title': 'Schnellzugriff',
+        'widget.tasks.title': 'Aufgaben & Freigaben',
+        'widget.calendar.title': 'Teamkalender',
+        'widget.tickets.title': 'Support-Tickets',
+        'widget.error': 'Beim Laden der Daten ist ein Fehler aufgetreten',
+        'widget.retry': 'Erneut versuchen',
+        'widget.empty': 'Keine Daten vorhanden',
+        'widget.refresh': 'Aktualisieren',
+        'widget.queuedChange': '{message} - wird synchronisiert, sobald Sie wieder online sind',
+        'widget.offline': 'Offline, zuletzt aktualisiert {time}',
+        'widget.offline.justNow': 'gerade eben',
+        'widget.offline.unknownTime': 'zu unbekannter Zeit',
+        'time.justNow': 'Gerade eben',
+        'time.minutesAgo': '{count, plural, one {vor # Minute} other {vor # Minuten}}',
+        'time.hoursAgo': '{count, plural, one {vor # Stunde} other {vor # Stunden}}',
+        'time.daysAgo': '{count, plural, one {vor # Tag} other {vor # Tagen}}',
+        'common.filter': '{label} ({count})',
+        'common.view': 'Ansehen',
+        'common.viewDetails': 'Details zu {name} ansehen',
+        'common.overdue': '(Überfällig)',
+        'common.highPriority': 'Hohe Priorität',
+        'common.statusLabel': 'Status: {status}',
+        'common.priorityLabel': 'Priorität: {priority}',
+        'priority': '{priority, select, high {hoch} medium {mittel} low {niedrig} other {{priority}}}',
+        'field.description': 'Beschreibung:',
+        'field.type': 'Art:',
+        'field.status': 'Status:',
+        'field.priority': 'Priorität:',
+        'field.category': 'Kategorie:',
+        'field.assignee': 'Zuständig:',
+        'field.assigned': 'Zugewiesen:',
+        'field.requester': 'Angefordert von:',
+        'field.from': 'Von:',
+        'field.reporter': 'Gemeldet von:',
+        'field.due': 'Fällig:',
+        'field.dueDate': 'Fälligkeitsdatum:',
+        'field.created': 'Erstellt:',
+        'field.lastUpdated': 'Zuletzt aktualisiert:',
+        'field.amount': 'Betrag:',
+        'field.impact': 'Auswirkung:',
+        'field.affectedUsers': 'Betroffene Benutzer:',
+        'field.tags': 'Schlagwörter:',
+        'field.resolution': 'Lösung:',
+        'field.time': 'Zeit:',
+        'field.location': 'Ort:',
+        'field.attendees': 'Teilnehmende:',
+        'field.organizer': 'Organisiert von:',
+        'field.meetingLink': 'Besprechungslink:',
+
+        // Announcements
+        'announcements.toggle': 'Mitteilungen ein- oder ausblenden',
+        'announcements.toggleCount': '{count, plural, one {# Mitteilung} other {# Mitteilungen}} {expanded, select, true {einklappen} other {ausklappen}}',
+        'announcements.collapse': 'Mitteilungen einklappen',
+        'announcements.expand': 'Mitteilungen ausklappen',
+        'announcements.collapsed': 'Mitteilungen eingeklappt',
+        'announcements.expanded': 'Mitteilungen ausgeklappt',
+        'announcements.empty': 'Derzeit keine Mitteilungen',
+        'announcements.new': 'Neue Mitteilung: {title}',
+        'announcements.highPriorityCount': '{count, plural, one {# Mitteilung mit hoher Priorität} other {# Mitteilungen mit hoher Priorität}}',
+        'announcements.dismissLabel': 'Mitteilung ausblenden: {title}',
+        'announcements.expires': 'Läuft ab am {date}',
+        'announcements.dismissed': 'Mitteilung „{title}“ ausgeblendet',
+        'announcements.dismissAction': 'Mitteilung „{title}“ ausblenden',
+        'announcements.restoreAction': 'Mitteilung „{title}“ wiederherstellen',
+        'announcements.cleared': 'Alle ausgeblendeten Mitteilungen werden wieder angezeigt',
+
+        // Quick launch
+        'quickLaunch.empty': 'Keine Schnellzugriffe vorhanden',
+        'quickLaunch.grid': 'Schnellzugriffe',
+        'quickLaunch.addNew': 'Neuen Schnellzugriff hinzufügen',
+        'quickLaunch.addMore': 'Hinzufügen',
+        'quickLaunch.edit': 'Schnellzugriff bearbeiten',
+        'quickLaunch.editLabel': 'Schnellzugriff {title} bearbeiten',
+        'quickLaunch.delete': 'Schnellzugriff löschen',
+        'quickLaunch.deleteLabel': 'Schnellzugriff {title} löschen',
+        'quickLaunch.dragStarted': 'Schnellzugriff wird verschoben. Mit den Pfeiltasten neu anordnen.',
+        'quickLaunch.reordered': 'Schnellzugriff verschoben',
+        'quickLaunch.added': 'Schnellzugriff „{title}“ hinzugefügt',
+        'quickLaunch.deleted': 'Schnellzugriff „{title}“ gelöscht',
+        'quickLaunch.dialog.addTitle': 'Neuer Schnellzugriff',
+        'quickLaunch.dialog.editTitle': 'Schnellzugriff bearbeiten',
+        'quickLaunch.dialog.title': 'Titel',
+        'quickLaunch.dialog.url': 'URL',
+        'quickLaunch.dialog.description': 'Beschreibung',
+        'quickLaunch.dialog.icon': 'Symbol (Emoji)',
+        'quickLaunch.dialog.color': 'Farbe',
+        'quickLaunch.dialog.cancel': 'Abbrechen',
+        'quickLaunch.dialog.add': 'Schnellzugriff hinzufügen',
+        'quickLaunch.dialog.update': 'Schnellzugriff speichern',
+
+        // Tasks
+        'tasks.empty': 'Keine Aufgaben vorhanden',
+        'tasks.filters': 'Aufgabenfilter',
+        'tasks.filter.all': 'Alle',
+        'tasks.filter.pending': 'Offen',
+        'tasks.filter.approvals': 'Freigaben',
+        'tasks.filter.high': 'Hohe Priorität',
+        'tasks.filtered': 'Aufgaben gefiltert: {filter}',
+        'tasks.overdueCount': '{count} überfällig',
+        'tasks.dueTodayCount': '{count} heute fällig',
+        'tasks.today': '(Heute)',
+        'tasks.completedAgo': 'Erledigt {time}',
+        'tasks.status': '{status, select, pending {offen} in_progress {in Bearbeitung} completed {erledigt} rejected {abgelehnt} other {{status}}}',
+        'tasks.type': '{type, select, approval {Freigabe} task {Aufgabe} other {{type}}}',
+        'tasks.approve': 'Freigeben',
+        'tasks.approveLabel': '{title} freigeben',
+        'tasks.reject': 'Ablehnen',
+        'tasks.rejectLabel': '{title} ablehnen',
+        'tasks.complete': 'Erledigt',
+        'tasks.completeLabel': '{title} als erledigt markieren',
+        'tasks.approveAction': 'Aufgabe „{title}“ freigeben',
+        'tasks.rejectAction': 'Aufgabe „{title}“ ablehnen',
+        'tasks.completeAction': 'Aufgabe „{title}“ erledigen',
+        'tasks.approved': 'Aufgabe „{title}“ freigegeben',
+        'tasks.rejected': 'Aufgabe „{title}“ abgelehnt',
+        'tasks.completed': 'Aufgabe „{title}“ erledigt',
+        'tasks.closeDetails': 'Aufgabendetails schließen',
+
+        // Calendar
+        'calendar.todayTitle': 'Heutige Termine',
+        'calendar.eventCount': '{count, plural, one {# Termin} other {# Termine}}',
+        'calendar.noEventsToday': 'Heute sind keine Termine geplant',
+        'calendar.upcoming': 'Anstehende Termine',
+        'calendar.eventLabel': 'Termin: {title} am {time}',
+        'calendar.live': 'LIVE',
+        'calendar.attendees': '{count, plural, one {# Teilnehmer*in} other {# Teilnehmende}}',
+        'calendar.join': 'Besprechung beitreten',
+        'calendar.grid': 'Kalender',
+        'calendar.previousMonth': 'Vorheriger Monat',
+        'calendar.nextMonth': 'Nächster Monat',
+        'calendar.dayLabel': '{hasEvents, select, true {{date}, mit Terminen} other {{date}}}',
+        'calendar.dayEvents': '{count, plural, =0 {Keine Termine} one {# Termin} other {# Termine}} am {date}',
+        'calendar.closeDetails': 'Termindetails schließen',
+
+        // Support tickets
+        'tickets.empty': 'Keine Support-Tickets gefunden',
+        'tickets.stat.high': 'Hohe Priorität',
+        'tickets.stat.medium': 'Mittel',
+        'tickets.stat.low': 'Niedrig',
+        'tickets.stat.overdue': 'Überfällig',
+        'tickets.filters': 'Ticketfilter',
+        'tickets.filter.open': 'Offen',
+        'tickets.filter.high': 'Hohe Priorität',
+        'tickets.filter.assigned': 'Mir zugewiesen',
+        'tickets.filter.all': 'Alle',
+        'tickets.filtered': 'Tickets gefiltert: {filter}',
+        'tickets.status': '{status, select, open {offen} in_progress {in Bearbeitung} pending {wartend} resolved {gelöst} other {{status}}}',
+        'tickets.affected': '{count, plural, one {# Benutzer betroffen} other {# Benutzer betroffen}}',
+        'tickets.progress': '{progress} % erledigt',
+        'tickets.start': 'Starten',
+        'tickets.startLabel': 'Mit der Arbeit an {id} beginnen',
+        'tickets.resolve': 'Lösen',
+        'tickets.resolveLabel': '{id} als gelöst markieren',
+        'tickets.startAction': 'Ticket {id} starten',
+        'tickets.resolveAction': 'Ticket {id} lösen',
+        'tickets.started': 'Arbeit an Ticket {id} begonnen',
+        'tickets.resolved': 'Ticket {id} gelöst',
+        'tickets.closeDetails': 'Ticketdetails schließen'
+    }
+};
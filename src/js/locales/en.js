@@ -0,0 +1,258 @@
+/**
+ * English - The reference locale pack and the fallback for missing messages
+ */
+
+export default {
+    locale: 'en',
+    name: 'English',
+    intl: 'en-US',
+    dir: 'ltr',
+    messages: {
+        // Page
+        'app.title': 'Smart Day-Starter Dashboard',
+        'app.description': 'Smart Day-Starter Dashboard - Professional intranet homepage for streamlined daily workflows',
+        'app.skipToContent': 'Skip to main content',
+        'app.navigation': 'Main navigation',
+        'app.loading': 'Loading dashboard...',
+        'app.loaded': 'Dashboard loaded successfully',
+        'app.footer': '© 2025 Smart Day-Starter Dashboard. Built for the DEV.to Holistic Webdev Challenge.',
+        'app.error.title': 'Dashboard Loading Error',
+        'app.error.message': 'Sorry, there was a problem loading the dashboard. Please refresh the page to try again.',
+        'app.error.refresh': 'Refresh Page',
+        'app.error.announcement': 'Dashboard failed to load. Please refresh the page.',
+        'network.offline': 'Connection lost - working offline',
+        'network.online': 'Connection restored',
+
+        // Header
+        'header.travel': 'Demo time · Back to now',
+        'header.travelTitle': 'Showing the dashboard at another time. Real time: {realTime}',
+        'header.about': 'About',
+        'header.aboutLabel': 'About this dashboard',
+        'outbox.saving': '{count, plural, one {Saving # change…} other {Saving # changes…}}',
+        'outbox.pending': '{count, plural, one {# change pending} other {# changes pending}}',
+        'outbox.waiting': 'Waiting to be saved:\n{labels}',
+        'outbox.failed': 'Could not {label}. The change was undone.',
+
+        // About dialog
+        'about.title': 'About Smart Day-Starter Dashboard',
+        'about.close': 'Close about dialog',
+        'about.version': 'Version {version}',
+        'about.description': 'A professional, feature-rich intranet homepage that streamlines daily workflows for employees by surfacing critical information and tools in one cohesive dashboard.',
+        'about.features': 'Key Features:',
+        'about.feature.announcements': 'Real-time announcements and alerts',
+        'about.feature.quickLaunch': 'Customizable quick launch shortcuts',
+        'about.feature.tasks': 'Task and approval management',
+        'about.feature.calendar': 'Integrated team calendar',
+        'about.feature.tickets': 'Support ticket tracking',
+        'about.feature.customization': 'Full customization options',
+        'about.feature.accessibility': 'WCAG 2.1 AA accessibility compliance',
+        'about.feature.responsive': 'Responsive design for all devices',
+        'about.builtWith': 'Built With:',
+        'about.footer': 'Built with ❤️ for better workplace productivity',
+
+        // Loading, undo and theme
+        'loading.default': 'Loading...',
+        'loading.complete': 'Loading complete',
+        'commands.lastAction': 'Last action',
+        'commands.recorded': '{label}. Press Control+Z to undo.',
+        'commands.undo': 'Undo',
+        'commands.redo': 'Redo',
+        'commands.dismiss': 'Dismiss',
+        'commands.nothingToUndo': 'Nothing to undo',
+        'commands.nothingToRedo': 'Nothing to redo',
+        'commands.undone': 'Undone: {label}',
+        'commands.redone': 'Redone: {label}',
+        'commands.failed': '{direction, select, undo {Could not undo: {label}} other {Could not redo: {label}}}',
+        'commands.undoAction': 'undo {label}',
+        'theme.switched': 'Theme switched to {theme, select, dark {dark} other {light}} mode',
+        'theme.switchTo': 'Switch to {theme, select, dark {dark} other {light}} mode',
+
+        // Settings panel
+        'settings.title': 'Dashboard Settings',
+        'settings.close': 'Close settings',
+        'settings.language': 'Language',
+        'settings.theme': 'Theme',
+        'settings.theme.light': 'Light',
+        'settings.theme.dark': 'Dark',
+        'settings.theme.auto': 'Auto',
+        'settings.fontSize': 'Font Size',
+        'settings.fontSize.small': 'Small',
+        'settings.fontSize.medium': 'Medium',
+        'settings.fontSize.large': 'Large',
+        'settings.compactMode': 'Compact Mode',
+        'settings.highContrast': 'High Contrast',
+        'settings.animations': 'Enable Animations',
+        'settings.autoRefresh': 'Auto Refresh',
+        'settings.visibleWidgets': 'Visible Widgets',
+        'settings.clock': 'Dashboard Date & Time',
+        'settings.clockHint': 'Show the dashboard as it looks at another moment, e.g. for a demo. Leave empty for the real time.',
+        'settings.clockReset': 'Use Real Time',
+        'settings.reset': 'Reset to Defaults',
+        'settings.resetDone': 'Settings reset to defaults',
+        'settings.export': 'Export Settings',
+        'settings.import': 'Import Settings',
+        'settings.imported': 'Settings imported successfully!',
+        'settings.importFailed': 'Failed to import settings. Please check the file format.',
+
+        // Shared by the widgets
+        'widget.announcements.title': 'Announcements',
+        'widget.quickLaunch.title': 'Quick Launch',
+        'widget.tasks.title': 'Tasks & Approvals',
+        'widget.calendar.title': 'Team Calendar',
+        'widget.tickets.title': 'Support Tickets',
+        'widget.error': 'An error occurred while loading data',
+        'widget.retry': 'Retry',
+        'widget.empty': 'No data available',
+        'widget.refresh': 'Refresh',
+        'widget.queuedChange': '{message} - will sync when back online',
+        'widget.offline': 'Offline, last updated {time}',
+        'widget.offline.justNow': 'just now',
+        'widget.offline.unknownTime': 'at an unknown time',
+        'time.justNow': 'Just now',
+        'time.minutesAgo': '{count, plural, one {# minute ago} other {# minutes ago}}',
+        'time.hoursAgo': '{count, plural, one {# hour ago} other {# hours ago}}',
+        'time.daysAgo': '{count, plural, one {# day ago} other {# days ago}}',
+        'common.filter': '{label} ({count})',
+        'common.view': 'View',
+        'common.viewDetails': 'View details for {name}',
+        'common.overdue': '(Overdue)',
+        'common.highPriority': 'High priority',
+        'common.statusLabel': 'Status: {status}',
+        'common.priorityLabel': 'Priority: {priority}',
+        'priority': '{priority, select, high {high} medium {medium} low {low} other {{priority}}}',
+        'field.description': 'Description:',
+        'field.type': 'Type:',
+        'field.status': 'Status:',
+        'field.priority': 'Priority:',
+        'field.category': 'Category:',
+        'field.assignee': 'Assignee:',
+        'field.assigned': 'Assigned:',
+        'field.requester': 'Requester:',
+        'field.from': 'From:',
+        'field.reporter': 'Reporter:',
+        'field.due': 'Due:',
+        'field.dueDate': 'Due Date:',
+        'field.created': 'Created:',
+        'field.lastUpdated': 'Last Updated:',
+        'field.amount': 'Amount:',
+        'field.impact': 'Impact:',
+        'field.affectedUsers': 'Affected Users:',
+        'field.tags': 'Tags:',
+        'field.resolution': 'Resolution:',
+        'field.time': 'Time:',
+        'field.location': 'Location:',
+        'field.attendees': 'Attendees:',
+        'field.organizer': 'Organizer:',
+        'field.meetingLink': 'Meeting Link:',
+
+        // Announcements
+        'announcements.toggle': 'Toggle announcements visibility',
+        'announcements.toggleCount': '{expanded, select, true {Collapse} other {Expand}} {count, plural, one {# announcement} other {# announcements}}',
+        'announcements.collapse': 'Collapse announcements',
+        'announcements.expand': 'Expand announcements',
+        'announcements.collapsed': 'Announcements collapsed',
+        'announcements.expanded': 'Announcements expanded',
+        'announcements.empty': 'No announcements at this time',
+        'announcements.new': 'New announcement: {title}',
+        'announcements.highPriorityCount': '{count, plural, one {# high priority announcement available} other {# high priority announcements available}}',
+        'announcements.dismissLabel': 'Dismiss announcement: {title}',
+        'announcements.expires': 'Expires {date}',
+        'announcements.dismissed': 'Announcement "{title}" dismissed',
+        'announcements.dismissAction': 'dismiss announcement "{title}"',
+        'announcements.restoreAction': 'restore announcement "{title}"',
+        'announcements.cleared': 'All dismissed announcements cleared',
+
+        // Quick launch
+        'quickLaunch.empty': 'No shortcuts available',
+        'quickLaunch.grid': 'Quick launch shortcuts',
+        'quickLaunch.addNew': 'Add new shortcut',
+        'quickLaunch.addMore': 'Add More',
+        'quickLaunch.edit': 'Edit shortcut',
+        'quickLaunch.editLabel': 'Edit {title} shortcut',
+        'quickLaunch.delete': 'Delete shortcut',
+        'quickLaunch.deleteLabel': 'Delete {title} shortcut',
+        'quickLaunch.dragStarted': 'Started dragging shortcut. Use arrow keys to reorder.',
+        'quickLaunch.reordered': 'Shortcut reordered',
+        'quickLaunch.added': 'Shortcut "{title}" added',
+        'quickLaunch.deleted': 'Shortcut "{title}" deleted',
+        'quickLaunch.dialog.addTitle': 'Add New Shortcut',
+        'quickLaunch.dialog.editTitle': 'Edit Shortcut',
+        'quickLaunch.dialog.title': 'Title',
+        'quickLaunch.dialog.url': 'URL',
+        'quickLaunch.dialog.description': 'Description',
+        'quickLaunch.dialog.icon': 'Icon (emoji)',
+        'quickLaunch.dialog.color': 'Color',
+        'quickLaunch.dialog.cancel': 'Cancel',
+        'quickLaunch.dialog.add': 'Add Shortcut',
+        'quickLaunch.dialog.update': 'Update Shortcut',
+
+        // Tasks
+        'tasks.empty': 'No tasks available',
+        'tasks.filters': 'Task filters',
+        'tasks.filter.all': 'All',
+        'tasks.filter.pending': 'Pending',
+        'tasks.filter.approvals': 'Approvals',
+        'tasks.filter.high': 'High Priority',
+        'tasks.filtered': 'Filtered tasks: {filter}',
+        'tasks.overdueCount': '{count} overdue',
+        'tasks.dueTodayCount': '{count} due today',
+        'tasks.today': '(Today)',
+        'tasks.completedAgo': 'Completed {time}',
+        'tasks.status': '{status, select, pending {pending} in_progress {in progress} completed {completed} rejected {rejected} other {{status}}}',
+        'tasks.type': '{type, select, approval {approval} task {task} other {{type}}}',
+        'tasks.approve': 'Approve',
+        'tasks.approveLabel': 'Approve {title}',
+        'tasks.reject': 'Reject',
+        'tasks.rejectLabel': 'Reject {title}',
+        'tasks.complete': 'Complete',
+        'tasks.completeLabel': 'Mark {title} as complete',
+        'tasks.approveAction': 'approve task "{title}"',
+        'tasks.rejectAction': 'reject task "{title}"',
+        'tasks.completeAction': 'complete task "{title}"',
+        'tasks.approved': 'Task "{title}" approved',
+        'tasks.rejected': 'Task "{title}" rejected',
+        'tasks.completed': 'Task "{title}" completed',
+        'tasks.closeDetails': 'Close task details',
+
+        // Calendar
+        'calendar.todayTitle': "Today's Schedule",
+        'calendar.eventCount': '{count, plural, one {# event} other {# events}}',
+        'calendar.noEventsToday': 'No events scheduled for today',
+        'calendar.upcoming': 'Upcoming Events',
+        'calendar.eventLabel': 'Event: {title} at {time}',
+        'calendar.live': 'LIVE',
+        'calendar.attendees': '{count, plural, one {# attendee} other {# attendees}}',
+        'calendar.join': 'Join Meeting',
+        'calendar.grid': 'Calendar',
+        'calendar.previousMonth': 'Previous month',
+        'calendar.nextMonth': 'Next month',
+        'calendar.dayLabel': '{hasEvents, select, true {{date} has events} other {{date}}}',
+        'calendar.dayEvents': '{count, plural, =0 {No events} one {# event} other {# events}} on {date}',
+        'calendar.closeDetails': 'Close event details',
+
+        // Support tickets
+        'tickets.empty': 'No support tickets found',
+        'tickets.stat.high': 'High Priority',
+        'tickets.stat.medium': 'Medium',
+        'tickets.stat.low': 'Low',
+        'tickets.stat.overdue': 'Overdue',
+        'tickets.filters': 'Ticket filters',
+        'tickets.filter.open': 'Open',
+        'tickets.filter.high': 'High Priority',
+        'tickets.filter.assigned': 'Assigned to Me',
+        'tickets.filter.all': 'All',
+        'tickets.filtered': 'Filtered tickets: {filter}',
+        'tickets.status': '{status, select, open {open} in_progress {in progress} pending {pending} resolved {resolved} other {{status}}}',
+        'tickets.affected': '{count, plural, one {# user affected} other {# users affected}}',
+        'tickets.progress': '{progress}% complete',
+        'tickets.start': 'Start',
+        'tickets.startLabel': 'Start working on {id}',
+        'tickets.resolve': 'Resolve',
+        'tickets.resolveLabel': 'Resolve {id}',
+        'tickets.startAction': 'start ticket {id}',
+        'tickets.resolveAction': 'resolve ticket {id}',
+        'tickets.started': 'Started working on ticket {id}',
+        'tickets.resolved': 'Ticket {id} resolved',
+        'tickets.closeDetails': 'Close ticket details'
+    }
+};
@@ -0,0 +1,258 @@
+/**
+ * עברית - Hebrew locale pack (right-to-left)
+ */
+
+export default {
+    locale: 'he',
+    name: 'עברית',
+    intl: 'he-IL',
+    dir: 'rtl',
+    messages: {
+        // Page
+        'app.title': 'לוח הפתיחה החכם',
+        'app.description': 'לוח הפתיחה החכם - דף הבית של האינטרנט הארגוני לייעול העבודה היומיומית',
+        'app.skipToContent': 'דילוג לתוכן הראשי',
+        'app.navigation': 'ניווט ראשי',
+        'app.loading': 'טוען את הלוח...',
+        'app.loaded': 'הלוח נטען בהצלחה',
+        'app.footer': '© 2025 לוח הפתיחה החכם. נבנה עבור אתגר DEV.to Holistic Webdev.',
+        'app.error.title': 'שגיאה בטעינת הלוח',
+        'app.error.message': 'מצטערים, אירעה בעיה בטעינת הלוח. נא לרענן את הדף ולנסות שוב.',
+        'app.error.refresh': 'רענון הדף',
+        'app.error.announcement': 'טעינת הלוח נכשלה. נא לרענן את הדף.',
+        'network.offline': 'החיבור נותק - עבודה במצב לא מקוון',
+        'network.online': 'החיבור חזר',
+
+        // Header
+        'header.travel': 'זמן תצוגה · חזרה לעכשיו',
+        'header.travelTitle': 'הלוח מוצג בזמן אחר. הזמן האמיתי: {realTime}',
+        'header.about': 'אודות',
+        'header.aboutLabel': 'אודות הלוח',
+        'outbox.saving': '{count, plural, one {שומר שינוי אחד…} two {שומר שני שינויים…} other {שומר # שינויים…}}',
+        'outbox.pending': '{count, plural, one {שינוי אחד ממתין} two {שני שינויים ממתינים} other {# שינויים ממתינים}}',
+        'outbox.waiting': 'ממתינים לשמירה:\n{labels}',
+        'outbox.failed': 'הפעולה נכשלה: {label}. השינוי בוטל.',
+
+        // About dialog
+        'about.title': 'אודות לוח הפתיחה החכם',
+        'about.close': 'סגירת חלון האודות',
+        'about.version': 'גרסה {version}',
+        'about.description': 'דף בית מקצועי ועשיר ביכולות לאינטרנט הארגוני, שמייעל את העבודה היומיומית של העובדים ומרכז את המידע והכלים החשובים בלוח אחד.',
+        'about.features': 'יכולות עיקריות:',
+        'about.feature.announcements': 'הודעות והתראות בזמן אמת',
+        'about.feature.quickLaunch': 'קיצורי הפעלה מהירה הניתנים להתאמה',
+        'about.feature.tasks': 'ניהול משימות ואישורים',
+        'about.feature.calendar': 'לוח שנה צוותי משולב',
+        'about.feature.tickets': 'מעקב אחר קריאות תמיכה',
+        'about.feature.customization': 'אפשרויות התאמה אישית מלאות',
+        'about.feature.accessibility': 'נגישות לפי WCAG 2.1 AA',
+        'about.feature.responsive': 'עיצוב רספונסיבי לכל המכשירים',
+        'about.builtWith': 'נבנה באמצעות:',
+        'about.footer': 'נוצר ב-❤️ למען פרודוקטיביות טובה יותר בעבודה',
+
+        // Loading, undo and theme
+        'loading.default': 'טוען...',
+        'loading.complete': 'הטעינה הושלמה',
+        'commands.lastAction': 'הפעולה האחרונה',
+        'commands.recorded': '{label}. יש ללחוץ Control+Z לביטול.',
+        'commands.undo': 'ביטול',
+        'commands.redo': 'ביצוע מחדש',
+        'commands.dismiss': 'סגירה',
+        'commands.nothingToUndo': 'אין מה לבטל',
+        'commands.nothingToRedo': 'אין מה לבצע מחדש',
+        'commands.undone': 'בוטל: {label}',
+        'commands.redone': 'בוצע מחדש: {label}',
+        'commands.failed': '{direction, select, undo {לא ניתן היה לבטל: {label}} other {לא ניתן היה לבצע מחדש: {label}}}',
+        'commands.undoAction': 'ביטול: {label}',
+        'theme.switched': 'עברת למצב {theme, select, dark {כהה} other {בהיר}}',
+        'theme.switchTo': 'מעבר למצב {theme, select, dark {כהה} other {בהיר}}',
+
+        // Settings panel
+        'settings.title': 'הגדרות הלוח',
+        'settings.close': 'סגירת ההגדרות',
+        'settings.language': 'שפה',
+        'settings.theme': 'ערכת נושא',
+        'settings.theme.light': 'בהירה',
+        'settings.theme.dark': 'כהה',
+        'settings.theme.auto': 'אוטומטית',
+        'settings.fontSize': 'גודל גופן',
+        'settings.fontSize.small': 'קטן',
+        'settings.fontSize.medium': 'בינוני',
+        'settings.fontSize.large': 'גדול',
+        'settings.compactMode': 'מצב דחוס',
+        'settings.highContrast': 'ניגודיות גבוהה',
+        'settings.animations': 'הפעלת אנימציות',
+        'settings.autoRefresh': 'רענון אוטומטי',
+        'settings.visibleWidgets': 'רכיבים מוצגים',
+        'settings.clock': 'תאריך ושעה של הלוח',
+        'settings.clockHint': 'הצגת הלוח כפי שהוא נראה ברגע אחר, למשל להדגמה. יש להשאיר ריק כדי להשתמש בזמן האמיתי.',
+        'settings.clockReset': 'שימוש בזמן האמיתי',
+        'settings.reset': 'איפוס לברירת המחדל',
+        'settings.resetDone': 'ההגדרות אופסו לברירת המחדל',
+        'settings.export': 'ייצוא הגדרות',
+        'settings.import': 'ייבוא הגדרות',
+        'settings.imported': 'ההגדרות יובאו בהצלחה!',
+        'settings.importFailed': 'ייבוא ההגדרות נכשל. נא לבדוק את תבנית הקובץ.',
+
+        // Shared by the widgets
+        'widget.announcements.title': 'הודעות',
+        'widget.quickLaunch.title': 'הפעלה מהירה',
+        'widget.tasks.title': 'משימות ואישורים',
+        'widget.calendar.title': 'לוח שנה צוותי',
+        'widget.tickets.title': 'קריאות תמיכה',
+        'widget.error': 'אירעה שגיאה בטעינת הנתונים',
+        'widget.retry': 'ניסיון חוזר',
+        'widget.empty': 'אין נתונים זמינים',
+        'widget.refresh': 'רענון',
+        'widget.queuedChange': '{message} - יסונכרן כשהחיבור יחזור',
+        'widget.offline': 'לא מקוון, עודכן לאחרונה {time}',
+        'widget.offline.justNow': 'זה עתה',
+        'widget.offline.unknownTime': 'בזמן לא ידוע',
+        'time.justNow': 'זה עתה',
+        'time.minutesAgo': '{count, plural, one {לפני דקה} two {לפני שתי דקות} other {לפני # דקות}}',
+        'time.hoursAgo': '{count, plural, one {לפני שעה} two {לפני שעתיים} other {לפני # שעות}}',
+        'time.daysAgo': '{count, plural, one {לפני יום} two {לפני יומיים} other {לפני # ימים}}',
+        'common.filter': '{label} ({count})',
+        'common.view': 'הצגה',
+        'common.viewDetails': 'הצגת הפרטים של {name}',
+        'common.overdue': '(באיחור)',
+        'common.highPriority': 'עדיפות גבוהה',
+        'common.statusLabel': 'סטטוס: {status}',
+        'common.priorityLabel': 'עדיפות: {priority}',
+        'priority': '{priority, select, high {גבוהה} medium {בינונית} low {נמוכה} other {{priority}}}',
+        'field.description': 'תיאור:',
+        'field.type': 'סוג:',
+        'field.status': 'סטטוס:',
+        'field.priority': 'עדיפות:',
+        'field.category': 'קטגוריה:',
+        'field.assignee': 'אחראי:',
+        'field.assigned': 'הוקצה ל:',
+        'field.requester': 'מבקש:',
+        'field.from': 'מאת:',
+        'field.reporter': 'מדווח:',
+        'field.due': 'יעד:',
+        'field.dueDate': 'תאריך יעד:',
+        'field.created': 'נוצר:',
+        'field.lastUpdated': 'עודכן לאחרונה:',
+        'field.amount': 'סכום:',
+        'field.impact': 'השפעה:',
+        'field.affectedUsers': 'משתמשים מושפעים:',
+        'field.tags': 'תגיות:',
+        'field.resolution': 'פתרון:',
+        'field.time': 'שעה:',
+        'field.location': 'מיקום:',
+        'field.attendees': 'משתתפים:',
+        'field.organizer': 'מארגן:',
+        'field.meetingLink': 'קישור לפגישה:',
+
+        // Announcements
+        'announcements.toggle': 'הצגה או הסתרה של ההודעות',
+        'announcements.toggleCount': '{expanded, select, true {כיווץ} other {הרחבה של}} {count, plural, one {הודעה אחת} two {שתי הודעות} other {# הודעות}}',
+        'announcements.collapse': 'כיווץ ההודעות',
+        'announcements.expand': 'הרחבת ההודעות',
+        'announcements.collapsed': 'ההודעות כווצו',
+        'announcements.expanded': 'ההודעות הורחבו',
+        'announcements.empty': 'אין הודעות כרגע',
+        'announcements.new': 'הודעה חדשה: {title}',
+        'announcements.highPriorityCount': '{count, plural, one {יש הודעה אחת בעדיפות גבוהה} two {יש שתי הודעות בעדיפות גבוהה} other {יש # הודעות בעדיפות גבוהה}}',
+        'announcements.dismissLabel': 'סגירת ההודעה: {title}',
+        'announcements.expires': 'בתוקף עד {date}',
+        'announcements.dismissed': 'ההודעה "{title}" נסגרה',
+        'announcements.dismissAction': 'סגירת ההודעה "{title}"',
+        'announcements.restoreAction': 'שחזור ההודעה "{title}"',
+        'announcements.cleared': 'כל ההודעות שנסגרו שוחזרו',
+
+        // Quick launch
+        'quickLaunch.empty': 'אין קיצורים זמינים',
+        'quickLaunch.grid': 'קיצורי הפעלה מהירה',
+        'quickLaunch.addNew': 'הוספת קיצור חדש',
+        'quickLaunch.addMore': 'הוספה',
+        'quickLaunch.edit': 'עריכת קיצור',
+        'quickLaunch.editLabel': 'עריכת הקיצור {title}',
+        'quickLaunch.delete': 'מחיקת קיצור',
+        'quickLaunch.deleteLabel': 'מחיקת הקיצור {title}',
+        'quickLaunch.dragStarted': 'התחלת גרירה של הקיצור. יש להשתמש במקשי החצים כדי לשנות את הסדר.',
+        'quickLaunch.reordered': 'סדר הקיצורים שונה',
+        'quickLaunch.added': 'הקיצור "{title}" נוסף',
+        'quickLaunch.deleted': 'הקיצור "{title}" נמחק',
+        'quickLaunch.dialog.addTitle': 'הוספת קיצור חדש',
+        'quickLaunch.dialog.editTitle': 'עריכת קיצור',
+        'quickLaunch.dialog.title': 'כותרת',
+        'quickLaunch.dialog.url': 'כתובת URL',
+        'quickLaunch.dialog.description': 'תיאור',
+        'quickLaunch.dialog.icon': 'סמל (אמוג׳י)',
+        'quickLaunch.dialog.color': 'צבע',
+        'quickLaunch.dialog.cancel': 'ביטול',
+        'quickLaunch.dialog.add': 'הוספת קיצור',
+        'quickLaunch.dialog.update': 'עדכון קיצור',
+
+        // Tasks
+        'tasks.empty': 'אין משימות זמינות',
+        'tasks.filters': 'מסנני משימות',
+        'tasks.filter.all': 'הכול',
+        'tasks.filter.pending': 'ממתינות',
+        'tasks.filter.approvals': 'אישורים',
+        'tasks.filter.high': 'עדיפות גבוהה',
+        'tasks.filtered': 'המשימות סוננו: {filter}',
+        'tasks.overdueCount': '{count} באיחור',
+        'tasks.dueTodayCount': '{count} להיום',
+        'tasks.today': '(היום)',
+        'tasks.completedAgo': 'הושלמה {time}',
+        'tasks.status': '{status, select, pending {ממתינה} in_progress {בטיפול} completed {הושלמה} rejected {נדחתה} other {{status}}}',
+        'tasks.type': '{type, select, approval {אישור} task {משימה} other {{type}}}',
+        'tasks.approve': 'אישור',
+        'tasks.approveLabel': 'אישור {title}',
+        'tasks.reject': 'דחייה',
+        'tasks.rejectLabel': 'דחיית {title}',
+        'tasks.complete': 'השלמה',
+        'tasks.completeLabel': 'סימון {title} כהושלמה',
+        'tasks.approveAction': 'אישור המשימה "{title}"',
+        'tasks.rejectAction': 'דחיית המשימה "{title}"',
+        'tasks.completeAction': 'השלמת המשימה "{title}"',
+        'tasks.approved': 'המשימה "{title}" אושרה',
+        'tasks.rejected': 'המשימה "{title}" נדחתה',
+        'tasks.completed': 'המשימה "{title}" הושלמה',
+        'tasks.closeDetails': 'סגירת פרטי המשימה',
+
+        // Calendar
+        'calendar.todayTitle': 'הלו"ז של היום',
+        'calendar.eventCount': '{count, plural, =0 {אין אירועים} one {אירוע אחד} two {שני אירועים} other {# אירועים}}',
+        'calendar.noEventsToday': 'אין אירועים מתוכננים להיום',
+        'calendar.upcoming': 'אירועים קרובים',
+        'calendar.eventLabel': 'אירוע: {title} בשעה {time}',
+        'calendar.live': 'משודר',
+        'calendar.attendees': '{count, plural, one {משתתף אחד} two {שני משתתפים} other {# משתתפים}}',
+        'calendar.join': 'הצטרפות לפגישה',
+        'calendar.grid': 'לוח שנה',
+        'calendar.previousMonth': 'החודש הקודם',
+        'calendar.nextMonth': 'החודש הבא',
+        'calendar.dayLabel': '{hasEvents, select, true {{date} יש אירועים} other {{date}}}',
+        'calendar.dayEvents': '{count, plural, =0 {אין אירועים} one {אירוע אחד} two {שני אירועים} other {# אירועים}} ב-{date}',
+        'calendar.closeDetails': 'סגירת פרטי האירוע',
+
+        // Support tickets
+        'tickets.empty': 'לא נמצאו קריאות תמיכה',
+        'tickets.stat.high': 'עדיפות גבוהה',
+        'tickets.stat.medium': 'בינונית',
+        'tickets.stat.low': 'נמוכה',
+        'tickets.stat.overdue': 'באיחור',
+        'tickets.filters': 'מסנני קריאות',
+        'tickets.filter.open': 'פתוחות',
+        'tickets.filter.high': 'עדיפות גבוהה',
+        'tickets.filter.assigned': 'הוקצו אליי',
+        'tickets.filter.all': 'הכול',
+        'tickets.filtered': 'הקריאות סוננו: {filter}',
+        'tickets.status': '{status, select, open {פתוחה} in_progress {בטיפול} pending {ממתינה} resolved {נפתרה} other {{status}}}',
+        'tickets.affected': '{count, plural, one {משתמש אחד מושפע} two {שני משתמשים מושפעים} other {# משתמשים מושפעים}}',
+        'tickets.progress': '{progress}% הושלמו',
+        'tickets.start': 'התחלה',
+        'tickets.startLabel': 'התחלת טיפול ב-{id}',
+        'tickets.resolve': 'פתרון',
+        'tickets.resolveLabel': 'פתרון {id}',
+        'tickets.startAction': 'התחלת הטיפול בקריאה {id}',
+        'tickets.resolveAction': 'פתרון הקריאה {id}',
+        'tickets.started': 'הטיפול בקריאה {id} התחיל',
+        'tickets.resolved': 'הקריאה {id} נפתרה',
+        'tickets.closeDetails': 'סגירת פרטי הקריאה'
+    }
+};
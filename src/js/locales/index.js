@@ -0,0 +1,17 @@
+/**
+ * Locale Packs - The languages the dashboard can be shown in
+ *
+ * Each pack is a module exporting { locale, name, intl, dir, messages },
+ * where `intl` is the tag used for dates and numbers, `dir` is the text
+ * direction ('ltr' or 'rtl') and `messages` maps keys to ICU messages (see
+ * services/i18n.js). English (en.js) is the reference: every other pack
+ * has the same keys. Packs load when first selected.
+ */
+
+export const localePacks = {
+    en: { name: 'English', dir: 'ltr', load: () => import('./en.js') },
+    de: { name: 'Deutsch', dir: 'ltr', load: () => import('./de.js') },
+    ka: { name: 'ქართული', dir: 'ltr', load: () => import('./ka.js') },
+    ar: { name: 'العربية', dir: 'rtl', load: () => import('./ar.js') },
+    he: { name: 'עברית', dir: 'rtl', load: () => import('./he.js') }
+};
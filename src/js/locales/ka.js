@@ -0,0 +1,258 @@
+/**
+ * ქართული - Georgian locale pack
+ */
+
+export default {
+    locale: 'ka',
+    name: 'ქართული',
+    intl: 'ka-GE',
+    dir: 'ltr',
+    messages: {
+        // Page
+        'app.title': 'Smart Day-Starter Dashboard',
+        'app.description': 'Smart Day-Starter Dashboard - ინტრანეტის საწყისი გვერდი ყოველდღიური სამუშაოს გასამარტივებლად',
+        'app.skipToContent': 'მთავარ შინაარსზე გადასვლა',
+        'app.navigation': 'მთავარი ნავიგაცია',
+        'app.loading': 'დაფა იტვირთება...',
+        'app.loaded': 'დაფა წარმატებით ჩაიტვირთა',
+        'app.footer': '© 2025 Smart Day-Starter Dashboard. შექმნილია DEV.to Holistic Webdev Challenge-ისთვის.',
+        'app.error.title': 'დაფის ჩატვირთვის შეცდომა',
+        'app.error.message': 'სამწუხაროდ, დაფის ჩატვირთვისას პრობლემა წარმოიშვა. სცადეთ გვერდის განახლება.',
+        'app.error.refresh': 'გვერდის განახლება',
+        'app.error.announcement': 'დაფა ვერ ჩაიტვირთა. გთხოვთ, განაახლოთ გვერდი.',
+        'network.offline': 'კავშირი დაიკარგა - მუშაობა ოფლაინ რეჟიმში',
+        'network.online': 'კავშირი აღდგა',
+
+        // Header
+        'header.travel': 'დემო დრო · ახლანდელ დროზე დაბრუნება',
+        'header.travelTitle': 'დაფა სხვა დროს აჩვენებს. რეალური დრო: {realTime}',
+        'header.about': 'შესახებ',
+        'header.aboutLabel': 'ამ დაფის შესახებ',
+        'outbox.saving': '{count, plural, one {ინახება # ცვლილება…} other {ინახება # ცვლილება…}}',
+        'outbox.pending': '{count, plural, one {# ცვლილება ელოდება შენახვას} other {# ცვლილება ელოდება შენახვას}}',
+        'outbox.waiting': 'შესანახად ელოდება:\n{labels}',
+        'outbox.failed': 'ვერ მოხერხდა: {label}. ცვლილება გაუქმდა.',
+
+        // About dialog
+        'about.title': 'Smart Day-Starter Dashboard-ის შესახებ',
+        'about.close': 'ინფორმაციის ფანჯრის დახურვა',
+        'about.version': 'ვერსია {version}',
+        'about.description': 'პროფესიონალური, ფუნქციებით მდიდარი ინტრანეტის საწყისი გვერდი, რომელიც თანამშრომლებს ყოველდღიურ მუშაობას უმარტივებს და მნიშვნელოვან ინფორმაციასა და ხელსაწყოებს ერთ დაფაზე აგროვებს.',
+        'about.features': 'ძირითადი შესაძლებლობები:',
+        'about.feature.announcements': 'განცხადებები და გაფრთხილებები რეალურ დროში',
+        'about.feature.quickLaunch': 'მორგებადი სწრაფი ბმულები',
+        'about.feature.tasks': 'დავალებებისა და დამტკიცებების მართვა',
+        'about.feature.calendar': 'გუნდის ჩაშენებული კალენდარი',
+        'about.feature.tickets': 'მხარდაჭერის მოთხოვნების თვალყურის დევნება',
+        'about.feature.customization': 'მორგების სრული შესაძლებლობები',
+        'about.feature.accessibility': 'WCAG 2.1 AA ხელმისაწვდომობის შესაბამისობა',
+        'about.feature.responsive': 'ადაპტური დიზაინი ყველა მოწყობილობისთვის',
+        'about.builtWith': 'გამოყენებული ტექნოლოგიები:',
+        'about.footer': 'შექმნილია ❤️-ით უფრო პროდუქტიული სამუშაოსთვის',
+
+        // Loading, undo and theme
+        'loading.default': 'იტვირთება...',
+        'loading.complete': 'ჩატვირთვა დასრულდა',
+        'commands.lastAction': 'ბოლო მოქმედება',
+        'commands.recorded': '{label}. გასაუქმებლად დააჭირეთ Control+Z-ს.',
+        'commands.undo': 'გაუქმება',
+        'commands.redo': 'გამეორება',
+        'commands.dismiss': 'დახურვა',
+        'commands.nothingToUndo': 'გასაუქმებელი არაფერია',
+        'commands.nothingToRedo': 'გასამეორებელი არაფერია',
+        'commands.undone': 'გაუქმდა: {label}',
+        'commands.redone': 'გამეორდა: {label}',
+        'commands.failed': '{direction, select, undo {ვერ გაუქმდა: {label}} other {ვერ გამეორდა: {label}}}',
+        'commands.undoAction': 'გაუქმება: {label}',
+        'theme.switched': 'ჩაირთო {theme, select, dark {მუქი} other {ღია}} თემა',
+        'theme.switchTo': '{theme, select, dark {მუქ} other {ღია}} თემაზე გადართვა',
+
+        // Settings panel
+        'settings.title': 'დაფის პარამეტრები',
+        'settings.close': 'პარამეტრების დახურვა',
+        'settings.language': 'ენა',
+        'settings.theme': 'თემა',
+        'settings.theme.light': 'ღია',
+        'settings.theme.dark': 'მუქი',
+        'settings.theme.auto': 'ავტომატური',
+        'settings.fontSize': 'შრიფტის ზომა',
+        'settings.fontSize.small': 'პატარა',
+        'settings.fontSize.medium': 'საშუალო',
+        'settings.fontSize.large': 'დიდი',
+        'settings.compactMode': 'კომპაქტური რეჟიმი',
+        'settings.highContrast': 'მაღალი კონტრასტი',
+        'settings.animations': 'ანიმაციების ჩართვა',
+        'settings.autoRefresh': 'ავტომატური განახლება',
+        'settings.visibleWidgets': 'ხილული ვიჯეტები',
+        'settings.clock': 'დაფის თარიღი და დრო',
+        'settings.clockHint': 'აჩვენებს დაფას ისე, როგორც ის სხვა დროს გამოიყურება, მაგალითად, დემონსტრაციისთვის. რეალური დროისთვის დატოვეთ ცარიელი.',
+        'settings.clockReset': 'რეალური დროის გამოყენება',
+        'settings.reset': 'ნაგულისხმევზე დაბრუნება',
+        'settings.resetDone': 'პარამეტრები დაბრუნდა ნაგულისხმევზე',
+        'settings.export': 'პარამეტრების ექსპორტი',
+        'settings.import': 'პარამეტრების იმპორტი',
+        'settings.imported': 'პარამეტრების იმპორტი წარმატებით დასრულდა!',
+        'settings.importFailed': 'პარამეტრების იმპორტი ვერ მოხერხდა. შეამოწმეთ ფაილის ფორმატი.',
+
+        // Shared by the widgets
+        'widget.announcements.title': 'განცხადებები',
+        'widget.quickLaunch.title': 'სწრაფი გაშვება',
+        'widget.tasks.title': 'დავალებები და დამტკიცებები',
+        'widget.calendar.title': 'გუნდის კალენდარი',
+        'widget.tickets.title': 'მხარდაჭერის მოთხოვნები',
+        'widget.error': 'მონაცემების ჩატვირთვისას შეცდომა მოხდა',
+        'widget.retry': 'ხელახლა ცდა',
+        'widget.empty': 'მონაცემები არ არის',
+        'widget.refresh': 'განახლება',
+        'widget.queuedChange': '{message} - სინქრონიზდება ქსელთან დაკავშირებისას',
+        'widget.offline': 'ოფლაინ, ბოლოს განახლდა {time}',
+        'widget.offline.justNow': 'ახლახან',
+        'widget.offline.unknownTime': 'უცნობ დროს',
+        'time.justNow': 'ახლახან',
+        'time.minutesAgo': '{count, plural, one {# წუთის წინ} other {# წუთის წინ}}',
+        'time.hoursAgo': '{count, plural, one {# საათის წინ} other {# საათის წინ}}',
+        'time.daysAgo': '{count, plural, one {# დღის წინ} other {# დღის წინ}}',
+        'common.filter': '{label} ({count})',
+        'common.view': 'ნახვა',
+        'common.viewDetails': 'დეტალების ნახვა: {name}',
+        'common.overdue': '(ვადაგადაცილებული)',
+        'common.highPriority': 'მაღალი პრიორიტეტი',
+        'common.statusLabel': 'სტატუსი: {status}',
+        'common.priorityLabel': 'პრიორიტეტი: {priority}',
+        'priority': '{priority, select, high {მაღალი} medium {საშუალო} low {დაბალი} other {{priority}}}',
+        'field.description': 'აღწერა:',
+        'field.type': 'ტიპი:',
+        'field.status': 'სტატუსი:',
+        'field.priority': 'პრიორიტეტი:',
+        'field.category': 'კატეგორია:',
+        'field.assignee': 'შემსრულებელი:',
+        'field.assigned': 'მინიჭებულია:',
+        'field.requester': 'მომთხოვნი:',
+        'field.from': 'ვისგან:',
+        'field.reporter': 'განმცხადებელი:',
+        'field.due': 'ვადა:',
+        'field.dueDate': 'ბოლო ვადა:',
+        'field.created': 'შექმნილია:',
+        'field.lastUpdated': 'ბოლოს განახლდა:',
+        'field.amount': 'თანხა:',
+        'field.impact': 'გავლენა:',
+        'field.affectedUsers': 'დაზარალებული მომხმარებლები:',
+        'field.tags': 'თეგები:',
+        'field.resolution': 'გადაწყვეტა:',
+        'field.time': 'დრო:',
+        'field.location': 'ადგილი:',
+        'field.attendees': 'მონაწილეები:',
+        'field.organizer': 'ორგანიზატორი:',
+        'field.meetingLink': 'შეხვედრის ბმული:',
+
+        // Announcements
+        'announcements.toggle': 'განცხადებების ჩვენება ან დამალვა',
+        'announcements.toggleCount': '{count, plural, one {# განცხადების} other {# განცხადების}} {expanded, select, true {ჩაკეცვა} other {გაშლა}}',
+        'announcements.collapse': 'განცხადებების ჩაკეცვა',
+        'announcements.expand': 'განცხადებების გაშლა',
+        'announcements.collapsed': 'განცხადებები ჩაიკეცა',
+        'announcements.expanded': 'განცხადებები გაიშალა',
+        'announcements.empty': 'ამჟამად განცხადებები არ არის',
+        'announcements.new': 'ახალი განცხადება: {title}',
+        'announcements.highPriorityCount': '{count, plural, one {ხელმისაწვდომია # მაღალი პრიორიტეტის განცხადება} other {ხელმისაწვდომია # მაღალი პრიორიტეტის განცხადება}}',
+        'announcements.dismissLabel': 'განცხადების დამალვა: {title}',
+        'announcements.expires': 'ვადა იწურება {date}',
+        'announcements.dismissed': 'განცხადება „{title}“ დაიმალა',
+        'announcements.dismissAction': 'განცხადების „{title}“ დამალვა',
+        'announcements.restoreAction': 'განცხადების „{title}“ აღდგენა',
+        'announcements.cleared': 'ყველა დამალული განცხადება კვლავ ჩანს',
+
+        // Quick launch
+        'quickLaunch.empty': 'სწრაფი ბმულები არ არის',
+        'quickLaunch.grid': 'სწრაფი ბმულები',
+        'quickLaunch.addNew': 'ახალი ბმულის დამატება',
+        'quickLaunch.addMore': 'დამატება',
+        'quickLaunch.edit': 'ბმულის რედაქტირება',
+        'quickLaunch.editLabel': 'ბმულის „{title}“ რედაქტირება',
+        'quickLaunch.delete': 'ბმულის წაშლა',
+        'quickLaunch.deleteLabel': 'ბმულის „{title}“ წაშლა',
+        'quickLaunch.dragStarted': 'ბმულის გადატანა დაიწყო. თანმიმდევრობის შესაცვლელად გამოიყენეთ ისრიანი ღილაკები.',
+        'quickLaunch.reordered': 'ბმული გადაადგილდა',
+        'quickLaunch.added': 'ბმული „{title}“ დაემატა',
+        'quickLaunch.deleted': 'ბმული „{title}“ წაიშალა',
+        'quickLaunch.dialog.addTitle': 'ახალი ბმულის დამატება',
+        'quickLaunch.dialog.editTitle': 'ბმულის რედაქტირება',
+        'quickLaunch.dialog.title': 'სათაური',
+        'quickLaunch.dialog.url': 'URL',
+        'quickLaunch.dialog.description': 'აღწერა',
+        'quickLaunch.dialog.icon': 'ხატულა (ემოჯი)',
+        'quickLaunch.dialog.color': 'ფერი',
+        'quickLaunch.dialog.cancel': 'გაუქმება',
+        'quickLaunch.dialog.add': 'ბმულის დამატება',
+        'quickLaunch.dialog.update': 'ბმულის განახლება',
+
+        // Tasks
+        'tasks.empty': 'დავალებები არ არის',
+        'tasks.filters': 'დავალებების ფილტრები',
+        'tasks.filter.all': 'ყველა',
+        'tasks.filter.pending': 'მოლოდინში',
+        'tasks.filter.approvals': 'დამტკიცებები',
+        'tasks.filter.high': 'მაღალი პრიორიტეტი',
+        'tasks.filtered': 'გაფილტრული დავალებები: {filter}',
+        'tasks.overdueCount': '{count} ვადაგადაცილებული',
+        'tasks.dueTodayCount': '{count} ვადა დღეს',
+        'tasks.today': '(დღეს)',
+        'tasks.completedAgo': 'დასრულდა {time}',
+        'tasks.status': '{status, select, pending {მოლოდინში} in_progress {მიმდინარე} completed {დასრულებული} rejected {უარყოფილი} other {{status}}}',
+        'tasks.type': '{type, select, approval {დამტკიცება} task {დავალება} other {{type}}}',
+        'tasks.approve': 'დამტკიცება',
+        'tasks.approveLabel': '„{title}“ დამტკიცება',
+        'tasks.reject': 'უარყოფა',
+        'tasks.rejectLabel': '„{title}“ უარყოფა',
+        'tasks.complete': 'დასრულება',
+        'tasks.completeLabel': '„{title}“ დასრულებულად მონიშვნა',
+        'tasks.approveAction': 'დავალების „{title}“ დამტკიცება',
+        'tasks.rejectAction': 'დავალების „{title}“ უარყოფა',
+        'tasks.completeAction': 'დავალების „{title}“ დასრულება',
+        'tasks.approved': 'დავალება „{title}“ დამტკიცდა',
+        'tasks.rejected': 'დავალება „{title}“ უარყოფილია',
+        'tasks.completed': 'დავალება „{title}“ დასრულდა',
+        'tasks.closeDetails': 'დავალების დეტალების დახურვა',
+
+        // Calendar
+        'calendar.todayTitle': 'დღევანდელი განრიგი',
+        'calendar.eventCount': '{count, plural, one {# ღონისძიება} other {# ღონისძიება}}',
+        'calendar.noEventsToday': 'დღეს ღონისძიებები არ არის დაგეგმილი',
+        'calendar.upcoming': 'მომავალი ღონისძიებები',
+        'calendar.eventLabel': 'ღონისძიება: {title}, {time}',
+        'calendar.live': 'ეთერში',
+        'calendar.attendees': '{count, plural, one {# მონაწილე} other {# მონაწილე}}',
+        'calendar.join': 'შეხვედრაზე შესვლა',
+        'calendar.grid': 'კალენდარი',
+        'calendar.previousMonth': 'წინა თვე',
+        'calendar.nextMonth': 'შემდეგი თვე',
+        'calendar.dayLabel': '{hasEvents, select, true {{date}, არის ღონისძიებები} other {{date}}}',
+        'calendar.dayEvents': '{date}: {count, plural, =0 {ღონისძიებები არ არის} one {# ღონისძიება} other {# ღონისძიება}}',
+        'calendar.closeDetails': 'ღონისძიების დეტალების დახურვა',
+
+        // Support tickets
+        'tickets.empty': 'მხარდაჭერის მოთხოვნები ვერ მოიძებნა',
+        'tickets.stat.high': 'მაღალი პრიორიტეტი',
+        'tickets.stat.medium': 'საშუალო',
+        'tickets.stat.low': 'დაბალი',
+        'tickets.stat.overdue': 'ვადაგადაცილებული',
+        'tickets.filters': 'მოთხოვნების ფილტრები',
+        'tickets.filter.open': 'ღია',
+        'tickets.filter.high': 'მაღალი პრიორიტეტი',
+        'tickets.filter.assigned': 'ჩემზე მინიჭებული',
+        'tickets.filter.all': 'ყველა',
+        'tickets.filtered': 'გაფილტრული მოთხოვნები: {filter}',
+        'tickets.status': '{status, select, open {ღია} in_progress {მიმდინარე} pending {მოლოდინში} resolved {გადაწყვეტილი} other {{status}}}',
+        'tickets.affected': '{count, plural, one {# მომხმარებელი დაზარალდა} other {# მომხმარებელი დაზარალდა}}',
+        'tickets.progress': '{progress}% დასრულებულია',
+        'tickets.start': 'დაწყება',
+        'tickets.startLabel': '{id}-ზე მუშაობის დაწყება',
+        'tickets.resolve': 'გადაწყვეტა',
+        'tickets.resolveLabel': '{id}-ის გადაწყვეტა',
+        'tickets.startAction': 'მოთხოვნის {id} დაწყება',
+        'tickets.resolveAction': 'მოთხოვნის {id} გადაწყვეტა',
+        'tickets.started': 'მოთხოვნაზე {id} მუშაობა დაიწყო',
+        'tickets.resolved': 'მოთხოვნა {id} გადაწყდა',
+        'tickets.closeDetails': 'მოთხოვნის დეტალების დახურვა'
+    }
+};
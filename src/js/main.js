@@ -5,21 +5,33 @@
 
 // Import core modules
 import { StorageService } from './services/storage.js';
+import { MigrationService } from './services/migrations.js';
 import { ThemeManager } from './services/theme.js';
 import { EventBus } from './services/eventBus.js';
+import { eventCatalogue } from './services/eventCatalogue.js';
 import { RealtimeService } from './services/realtime.js';
 import { CustomizationService } from './services/customization.js';
+import { DataSourceService } from './services/dataSource.js';
+import { RefreshScheduler } from './services/scheduler.js';
+import { OutboxService } from './services/outbox.js';
+import { CommandStack } from './services/commandStack.js';
+import { ClockService } from './services/clock.js';
+import { ErrorReporter } from './services/errorReporter.js';
+import { PerformanceMonitor } from './services/performanceMonitor.js';
+import { DataProcessor } from './services/dataProcessor.js';
+import { I18nService } from './services/i18n.js';
 
 // Import widget modules
-import { AnnouncementsWidget } from './widgets/announcements.js';
-import { TasksWidget } from './widgets/tasks.js';
-import { CalendarWidget } from './widgets/calendar.js';
-import { QuickLaunchWidget } from './widgets/quickLaunch.js';
-import { TicketsWidget } from './widgets/tickets.js';
+import { WidgetRegistry } from './widgets/registry.js';
+import { builtInWidgets } from './widgets/index.js';
 
 // Import utilities
+import { getConfig } from './config.js';
 import { LoadingManager } from './utils/loading.js';
 import { AccessibilityManager } from './utils/accessibility.js';
+import { AccessibilityAuditor } from './utils/a11yAudit.js';
+import { DevToolsPanel } from './utils/devtools.js';
+import { NavbarManager } from './navbar.js';
 
 /**
  * Main Dashboard Application Class
@@ -28,17 +40,45 @@ class DashboardApp {
     constructor() {
         this.isInitialized = false;
         this.widgets = new Map();
+        this.config = getConfig();
+        const eventBus = new EventBus({
+            ...this.config.events,
+            catalogue: eventCatalogue,
+            validate: this.config.events.validate ?? this.isDevelopment()
+        });
+        const storage = new StorageService(eventBus);
+        const a11yAudit = new AccessibilityAuditor(eventBus, this.config.accessibility);
+        const i18n = new I18nService(storage, eventBus, this.config.i18n);
         this.services = {
-            storage: new StorageService(),
-            theme: new ThemeManager(),
-            eventBus: new EventBus(),
-            loading: new LoadingManager(),
-            accessibility: new AccessibilityManager()
+            storage,
+            i18n,
+            theme: new ThemeManager(storage, eventBus, i18n),
+            eventBus,
+            clock: new ClockService(eventBus),
+            errors: new ErrorReporter(eventBus, this.config.errorReporting),
+            performance: new PerformanceMonitor(eventBus, storage, this.config.performance),
+            loading: new LoadingManager(i18n),
+            accessibility: new AccessibilityManager(a11yAudit),
+            a11yAudit
         };
         
         // Initialize advanced services after basic ones
-        this.services.realtime = new RealtimeService(this.services.eventBus, this.services.storage);
-        this.services.customization = new CustomizationService(this.services.storage, this.services.eventBus);
+        this.services.migrations = new MigrationService(this.services.storage);
+        this.services.scheduler = new RefreshScheduler(this.services.eventBus);
+        this.services.realtime = new RealtimeService(this.services.eventBus, this.services.storage, this.services.scheduler, this.config.realtime);
+        this.services.commands = new CommandStack(this.services.eventBus, this.services.accessibility, {}, this.services.i18n);
+        this.services.customization = new CustomizationService(this.services.storage, this.services.eventBus, this.services.commands, this.services.clock, this.services.i18n);
+        this.services.dataSource = new DataSourceService(this.config.dataSources, this.services.eventBus);
+        this.services.outbox = new OutboxService(this.services.dataSource, this.services.storage, this.services.eventBus, this.services.accessibility, this.config.outbox, this.services.i18n);
+        this.services.dataProcessor = new DataProcessor(this.config.dataProcessing);
+
+        this.navbar = new NavbarManager(this.services.clock, this.services.eventBus, this.services.i18n);
+        this.registry = new WidgetRegistry(this.services.eventBus);
+        this.devtools = new DevToolsPanel(this.services, {
+            ...this.config.devtools,
+            registry: this.registry,
+            getWidgets: () => this.widgets
+        });
     }
 
     /**
@@ -47,9 +87,22 @@ class DashboardApp {
     async init() {
         try {
             console.log('🚀 Initializing Smart Day-Starter Dashboard...');
+
+            // First, so errors during startup are reported too
+            this.services.errors.init();
+
+            // ?debug=1: capture events from the start and open the developer panel
+            const debugMode = this.isDebugRequested();
+            if (debugMode) {
+                this.devtools.start();
+            }
             
+            // ?now=: travel before anything reads the time
+            this.services.clock.init();
+            this.navbar.init();
+
             // Show loading indicator
-            this.services.loading.show('Loading dashboard...');
+            this.services.loading.show(this.services.i18n.t('app.loading'));
 
             // Initialize core services
             await this.initializeServices();
@@ -63,14 +116,21 @@ class DashboardApp {
             // Set up real-time handlers
             this.setupRealtimeHandlers();
 
+            // Cache the app shell and widget data for offline starts
+            this.registerServiceWorker();
+
             // Hide loading indicator
             this.services.loading.hide();
 
             this.isInitialized = true;
             console.log('✅ Dashboard initialized successfully');
 
+            if (debugMode) {
+                this.devtools.open();
+            }
+
             // Announce to screen readers
-            this.services.accessibility.announce('Dashboard loaded successfully');
+            this.services.accessibility.announce(this.services.i18n.t('app.loaded'));
 
         } catch (error) {
             console.error('❌ Failed to initialize dashboard:', error);
@@ -78,96 +138,180 @@ class DashboardApp {
         }
     }
 
+    /**
+     * ?debug=1 in the page URL
+     */
+    isDebugRequested() {
+        return new URLSearchParams(window.location.search).get('debug') === '1';
+    }
+
+    /**
+     * Local development server or ?debug=1
+     */
+    isDevelopment() {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname) || this.isDebugRequested();
+    }
+
     /**
      * Initialize core services
      */
     async initializeServices() {
         console.log('🔧 Initializing services...');
 
+        // Open persistent storage first - other services read preferences from it
+        await this.services.storage.init();
+
+        // Bring stored data up to the current schema
+        await this.services.migrations.run();
+
+        // Pick the language before anything renders text
+        await this.services.i18n.init();
+        this.services.loading.show(this.services.i18n.t('app.loading'));
+
+        // Before the widgets, so their init is timed; earlier web vitals are buffered
+        this.services.performance.init();
+
         // Initialize theme manager
         await this.services.theme.init();
 
         // Initialize accessibility manager
         this.services.accessibility.init();
 
+        // Audit each widget after it renders; development only unless configured
+        if (this.config.accessibility.auditWidgets ?? this.isDevelopment()) {
+            this.services.a11yAudit.watchWidgets();
+        }
+
         // Initialize customization service
         this.services.customization.init();
 
-        // Initialize real-time service
+        // Initialize refresh scheduler and real-time service
+        this.services.scheduler.init();
         this.services.realtime.init();
 
+        // Send changes queued while offline (possibly in an earlier session)
+        this.services.outbox.init();
+
         // Test storage availability
         if (!this.services.storage.isAvailable()) {
-            console.warn('⚠️ LocalStorage not available, using memory storage');
+            console.warn('⚠️ Persistent storage not available, using memory storage');
         }
 
         console.log('✅ Services initialized');
     }
 
+    /**
+     * Register the offline service worker (sw.js)
+     */
+    async registerServiceWorker() {
+        const serviceWorkerUrl = this.config.offline && this.config.offline.serviceWorkerUrl;
+        if (!serviceWorkerUrl || !('serviceWorker' in navigator)) {
+            return null;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.register(serviceWorkerUrl);
+            console.log('📦 Service worker registered for offline use');
+            return registration;
+        } catch (error) {
+            console.warn('⚠️ Service worker registration failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Register built-in widgets and any plugins listed in the manifest
+     */
+    async registerWidgets() {
+        builtInWidgets.forEach(definition => this.registry.register(definition));
+
+        const manifestUrl = this.config.widgets && this.config.widgets.manifestUrl;
+        if (manifestUrl) {
+            await this.registry.loadManifest(manifestUrl);
+        }
+    }
+
     /**
      * Initialize all dashboard widgets
      */
     async initializeWidgets() {
         console.log('🧩 Initializing widgets...');
 
-        const widgetConfigs = [
-            {
-                name: 'announcements',
-                class: AnnouncementsWidget,
-                container: '#announcements-container',
-                priority: 1
-            },
-            {
-                name: 'quickLaunch',
-                class: QuickLaunchWidget,
-                container: '#quick-launch-container',
-                priority: 2
-            },
-            {
-                name: 'tasks',
-                class: TasksWidget,
-                container: '#tasks-container',
-                priority: 3
-            },
-            {
-                name: 'calendar',
-                class: CalendarWidget,
-                container: '#calendar-container',
-                priority: 4
-            },
-            {
-                name: 'tickets',
-                class: TicketsWidget,
-                container: '#tickets-container',
-                priority: 5
-            }
-        ];
-
-        // Sort by priority and initialize widgets
-        widgetConfigs.sort((a, b) => a.priority - b.priority);
+        await this.registerWidgets();
 
-        for (const config of widgetConfigs) {
+        for (const definition of this.registry.getAll()) {
             try {
-                const container = document.querySelector(config.container);
+                const missingServices = this.registry.getMissingServices(definition.name, this.services);
+                if (missingServices.length > 0) {
+                    console.warn(`⚠️ Skipping ${definition.name}: missing services ${missingServices.join(', ')}`);
+                    continue;
+                }
+
+                const container = this.resolveWidgetContainer(definition);
                 if (!container) {
-                    console.warn(`⚠️ Container not found for ${config.name}: ${config.container}`);
+                    console.warn(`⚠️ Container not found for ${definition.name}: ${definition.container}`);
                     continue;
                 }
 
-                const widget = new config.class(container, this.services);
+                const widget = this.registry.create(definition.name, container, this.services);
                 await widget.init();
                 
-                this.widgets.set(config.name, widget);
-                console.log(`✅ ${config.name} widget initialized`);
+                this.widgets.set(definition.name, widget);
+                this.services.scheduler.register(definition.name, () => widget.refresh(), widget.getAutoRefreshInterval());
+                console.log(`✅ ${definition.name} widget initialized`);
 
             } catch (error) {
-                console.error(`❌ Failed to initialize ${config.name} widget:`, error);
+                console.error(`❌ Failed to initialize ${definition.name} widget:`, error);
             }
         }
 
+        // Plugin sections may have been added, so re-apply saved layout
+        this.services.customization.applyWidgetVisibility();
+        this.services.customization.applyWidgetOrder();
+
         console.log(`✅ ${this.widgets.size} widgets initialized`);
     }
 
+    /**
+     * Find a widget's container, creating a dashboard section for plugins
+     * whose container isn't part of index.html
+     */
+    resolveWidgetContainer(definition) {
+        let container = document.querySelector(definition.container);
+
+        if (!container && definition.container.startsWith('#')) {
+            const grid = document.querySelector('.dashboard__grid');
+            if (!grid) return null;
+
+            const headingId = `${definition.name}-heading`;
+            const section = document.createElement('section');
+            section.className = `widget widget--${definition.name}`;
+            section.setAttribute('aria-labelledby', headingId);
+            section.innerHTML = `
+                <h2 id="${headingId}" class="widget__title"></h2>
+                <div class="${definition.name}" id="${definition.container.slice(1)}"></div>
+            `;
+            const title = section.querySelector('.widget__title');
+            title.textContent = definition.title;
+            if (this.services.i18n.has(`widget.${definition.name}.title`)) {
+                title.setAttribute('data-i18n', `widget.${definition.name}.title`);
+                this.services.i18n.translatePage(section);
+            }
+            grid.appendChild(section);
+
+            container = section.querySelector(definition.container);
+        }
+
+        if (container) {
+            const section = container.closest('.widget, .dashboard__section');
+            if (section && !section.hasAttribute('data-widget')) {
+                section.setAttribute('data-widget', definition.name);
+            }
+        }
+
+        return container;
+    }
+
     /**
      * Set up global event listeners
      */
@@ -195,22 +339,7 @@ class DashboardApp {
             this.handleGlobalKeyboard(event);
         });
 
-        // Handle visibility change (for auto-refresh when tab becomes visible)
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && this.isInitialized) {
-                this.refreshWidgets();
-            }
-        });
-
-        // Handle online/offline status
-        window.addEventListener('online', () => {
-            this.services.accessibility.announce('Connection restored');
-            this.refreshWidgets();
-        });
-
-        window.addEventListener('offline', () => {
-            this.services.accessibility.announce('Connection lost - working offline');
-        });
+        // Visibility and online/offline refreshes are handled by the RefreshScheduler
 
         console.log('✅ Event listeners set up');
     }
@@ -231,28 +360,101 @@ class DashboardApp {
     }
 
     /**
-     * Handle widget refresh requests from real-time service
+     * Handle widget refresh requests, pushed data patches and network status announcements
      */
     setupRealtimeHandlers() {
         this.services.eventBus.on('widget:refresh-requested', (widgetName) => {
-            const widget = this.widgets.get(widgetName);
-            if (widget && typeof widget.refresh === 'function') {
-                widget.refresh().catch(error => {
-                    console.error(`Failed to refresh ${widgetName}:`, error);
-                });
-            }
+            this.services.scheduler.trigger(widgetName, 'requested');
+        });
+
+        this.services.eventBus.on('data:patch', (resource, patch) => {
+            this.applyDataPatch(resource, patch);
         });
 
         this.services.eventBus.on('network:offline', () => {
-            this.services.accessibility.announce('Connection lost - working offline');
+            this.services.accessibility.announce(this.services.i18n.t('network.offline'));
         });
 
         this.services.eventBus.on('network:online', () => {
-            this.services.accessibility.announce('Connection restored');
-            this.refreshWidgets();
+            this.services.accessibility.announce(this.services.i18n.t('network.online'));
+        });
+
+        // Queued changes: header indicator, and reload widgets whose change was refused
+        this.services.eventBus.on('outbox:changed', (status) => {
+            this.updateOutboxIndicator(status);
+        });
+        this.updateOutboxIndicator(this.services.outbox.getStatus());
+        this.services.eventBus.on('locale:changed', () => {
+            this.updateOutboxIndicator(this.services.outbox.getStatus());
+        });
+
+        this.services.eventBus.on('outbox:failed', (entry) => {
+            this.refreshWidgetsFor(entry.resource, 'outbox-failed');
+        });
+
+        // Widgets are ready for patches now
+        this.services.realtime.connectPush();
+    }
+
+    /**
+     * Show how many changes are waiting to be sent
+     */
+    updateOutboxIndicator(status) {
+        const indicator = document.querySelector('.header__outbox');
+        if (!indicator) return;
+
+        indicator.hidden = status.pending === 0;
+        indicator.classList.toggle('header__outbox--syncing', status.syncing);
+        indicator.classList.toggle('header__outbox--offline', !status.online);
+
+        const { i18n } = this.services;
+        indicator.querySelector('.outbox__text').textContent = i18n.t(status.online ? 'outbox.saving' : 'outbox.pending', { count: status.pending });
+        indicator.title = status.labels.length > 0
+            ? i18n.t('outbox.waiting', { labels: status.labels.join('\n') })
+            : '';
+    }
+
+    /**
+     * Reload every widget that displays a resource
+     */
+    refreshWidgetsFor(resource, reason) {
+        this.widgets.forEach((widget, name) => {
+            const definition = this.registry.get(name);
+            if (definition && definition.resources.includes(resource)) {
+                this.services.scheduler.trigger(name, reason);
+            }
+        });
+    }
+
+    /**
+     * Hand a pushed patch to every widget that displays the resource
+     */
+    applyDataPatch(resource, patch) {
+        this.widgets.forEach((widget, name) => {
+            const definition = this.registry.get(name);
+            if (!definition || !definition.resources.includes(resource)) return;
+
+            try {
+                widget.applyPatch(resource, patch);
+            } catch (error) {
+                console.error(`❌ ${name} failed to apply ${resource} patch, reloading:`, error);
+                this.services.scheduler.trigger(name, 'patch-failed');
+            }
         });
     }
     handleGlobalKeyboard(event) {
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z: Redo
+        if (this.services.commands.handleKeyboard(event)) {
+            return;
+        }
+
+        // Alt + Shift + D: Developer panel (by key position - Alt changes the character on macOS)
+        if (event.altKey && event.shiftKey && event.code === 'KeyD') {
+            event.preventDefault();
+            this.devtools.toggle();
+            return;
+        }
+
         // Alt + T: Toggle theme
         if (event.altKey && event.key === 't') {
             event.preventDefault();
@@ -280,16 +482,7 @@ class DashboardApp {
     async refreshWidgets() {
         console.log('🔄 Refreshing widgets...');
         
-        const refreshPromises = Array.from(this.widgets.values()).map(widget => {
-            if (typeof widget.refresh === 'function') {
-                return widget.refresh().catch(error => {
-                    console.error(`Failed to refresh ${widget.constructor.name}:`, error);
-                });
-            }
-            return Promise.resolve();
-        });
-
-        await Promise.all(refreshPromises);
+        await this.services.scheduler.triggerAll('manual');
         console.log('✅ Widgets refreshed');
     }
 
@@ -297,21 +490,23 @@ class DashboardApp {
      * Handle initialization errors
      */
     handleInitializationError(error) {
+        this.services.errors.captureException(error, { source: 'startup' });
         this.services.loading.hide();
         
         // Show error message to user
+        const { i18n } = this.services;
         const errorMessage = document.createElement('div');
         errorMessage.className = 'error-message';
         errorMessage.innerHTML = `
-            <h2>Dashboard Loading Error</h2>
-            <p>Sorry, there was a problem loading the dashboard. Please refresh the page to try again.</p>
-            <button onclick="window.location.reload()">Refresh Page</button>
+            <h2>${i18n.t('app.error.title')}</h2>
+            <p>${i18n.t('app.error.message')}</p>
+            <button onclick="window.location.reload()">${i18n.t('app.error.refresh')}</button>
         `;
         
         document.body.appendChild(errorMessage);
         
         // Announce error to screen readers
-        this.services.accessibility.announce('Dashboard failed to load. Please refresh the page.');
+        this.services.accessibility.announce(i18n.t('app.error.announcement'));
     }
 
     /**
@@ -328,6 +523,17 @@ class DashboardApp {
         });
         
         this.widgets.clear();
+        this.navbar.destroy();
+        this.devtools.destroy();
+        this.services.a11yAudit.destroy();
+        this.services.errors.destroy();
+        this.services.performance.destroy();
+        this.services.realtime.destroy();
+        this.services.outbox.destroy();
+        this.services.dataProcessor.destroy();
+        this.services.commands.destroy();
+        this.services.scheduler.destroy();
+        this.services.storage.destroy();
         this.isInitialized = false;
         
         console.log('✅ Dashboard cleaned up');
@@ -1,14 +1,26 @@
 /**
  * Navbar functionality for Smart Day-Starter Dashboard
- * Handles real-time clock and About button
+ * Handles the header clock and About button
+ *
+ * The clock shows the dashboard's time (services/clock.js), so during time
+ * travel it shows the traveled-to moment plus a "Back to now" button.
+ * Times, dates and the About dialog are in the page language (services/i18n.js).
  */
 
+import { I18nService } from './services/i18n.js';
+
 class NavbarManager {
-    constructor() {
+    constructor(clock = null, eventBus = null, i18n = null) {
+        this.clock = clock;
+        this.eventBus = eventBus;
+        this.i18n = i18n || new I18nService();
         this.timeElement = null;
         this.dateElement = null;
+        this.travelButton = null;
         this.aboutButton = null;
         this.clockInterval = null;
+        this.clockSubscription = null;
+        this.localeSubscription = null;
     }
 
     /**
@@ -17,12 +29,17 @@ class NavbarManager {
     init() {
         this.timeElement = document.getElementById('current-time');
         this.dateElement = document.getElementById('current-date');
+        this.travelButton = document.querySelector('.datetime__travel');
         this.aboutButton = document.querySelector('.header__about');
 
         if (this.timeElement && this.dateElement) {
             this.startClock();
         }
 
+        if (this.travelButton && this.clock) {
+            this.travelButton.addEventListener('click', () => this.clock.reset());
+        }
+
         if (this.aboutButton) {
             this.setupAboutButton();
         }
@@ -41,22 +58,27 @@ class NavbarManager {
         this.clockInterval = setInterval(() => {
             this.updateDateTime();
         }, 1000);
+
+        // Jump straight to a new time instead of waiting for the next tick
+        if (this.eventBus) {
+            this.clockSubscription = this.eventBus.on('clock:changed', () => this.updateDateTime());
+            this.localeSubscription = this.eventBus.on('locale:changed', () => this.updateDateTime());
+        }
     }
 
     /**
      * Update the time and date display
      */
     updateDateTime() {
-        const now = new Date();
+        const now = this.clock ? this.clock.now() : new Date();
         
-        // Format time (12-hour format with AM/PM)
+        // Format time (12 or 24-hour, as the locale prefers)
         const timeOptions = {
             hour: '2-digit',
             minute: '2-digit',
-            second: '2-digit',
-            hour12: true
+            second: '2-digit'
         };
-        const timeString = now.toLocaleTimeString('en-US', timeOptions);
+        const timeString = this.i18n.formatTime(now, timeOptions);
         
         // Format date
         const dateOptions = {
@@ -65,7 +87,7 @@ class NavbarManager {
             day: 'numeric',
             year: 'numeric'
         };
-        const dateString = now.toLocaleDateString('en-US', dateOptions);
+        const dateString = this.i18n.formatDate(now, dateOptions);
         
         // Update DOM elements
         if (this.timeElement) {
@@ -75,6 +97,24 @@ class NavbarManager {
         if (this.dateElement) {
             this.dateElement.textContent = dateString;
         }
+
+        this.updateTravelIndicator();
+    }
+
+    /**
+     * Show "Back to now" while the dashboard clock is traveling
+     */
+    updateTravelIndicator() {
+        if (!this.travelButton) return;
+
+        const traveling = !!this.clock && this.clock.isTraveling();
+        this.travelButton.hidden = !traveling;
+        this.travelButton.closest('.header__datetime').classList.toggle('header__datetime--travel', traveling);
+
+        if (traveling) {
+            const realTime = this.i18n.formatDateTime(new Date(), { dateStyle: 'medium', timeStyle: 'short' });
+            this.travelButton.title = this.i18n.t('header.travelTitle', { realTime });
+        }
     }
 
     /**
@@ -98,41 +138,44 @@ class NavbarManager {
      * Show About modal
      */
     showAboutModal() {
+        const t = (key, params) => this.i18n.t(key, params);
+        const features = [
+            ['📢', 'announcements'],
+            ['🚀', 'quickLaunch'],
+            ['📋', 'tasks'],
+            ['📅', 'calendar'],
+            ['🎫', 'tickets'],
+            ['🎨', 'customization'],
+            ['♿', 'accessibility'],
+            ['📱', 'responsive']
+        ];
         const modal = document.createElement('div');
         modal.className = 'about-modal';
         modal.innerHTML = `
             <div class="about-modal__backdrop"></div>
             <div class="about-modal__content" role="dialog" aria-labelledby="about-modal-title" aria-modal="true">
                 <div class="about-modal__header">
-                    <h3 id="about-modal-title">About Smart Day-Starter Dashboard</h3>
-                    <button class="about-modal__close" aria-label="Close about dialog">×</button>
+                    <h3 id="about-modal-title">${t('about.title')}</h3>
+                    <button class="about-modal__close" aria-label="${t('about.close')}">×</button>
                 </div>
                 <div class="about-modal__body">
                     <div class="about-info">
                         <div class="about-logo">🚀</div>
-                        <h4>Smart Day-Starter Dashboard</h4>
-                        <p class="about-version">Version 1.0.0</p>
+                        <h4>${t('app.title')}</h4>
+                        <p class="about-version">${t('about.version', { version: '1.0.0' })}</p>
                         <p class="about-description">
-                            A professional, feature-rich intranet homepage that streamlines daily workflows 
-                            for employees by surfacing critical information and tools in one cohesive dashboard.
+                            ${t('about.description')}
                         </p>
                         
                         <div class="about-features">
-                            <h5>Key Features:</h5>
+                            <h5>${t('about.features')}</h5>
                             <ul>
-                                <li>📢 Real-time announcements and alerts</li>
-                                <li>🚀 Customizable quick launch shortcuts</li>
-                                <li>📋 Task and approval management</li>
-                                <li>📅 Integrated team calendar</li>
-                                <li>🎫 Support ticket tracking</li>
-                                <li>🎨 Full customization options</li>
-                                <li>♿ WCAG 2.1 AA accessibility compliance</li>
-                                <li>📱 Responsive design for all devices</li>
+                                ${features.map(([icon, key]) => `<li>${icon} ${t(`about.feature.${key}`)}</li>`).join('')}
                             </ul>
                         </div>
                         
                         <div class="about-tech">
-                            <h5>Built With:</h5>
+                            <h5>${t('about.builtWith')}</h5>
                             <div class="tech-stack">
                                 <span class="tech-badge">HTML5</span>
                                 <span class="tech-badge">CSS3</span>
@@ -142,7 +185,7 @@ class NavbarManager {
                         </div>
                         
                         <div class="about-footer">
-                            <p>Built with ❤️ for better workplace productivity</p>
+                            <p>${t('about.footer')}</p>
                             <p class="about-copyright">© 2025 Smart Day-Starter Dashboard</p>
                         </div>
                     </div>
@@ -183,18 +226,14 @@ class NavbarManager {
         if (this.clockInterval) {
             clearInterval(this.clockInterval);
         }
+        if (this.clockSubscription) {
+            this.clockSubscription.unsubscribe();
+        }
+        if (this.localeSubscription) {
+            this.localeSubscription.unsubscribe();
+        }
     }
 }
 
-// Initialize navbar when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const navbar = new NavbarManager();
-    navbar.init();
-    
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', () => {
-        navbar.destroy();
-    });
-});
-
+// Created and destroyed by DashboardApp (main.js), which owns the clock
 export { NavbarManager };
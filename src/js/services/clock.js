@@ -0,0 +1,152 @@
+/**
+ * Clock Service - The dashboard's idea of "now"
+ *
+ * Everything that decides what is overdue, due today, expired or "2 hours
+ * ago" asks this clock instead of calling `new Date()`. Normally that is the
+ * real time; for demos, tests and bug reports the clock can travel to another
+ * moment and keep ticking from there, or stand still:
+ *
+ *   ?now=2025-07-14T09:00               start at 9:00 local time on 14 July 2025
+ *   ?now=2025-07-14T09:00Z&freeze=1     stop the clock at 9:00 UTC
+ *
+ *   clock.travelTo('2025-07-14T09:00');
+ *   clock.reset();
+ *
+ * Traveling from the settings panel writes the override back into the URL,
+ * so a reload or a copied link shows the same moment. Every change is
+ * announced as `clock:changed` (now, traveling).
+ *
+ * Timing that has to follow the real clock - refresh intervals, cross-tab
+ * sync timestamps, cache ages - keeps using Date.now().
+ */
+
+export class ClockService {
+    constructor(eventBus = null, options = {}) {
+        this.eventBus = eventBus;
+        this.urlParam = options.urlParam || 'now';
+        this.offsetMs = 0;      // added to the real time while traveling
+        this.frozenAt = null;   // fixed time (ms) while frozen
+    }
+
+    /**
+     * Apply a ?now= override from the page URL
+     */
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        const requested = params.get(this.urlParam);
+
+        if (requested && this.travelTo(requested, { freeze: params.get('freeze') === '1', updateUrl: false })) {
+            console.log(`🕰️ Clock set to ${this.now().toISOString()}${this.isFrozen() ? ' (frozen)' : ''}`);
+        }
+    }
+
+    /**
+     * Current dashboard time as a new Date
+     */
+    now() {
+        return new Date(this.frozenAt ?? Date.now() + this.offsetMs);
+    }
+
+    isTraveling() {
+        return this.offsetMs !== 0 || this.frozenAt !== null;
+    }
+
+    isFrozen() {
+        return this.frozenAt !== null;
+    }
+
+    /**
+     * Move the clock to another moment (a Date, timestamp or date string)
+     * Returns false, leaving the clock alone, when the time can't be read
+     */
+    travelTo(time, { freeze = false, updateUrl = true } = {}) {
+        const target = ClockService.parse(time);
+        if (target === null) {
+            console.warn(`⚠️ Ignoring invalid clock time: ${time}`);
+            return false;
+        }
+
+        this.offsetMs = freeze ? 0 : target - Date.now();
+        this.frozenAt = freeze ? target : null;
+
+        if (updateUrl) {
+            this.writeUrl();
+        }
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Go back to the real time
+     */
+    reset({ updateUrl = true } = {}) {
+        if (!this.isTraveling()) return;
+
+        this.offsetMs = 0;
+        this.frozenAt = null;
+
+        if (updateUrl) {
+            this.writeUrl();
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Keep ?now= (and ?freeze=) in step with the clock, without a reload
+     */
+    writeUrl() {
+        const url = new URL(window.location.href);
+
+        if (this.isTraveling()) {
+            url.searchParams.set(this.urlParam, this.now().toISOString());
+        } else {
+            url.searchParams.delete(this.urlParam);
+        }
+
+        if (this.isFrozen()) {
+            url.searchParams.set('freeze', '1');
+        } else {
+            url.searchParams.delete('freeze');
+        }
+
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    emitChange() {
+        if (this.eventBus) {
+            this.eventBus.emit('clock:changed', this.now().toISOString(), this.isTraveling());
+        }
+    }
+
+    /**
+     * Milliseconds for a Date, timestamp or date string; null if invalid
+     */
+    static parse(time) {
+        if (time === null || time === undefined || time === '') return null;
+
+        const ms = (time instanceof Date ? time : new Date(time)).getTime();
+        return Number.isNaN(ms) ? null : ms;
+    }
+
+    /**
+     * Local `YYYY-MM-DDTHH:MM`, the value format of <input type="datetime-local">
+     */
+    static toInputValue(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            now: this.now().toISOString(),
+            realNow: new Date().toISOString(),
+            traveling: this.isTraveling(),
+            frozen: this.isFrozen(),
+            offsetMs: this.offsetMs
+        };
+    }
+}
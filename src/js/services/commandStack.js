@@ -0,0 +1,281 @@
+/**
+ * Command Stack - Undo/redo for destructive dashboard actions
+ *
+ * Widgets perform an action as usual and then record how to reverse it:
+ *
+ *   services.commands.record({
+ *       label: `Shortcut "${shortcut.title}" deleted`,
+ *       undo: () => this.restoreShortcut(shortcut, index),
+ *       redo: () => this.deleteShortcut(shortcut.id)
+ *   });
+ *
+ * Recording shows an "Undo" toast for a few seconds. Ctrl+Z / Ctrl+Shift+Z
+ * (Cmd on macOS) walk the stack from anywhere on the page. Actions run by
+ * undo() and redo() are not recorded again, so `redo` can simply call the
+ * original action.
+ *
+ * undo() and redo() finish once the local state has changed, so `undo` and
+ * `redo` shouldn't wait for the server. If the server later refuses the
+ * change and the widget rolls it back, it calls discard() with the command
+ * record() returned, so the stacks don't offer a step that no longer applies.
+ *
+ * Events: `command:recorded`, `command:undone`, `command:redone` (command)
+ */
+
+import { I18nService } from './i18n.js';
+
+// Toast actions and the shortcuts that do the same
+const TOAST_SHORTCUTS = { undo: 'Control+Z', redo: 'Control+Shift+Z' };
+
+export class CommandStack {
+    constructor(eventBus, accessibility, options = {}, i18n = null) {
+        this.eventBus = eventBus;
+        this.accessibility = accessibility;
+        this.i18n = i18n || new I18nService();
+        this.limit = options.limit || 50;
+        this.toastMs = options.toastMs || 6000;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isRunning = false;
+        this.runningCommand = null;
+        this.toast = null;
+        this.toastCommand = null;
+        this.toastTimer = null;
+    }
+
+    /**
+     * Record an action that has just been performed. Returns the entry; for
+     * an action run by undo() or redo() nothing is recorded and the command
+     * being run is returned instead.
+     */
+    record(command) {
+        if (this.isRunning) return this.runningCommand;
+
+        if (!command || typeof command.undo !== 'function') {
+            throw new Error('Commands need an undo() function');
+        }
+
+        const entry = {
+            label: command.label || this.i18n.t('commands.lastAction'),
+            undo: command.undo,
+            redo: typeof command.redo === 'function' ? command.redo : null,
+            recordedAt: Date.now()
+        };
+
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        // Replaces the widget's own announcement, which went out just before
+        this.accessibility.announce(this.i18n.t('commands.recorded', entry));
+        this.showToast(entry.label, 'undo', () => this.undo(), entry);
+        this.eventBus.emit('command:recorded', entry);
+        return entry;
+    }
+
+    /**
+     * Reverse the most recent action
+     */
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            this.accessibility.announce(this.i18n.t('commands.nothingToUndo'));
+            return false;
+        }
+
+        if (!(await this.run(command, 'undo'))) {
+            return false;
+        }
+
+        if (command.redo) {
+            this.redoStack.push(command);
+        }
+
+        const message = this.i18n.t('commands.undone', command);
+        this.accessibility.announce(message);
+        this.showToast(message, command.redo ? 'redo' : null, () => this.redo(), command);
+        this.eventBus.emit('command:undone', command);
+        return true;
+    }
+
+    /**
+     * Perform the most recently undone action again
+     */
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            this.accessibility.announce(this.i18n.t('commands.nothingToRedo'));
+            return false;
+        }
+
+        if (!(await this.run(command, 'redo'))) {
+            return false;
+        }
+
+        this.undoStack.push(command);
+
+        this.accessibility.announce(this.i18n.t('commands.redone', command));
+        this.showToast(command.label, 'undo', () => this.undo(), command);
+        this.eventBus.emit('command:redone', command);
+        return true;
+    }
+
+    /**
+     * Run one side of a command without recording anything it triggers
+     */
+    async run(command, direction) {
+        this.isRunning = true;
+        this.runningCommand = command;
+        try {
+            // Only the synchronous part counts as "running"; widgets record
+            // before their first await
+            const result = command[direction]();
+            this.isRunning = false;
+            this.runningCommand = null;
+            await result;
+            return true;
+        } catch (error) {
+            console.error(`❌ Could not ${direction} "${command.label}":`, error);
+            this.accessibility.announce(this.i18n.t('commands.failed', { direction, label: command.label }), 'assertive');
+            return false;
+        } finally {
+            this.isRunning = false;
+            this.runningCommand = null;
+        }
+    }
+
+    /**
+     * Forget a command whose change was rolled back; returns false if it
+     * was no longer on either stack
+     */
+    discard(command) {
+        if (!command) return false;
+
+        const undoIndex = this.undoStack.indexOf(command);
+        const redoIndex = this.redoStack.indexOf(command);
+        if (undoIndex !== -1) this.undoStack.splice(undoIndex, 1);
+        if (redoIndex !== -1) this.redoStack.splice(redoIndex, 1);
+
+        // Its toast button would now act on a different command
+        if (this.toastCommand === command) {
+            this.hideToast();
+        }
+        return undoIndex !== -1 || redoIndex !== -1;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); returns true when handled
+     */
+    handleKeyboard(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return false;
+
+        // Leave text fields their own undo
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return false;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+            return true;
+        }
+        if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Show the toast with an optional 'undo' or 'redo' button, replacing any current one
+     */
+    showToast(message, action, onAction, command = null) {
+        this.hideToast();
+        this.toastCommand = command;
+
+        // Not a live region: every message is also sent through accessibility.announce
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+        toast.innerHTML = `
+            <span class="undo-toast__message"></span>
+            ${action ? '<button type="button" class="undo-toast__action"></button>' : ''}
+            <button type="button" class="undo-toast__close">×</button>
+        `;
+        toast.querySelector('.undo-toast__message').textContent = message;
+        toast.querySelector('.undo-toast__close').setAttribute('aria-label', this.i18n.t('commands.dismiss'));
+
+        if (action) {
+            const actionButton = toast.querySelector('.undo-toast__action');
+            actionButton.textContent = this.i18n.t(`commands.${action}`);
+            actionButton.setAttribute('aria-keyshortcuts', TOAST_SHORTCUTS[action]);
+            actionButton.addEventListener('click', () => {
+                this.hideToast();
+                onAction();
+            });
+        }
+        toast.querySelector('.undo-toast__close').addEventListener('click', () => this.hideToast());
+
+        // Keep the toast up while the pointer or focus is on it
+        toast.addEventListener('mouseenter', () => clearTimeout(this.toastTimer));
+        toast.addEventListener('focusin', () => clearTimeout(this.toastTimer));
+        toast.addEventListener('mouseleave', () => this.scheduleToastHide());
+
+        document.body.appendChild(toast);
+        this.toast = toast;
+        this.scheduleToastHide();
+    }
+
+    scheduleToastHide() {
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.hideToast(), this.toastMs);
+    }
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.toastTimer = null;
+        this.toastCommand = null;
+
+        if (this.toast) {
+            this.toast.remove();
+            this.toast = null;
+        }
+    }
+
+    /**
+     * Forget all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.hideToast();
+    }
+
+    destroy() {
+        this.clear();
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            undo: this.undoStack.map(command => command.label),
+            redo: this.redoStack.map(command => command.label),
+            toastVisible: !!this.toast
+        };
+    }
+}
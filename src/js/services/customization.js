@@ -2,11 +2,17 @@
  * Customization Service - Handles user preferences and dashboard customization
  */
 
+import { ClockService } from './clock.js';
+import { I18nService } from './i18n.js';
+
 export class CustomizationService {
-    constructor(storage, eventBus) {
+    constructor(storage, eventBus, commands = null, clock = null, i18n = null) {
         this.storage = storage;
         this.eventBus = eventBus;
-        this.preferences = this.loadPreferences();
+        this.commands = commands;
+        this.clock = clock;
+        this.i18n = i18n || new I18nService();
+        this.knownWidgets = new Map(); // name -> title, filled from the widget registry
         this.defaultPreferences = {
             theme: 'light',
             widgetOrder: ['announcements', 'quickLaunch', 'tasks', 'calendar', 'tickets'],
@@ -20,6 +26,7 @@ export class CustomizationService {
             fontSize: 'medium', // small, medium, large
             layout: 'grid' // grid, list
         };
+        this.preferences = this.loadPreferences();
     }
 
     /**
@@ -28,6 +35,9 @@ export class CustomizationService {
     init() {
         console.log('🎨 Initializing Customization Service...');
         
+        // Storage may have switched backends since the constructor ran
+        this.preferences = this.loadPreferences();
+        
         // Apply saved preferences
         this.applyPreferences();
         
@@ -56,9 +66,11 @@ export class CustomizationService {
     /**
      * Apply current preferences to the dashboard
      */
-    applyPreferences() {
+    applyPreferences({ theme = true } = {}) {
         // Apply theme
-        this.applyTheme(this.preferences.theme);
+        if (theme) {
+            this.applyTheme(this.preferences.theme);
+        }
         
         // Apply font size
         this.applyFontSize(this.preferences.fontSize);
@@ -97,6 +109,70 @@ export class CustomizationService {
         this.eventBus.on('widget:visibility-changed', (widgetName, visible) => {
             this.setWidgetVisibility(widgetName, visible);
         });
+
+        // Pick up widgets as they are registered (built-ins and plugins)
+        this.eventBus.on('widget:registered', (widgetName, definition) => {
+            this.addKnownWidget(widgetName, definition && definition.title);
+        });
+
+        // Time travel started or ended (settings panel, header button, console)
+        this.eventBus.on('clock:changed', () => this.updateOpenPanel());
+
+        // Language picked here, in another tab or through ?lang=
+        this.eventBus.on('locale:changed', () => this.updateOpenPanel());
+
+        // Preferences saved in another tab
+        this.eventBus.on('storage:changed', (key) => {
+            if (key === 'user_preferences' || key === null) {
+                this.handleRemotePreferences();
+            }
+        });
+    }
+
+    /**
+     * Re-apply preferences after another tab changed them
+     */
+    handleRemotePreferences() {
+        const previousTheme = this.preferences.theme;
+        const knownWidgets = this.preferences.widgetOrder;
+        this.preferences = this.loadPreferences();
+
+        // Keep widgets registered in this tab that the other tab hasn't seen yet
+        knownWidgets
+            .filter(name => !this.preferences.widgetOrder.includes(name))
+            .forEach(name => {
+                this.preferences.widgetOrder = [...this.preferences.widgetOrder, name];
+            });
+
+        // ThemeManager follows its own key; only re-apply if this setting moved
+        this.applyPreferences({ theme: this.preferences.theme !== previousTheme });
+
+        this.updateOpenPanel();
+
+        this.eventBus.emit('preferences:synced', this.preferences);
+    }
+
+    /**
+     * Make a registered widget part of the default and saved widget order
+     */
+    addKnownWidget(widgetName, title = widgetName) {
+        this.knownWidgets.set(widgetName, title || widgetName);
+
+        if (!this.defaultPreferences.widgetOrder.includes(widgetName)) {
+            this.defaultPreferences.widgetOrder.push(widgetName);
+        }
+
+        if (!this.preferences.widgetOrder.includes(widgetName)) {
+            this.preferences.widgetOrder = [...this.preferences.widgetOrder, widgetName];
+        }
+    }
+
+    /**
+     * Find the dashboard section for a widget
+     */
+    getWidgetElement(widgetName) {
+        return document.querySelector(`[data-widget="${widgetName}"]`) ||
+            document.querySelector(`.widget--${widgetName}`);
     }
 
     /**
@@ -237,8 +313,8 @@ export class CustomizationService {
 
         // Reorder widgets according to preferences
         this.preferences.widgetOrder.forEach(widgetName => {
-            const widget = widgets.find(w => w.classList.contains(`widget--${widgetName}`));
-            if (widget) {
+            const widget = this.getWidgetElement(widgetName);
+            if (widget && widget.parentElement === dashboard) {
                 orderedWidgets.push(widget);
             }
         });
@@ -277,25 +353,16 @@ export class CustomizationService {
      * Apply widget visibility
      */
     applyWidgetVisibility() {
-        this.preferences.hiddenWidgets.forEach(widgetName => {
-            const widget = document.querySelector(`.widget--${widgetName}`);
-            if (widget) {
-                widget.style.display = 'none';
-                widget.setAttribute('aria-hidden', 'true');
-            }
-        });
+        const hiddenWidgets = new Set(this.preferences.hiddenWidgets);
+        const widgetNames = new Set([...this.preferences.widgetOrder, ...this.knownWidgets.keys(), ...hiddenWidgets]);
 
-        // Show visible widgets
-        const allWidgets = document.querySelectorAll('[class*="widget--"]');
-        allWidgets.forEach(widget => {
-            const widgetName = Array.from(widget.classList)
-                .find(cls => cls.startsWith('widget--'))
-                ?.replace('widget--', '');
-            
-            if (widgetName && !this.preferences.hiddenWidgets.includes(widgetName)) {
-                widget.style.display = '';
-                widget.setAttribute('aria-hidden', 'false');
-            }
+        widgetNames.forEach(widgetName => {
+            const widget = this.getWidgetElement(widgetName);
+            if (!widget) return;
+
+            const hidden = hiddenWidgets.has(widgetName);
+            widget.style.display = hidden ? 'none' : '';
+            widget.setAttribute('aria-hidden', hidden ? 'true' : 'false');
         });
     }
 
@@ -311,12 +378,27 @@ export class CustomizationService {
      * Reset preferences to defaults
      */
     resetToDefaults() {
-        this.preferences = { ...this.defaultPreferences };
+        this.preferences = {
+            ...this.defaultPreferences,
+            widgetOrder: [...this.defaultPreferences.widgetOrder],
+            hiddenWidgets: []
+        };
         this.applyPreferences();
         this.savePreferences();
+        this.updateOpenPanel();
         this.eventBus.emit('preferences:reset');
     }
 
+    /**
+     * Go back to a saved set of preferences (undoing a reset)
+     */
+    restorePreferences(preferences) {
+        this.preferences = { ...this.defaultPreferences, ...structuredClone(preferences) };
+        this.applyPreferences();
+        this.savePreferences();
+        this.updateOpenPanel();
+    }
+
     /**
      * Export preferences as JSON
      */
@@ -382,60 +464,82 @@ export class CustomizationService {
         panel.className = 'customization-panel';
         panel.innerHTML = `
             <div class="customization-panel__header">
-                <h3>Dashboard Settings</h3>
-                <button class="customization-panel__close" aria-label="Close settings">×</button>
+                <h3 data-i18n="settings.title"></h3>
+                <button class="customization-panel__close" data-i18n-aria-label="settings.close">×</button>
             </div>
             <div class="customization-panel__content">
                 <div class="setting-group">
-                    <label for="theme-select">Theme</label>
+                    <label for="locale-select" data-i18n="settings.language"></label>
+                    <select id="locale-select">
+                        ${this.renderLocaleOptions()}
+                    </select>
+                </div>
+                
+                <div class="setting-group">
+                    <label for="theme-select" data-i18n="settings.theme"></label>
                     <select id="theme-select">
-                        <option value="light">Light</option>
-                        <option value="dark">Dark</option>
-                        <option value="auto">Auto</option>
+                        <option value="light" data-i18n="settings.theme.light"></option>
+                        <option value="dark" data-i18n="settings.theme.dark"></option>
+                        <option value="auto" data-i18n="settings.theme.auto"></option>
                     </select>
                 </div>
                 
                 <div class="setting-group">
-                    <label for="font-size-select">Font Size</label>
+                    <label for="font-size-select" data-i18n="settings.fontSize"></label>
                     <select id="font-size-select">
-                        <option value="small">Small</option>
-                        <option value="medium">Medium</option>
-                        <option value="large">Large</option>
+                        <option value="small" data-i18n="settings.fontSize.small"></option>
+                        <option value="medium" data-i18n="settings.fontSize.medium"></option>
+                        <option value="large" data-i18n="settings.fontSize.large"></option>
                     </select>
                 </div>
                 
                 <div class="setting-group">
                     <label>
-                        <input type="checkbox" id="compact-mode"> Compact Mode
+                        <input type="checkbox" id="compact-mode"> <span data-i18n="settings.compactMode"></span>
                     </label>
                 </div>
                 
                 <div class="setting-group">
                     <label>
-                        <input type="checkbox" id="high-contrast"> High Contrast
+                        <input type="checkbox" id="high-contrast"> <span data-i18n="settings.highContrast"></span>
                     </label>
                 </div>
                 
                 <div class="setting-group">
                     <label>
-                        <input type="checkbox" id="animations"> Enable Animations
+                        <input type="checkbox" id="animations"> <span data-i18n="settings.animations"></span>
                     </label>
                 </div>
                 
                 <div class="setting-group">
                     <label>
-                        <input type="checkbox" id="auto-refresh"> Auto Refresh
+                        <input type="checkbox" id="auto-refresh"> <span data-i18n="settings.autoRefresh"></span>
                     </label>
                 </div>
                 
+                <fieldset class="setting-group setting-group--widgets">
+                    <legend data-i18n="settings.visibleWidgets"></legend>
+                    ${this.renderWidgetVisibilityOptions()}
+                </fieldset>
+                
+                ${this.clock ? `
+                <div class="setting-group setting-group--clock">
+                    <label for="clock-override" data-i18n="settings.clock"></label>
+                    <input type="datetime-local" id="clock-override" aria-describedby="clock-override-hint">
+                    <p class="setting-group__hint" id="clock-override-hint" data-i18n="settings.clockHint"></p>
+                    <button id="clock-reset" data-i18n="settings.clockReset"></button>
+                </div>
+                ` : ''}
+                
                 <div class="setting-actions">
-                    <button id="reset-settings">Reset to Defaults</button>
-                    <button id="export-settings">Export Settings</button>
+                    <button id="reset-settings" data-i18n="settings.reset"></button>
+                    <button id="export-settings" data-i18n="settings.export"></button>
                     <input type="file" id="import-settings" accept=".json" style="display: none;">
-                    <button id="import-settings-btn">Import Settings</button>
+                    <button id="import-settings-btn" data-i18n="settings.import"></button>
                 </div>
             </div>
         `;
+        this.i18n.translatePage(panel);
 
         // Set current values
         panel.querySelector('#theme-select').value = this.preferences.theme;
@@ -444,6 +548,7 @@ export class CustomizationService {
         panel.querySelector('#high-contrast').checked = this.preferences.highContrastMode;
         panel.querySelector('#animations').checked = this.preferences.animationsEnabled;
         panel.querySelector('#auto-refresh').checked = this.preferences.autoRefresh;
+        this.updateClockControl(panel);
 
         // Add event listeners
         this.addPanelEventListeners(panel);
@@ -451,10 +556,94 @@ export class CustomizationService {
         return panel;
     }
 
+    /**
+     * One option per locale, each named in its own language
+     */
+    renderLocaleOptions() {
+        return this.i18n.getAvailableLocales().map(({ locale, name, dir }) => {
+            const selected = locale === this.i18n.locale ? 'selected' : '';
+            return `<option value="${locale}" lang="${locale}" dir="${dir}" ${selected}>${name}</option>`;
+        }).join('');
+    }
+
+    /**
+     * Render one checkbox per registered widget; built-in widgets have
+     * translated titles, plugins keep the title they registered with
+     */
+    renderWidgetVisibilityOptions() {
+        return Array.from(this.knownWidgets.entries()).map(([widgetName, title]) => {
+            const checked = this.preferences.hiddenWidgets.includes(widgetName) ? '' : 'checked';
+            const titleKey = `widget.${widgetName}.title`;
+            const label = document.createElement('span');
+            label.textContent = title;
+            if (this.i18n.has(titleKey)) {
+                label.setAttribute('data-i18n', titleKey);
+            }
+
+            return `
+                <label>
+                    <input type="checkbox" data-widget-visibility="${widgetName}" ${checked}> ${label.outerHTML}
+                </label>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Sync the settings panel with current preferences, if it is open
+     */
+    updateOpenPanel() {
+        const panel = document.querySelector('.customization-panel');
+        if (panel) {
+            this.updatePanelControls(panel);
+        }
+    }
+
+    /**
+     * Sync every panel control with current preferences
+     */
+    updatePanelControls(panel) {
+        this.i18n.translatePage(panel);
+        panel.querySelector('#locale-select').value = this.i18n.locale;
+        panel.querySelector('#theme-select').value = this.preferences.theme;
+        panel.querySelector('#font-size-select').value = this.preferences.fontSize;
+        panel.querySelector('#compact-mode').checked = this.preferences.compactMode;
+        panel.querySelector('#high-contrast').checked = this.preferences.highContrastMode;
+        panel.querySelector('#animations').checked = this.preferences.animationsEnabled;
+        panel.querySelector('#auto-refresh').checked = this.preferences.autoRefresh;
+        this.updateWidgetVisibilityOptions(panel);
+        this.updateClockControl(panel);
+    }
+
+    /**
+     * Show the traveled-to time, or nothing while the clock is real
+     */
+    updateClockControl(panel) {
+        const input = panel.querySelector('#clock-override');
+        if (!input || !this.clock) return;
+
+        input.value = this.clock.isTraveling() ? ClockService.toInputValue(this.clock.now()) : '';
+        panel.querySelector('#clock-reset').disabled = !this.clock.isTraveling();
+    }
+
+    /**
+     * Sync widget checkboxes with current preferences
+     */
+    updateWidgetVisibilityOptions(panel) {
+        panel.querySelectorAll('[data-widget-visibility]').forEach(checkbox => {
+            const widgetName = checkbox.getAttribute('data-widget-visibility');
+            checkbox.checked = !this.preferences.hiddenWidgets.includes(widgetName);
+        });
+    }
+
     /**
      * Add event listeners to customization panel
      */
     addPanelEventListeners(panel) {
+        // Language change; the panel is re-translated on locale:changed
+        panel.querySelector('#locale-select').addEventListener('change', (e) => {
+            this.i18n.setLocale(e.target.value);
+        });
+
         // Theme change
         panel.querySelector('#theme-select').addEventListener('change', (e) => {
             this.setTheme(e.target.value);
@@ -487,17 +676,39 @@ export class CustomizationService {
             this.eventBus.emit('auto-refresh:toggled', e.target.checked);
         });
 
+        // Widget visibility toggles
+        panel.querySelectorAll('[data-widget-visibility]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.setWidgetVisibility(checkbox.getAttribute('data-widget-visibility'), e.target.checked);
+            });
+        });
+
+        // Time travel
+        if (this.clock) {
+            panel.querySelector('#clock-override').addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.clock.travelTo(e.target.value);
+                } else {
+                    this.clock.reset();
+                }
+            });
+
+            panel.querySelector('#clock-reset').addEventListener('click', () => {
+                this.clock.reset();
+            });
+        }
+
         // Reset settings
         panel.querySelector('#reset-settings').addEventListener('click', () => {
-            if (confirm('Reset all settings to defaults?')) {
-                this.resetToDefaults();
-                // Update panel values
-                panel.querySelector('#theme-select').value = this.preferences.theme;
-                panel.querySelector('#font-size-select').value = this.preferences.fontSize;
-                panel.querySelector('#compact-mode').checked = this.preferences.compactMode;
-                panel.querySelector('#high-contrast').checked = this.preferences.highContrastMode;
-                panel.querySelector('#animations').checked = this.preferences.animationsEnabled;
-                panel.querySelector('#auto-refresh').checked = this.preferences.autoRefresh;
+            const previous = structuredClone(this.preferences);
+            this.resetToDefaults();
+
+            if (this.commands) {
+                this.commands.record({
+                    label: this.i18n.t('settings.resetDone'),
+                    undo: () => this.restorePreferences(previous),
+                    redo: () => this.resetToDefaults()
+                });
             }
         });
 
@@ -524,16 +735,10 @@ export class CustomizationService {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     if (this.importPreferences(e.target.result)) {
-                        alert('Settings imported successfully!');
-                        // Update panel values
-                        panel.querySelector('#theme-select').value = this.preferences.theme;
-                        panel.querySelector('#font-size-select').value = this.preferences.fontSize;
-                        panel.querySelector('#compact-mode').checked = this.preferences.compactMode;
-                        panel.querySelector('#high-contrast').checked = this.preferences.highContrastMode;
-                        panel.querySelector('#animations').checked = this.preferences.animationsEnabled;
-                        panel.querySelector('#auto-refresh').checked = this.preferences.autoRefresh;
+                        alert(this.i18n.t('settings.imported'));
+                        this.updatePanelControls(panel);
                     } else {
-                        alert('Failed to import settings. Please check the file format.');
+                        alert(this.i18n.t('settings.importFailed'));
                     }
                 };
                 reader.readAsText(file);
@@ -553,6 +758,7 @@ export class CustomizationService {
         return {
             preferences: this.preferences,
             defaultPreferences: this.defaultPreferences,
+            knownWidgets: Array.from(this.knownWidgets.keys()),
             storageAvailable: this.storage.isAvailable()
         };
     }
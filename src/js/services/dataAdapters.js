@@ -0,0 +1,204 @@
+/**
+ * Data Adapters - Backends the DataSourceService can read widget data from
+ *
+ * Every adapter implements `async load(resource, resourceConfig)` and
+ * resolves to the parsed payload (an array of records for all built-in
+ * resources). Writable adapters also implement `create`, `update` and
+ * `remove`, each resolving to the stored record.
+ *
+ * Adapters that fetch over HTTP also implement `getCacheInfo(resource)`,
+ * describing whether the last load was answered by the service worker's
+ * cache (see sw.js) instead of the network.
+ */
+
+/**
+ * Read the cache headers sw.js adds to responses it serves from its cache
+ */
+export function readCacheInfo(response) {
+    const cachedAt = response.headers.get('X-SW-Cached-At');
+
+    return {
+        fromCache: !!cachedAt,
+        offline: response.headers.get('X-SW-Offline') === '1',
+        cachedAt
+    };
+}
+
+/**
+ * Reads bundled JSON files, e.g. src/data/tasks.json
+ */
+export class StaticJsonAdapter {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'src/data';
+        this.cacheInfo = new Map();
+    }
+
+    async load(resource, resourceConfig = {}) {
+        const file = resourceConfig.file || `${resource}.json`;
+        const response = await fetch(`${this.baseUrl}/${file}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        this.cacheInfo.set(resource, readCacheInfo(response));
+        return response.json();
+    }
+
+    getCacheInfo(resource) {
+        return this.cacheInfo.get(resource) || null;
+    }
+
+    /**
+     * Static files are read-only: changes are echoed back so the UI stays
+     * usable, but they only last until the next reload
+     */
+    warnReadOnly(resource) {
+        if (!this.hasWarned) {
+            console.warn(`⚠️ Static data is read-only - changes to "${resource}" will not persist. Run "npm run api" to use the local REST backend.`);
+            this.hasWarned = true;
+        }
+    }
+
+    async create(resource, record) {
+        this.warnReadOnly(resource);
+        return { ...record };
+    }
+
+    async update(resource, id, changes) {
+        this.warnReadOnly(resource);
+        return { ...changes, id };
+    }
+
+    async remove(resource, id) {
+        this.warnReadOnly(resource);
+        return { id };
+    }
+}
+
+/**
+ * Reads and writes a collection on a REST endpoint, e.g. GET /api/tasks
+ */
+export class RestAdapter {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '/api').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.cacheInfo = new Map();
+    }
+
+    async load(resource, resourceConfig = {}) {
+        const response = await this.send('GET', this.url(resource, resourceConfig));
+        this.cacheInfo.set(resource, readCacheInfo(response));
+        return response.json();
+    }
+
+    getCacheInfo(resource) {
+        return this.cacheInfo.get(resource) || null;
+    }
+
+    async create(resource, record, resourceConfig = {}) {
+        return this.request('POST', this.url(resource, resourceConfig), record);
+    }
+
+    async update(resource, id, changes, resourceConfig = {}) {
+        return this.request('PATCH', this.url(resource, resourceConfig, id), changes);
+    }
+
+    async remove(resource, id, resourceConfig = {}) {
+        await this.request('DELETE', this.url(resource, resourceConfig, id));
+        return { id };
+    }
+
+    url(resource, resourceConfig, id = null) {
+        const endpoint = resourceConfig.endpoint || resource;
+        return id === null
+            ? `${this.baseUrl}/${endpoint}`
+            : `${this.baseUrl}/${endpoint}/${encodeURIComponent(id)}`;
+    }
+
+    async request(method, url, body = undefined) {
+        const response = await this.send(method, url, body);
+        return response.status === 204 ? null : response.json();
+    }
+
+    /**
+     * Perform the HTTP request, rejecting on non-2xx responses
+     */
+    async send(method, url, body = undefined) {
+        const headers = {
+            'Accept': 'application/json',
+            ...this.headers
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Serves data from memory - for demos, tests and offline development
+ */
+export class MockAdapter {
+    constructor(options = {}) {
+        this.latencyMs = options.latencyMs || 0;
+        this.datasets = new Map(Object.entries(options.data || {}));
+    }
+
+    /**
+     * Replace the dataset for a resource
+     */
+    seed(resource, records) {
+        this.datasets.set(resource, records);
+    }
+
+    async load(resource) {
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        if (!this.datasets.has(resource)) {
+            throw new Error(`No mock data for resource: ${resource}`);
+        }
+
+        // Hand out copies so widgets can't mutate the seed data
+        return JSON.parse(JSON.stringify(this.datasets.get(resource)));
+    }
+
+    async create(resource, record) {
+        const records = this.datasets.get(resource) || [];
+        const created = { ...record, id: record.id || `${resource}_${Date.now()}` };
+        this.datasets.set(resource, [...records, created]);
+        return { ...created };
+    }
+
+    async update(resource, id, changes) {
+        const records = this.datasets.get(resource) || [];
+        const existing = records.find(record => record.id === id);
+        if (!existing) {
+            throw new Error(`Record not found: ${resource}/${id}`);
+        }
+
+        const updated = { ...existing, ...changes, id };
+        this.datasets.set(resource, records.map(record => record.id === id ? updated : record));
+        return { ...updated };
+    }
+
+    async remove(resource, id) {
+        const records = this.datasets.get(resource) || [];
+        this.datasets.set(resource, records.filter(record => record.id !== id));
+        return { id };
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Data Processor - Filtering, sorting and counting off the main thread
+ *
+ * Widgets hand over their records with a query spec (see
+ * utils/dataQuery.js) and get a promise of the result:
+ *
+ *   const { indexes, stats } = await dataProcessor.query(tickets, {
+ *       filter: { field: 'status', in: ['open', 'in_progress'] },
+ *       sort: [{ field: 'priority', order: ['high', 'medium', 'low'] }],
+ *       stats: { high: { field: 'priority', equals: 'high' } }
+ *   });
+ *   const shown = indexes.map(i => tickets[i]);
+ *
+ *   const byDate = await dataProcessor.indexByDate(events, 'startTime');
+ *   const today = (byDate['2025-07-15'] || []).map(i => events[i]);
+ *
+ * Lists of `workerThreshold` records or more go to a module worker
+ * (services/dataWorker.js, started on first use); shorter ones, and every
+ * list where Worker isn't available, are processed straight away on the
+ * main thread with the same code. If the worker fails it is shut down and
+ * the rest of the session runs on the main thread.
+ */
+
+import { runOperation } from '../utils/dataQuery.js';
+
+export class DataProcessor {
+    constructor(options = {}) {
+        // Relative to the page; null processes everything on the main thread
+        this.workerUrl = options.workerUrl ?? null;
+        this.workerThreshold = options.workerThreshold ?? 1000;
+
+        this.worker = null;
+        this.workerFailed = false;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+        this.stats = { inline: 0, worker: 0, workerFailures: 0 };
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleWorkerError = this.handleWorkerError.bind(this);
+    }
+
+    /**
+     * Filter, sort and count records: resolves to { indexes, stats }
+     */
+    query(records, spec = {}) {
+        return this.run('query', { records, spec }, records.length);
+    }
+
+    /**
+     * Record indexes by the local day of a date field: resolves to
+     * { 'YYYY-MM-DD': [index, ...] }
+     */
+    indexByDate(records, field) {
+        return this.run('indexByDate', { records, field }, records.length);
+    }
+
+    async run(operation, payload, size) {
+        if (!this.shouldUseWorker(size)) {
+            this.stats.inline++;
+            return runOperation(operation, payload);
+        }
+
+        try {
+            const result = await this.post(operation, payload);
+            this.stats.worker++;
+            return result;
+        } catch (error) {
+            if (!error.workerFailure) throw error;
+
+            this.stats.inline++;
+            return runOperation(operation, payload);
+        }
+    }
+
+    shouldUseWorker(size) {
+        return Boolean(this.workerUrl) && !this.workerFailed && typeof Worker !== 'undefined'
+            && size >= this.workerThreshold;
+    }
+
+    post(operation, payload) {
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(new URL(this.workerUrl, document.baseURI), { type: 'module' });
+            } catch (error) {
+                return Promise.reject(this.disableWorker(error));
+            }
+            this.worker.addEventListener('message', this.handleMessage);
+            this.worker.addEventListener('error', this.handleWorkerError);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, operation, payload });
+        });
+    }
+
+    handleMessage(event) {
+        const { id, result, error } = event.data;
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * The worker couldn't load or crashed: redo its pending work on the main thread
+     */
+    handleWorkerError(event) {
+        event.preventDefault();
+        const failure = this.disableWorker(new Error(event.message || 'Data worker failed'));
+
+        this.pending.forEach(request => request.reject(failure));
+        this.pending.clear();
+    }
+
+    disableWorker(error) {
+        console.warn('⚠️ Data worker unavailable, processing on the main thread:', error.message);
+        this.stats.workerFailures++;
+        this.workerFailed = true;
+        this.terminate();
+
+        error.workerFailure = true;
+        return error;
+    }
+
+    terminate() {
+        if (!this.worker) return;
+
+        this.worker.removeEventListener('message', this.handleMessage);
+        this.worker.removeEventListener('error', this.handleWorkerError);
+        this.worker.terminate();
+        this.worker = null;
+    }
+
+    destroy() {
+        this.terminate();
+        this.pending.forEach(request => request.reject(new Error('Data processor destroyed')));
+        this.pending.clear();
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            workerUrl: this.workerUrl,
+            workerThreshold: this.workerThreshold,
+            workerRunning: Boolean(this.worker),
+            workerFailed: this.workerFailed,
+            pending: this.pending.size,
+            ...this.stats
+        };
+    }
+}
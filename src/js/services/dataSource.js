@@ -0,0 +1,155 @@
+/**
+ * Data Source Service - Single entry point widgets use to load their data
+ *
+ * Which backend serves a resource (static JSON, REST, in-memory mock) is
+ * decided by configuration, so widgets only ever ask for a resource by name.
+ */
+
+import { StaticJsonAdapter, RestAdapter, MockAdapter } from './dataAdapters.js';
+
+export class DataSourceService {
+    constructor(config = {}, eventBus = null) {
+        this.eventBus = eventBus;
+        this.defaultAdapter = config.defaultAdapter || 'static';
+        this.resources = config.resources || {};
+        this.adapters = new Map();
+        this.lastLoaded = new Map();
+
+        const adapterOptions = config.adapters || {};
+        this.registerAdapter('static', new StaticJsonAdapter(adapterOptions.static));
+        this.registerAdapter('rest', new RestAdapter(adapterOptions.rest));
+        this.registerAdapter('mock', new MockAdapter(adapterOptions.mock));
+    }
+
+    /**
+     * Register (or replace) a named adapter
+     */
+    registerAdapter(name, adapter) {
+        if (!adapter || typeof adapter.load !== 'function') {
+            throw new Error(`Adapter "${name}" must implement load()`);
+        }
+        this.adapters.set(name, adapter);
+    }
+
+    /**
+     * Get a registered adapter by name
+     */
+    getAdapter(name) {
+        return this.adapters.get(name) || null;
+    }
+
+    /**
+     * Get the configuration for a resource
+     */
+    getResourceConfig(resource) {
+        return this.resources[resource] || {};
+    }
+
+    /**
+     * Route a resource to an adapter (e.g. point tickets at the help-desk API)
+     */
+    setResourceAdapter(resource, adapterName) {
+        this.resources[resource] = {
+            ...this.getResourceConfig(resource),
+            adapter: adapterName
+        };
+    }
+
+    /**
+     * Resolve the adapter responsible for a resource
+     */
+    resolveAdapter(resource) {
+        const adapterName = this.getResourceConfig(resource).adapter || this.defaultAdapter;
+        const adapter = this.adapters.get(adapterName);
+
+        if (!adapter) {
+            throw new Error(`Unknown data adapter "${adapterName}" for resource: ${resource}`);
+        }
+
+        return { adapter, adapterName };
+    }
+
+    /**
+     * Load all records for a resource
+     */
+    async load(resource) {
+        const { adapter, adapterName } = this.resolveAdapter(resource);
+        const data = await adapter.load(resource, this.getResourceConfig(resource));
+        const cacheInfo = typeof adapter.getCacheInfo === 'function' ? adapter.getCacheInfo(resource) : null;
+
+        this.lastLoaded.set(resource, { adapter: adapterName, loadedAt: Date.now(), cache: cacheInfo });
+
+        if (this.eventBus) {
+            this.eventBus.emit('data:loaded', resource, adapterName, cacheInfo);
+        }
+
+        return data;
+    }
+
+    /**
+     * How the last load of a resource was answered (network, cache, offline)
+     */
+    getCacheInfo(resource) {
+        const lastLoaded = this.lastLoaded.get(resource);
+        return lastLoaded ? lastLoaded.cache : null;
+    }
+
+    /**
+     * Create a record on the resource's backend
+     */
+    async create(resource, record) {
+        return this.mutate('create', resource, [record]);
+    }
+
+    /**
+     * Apply partial changes to a record
+     */
+    async update(resource, id, changes) {
+        return this.mutate('update', resource, [id, changes]);
+    }
+
+    /**
+     * Delete a record
+     */
+    async remove(resource, id) {
+        return this.mutate('remove', resource, [id]);
+    }
+
+    /**
+     * Forward a write to the responsible adapter
+     */
+    async mutate(operation, resource, args) {
+        const { adapter, adapterName } = this.resolveAdapter(resource);
+
+        if (typeof adapter[operation] !== 'function') {
+            throw new Error(`Data adapter "${adapterName}" does not support ${operation}()`);
+        }
+
+        const result = await adapter[operation](resource, ...args, this.getResourceConfig(resource));
+
+        if (this.eventBus) {
+            this.eventBus.emit('data:mutated', resource, operation, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        const resources = {};
+        Object.keys(this.resources).forEach(resource => {
+            resources[resource] = {
+                adapter: this.getResourceConfig(resource).adapter || this.defaultAdapter,
+                lastLoaded: this.lastLoaded.get(resource) || null
+            };
+        });
+
+        return {
+            defaultAdapter: this.defaultAdapter,
+            adapters: Array.from(this.adapters.keys()),
+            resources
+        };
+    }
+}
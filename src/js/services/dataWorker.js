@@ -0,0 +1,18 @@
+/**
+ * Data Worker - Runs utils/dataQuery.js operations for services/dataProcessor.js
+ *
+ * Loaded as a module worker. Receives `{ id, operation, payload }` and
+ * answers `{ id, result }`, or `{ id, error }` when the operation throws.
+ */
+
+import { runOperation } from '../utils/dataQuery.js';
+
+self.addEventListener('message', (event) => {
+    const { id, operation, payload } = event.data;
+
+    try {
+        self.postMessage({ id, result: runOperation(operation, payload) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
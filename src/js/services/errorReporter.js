@@ -0,0 +1,231 @@
+/**
+ * Error Reporter - Collects client errors and sends them in batches
+ *
+ * Captures `widget:error` events, uncaught errors (window `error`) and
+ * unhandled promise rejections, plus anything passed to captureException().
+ * Each report carries breadcrumbs: the last few EventBus events, clicks and
+ * user actions before the error, oldest first.
+ *
+ * Reports are queued and POSTed as `{ reports: [...] }` to `endpoint` once
+ * `batchSize` have piled up or `flushIntervalMs` after the first one; when
+ * the page is hidden the queue goes out with sendBeacon. Failed sends stay
+ * queued (up to `maxQueue`, oldest dropped first). Without an endpoint
+ * reports are only kept in memory - see the DevTools Services tab.
+ *
+ * `npm run collector` starts a local collector (server/collector.js) that
+ * groups reports by fingerprint: point `errorReporting.endpoint` at
+ * http://localhost:3002/reports and open http://localhost:3002 for counts.
+ *
+ * Events: `error:captured` (report)
+ */
+
+import { BatchSender } from '../utils/batchSender.js';
+
+const PREVIEW_LENGTH = 120;
+
+// Too frequent to say anything about what led to an error
+const IGNORED_BREADCRUMB_EVENTS = new Set(['widget:rendered', 'widget:timing', 'error:captured']);
+
+function preview(value) {
+    let text;
+    try {
+        text = typeof value === 'string' ? value : JSON.stringify(value);
+    } catch (error) {
+        text = String(value);
+    }
+    if (text === undefined) return '';
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Short description of a clicked element, e.g. `button.task-item__action "Approve"`
+ */
+function describeTarget(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const className = !id && element.classList.length > 0 ? `.${element.classList[0]}` : '';
+    const label = (element.getAttribute('aria-label') || element.textContent || '').replace(/\s+/g, ' ').trim();
+    return `${tag}${id}${className}${label ? ` "${label.slice(0, 40)}"` : ''}`;
+}
+
+export class ErrorReporter {
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.endpoint = options.endpoint || null;
+        this.batchSize = options.batchSize || 10;
+        this.flushIntervalMs = options.flushIntervalMs ?? 10000;
+        this.maxQueue = options.maxQueue || 100;
+        this.maxBreadcrumbs = options.maxBreadcrumbs || 30;
+        this.release = options.release || null;
+
+        this.breadcrumbs = [];
+        this.recent = [];          // last reports, kept for DevTools even after sending
+        this.sender = new BatchSender(this.endpoint, {
+            key: 'reports',
+            label: 'error reports',
+            batchSize: this.batchSize,
+            maxQueue: this.maxQueue,
+            retryMs: this.flushIntervalMs
+        });
+        this.subscriptions = [];
+        this.stats = { captured: 0 };
+
+        this.handleWindowError = this.handleWindowError.bind(this);
+        this.handleRejection = this.handleRejection.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Start listening; call before anything else so startup errors are caught
+     */
+    init() {
+        window.addEventListener('error', this.handleWindowError);
+        window.addEventListener('unhandledrejection', this.handleRejection);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.subscriptions.push(
+            this.eventBus.on('widget:error', (widgetClass, error) => {
+                this.captureException(error, { source: 'widget', widget: widgetClass });
+            }),
+            // Lowest priority: record the event after its listeners ran
+            this.eventBus.on('*', (eventName, ...args) => {
+                if (IGNORED_BREADCRUMB_EVENTS.has(eventName)) return;
+
+                if (eventName === 'user:action') {
+                    this.addBreadcrumb('action', args[0], args[1]);
+                } else {
+                    this.addBreadcrumb('event', eventName, args.length > 0 ? args : undefined);
+                }
+            }, { priority: Number.MIN_SAFE_INTEGER })
+        );
+
+        console.log(`🐞 Error reporting ${this.endpoint ? `to ${this.endpoint}` : 'in memory only'}`);
+    }
+
+    /**
+     * Record something that happened, for the next report
+     */
+    addBreadcrumb(type, message, data) {
+        const breadcrumb = { time: new Date().toISOString(), type, message: String(message) };
+        if (data !== undefined) {
+            breadcrumb.data = preview(data);
+        }
+
+        this.breadcrumbs.push(breadcrumb);
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    handleClick(event) {
+        const target = event.target instanceof Element
+            ? event.target.closest('button, a, input, select, textarea, [role], [data-widget]') || event.target
+            : null;
+        if (target) {
+            this.addBreadcrumb('click', describeTarget(target));
+        }
+    }
+
+    handleWindowError(event) {
+        // Failed <img>/<script> loads also fire `error`, without an ErrorEvent
+        if (!event.message && !event.error) return;
+
+        this.captureException(event.error || event.message, {
+            source: 'window',
+            location: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : null
+        });
+    }
+
+    handleRejection(event) {
+        this.captureException(event.reason, { source: 'promise' });
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flush({ beacon: true });
+        }
+    }
+
+    /**
+     * Report an error (or any thrown value); returns the queued report
+     */
+    captureException(error, { source = 'manual', widget = null, ...context } = {}) {
+        const isError = error instanceof Error;
+        const report = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            source,
+            widget,
+            name: isError ? error.name : 'Error',
+            message: isError ? error.message : preview(error) || 'Unknown error',
+            stack: isError && error.stack ? error.stack : null,
+            status: isError && error.status !== undefined ? error.status : undefined,
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            release: this.release,
+            context,
+            breadcrumbs: [...this.breadcrumbs]
+        };
+
+        this.stats.captured++;
+        this.recent.push(report);
+        if (this.recent.length > 20) {
+            this.recent.shift();
+        }
+
+        this.enqueue(report);
+        this.eventBus.emit('error:captured', report);
+        return report;
+    }
+
+    enqueue(report) {
+        if (!this.endpoint) return;
+
+        this.sender.add(report);
+        if (this.sender.hasFullBatch()) {
+            this.flush();
+        } else {
+            this.sender.scheduleFlush();
+        }
+    }
+
+    /**
+     * Send queued reports; resolves to false when they stay queued
+     */
+    flush({ beacon = false } = {}) {
+        return this.sender.flush({ beacon });
+    }
+
+    destroy() {
+        this.flush({ beacon: true });
+        this.sender.destroy();
+
+        window.removeEventListener('error', this.handleWindowError);
+        window.removeEventListener('unhandledrejection', this.handleRejection);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.subscriptions.forEach(subscription => subscription.unsubscribe());
+        this.subscriptions = [];
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            endpoint: this.endpoint,
+            queued: this.sender.queue.length,
+            ...this.stats,
+            ...this.sender.stats,
+            breadcrumbs: this.breadcrumbs.length,
+            recent: this.recent.map(report => ({
+                timestamp: report.timestamp,
+                source: report.source,
+                widget: report.widget,
+                message: `${report.name}: ${report.message}`
+            }))
+        };
+    }
+}
@@ -1,90 +1,139 @@
 /**
- * Event Bus - Simple pub/sub system for widget communication
+ * Event Bus - Pub/sub system for widget and service communication
+ *
+ *   const subscription = eventBus.on('task:approved', (task) => { ... });
+ *   subscription.unsubscribe();
+ *
+ * - Patterns: `task:*` receives every `task:` event (including deeper names
+ *   such as `task:comment:added`), `*:error` every two-part name ending in
+ *   `:error`, and `*` everything. Pattern listeners get the event name first:
+ *   `(eventName, ...args)`.
+ * - Priority: `on(name, callback, { priority: 10 })` - higher runs first,
+ *   equal priorities run in subscription order.
+ * - `emitAsync()` runs listeners in the same order, awaiting each one that
+ *   returns a promise.
+ * - Replay: with `replayLimit` set, the last N events are kept and
+ *   `on(name, callback, { replay: true })` receives the matching ones straight
+ *   away, for subscribers that start after the events happened.
+ *
+ * Going past `maxListeners` for one name logs a leak warning but still
+ * subscribes.
+ *
+ * With `validate` on (development), every emit is checked against the event
+ * catalogue (see eventCatalogue.js): unknown names and payloads that don't
+ * match their contract log a warning, once per problem.
  */
 
+import { validatePayload, generateEventReference } from './eventCatalogue.js';
+
 export class EventBus {
-    constructor() {
-        this.events = new Map();
-        this.maxListeners = 50; // Prevent memory leaks
+    constructor(options = {}) {
+        this.events = new Map();    // exact name -> [listener]
+        this.wildcards = new Map(); // pattern -> { regex, listeners: [listener] }
+        this.maxListeners = options.maxListeners || 50; // Warn about likely leaks
+        this.warnedNames = new Set();
+        this.replayLimit = options.replayLimit || 0;
+        this.replayBuffer = [];
+        this.sequence = 0;
+        this.catalogue = { ...(options.catalogue || {}) };
+        this.validate = !!options.validate;
+        this.reportedProblems = new Set();
     }
 
     /**
-     * Subscribe to an event
+     * Subscribe to an event name or pattern
+     * Options: { priority = 0, once = false, replay = false }
+     * Returns a subscription handle with unsubscribe()
      */
-    on(eventName, callback) {
+    on(eventName, callback, options = {}) {
         if (typeof callback !== 'function') {
             throw new Error('Callback must be a function');
         }
 
-        if (!this.events.has(eventName)) {
-            this.events.set(eventName, []);
+        const { priority = 0, once = false, replay = false } = options;
+        const listener = {
+            eventName,
+            callback,
+            priority,
+            once,
+            isPattern: EventBus.isPattern(eventName),
+            order: this.sequence++,
+            active: true
+        };
+
+        const listeners = this.getListenerList(eventName, true);
+        listeners.push(listener);
+
+        if (listeners.length > this.maxListeners && !this.warnedNames.has(eventName)) {
+            this.warnedNames.add(eventName);
+            console.warn(`⚠️ ${listeners.length} listeners for '${eventName}' (max ${this.maxListeners}) - possible leak. Raise it with setMaxListeners() if intended.`);
         }
 
-        const listeners = this.events.get(eventName);
-        
-        if (listeners.length >= this.maxListeners) {
-            console.warn(`Maximum listeners (${this.maxListeners}) reached for event: ${eventName}`);
-            return false;
+        const subscription = {
+            eventName,
+            get active() {
+                return listener.active;
+            },
+            unsubscribe: () => this.removeListener(listener)
+        };
+
+        if (replay) {
+            this.replayTo(listener);
         }
 
-        listeners.push(callback);
-        return true;
+        return subscription;
     }
 
     /**
      * Subscribe to an event only once
      */
-    once(eventName, callback) {
-        const onceWrapper = (...args) => {
-            callback(...args);
-            this.off(eventName, onceWrapper);
-        };
-        
-        return this.on(eventName, onceWrapper);
+    once(eventName, callback, options = {}) {
+        return this.on(eventName, callback, { ...options, once: true });
     }
 
     /**
-     * Unsubscribe from an event
+     * Unsubscribe a callback from an event name or pattern
      */
     off(eventName, callback) {
-        if (!this.events.has(eventName)) {
+        const listeners = this.getListenerList(eventName);
+        const listener = listeners && listeners.find(item => item.callback === callback);
+
+        return listener ? this.removeListener(listener) : false;
+    }
+
+    removeListener(listener) {
+        if (!listener.active) {
             return false;
         }
 
-        const listeners = this.events.get(eventName);
-        const index = listeners.indexOf(callback);
-        
+        const listeners = this.getListenerList(listener.eventName);
+        const index = listeners ? listeners.indexOf(listener) : -1;
+        listener.active = false;
+
         if (index > -1) {
             listeners.splice(index, 1);
-            
+
             // Clean up empty event arrays
             if (listeners.length === 0) {
-                this.events.delete(eventName);
+                this.removeAllListeners(listener.eventName);
             }
-            
-            return true;
         }
-        
-        return false;
+
+        return index > -1;
     }
 
     /**
      * Emit an event
+     * Returns true if at least one listener ran without throwing
      */
     emit(eventName, ...args) {
-        if (!this.events.has(eventName)) {
-            return false;
-        }
+        this.checkEvent(eventName, args);
+        this.remember(eventName, args);
 
-        const listeners = this.events.get(eventName);
         let successCount = 0;
-
-        // Create a copy of listeners to avoid issues if listeners are modified during emission
-        const listenersCopy = [...listeners];
-
-        listenersCopy.forEach(callback => {
+        this.getMatchingListeners(eventName).forEach(listener => {
             try {
-                callback(...args);
+                this.invoke(listener, eventName, args);
                 successCount++;
             } catch (error) {
                 console.error(`Error in event listener for '${eventName}':`, error);
@@ -95,33 +144,233 @@ export class EventBus {
     }
 
     /**
-     * Remove all listeners for an event
+     * Emit an event, awaiting listeners that return promises one after another
+     * Resolves to true if at least one listener succeeded
+     */
+    async emitAsync(eventName, ...args) {
+        this.checkEvent(eventName, args);
+        this.remember(eventName, args);
+
+        let successCount = 0;
+        for (const listener of this.getMatchingListeners(eventName)) {
+            try {
+                await this.invoke(listener, eventName, args);
+                successCount++;
+            } catch (error) {
+                console.error(`Error in async event listener for '${eventName}':`, error);
+            }
+        }
+
+        return successCount > 0;
+    }
+
+    /**
+     * Call a listener, dropping it first if it was a once() subscription
+     */
+    invoke(listener, eventName, args) {
+        if (!listener.active) return undefined;
+
+        if (listener.once) {
+            this.removeListener(listener);
+        }
+
+        return listener.isPattern
+            ? listener.callback(eventName, ...args)
+            : listener.callback(...args);
+    }
+
+    /**
+     * Exact and pattern listeners for an event, in priority order
+     * (a copy, so listeners can subscribe/unsubscribe while it is emitted)
+     */
+    getMatchingListeners(eventName) {
+        const matching = [...(this.events.get(eventName) || [])];
+
+        this.wildcards.forEach(({ regex, listeners }) => {
+            if (regex.test(eventName)) {
+                matching.push(...listeners);
+            }
+        });
+
+        return matching.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    getListenerList(eventName, create = false) {
+        if (EventBus.isPattern(eventName)) {
+            if (!this.wildcards.has(eventName) && create) {
+                this.wildcards.set(eventName, { regex: EventBus.compilePattern(eventName), listeners: [] });
+            }
+            const entry = this.wildcards.get(eventName);
+            return entry ? entry.listeners : null;
+        }
+
+        if (!this.events.has(eventName) && create) {
+            this.events.set(eventName, []);
+        }
+        return this.events.get(eventName) || null;
+    }
+
+    static isPattern(eventName) {
+        return eventName.includes('*');
+    }
+
+    /**
+     * `task:*` -> /^task:.+$/, `*:error` -> /^[^:]+:error$/, `*` -> /^.+$/
+     */
+    static compilePattern(pattern) {
+        const segments = pattern.split(':');
+        const source = segments.map((segment, index) => {
+            if (segment === '*') {
+                return index === segments.length - 1 ? '.+' : '[^:]+';
+            }
+            return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^:]*');
+        }).join(':');
+
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Declare an event and its payload contract (see eventCatalogue.js)
+     */
+    defineEvent(eventName, definition) {
+        if (EventBus.isPattern(eventName)) {
+            throw new Error(`Event definitions need an exact name, got '${eventName}'`);
+        }
+        this.catalogue[eventName] = { payload: [], ...definition };
+    }
+
+    getEventDefinition(eventName) {
+        return this.catalogue[eventName] || null;
+    }
+
+    /**
+     * Warn about unknown events and payloads that break their contract
+     */
+    checkEvent(eventName, args) {
+        if (!this.validate) return;
+
+        const definition = this.catalogue[eventName];
+        const problems = definition
+            ? validatePayload(definition, args)
+            : ['is not in the event catalogue - declare it with eventBus.defineEvent()'];
+
+        problems.forEach(problem => {
+            const message = `'${eventName}' ${definition ? 'payload: ' : ''}${problem}`;
+            if (this.reportedProblems.has(message)) return;
+
+            this.reportedProblems.add(message);
+            console.warn(`⚠️ Event ${message}`, args);
+        });
+
+        if (definition && definition.deprecated) {
+            const message = `'${eventName}' is deprecated`;
+            if (!this.reportedProblems.has(message)) {
+                this.reportedProblems.add(message);
+                console.warn(`⚠️ Event ${message}: ${definition.deprecated}`);
+            }
+        }
+    }
+
+    setValidation(enabled) {
+        this.validate = !!enabled;
+        this.reportedProblems.clear();
+    }
+
+    /**
+     * Markdown reference of every declared event, including plugin events
+     */
+    generateReference() {
+        return generateEventReference(this.catalogue);
+    }
+
+    /**
+     * Keep the event for late subscribers
+     */
+    remember(eventName, args) {
+        if (this.replayLimit === 0) return;
+
+        this.replayBuffer.push({ eventName, args, emittedAt: Date.now() });
+        if (this.replayBuffer.length > this.replayLimit) {
+            this.replayBuffer.shift();
+        }
+    }
+
+    /**
+     * Deliver buffered events matching a new listener, oldest first
+     */
+    replayTo(listener) {
+        const regex = listener.isPattern ? EventBus.compilePattern(listener.eventName) : null;
+        const matching = this.replayBuffer.filter(event => regex
+            ? regex.test(event.eventName)
+            : event.eventName === listener.eventName);
+
+        // A once() listener only needs the latest one
+        const events = listener.once ? matching.slice(-1) : matching;
+
+        events.forEach(event => {
+            try {
+                this.invoke(listener, event.eventName, event.args);
+            } catch (error) {
+                console.error(`Error replaying '${event.eventName}' to a late listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Keep the last `limit` events for replay (0 turns replay off)
+     */
+    setReplayLimit(limit) {
+        if (typeof limit !== 'number' || limit < 0) {
+            throw new Error('Replay limit must be zero or a positive number');
+        }
+        this.replayLimit = limit;
+        this.replayBuffer = limit === 0 ? [] : this.replayBuffer.slice(-limit);
+    }
+
+    /**
+     * Buffered events, oldest first: [{ eventName, args, emittedAt }]
+     */
+    getRecentEvents() {
+        return this.replayBuffer.map(event => ({ ...event }));
+    }
+
+    /**
+     * Remove all listeners for an event name or pattern
      */
     removeAllListeners(eventName) {
         if (eventName) {
-            return this.events.delete(eventName);
+            const listeners = this.getListenerList(eventName) || [];
+            listeners.forEach(listener => {
+                listener.active = false;
+            });
+            return EventBus.isPattern(eventName)
+                ? this.wildcards.delete(eventName)
+                : this.events.delete(eventName);
         } else {
             // Remove all listeners for all events
+            [...this.events.values(), ...Array.from(this.wildcards.values(), entry => entry.listeners)]
+                .forEach(listeners => listeners.forEach(listener => {
+                    listener.active = false;
+                }));
             this.events.clear();
+            this.wildcards.clear();
             return true;
         }
     }
 
     /**
-     * Get listener count for an event
+     * Get listener count for an event name or pattern
      */
     listenerCount(eventName) {
-        if (!this.events.has(eventName)) {
-            return 0;
-        }
-        return this.events.get(eventName).length;
+        const listeners = this.getListenerList(eventName);
+        return listeners ? listeners.length : 0;
     }
 
     /**
-     * Get all event names
+     * Get all subscribed event names and patterns
      */
     eventNames() {
-        return Array.from(this.events.keys());
+        return [...this.events.keys(), ...this.wildcards.keys()];
     }
 
     /**
@@ -132,21 +381,36 @@ export class EventBus {
         this.events.forEach((listeners, eventName) => {
             info[eventName] = listeners.length;
         });
+        const patterns = {};
+        this.wildcards.forEach(({ listeners }, pattern) => {
+            patterns[pattern] = listeners.length;
+        });
         return {
             totalEvents: this.events.size,
             events: info,
-            maxListeners: this.maxListeners
+            patterns,
+            maxListeners: this.maxListeners,
+            validation: {
+                enabled: this.validate,
+                declaredEvents: Object.keys(this.catalogue).length,
+                problems: Array.from(this.reportedProblems)
+            },
+            replay: {
+                limit: this.replayLimit,
+                buffered: this.replayBuffer.length
+            }
         };
     }
 
     /**
-     * Set maximum listeners per event
+     * Set the per-event listener count above which a leak warning is logged
      */
     setMaxListeners(max) {
         if (typeof max !== 'number' || max < 1) {
             throw new Error('Max listeners must be a positive number');
         }
         this.maxListeners = max;
+        this.warnedNames.clear();
     }
 
     // Convenience methods for common dashboard events
@@ -0,0 +1,483 @@
+/**
+ * Event Catalogue - Every EventBus event with its payload contract
+ *
+ * Each entry lists the arguments passed to `emit()` in order:
+ *
+ *   'task:approved': {
+ *       description: 'A task was approved',
+ *       emittedBy: 'widgets/tasks.js',
+ *       payload: [
+ *           { name: 'task', type: 'object', shape: { id: 'string', title: 'string' } }
+ *       ]
+ *   }
+ *
+ * Types are `string`, `number`, `boolean`, `object`, `array`, `function`,
+ * `error`, `null` or `any`, combined with `|` (e.g. `string|null`). `shape`
+ * lists fields an object must have; a trailing `?` makes a field optional.
+ * Arguments marked `optional: true` may be left out.
+ *
+ * In development the EventBus checks payloads against this catalogue and
+ * warns about names it doesn't know. Plugins declare their own events with
+ * `eventBus.defineEvent()` or an `events` map in their widget definition.
+ * docs/events.md is generated from this file (`npm run docs:events`).
+ */
+
+const TASK_SHAPE = { id: 'string|number', title: 'string', status: 'string' };
+const TICKET_SHAPE = { id: 'string|number', title: 'string', status: 'string' };
+const PREFERENCES_SHAPE = { theme: 'string', widgetOrder: 'array', hiddenWidgets: 'array', autoRefresh: 'boolean' };
+const OUTBOX_ENTRY_SHAPE = { id: 'string', resource: 'string', operation: 'string', label: 'string', attempts: 'number' };
+const COMMAND_SHAPE = { label: 'string', undo: 'function', redo: 'function|null', recordedAt: 'number' };
+
+const taskEvent = (description) => ({
+    description,
+    emittedBy: 'widgets/tasks.js',
+    payload: [{ name: 'task', type: 'object', description: 'The task after the change', shape: TASK_SHAPE }]
+});
+
+const ticketEvent = (description) => ({
+    description,
+    emittedBy: 'widgets/tickets.js',
+    payload: [{ name: 'ticket', type: 'object', description: 'The ticket after the change', shape: TICKET_SHAPE }]
+});
+
+export const eventCatalogue = {
+    // Widgets
+    'widget:registered': {
+        description: 'A widget definition was added to the registry (built-in or plugin).',
+        emittedBy: 'widgets/registry.js',
+        payload: [
+            { name: 'widgetName', type: 'string' },
+            { name: 'definition', type: 'object', description: 'Normalized widget definition', shape: { name: 'string', title: 'string', container: 'string' } }
+        ]
+    },
+    'widget:refreshed': {
+        description: 'A widget finished loading and rendering its data.',
+        emittedBy: 'widgets/baseWidget.js',
+        payload: [{ name: 'widgetClass', type: 'string', description: 'Widget class name, e.g. `TasksWidget`' }]
+    },
+    'widget:rendered': {
+        description: 'A widget rendered, whether after a refresh, a user action or a clock change.',
+        emittedBy: 'widgets/baseWidget.js',
+        payload: [
+            { name: 'widgetName', type: 'string', description: 'Registry name (class name if created outside the registry)' },
+            { name: 'container', type: 'object', description: 'The element the widget renders into' }
+        ]
+    },
+    'widget:timing': {
+        description: 'A widget finished its init, a render or a refresh. Recorded by services/performanceMonitor.js.',
+        emittedBy: 'widgets/baseWidget.js',
+        payload: [
+            { name: 'widgetName', type: 'string', description: 'Registry name (class name if created outside the registry)' },
+            { name: 'phase', type: 'string', description: '`init`, `render` or `refresh`' },
+            { name: 'durationMs', type: 'number' }
+        ]
+    },
+    'widget:error': {
+        description: 'A widget failed to load or render. Reported by services/errorReporter.js.',
+        emittedBy: 'widgets/baseWidget.js',
+        payload: [
+            { name: 'widgetClass', type: 'string' },
+            { name: 'error', type: 'error' }
+        ]
+    },
+    'widget:refresh-requested': {
+        description: 'Ask for a widget to be refreshed now. Handled by main.js through the refresh scheduler.',
+        emittedBy: 'Widgets and plugins',
+        payload: [{ name: 'widgetName', type: 'string' }]
+    },
+    'widget:reorder': {
+        description: 'Ask for a new widget order. Handled by services/customization.js.',
+        emittedBy: 'Widgets and plugins',
+        payload: [{ name: 'widgetOrder', type: 'array', description: 'Widget names, first to last' }]
+    },
+    'widget:visibility-changed': {
+        description: 'Ask for a widget to be shown or hidden. Handled by services/customization.js.',
+        emittedBy: 'Widgets and plugins',
+        payload: [
+            { name: 'widgetName', type: 'string' },
+            { name: 'visible', type: 'boolean' }
+        ]
+    },
+
+    // Tasks and tickets
+    'task:approved': taskEvent('A task was approved. The change may still be queued in the outbox.'),
+    'task:rejected': taskEvent('A task was rejected. The change may still be queued in the outbox.'),
+    'task:completed': taskEvent('A task was marked complete. The change may still be queued in the outbox.'),
+    'task:restored': taskEvent('A task change was undone and the task is back in its previous state.'),
+    'ticket:started': ticketEvent('Work started on a ticket. The change may still be queued in the outbox.'),
+    'ticket:resolved': ticketEvent('A ticket was resolved. The change may still be queued in the outbox.'),
+    'ticket:restored': ticketEvent('A ticket change was undone and the ticket is back in its previous state.'),
+
+    // Announcements
+    'announcement:dismissed': {
+        description: 'The user dismissed an announcement.',
+        emittedBy: 'widgets/announcements.js',
+        payload: [{ name: 'announcementId', type: 'string|number' }]
+    },
+    'announcement:restored': {
+        description: 'A dismissal was undone and the announcement is shown again.',
+        emittedBy: 'widgets/announcements.js',
+        payload: [{ name: 'announcementId', type: 'string|number' }]
+    },
+
+    // Preferences and theme
+    'preferences:changed': {
+        description: 'Preferences were changed and saved in this tab.',
+        emittedBy: 'services/customization.js',
+        payload: [{ name: 'preferences', type: 'object', shape: PREFERENCES_SHAPE }]
+    },
+    'preferences:synced': {
+        description: 'Preferences changed in another tab and were applied here.',
+        emittedBy: 'services/customization.js',
+        payload: [{ name: 'preferences', type: 'object', shape: PREFERENCES_SHAPE }]
+    },
+    'preferences:reset': {
+        description: 'Preferences were reset to their defaults.',
+        emittedBy: 'services/customization.js',
+        payload: []
+    },
+    'theme:applied': {
+        description: 'A theme was applied to the page.',
+        emittedBy: 'services/customization.js',
+        payload: [{ name: 'theme', type: 'string', description: '`light` or `dark` (`auto` is resolved first)' }]
+    },
+    'theme:change-requested': {
+        description: 'Ask for a different theme. Handled by services/customization.js.',
+        emittedBy: 'Widgets and plugins',
+        payload: [{ name: 'theme', type: 'string', description: '`light`, `dark` or `auto`' }]
+    },
+    'auto-refresh:toggled': {
+        description: 'Auto-refresh was switched on or off in the settings panel.',
+        emittedBy: 'services/customization.js',
+        payload: [{ name: 'enabled', type: 'boolean' }]
+    },
+
+    // Data
+    'data:loaded': {
+        description: 'A resource was loaded through the DataSource.',
+        emittedBy: 'services/dataSource.js',
+        payload: [
+            { name: 'resource', type: 'string' },
+            { name: 'adapterName', type: 'string' },
+            { name: 'cacheInfo', type: 'object|null', description: 'Whether the service worker answered from its cache', shape: { fromCache: 'boolean', offline: 'boolean' } }
+        ]
+    },
+    'data:mutated': {
+        description: 'A create, update or remove reached the data adapter.',
+        emittedBy: 'services/dataSource.js',
+        payload: [
+            { name: 'resource', type: 'string' },
+            { name: 'operation', type: 'string', description: '`create`, `update` or `remove`' },
+            { name: 'result', type: 'any', description: 'What the adapter returned' }
+        ]
+    },
+    'data:patch': {
+        description: 'The server pushed a change to one record.',
+        emittedBy: 'services/realtime.js',
+        payload: [
+            { name: 'resource', type: 'string' },
+            { name: 'patch', type: 'object', shape: { op: 'string', id: 'any?', data: 'any?' } }
+        ]
+    },
+
+    // Storage
+    'storage:changed': {
+        description: 'Another tab changed a stored key. `key` is null when storage was cleared.',
+        emittedBy: 'services/storage.js',
+        payload: [
+            { name: 'key', type: 'string|null' },
+            { name: 'value', type: 'any', description: 'New value, null when removed' },
+            { name: 'details', type: 'object', shape: { type: 'string', updatedAt: 'number', sourceTab: 'string' } }
+        ]
+    },
+
+    // Clock
+    'clock:changed': {
+        description: 'The dashboard clock moved to another moment, or back to the real time. Widgets re-render.',
+        emittedBy: 'services/clock.js',
+        payload: [
+            { name: 'now', type: 'string', description: 'The new dashboard time (ISO 8601)' },
+            { name: 'traveling', type: 'boolean', description: 'false when the clock shows the real time' }
+        ]
+    },
+    'locale:changed': {
+        description: 'The page language changed (settings panel, ?lang= or another tab). Widgets re-render in it.',
+        emittedBy: 'services/i18n.js',
+        payload: [
+            { name: 'locale', type: 'string', description: 'The new locale, e.g. `de`' },
+            { name: 'previousLocale', type: 'string' }
+        ]
+    },
+
+    // Accessibility
+    'a11y:audited': {
+        description: 'A widget was audited after rendering. Only emitted while widget audits are on (`accessibility.auditWidgets`).',
+        emittedBy: 'utils/a11yAudit.js',
+        payload: [
+            { name: 'widgetName', type: 'string' },
+            { name: 'report', type: 'object', shape: { target: 'string', summary: 'object', violations: 'array' } }
+        ]
+    },
+
+    // Errors
+    'error:captured': {
+        description: 'An error was captured for reporting (widget error, uncaught error, unhandled rejection or `captureException()`).',
+        emittedBy: 'services/errorReporter.js',
+        payload: [
+            { name: 'report', type: 'object', shape: { id: 'string', source: 'string', name: 'string', message: 'string', breadcrumbs: 'array' } }
+        ]
+    },
+
+    // Performance
+    'performance:budget-exceeded': {
+        description: 'A web vital, long task or widget timing went over its budget (`performance.budgets`). Each web vital is reported once per page view.',
+        emittedBy: 'services/performanceMonitor.js',
+        payload: [
+            { name: 'violation', type: 'object', shape: { metric: 'string', widget: 'string|null', value: 'number', budget: 'number', time: 'string' } }
+        ]
+    },
+
+    // Network, refresh and push
+    'network:online': {
+        description: 'The browser went back online.',
+        emittedBy: 'services/realtime.js',
+        payload: []
+    },
+    'network:offline': {
+        description: 'The browser went offline.',
+        emittedBy: 'services/realtime.js',
+        payload: []
+    },
+    'realtime:status-changed': {
+        description: 'The server push connection changed state.',
+        emittedBy: 'services/realtime.js',
+        payload: [{ name: 'status', type: 'string', description: '`connecting`, `connected`, `reconnecting` or `closed`' }]
+    },
+    'scheduler:run-completed': {
+        description: 'A scheduled widget refresh finished.',
+        emittedBy: 'services/scheduler.js',
+        payload: [
+            { name: 'jobName', type: 'string' },
+            { name: 'result', type: 'string', description: '`success` or `failure`' },
+            { name: 'reason', type: 'string', description: 'What triggered the run, e.g. `interval` or `manual`' }
+        ]
+    },
+
+    // Outbox
+    'outbox:changed': {
+        description: 'The queue of unsent changes changed.',
+        emittedBy: 'services/outbox.js',
+        payload: [{ name: 'status', type: 'object', shape: { pending: 'number', syncing: 'boolean', online: 'boolean', lastError: 'string|null', labels: 'array' } }]
+    },
+    'outbox:sent': {
+        description: 'A queued change was accepted by the server.',
+        emittedBy: 'services/outbox.js',
+        payload: [
+            { name: 'entry', type: 'object', shape: OUTBOX_ENTRY_SHAPE },
+            { name: 'result', type: 'any', description: 'The saved record' }
+        ]
+    },
+    'outbox:failed': {
+        description: 'A queued change was refused and dropped; the widget rolls it back.',
+        emittedBy: 'services/outbox.js',
+        payload: [
+            { name: 'entry', type: 'object', shape: OUTBOX_ENTRY_SHAPE },
+            { name: 'error', type: 'error' }
+        ]
+    },
+
+    // Undo and redo
+    'command:recorded': {
+        description: 'An undoable action was recorded.',
+        emittedBy: 'services/commandStack.js',
+        payload: [{ name: 'command', type: 'object', shape: COMMAND_SHAPE }]
+    },
+    'command:undone': {
+        description: 'An action was undone.',
+        emittedBy: 'services/commandStack.js',
+        payload: [{ name: 'command', type: 'object', shape: COMMAND_SHAPE }]
+    },
+    'command:redone': {
+        description: 'An undone action was performed again.',
+        emittedBy: 'services/commandStack.js',
+        payload: [{ name: 'command', type: 'object', shape: COMMAND_SHAPE }]
+    },
+
+    // Keyboard
+    'escape-pressed': {
+        description: 'Escape was pressed outside any text field; open menus and dialogs should close.',
+        emittedBy: 'main.js',
+        payload: []
+    },
+
+    // EventBus convenience methods
+    'widget:refresh': {
+        description: 'Emitted by `eventBus.refreshWidget()`. Nothing listens to it.',
+        emittedBy: 'services/eventBus.js',
+        deprecated: 'Emit `widget:refresh-requested` instead.',
+        payload: [{ name: 'widgetName', type: 'string' }]
+    },
+    'data:updated': {
+        description: 'Emitted by `eventBus.dataUpdated()`.',
+        emittedBy: 'services/eventBus.js',
+        deprecated: 'Listen to `data:loaded` or `data:mutated` instead.',
+        payload: [
+            { name: 'dataType', type: 'string' },
+            { name: 'data', type: 'any' }
+        ]
+    },
+    'user:action': {
+        description: 'Emitted by `eventBus.userAction()`.',
+        emittedBy: 'services/eventBus.js',
+        payload: [
+            { name: 'action', type: 'string' },
+            { name: 'data', type: 'any', optional: true }
+        ]
+    },
+    'theme:changed': {
+        description: 'Emitted by `eventBus.themeChanged()`.',
+        emittedBy: 'services/eventBus.js',
+        deprecated: 'Listen to `theme:applied` instead.',
+        payload: [{ name: 'theme', type: 'string' }]
+    }
+};
+
+/**
+ * Check one value against a type such as `string|null`
+ */
+export function matchesType(value, type) {
+    return type.split('|').some(option => {
+        switch (option.trim()) {
+            case 'any':
+                return true;
+            case 'null':
+                return value === null;
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'error':
+                return value instanceof Error;
+            default:
+                return typeof value === option.trim();
+        }
+    });
+}
+
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Error) return 'error';
+    return typeof value;
+}
+
+/**
+ * Check emitted arguments against an event definition; returns a list of
+ * problems (empty when the payload is valid)
+ */
+export function validatePayload(definition, args) {
+    const problems = [];
+    const payload = definition.payload || [];
+
+    payload.forEach((argument, index) => {
+        const value = args[index];
+
+        if (value === undefined) {
+            if (!argument.optional) {
+                problems.push(`missing argument ${index + 1} (${argument.name}: ${argument.type})`);
+            }
+            return;
+        }
+
+        if (!matchesType(value, argument.type)) {
+            problems.push(`${argument.name} should be ${argument.type}, got ${describeValue(value)}`);
+            return;
+        }
+
+        if (argument.shape && matchesType(value, 'object')) {
+            Object.entries(argument.shape).forEach(([field, fieldType]) => {
+                const optional = fieldType.endsWith('?');
+                const type = optional ? fieldType.slice(0, -1) : fieldType;
+
+                if (!(field in value)) {
+                    if (!optional) problems.push(`${argument.name}.${field} is missing`);
+                } else if (!matchesType(value[field], type)) {
+                    problems.push(`${argument.name}.${field} should be ${type}, got ${describeValue(value[field])}`);
+                }
+            });
+        }
+    });
+
+    if (args.length > payload.length) {
+        problems.push(`expected ${payload.length} argument${payload.length !== 1 ? 's' : ''}, got ${args.length}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Markdown reference of a catalogue, grouped by namespace (the part before `:`)
+ */
+export function generateEventReference(catalogue = eventCatalogue) {
+    const groups = new Map();
+    Object.keys(catalogue).sort().forEach(eventName => {
+        const namespace = eventName.includes(':') ? eventName.split(':')[0] : 'other';
+        if (!groups.has(namespace)) groups.set(namespace, []);
+        groups.get(namespace).push(eventName);
+    });
+
+    const lines = [
+        '# Event Reference',
+        '',
+        '<!-- Generated from src/js/services/eventCatalogue.js by `npm run docs:events` - do not edit by hand -->',
+        '',
+        'Widgets, services and plugins communicate through `services.eventBus`.',
+        'Listeners receive the arguments below in order:',
+        '',
+        '```javascript',
+        "this.listen('task:approved', (task) => { ... });",
+        '```',
+        '',
+        'In development (localhost or `?debug=1`) the bus warns when a payload',
+        "doesn't match or an event isn't listed here. Plugins declare their own",
+        'events with an `events` map in their widget definition or with',
+        '`eventBus.defineEvent(name, definition)`.',
+        ''
+    ];
+
+    groups.forEach((eventNames, namespace) => {
+        lines.push(`## ${namespace}`, '');
+
+        eventNames.forEach(eventName => {
+            const definition = catalogue[eventName];
+            lines.push(`### \`${eventName}\``, '');
+
+            if (definition.deprecated) {
+                lines.push(`**Deprecated.** ${definition.deprecated}`, '');
+            }
+            lines.push(definition.description || '', '');
+            if (definition.emittedBy) {
+                lines.push(`Emitted by: ${definition.emittedBy}`, '');
+            }
+
+            const payload = definition.payload || [];
+            if (payload.length === 0) {
+                lines.push('No arguments.', '');
+                return;
+            }
+
+            lines.push('| # | Argument | Type | Description |', '|---|----------|------|-------------|');
+            payload.forEach((argument, index) => {
+                const fields = argument.shape
+                    ? Object.entries(argument.shape).map(([field, type]) => `\`${field}\`: ${type}`).join(', ')
+                    : '';
+                const description = [argument.description, fields && `Fields: ${fields}`].filter(Boolean).join('. ');
+                const type = `${argument.type}${argument.optional ? ' (optional)' : ''}`.replace(/\|/g, '\\|');
+                lines.push(`| ${index + 1} | \`${argument.name}\` | ${type} | ${description.replace(/\|/g, '\\|')} |`);
+            });
+            lines.push('');
+        });
+    });
+
+    return lines.join('\n');
+}
@@ -0,0 +1,273 @@
+/**
+ * I18n Service - Translated messages and locale-aware formatting
+ *
+ * Messages live in locale packs (src/js/locales/*.js) and use the ICU
+ * MessageFormat syntax (see utils/messageFormat.js):
+ *
+ *   i18n.t('calendar.eventCount', { count: 3 })   // "3 events", "3 Termine"
+ *   i18n.formatCurrency(1247.5, 'USD')              // "$1,247.50", "1.247,50 $"
+ *
+ * English is built in and works before init(); other packs load on demand.
+ * init() picks the locale from ?lang=, the saved choice (storage key
+ * `locale`) or the browser languages, in that order. A message missing
+ * from the active pack falls back to English, and a key missing from
+ * English too is shown as is. Markup in index.html is translated through
+ * `data-i18n="key"` (text) and `data-i18n-aria-label`, `-title`,
+ * `-placeholder` and `-content` attributes; see translatePage(). The page
+ * gets the pack's `lang` and `dir`, so right-to-left packs (ar, he) mirror
+ * the layout through the CSS logical properties in main.css.
+ *
+ * Events: `locale:changed` (locale, previousLocale)
+ */
+
+import en from '../locales/en.js';
+import { localePacks } from '../locales/index.js';
+import { parseMessage, formatParts, getNumberFormat } from '../utils/messageFormat.js';
+
+const STORAGE_KEY = 'locale';
+const TRANSLATED_ATTRIBUTES = ['aria-label', 'title', 'placeholder', 'content'];
+
+export class I18nService {
+    constructor(storage = null, eventBus = null, options = {}) {
+        this.storage = storage;
+        this.eventBus = eventBus;
+        this.defaultLocale = options.defaultLocale || 'en';
+        this.locales = (options.locales || Object.keys(localePacks)).filter(locale => localePacks[locale]);
+        this.currency = options.currency || 'USD';
+
+        this.packs = new Map([[en.locale, en]]);
+        this.pack = en;
+        this.localeVersion = 0;
+        this.compiled = new Map(); // 'locale:key' -> parsed message, or null if it didn't parse
+        this.fallbacks = new Set(); // 'locale:key' shown in English
+        this.missing = new Set(); // keys no pack has
+    }
+
+    get locale() {
+        return this.pack.locale;
+    }
+
+    /**
+     * BCP 47 tag the Intl formatters use, e.g. 'de-DE'
+     */
+    get intlLocale() {
+        return this.pack.intl;
+    }
+
+    /**
+     * Text direction of the active locale, 'ltr' or 'rtl'
+     */
+    get dir() {
+        return this.pack.dir || 'ltr';
+    }
+
+    /**
+     * Switch to the preferred locale and follow changes made in other tabs
+     */
+    async init() {
+        console.log('🌐 Initializing i18n...');
+
+        if (this.eventBus) {
+            this.eventBus.on('storage:changed', (key) => {
+                if (key === STORAGE_KEY || key === null) {
+                    this.setLocale(this.detectLocale(), { save: false });
+                }
+            });
+        }
+
+        await this.setLocale(this.detectLocale(), { save: false });
+        console.log(`✅ i18n initialized (${this.locale})`);
+    }
+
+    /**
+     * ?lang=, then the saved locale, then the browser languages
+     */
+    detectLocale() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        const saved = this.storage ? this.storage.getItem(STORAGE_KEY) : null;
+        const browser = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+
+        return [requested, saved, ...browser]
+            .map(code => this.matchLocale(code))
+            .find(Boolean) || this.defaultLocale;
+    }
+
+    /**
+     * The offered locale for a language tag ('de-AT' -> 'de'), or null
+     */
+    matchLocale(code) {
+        if (!code) return null;
+
+        const language = String(code).toLowerCase().split(/[-_]/)[0];
+        return this.locales.includes(language) ? language : null;
+    }
+
+    /**
+     * Offered locales with their names in their own language, for pickers
+     */
+    getAvailableLocales() {
+        return this.locales.map(locale => ({ locale, name: localePacks[locale].name, dir: localePacks[locale].dir }));
+    }
+
+    async loadPack(locale) {
+        if (!this.packs.has(locale)) {
+            const module = await localePacks[locale].load();
+            this.packs.set(locale, module.default);
+        }
+        return this.packs.get(locale);
+    }
+
+    /**
+     * Switch locale, translate the page and (by default) remember the choice.
+     * Resolves to false when the locale isn't offered or its pack failed to
+     * load; a later call that finishes first wins.
+     */
+    async setLocale(locale, { save = true } = {}) {
+        const matched = this.matchLocale(locale);
+        if (!matched) {
+            console.warn(`⚠️ Unknown locale: ${locale}`);
+            return false;
+        }
+
+        const version = ++this.localeVersion;
+        let pack;
+        try {
+            pack = await this.loadPack(matched);
+        } catch (error) {
+            console.warn(`⚠️ Could not load the ${matched} locale pack:`, error.message);
+            return false;
+        }
+        if (version !== this.localeVersion) return false;
+
+        const previous = this.locale;
+        this.pack = pack;
+
+        if (save && this.storage) {
+            this.storage.setItem(STORAGE_KEY, matched);
+        }
+
+        document.documentElement.setAttribute('lang', matched);
+        document.documentElement.setAttribute('dir', this.dir);
+
+        // index.html is written in English, so there's nothing to do until it changes
+        if (matched !== previous) {
+            this.translatePage();
+            console.log(`🌐 Locale changed: ${previous} → ${matched}`);
+            if (this.eventBus) {
+                this.eventBus.emit('locale:changed', matched, previous);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether a message exists, in the active pack or in English
+     */
+    has(key) {
+        return key in this.pack.messages || key in en.messages;
+    }
+
+    /**
+     * Translate a message, filling in its arguments
+     */
+    t(key, params = {}) {
+        let parts = this.compile(this.pack, key);
+
+        if (!parts && this.pack !== en) {
+            parts = this.compile(en, key);
+            if (parts) {
+                this.fallbacks.add(`${this.locale}:${key}`);
+            }
+        }
+
+        if (!parts) {
+            if (!this.missing.has(key)) {
+                this.missing.add(key);
+                console.warn(`⚠️ Missing message: ${key}`);
+            }
+            return key;
+        }
+
+        return formatParts(parts, params, this.pack.intl);
+    }
+
+    compile(pack, key) {
+        const cacheKey = `${pack.locale}:${key}`;
+        if (!this.compiled.has(cacheKey)) {
+            const message = pack.messages[key];
+            let parts = null;
+
+            if (typeof message === 'string') {
+                try {
+                    parts = parseMessage(message);
+                } catch (error) {
+                    console.error(`❌ Invalid ${pack.locale} message "${key}":`, error.message);
+                }
+            }
+            this.compiled.set(cacheKey, parts);
+        }
+        return this.compiled.get(cacheKey);
+    }
+
+    /**
+     * Date for the active locale; options as for toLocaleDateString()
+     */
+    formatDate(value, options = {}) {
+        return new Date(value).toLocaleDateString(this.pack.intl, options);
+    }
+
+    /**
+     * Time of day for the active locale; options as for toLocaleTimeString()
+     */
+    formatTime(value, options = {}) {
+        return new Date(value).toLocaleTimeString(this.pack.intl, options);
+    }
+
+    /**
+     * Date and time for the active locale; options as for toLocaleString()
+     */
+    formatDateTime(value, options = {}) {
+        return new Date(value).toLocaleString(this.pack.intl, options);
+    }
+
+    formatNumber(value, options = {}) {
+        return getNumberFormat(this.pack.intl, options).format(value);
+    }
+
+    /**
+     * Amount in a currency (ISO 4217 code, the configured one by default)
+     */
+    formatCurrency(value, currency = this.currency, options = {}) {
+        return getNumberFormat(this.pack.intl, { style: 'currency', currency, ...options }).format(value);
+    }
+
+    /**
+     * Translate marked-up elements under root (the whole page by default)
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        TRANSLATED_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            locale: this.locale,
+            intlLocale: this.intlLocale,
+            dir: this.dir,
+            available: this.locales,
+            loaded: Array.from(this.packs.keys()),
+            fallbacks: Array.from(this.fallbacks),
+            missing: Array.from(this.missing)
+        };
+    }
+}
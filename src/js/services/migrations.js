@@ -0,0 +1,239 @@
+/**
+ * Storage Migrations - Versioned upgrades for stored preferences and data
+ *
+ * The schema version lives next to the data under the `schema_version` key.
+ * At startup every migration newer than that version runs in order. Each one
+ * is applied to a snapshot of the stored keys: if it throws, the snapshot is
+ * restored, the version stays where it was and the remaining migrations are
+ * skipped until the next start.
+ *
+ * To change a stored format, append a migration with the next version number.
+ * Never edit or reorder migrations that have shipped.
+ *
+ *   {
+ *       version: 4,
+ *       description: 'Rename hiddenWidgets to hidden',
+ *       up(storage, legacy) { ... }      // synchronous
+ *   }
+ *
+ * `legacy.get(key)` reads a raw (un-prefixed) localStorage key written by older
+ * versions (JSON-decoded, or as a plain string with `{ raw: true }`);
+ * `legacy.remove(key)` deletes it, but only once the migration succeeds.
+ */
+
+export const SCHEMA_VERSION_KEY = 'schema_version';
+
+/**
+ * Keep the last occurrence of each shortcut id
+ */
+function dedupeShortcuts(shortcuts) {
+    const unique = [];
+    const seenIds = new Set();
+
+    for (let i = shortcuts.length - 1; i >= 0; i--) {
+        const shortcut = shortcuts[i];
+        if (shortcut && !seenIds.has(shortcut.id)) {
+            seenIds.add(shortcut.id);
+            unique.unshift(shortcut);
+        }
+    }
+
+    return unique;
+}
+
+export const storageMigrations = [
+    {
+        version: 1,
+        description: 'Merge legacy quick_launch_shortcuts into custom_shortcuts and drop duplicate ids',
+        up(storage, legacy) {
+            const legacyShortcuts = legacy.get('quick_launch_shortcuts');
+            const current = storage.getItem('custom_shortcuts');
+
+            if (legacyShortcuts !== null && !Array.isArray(legacyShortcuts)) {
+                throw new Error('quick_launch_shortcuts is not a list');
+            }
+
+            // Legacy entries go first so current ones win on duplicate ids
+            const merged = [
+                ...(legacyShortcuts || []).filter(shortcut => !shortcut.isDefault),
+                ...(Array.isArray(current) ? current : [])
+            ];
+
+            if (merged.length > 0 || current !== null) {
+                storage.setItem('custom_shortcuts', dedupeShortcuts(merged));
+            }
+
+            if (legacyShortcuts !== null) {
+                legacy.remove('quick_launch_shortcuts');
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Store announcements_collapsed as a boolean',
+        up(storage) {
+            const collapsed = storage.getItem('announcements_collapsed');
+            if (collapsed !== null) {
+                storage.setItem('announcements_collapsed', collapsed === true || collapsed === 'true');
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Move theme_preference from raw localStorage into StorageService as theme',
+        up(storage, legacy) {
+            const theme = legacy.get('theme_preference', { raw: true });
+            if (theme === null) return;
+
+            if (['light', 'dark'].includes(theme) && storage.getItem('theme') === null) {
+                storage.setItem('theme', theme);
+            }
+            legacy.remove('theme_preference');
+        }
+    }
+];
+
+export class MigrationService {
+    constructor(storage, migrations = storageMigrations) {
+        this.storage = storage;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.history = [];
+    }
+
+    /**
+     * Latest schema version this build knows about
+     */
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Schema version of the stored data (0 = never migrated)
+     */
+    getCurrentVersion() {
+        return Number(this.storage.getItem(SCHEMA_VERSION_KEY)) || 0;
+    }
+
+    /**
+     * Run all pending migrations; resolves to the resulting schema version
+     */
+    async run() {
+        const startVersion = this.getCurrentVersion();
+        const latestVersion = this.getLatestVersion();
+
+        if (startVersion > latestVersion) {
+            console.warn(`⚠️ Stored data is schema v${startVersion}, newer than this build (v${latestVersion}) - skipping migrations`);
+            return startVersion;
+        }
+
+        const pending = this.migrations.filter(migration => migration.version > startVersion);
+        if (pending.length === 0) {
+            return startVersion;
+        }
+
+        console.log(`🗄️ Migrating stored data from schema v${startVersion} to v${latestVersion}...`);
+
+        for (const migration of pending) {
+            if (!this.apply(migration)) {
+                break;
+            }
+        }
+
+        await this.storage.flush();
+        return this.getCurrentVersion();
+    }
+
+    /**
+     * Apply one migration, restoring the snapshot if it fails
+     */
+    apply(migration) {
+        const snapshot = this.takeSnapshot();
+        const legacyRemovals = [];
+        const legacy = {
+            get: (key, options) => this.readLegacyKey(key, options),
+            remove: (key) => legacyRemovals.push(key)
+        };
+
+        const startedAt = Date.now();
+        console.log(`🗄️ Migration v${migration.version}: ${migration.description}`);
+
+        try {
+            migration.up(this.storage, legacy);
+            this.storage.setItem(SCHEMA_VERSION_KEY, migration.version);
+        } catch (error) {
+            this.restoreSnapshot(snapshot);
+            this.history.push({ version: migration.version, status: 'rolled-back', error: error.message });
+            console.error(`❌ Migration v${migration.version} failed, rolled back:`, error);
+            return false;
+        }
+
+        legacyRemovals.forEach(key => this.removeLegacyKey(key));
+        this.history.push({ version: migration.version, status: 'applied', durationMs: Date.now() - startedAt });
+        console.log(`✅ Migration v${migration.version} applied`);
+        return true;
+    }
+
+    /**
+     * Copy every stored key
+     */
+    takeSnapshot() {
+        const snapshot = new Map();
+        this.storage.getAllKeys().forEach(key => {
+            snapshot.set(key, this.storage.getItem(key));
+        });
+        return snapshot;
+    }
+
+    /**
+     * Put every stored key back the way the snapshot recorded it
+     */
+    restoreSnapshot(snapshot) {
+        this.storage.getAllKeys()
+            .filter(key => !snapshot.has(key))
+            .forEach(key => this.storage.removeItem(key));
+
+        snapshot.forEach((value, key) => {
+            this.storage.setItem(key, value);
+        });
+    }
+
+    /**
+     * Read a raw localStorage key left behind by older versions
+     */
+    readLegacyKey(key, { raw = false } = {}) {
+        if (!this.storage.isLocalStorageAvailable) {
+            return null;
+        }
+
+        const value = localStorage.getItem(key);
+        if (value === null || raw) {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable legacy key ${key}`);
+            return null;
+        }
+    }
+
+    removeLegacyKey(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn(`⚠️ Could not remove legacy key ${key}:`, error);
+        }
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            currentVersion: this.getCurrentVersion(),
+            latestVersion: this.getLatestVersion(),
+            history: this.history
+        };
+    }
+}
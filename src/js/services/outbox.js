@@ -0,0 +1,342 @@
+/**
+ * Outbox Service - Persistent queue for data mutations
+ *
+ * Widgets update their UI straight away and hand the write to the outbox,
+ * which stores it (key `outbox`) before sending it through the DataSource.
+ * Entries are sent one at a time in the order they were queued:
+ *
+ * - while offline nothing is sent; the queue replays on `network:online`
+ * - network errors and 5xx/408/429 responses keep the entry queued and retry
+ *   with backoff (up to `maxAttempts` for server errors, forever for network
+ *   errors)
+ * - any other rejection drops the entry, rejects the caller's promise so it
+ *   can roll back, and tells the user through AccessibilityManager.announce
+ *
+ * Queued entries survive reloads. Widgets call `applyPending(resource, records)`
+ * after loading so changes that haven't reached the server yet stay visible.
+ *
+ * Events: `outbox:changed` (status), `outbox:sent` (entry, result),
+ * `outbox:failed` (entry, error)
+ */
+
+import { I18nService } from './i18n.js';
+
+const OUTBOX_KEY = 'outbox';
+const OUTBOX_LOCK = 'dashboard-outbox';
+
+export class OutboxService {
+    constructor(dataSource, storage, eventBus, accessibility, config = {}, i18n = null) {
+        this.dataSource = dataSource;
+        this.storage = storage;
+        this.eventBus = eventBus;
+        this.accessibility = accessibility;
+        this.i18n = i18n || new I18nService();
+
+        this.maxAttempts = config.maxAttempts || 5;
+        this.retryBaseMs = config.retryBaseMs || 2000;
+        this.retryMaxMs = config.retryMaxMs || 60000;
+
+        this.waiters = new Map(); // entry id -> { resolve, reject } for entries queued by this page
+        this.isReplaying = false;
+        this.replayRequested = false;
+        this.retryTimer = null;
+        this.retryCount = 0;
+        this.lastError = null;
+        this.stats = { sent: 0, failed: 0 };
+    }
+
+    /**
+     * Start replaying on reconnect and send anything left from last time
+     */
+    init() {
+        console.log('📤 Initializing Outbox...');
+
+        this.eventBus.on('network:online', () => {
+            this.cancelRetry();
+            this.retryCount = 0;
+            this.replay();
+        });
+
+        // Another tab queued or sent something
+        this.eventBus.on('storage:changed', (key) => {
+            if (key === OUTBOX_KEY || key === null) {
+                this.emitStatus();
+            }
+        });
+
+        const pending = this.getEntries().length;
+        if (pending > 0) {
+            console.log(`📤 ${pending} queued change${pending !== 1 ? 's' : ''} from a previous session`);
+        }
+
+        this.emitStatus();
+        this.replay();
+
+        console.log('✅ Outbox initialized');
+    }
+
+    /**
+     * Queue a mutation; resolves with the saved record once the server has
+     * it, rejects if it was refused
+     *
+     *   outbox.enqueue({ resource: 'tasks', operation: 'update', id, payload: changes, label: 'approve task "Budget"' })
+     */
+    enqueue({ resource, operation, id = null, payload = null, label = null }) {
+        if (!['create', 'update', 'remove'].includes(operation)) {
+            return Promise.reject(new Error(`Unknown outbox operation: ${operation}`));
+        }
+
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            resource,
+            operation,
+            recordId: id,
+            payload,
+            label: label || `${operation} ${resource}${id !== null ? ` ${id}` : ''}`,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        };
+
+        const result = new Promise((resolve, reject) => {
+            this.waiters.set(entry.id, { resolve, reject });
+        });
+
+        this.saveEntries([...this.getEntries(), entry]);
+        this.emitStatus();
+
+        if (!this.isOnline()) {
+            console.log(`📤 Offline - queued "${entry.label}"`);
+        }
+
+        this.replay();
+        return result;
+    }
+
+    /**
+     * Send queued entries in order, one tab at a time
+     */
+    async replay() {
+        if (this.isReplaying) {
+            // Entries queued while a drain is finishing are picked up by another pass
+            this.replayRequested = true;
+            return;
+        }
+
+        if (!this.isOnline() || this.getEntries().length === 0) {
+            return;
+        }
+
+        this.isReplaying = true;
+        this.emitStatus();
+
+        try {
+            do {
+                this.replayRequested = false;
+                if (typeof navigator !== 'undefined' && navigator.locks) {
+                    await navigator.locks.request(OUTBOX_LOCK, () => this.drain());
+                } else {
+                    await this.drain();
+                }
+            } while (this.replayRequested && !this.retryTimer && this.isOnline());
+        } finally {
+            this.isReplaying = false;
+            this.emitStatus();
+        }
+    }
+
+    /**
+     * Send entries until the queue is empty or one has to wait
+     */
+    async drain() {
+        let entry;
+
+        // Re-read every time: another tab may have sent or added entries
+        while (this.isOnline() && (entry = this.getEntries()[0])) {
+            try {
+                const result = await this.send(entry);
+                this.removeEntry(entry.id);
+                this.retryCount = 0;
+                this.lastError = null;
+                this.stats.sent++;
+                this.settle(entry.id, 'resolve', result);
+                this.eventBus.emit('outbox:sent', entry, result);
+            } catch (error) {
+                this.lastError = error.message;
+
+                // Network errors just mean "not yet" and don't use up attempts
+                if (!this.isNetworkError(error)) {
+                    entry.attempts++;
+                }
+
+                if (this.isRetryable(error) && entry.attempts < this.maxAttempts) {
+                    this.updateEntry(entry);
+                    this.scheduleRetry();
+                    console.warn(`⚠️ Could not send "${entry.label}", will retry:`, error.message);
+                    return;
+                }
+
+                this.removeEntry(entry.id);
+                this.fail(entry, error);
+            }
+
+            this.emitStatus();
+        }
+    }
+
+    /**
+     * Forward one entry to the DataSource
+     */
+    send(entry) {
+        switch (entry.operation) {
+            case 'create':
+                return this.dataSource.create(entry.resource, entry.payload);
+            case 'update':
+                return this.dataSource.update(entry.resource, entry.recordId, entry.payload);
+            case 'remove':
+                return this.dataSource.remove(entry.resource, entry.recordId);
+        }
+    }
+
+    /**
+     * fetch() rejects with a TypeError when the request never got an answer
+     */
+    isNetworkError(error) {
+        return error instanceof TypeError && error.status === undefined;
+    }
+
+    /**
+     * Network errors and temporary server errors are worth retrying
+     */
+    isRetryable(error) {
+        if (this.isNetworkError(error)) {
+            return true;
+        }
+        return error.status >= 500 || error.status === 408 || error.status === 429;
+    }
+
+    fail(entry, error) {
+        this.stats.failed++;
+        console.error(`❌ "${entry.label}" was rejected:`, error);
+
+        // Labels read as actions, e.g. 'approve task "Budget"'
+        this.accessibility.announce(this.i18n.t('outbox.failed', entry), 'assertive');
+        this.settle(entry.id, 'reject', error);
+        this.eventBus.emit('outbox:failed', entry, error);
+    }
+
+    settle(entryId, outcome, value) {
+        const waiter = this.waiters.get(entryId);
+        if (waiter) {
+            this.waiters.delete(entryId);
+            waiter[outcome](value);
+        }
+    }
+
+    /**
+     * Try again later with exponential backoff and jitter
+     */
+    scheduleRetry() {
+        if (this.retryTimer) return;
+
+        const backoff = Math.min(this.retryBaseMs * Math.pow(2, this.retryCount), this.retryMaxMs);
+        const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+        this.retryCount++;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.replay();
+        }, delay);
+    }
+
+    /**
+     * Overlay queued changes on freshly loaded records so optimistic
+     * updates don't flicker back while they are still on their way
+     */
+    applyPending(resource, records) {
+        if (!Array.isArray(records)) return records;
+
+        return this.getEntries()
+            .filter(entry => entry.resource === resource)
+            .reduce((result, entry) => {
+                switch (entry.operation) {
+                    case 'create':
+                        return entry.payload && result.some(record => record.id === entry.payload.id)
+                            ? result
+                            : [...result, { ...entry.payload }];
+                    case 'update':
+                        return result.map(record => record.id === entry.recordId
+                            ? { ...record, ...entry.payload }
+                            : record);
+                    case 'remove':
+                        return result.filter(record => record.id !== entry.recordId);
+                    default:
+                        return result;
+                }
+            }, records);
+    }
+
+    getEntries() {
+        const entries = this.storage.getItem(OUTBOX_KEY);
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    saveEntries(entries) {
+        this.storage.setItem(OUTBOX_KEY, entries);
+    }
+
+    updateEntry(entry) {
+        this.saveEntries(this.getEntries().map(item => item.id === entry.id ? entry : item));
+    }
+
+    removeEntry(entryId) {
+        this.saveEntries(this.getEntries().filter(item => item.id !== entryId));
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Current queue state, as sent with `outbox:changed`
+     */
+    getStatus() {
+        const entries = this.getEntries();
+        return {
+            pending: entries.length,
+            syncing: this.isReplaying,
+            online: this.isOnline(),
+            lastError: this.lastError,
+            labels: entries.map(entry => entry.label)
+        };
+    }
+
+    emitStatus() {
+        this.eventBus.emit('outbox:changed', this.getStatus());
+    }
+
+    cancelRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * Stop retrying
+     */
+    destroy() {
+        this.cancelRetry();
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            ...this.getStatus(),
+            entries: this.getEntries(),
+            retryCount: this.retryCount,
+            stats: { ...this.stats }
+        };
+    }
+}
@@ -0,0 +1,351 @@
+/**
+ * Performance Monitor - Real-user timings checked against budgets
+ *
+ * Measures, wherever the browser supports them:
+ *
+ * - Web vitals: LCP (largest-contentful-paint), CLS (largest burst of
+ *   layout shifts) and INP (slowest interaction, 98th percentile once there
+ *   are 50 or more)
+ * - Long tasks on the main thread
+ * - Each widget's init, render and refresh duration (`widget:timing` from
+ *   widgets/baseWidget.js)
+ *
+ * Samples are kept in storage (the last `maxSamples`, across sessions) and,
+ * when `endpoint` is set, POSTed there as `{ samples: [...] }` every
+ * `flushIntervalMs` and with sendBeacon when the page is hidden. Web vitals
+ * become samples when the page is hidden, as their values are final then.
+ *
+ * `budgets` sets a limit per metric (milliseconds; CLS has no unit), with
+ * per-widget overrides in `budgets.widgets`. Going over one logs a warning,
+ * shows on the DevTools Performance tab and fails the performance checks of
+ * `npm run test:suite`.
+ *
+ * Events: `performance:budget-exceeded` (violation)
+ */
+
+import { BatchSender } from '../utils/batchSender.js';
+
+export const VITALS = ['lcp', 'cls', 'inp'];
+export const WIDGET_PHASES = ['init', 'render', 'refresh'];
+
+const STORAGE_KEY = 'performance_samples';
+const MAX_VIOLATIONS = 100;
+
+// INP falls back to the worst interaction below this many
+const INP_PERCENTILE_MIN_INTERACTIONS = 50;
+
+/**
+ * Nearest-rank percentile (p from 0 to 100) of a list of numbers
+ */
+export function percentile(values, p) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * `72ms`, or `0.153` for CLS
+ */
+export function formatMetric(metric, value) {
+    return metric === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export class PerformanceMonitor {
+    constructor(eventBus, storage, options = {}) {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.endpoint = options.endpoint || null;
+        this.flushIntervalMs = options.flushIntervalMs ?? 30000;
+        this.maxSamples = options.maxSamples || 500;
+        this.budgets = options.budgets || {};
+
+        this.samples = [];         // this session, newest last
+        this.unstored = [];
+        this.violations = [];
+        this.vitals = { lcp: null, cls: null, inp: null };
+        this.exceededVitals = new Set();
+        this.vitalsRecorded = false;
+        this.layoutShiftWindow = null;
+        this.interactions = new Map();
+
+        this.observers = [];
+        this.subscriptions = [];
+        this.flushTimer = null;
+        this.sender = new BatchSender(this.endpoint, {
+            key: 'samples',
+            label: 'performance samples',
+            maxQueue: this.maxSamples,
+            retryMs: this.flushIntervalMs
+        });
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Start observing; call once storage is ready
+     */
+    init() {
+        // buffered: entries from before init (e.g. the LCP) are delivered too
+        this.observe('largest-contentful-paint', entries => {
+            this.setVital('lcp', entries[entries.length - 1].startTime);
+        });
+        this.observe('layout-shift', entries => entries.forEach(entry => this.handleLayoutShift(entry)));
+        this.observe('event', entries => entries.forEach(entry => this.handleInteraction(entry)), { durationThreshold: 40 });
+        this.observe('longtask', entries => entries.forEach(entry => this.record('longTask', entry.duration)));
+
+        this.subscriptions.push(
+            this.eventBus.on('widget:timing', (widgetName, phase, durationMs) => {
+                this.record(phase, durationMs, widgetName);
+            })
+        );
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if (this.flushIntervalMs > 0) {
+            this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+        }
+
+        const observed = this.observers.map(observer => observer.type);
+        console.log(`⏱️ Performance monitor observing ${observed.length > 0 ? observed.join(', ') : 'widget timings only'}`);
+    }
+
+    /**
+     * Observe one entry type, if this browser has it
+     */
+    observe(type, callback, options = {}) {
+        if (typeof PerformanceObserver === 'undefined'
+            || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+            return;
+        }
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push({ type, observer });
+        } catch (error) {
+            console.warn(`⚠️ Cannot observe ${type}:`, error.message);
+        }
+    }
+
+    /**
+     * CLS is the largest session window: shifts less than 1s apart, 5s at most,
+     * not caused by the user's own input
+     */
+    handleLayoutShift(entry) {
+        if (entry.hadRecentInput) return;
+
+        const current = this.layoutShiftWindow;
+        if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+            current.value += entry.value;
+            current.last = entry.startTime;
+        } else {
+            this.layoutShiftWindow = { first: entry.startTime, last: entry.startTime, value: entry.value };
+        }
+
+        this.setVital('cls', Math.max(this.vitals.cls || 0, this.layoutShiftWindow.value));
+    }
+
+    /**
+     * One interaction (click, key press) can produce several event entries;
+     * its latency is the longest of them
+     */
+    handleInteraction(entry) {
+        if (!entry.interactionId) return;
+
+        const previous = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+
+        const durations = Array.from(this.interactions.values());
+        this.setVital('inp', durations.length < INP_PERCENTILE_MIN_INTERACTIONS
+            ? Math.max(...durations)
+            : percentile(durations, 98));
+    }
+
+    /**
+     * Update a web vital; it is checked against its budget right away but only
+     * becomes a sample when the page is hidden
+     */
+    setVital(name, value) {
+        this.vitals[name] = round(value);
+
+        if (!this.exceededVitals.has(name)) {
+            const violation = this.checkBudget(name, this.vitals[name]);
+            if (violation) {
+                this.exceededVitals.add(name);
+            }
+        }
+    }
+
+    /**
+     * Add a sample; returns it
+     */
+    record(metric, value, widget = null) {
+        const sample = { metric, value: round(value), time: new Date().toISOString() };
+        if (widget) {
+            sample.widget = widget;
+        }
+
+        [this.samples, this.unstored].forEach(list => {
+            list.push(sample);
+            if (list.length > this.maxSamples) {
+                list.shift();
+            }
+        });
+        if (this.endpoint) {
+            this.sender.add(sample);
+        }
+
+        if (!VITALS.includes(metric)) {
+            this.checkBudget(metric, sample.value, widget);
+        }
+        return sample;
+    }
+
+    /**
+     * Budget for a metric; a widget's own budget wins over the general one
+     */
+    getBudget(metric, widget = null) {
+        const widgetBudgets = widget && this.budgets.widgets ? this.budgets.widgets[widget] : null;
+        if (widgetBudgets && widgetBudgets[metric] !== undefined) {
+            return widgetBudgets[metric];
+        }
+        return this.budgets[metric] ?? null;
+    }
+
+    /**
+     * Record and announce a value over its budget; returns the violation
+     */
+    checkBudget(metric, value, widget = null) {
+        const budget = this.getBudget(metric, widget);
+        if (budget === null || value <= budget) {
+            return null;
+        }
+
+        const violation = { metric, widget, value, budget, time: new Date().toISOString() };
+        this.violations.push(violation);
+        if (this.violations.length > MAX_VIOLATIONS) {
+            this.violations.shift();
+        }
+
+        const subject = widget ? `${widget} ${metric}` : metric.toUpperCase();
+        console.warn(`⚠️ Over performance budget: ${subject} ${formatMetric(metric, value)} (budget ${formatMetric(metric, budget)})`);
+        this.eventBus.emit('performance:budget-exceeded', violation);
+        return violation;
+    }
+
+    getViolations() {
+        return [...this.violations];
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.recordVitals();
+            this.flush({ beacon: true });
+        }
+    }
+
+    /**
+     * Turn this page view's web vitals into samples (once)
+     */
+    recordVitals() {
+        if (this.vitalsRecorded) return;
+
+        VITALS.forEach(name => {
+            if (this.vitals[name] !== null) {
+                this.record(name, this.vitals[name]);
+                this.vitalsRecorded = true;
+            }
+        });
+    }
+
+    /**
+     * Samples kept in storage from this and earlier sessions, oldest first
+     */
+    getHistory() {
+        const stored = (this.storage && this.storage.getItem(STORAGE_KEY)) || [];
+        return [...stored, ...this.unstored].slice(-this.maxSamples);
+    }
+
+    /**
+     * Store new samples and send them to the endpoint; resolves to false when
+     * sending failed (they stay queued and are retried, see utils/batchSender.js)
+     */
+    async flush({ beacon = false } = {}) {
+        if (this.unstored.length > 0 && this.storage) {
+            // Each tab keeps its own history
+            this.storage.setItem(STORAGE_KEY, this.getHistory(), { broadcast: false });
+            this.unstored = [];
+        }
+
+        return this.sender.flush({ beacon });
+    }
+
+    /**
+     * Count, median, 95th percentile and maximum of this session's samples
+     * per metric (widget timings per widget), with the budget for each
+     */
+    getSummary() {
+        const summarize = (values, budget) => ({
+            count: values.length,
+            p50: percentile(values, 50),
+            p95: percentile(values, 95),
+            max: values.length > 0 ? Math.max(...values) : null,
+            budget
+        });
+
+        const widgets = {};
+        this.samples.filter(sample => sample.widget).forEach(sample => {
+            widgets[sample.widget] = widgets[sample.widget] || {};
+            (widgets[sample.widget][sample.metric] = widgets[sample.widget][sample.metric] || []).push(sample.value);
+        });
+        Object.entries(widgets).forEach(([widget, phases]) => {
+            Object.keys(phases).forEach(phase => {
+                phases[phase] = summarize(phases[phase], this.getBudget(phase, widget));
+            });
+        });
+
+        const longTasks = this.samples.filter(sample => sample.metric === 'longTask').map(sample => sample.value);
+
+        return {
+            vitals: Object.fromEntries(VITALS.map(name => [name, { value: this.vitals[name], budget: this.getBudget(name) }])),
+            widgets,
+            longTasks: summarize(longTasks, this.getBudget('longTask')),
+            violations: this.violations.length
+        };
+    }
+
+    destroy() {
+        this.recordVitals();
+        this.flush({ beacon: true });
+        this.sender.destroy();
+
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.observers.forEach(({ observer }) => observer.disconnect());
+        this.observers = [];
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.subscriptions.forEach(subscription => subscription.unsubscribe());
+        this.subscriptions = [];
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            endpoint: this.endpoint,
+            observing: this.observers.map(observer => observer.type),
+            samples: this.samples.length,
+            stored: this.getHistory().length,
+            unsent: this.sender.queue.length,
+            ...this.sender.stats,
+            vitals: { ...this.vitals },
+            violations: this.violations.slice(-10)
+        };
+    }
+}
@@ -1,20 +1,38 @@
 /**
- * Real-time Updates Service - Handles periodic data refresh and live updates
+ * Real-time Updates Service - Network status, auto-refresh settings and server push
+ *
+ * Refresh timing itself lives in the RefreshScheduler; this service decides
+ * whether auto-refresh is on and how often each widget refreshes.
+ *
+ * When `realtime.pushUrl` is configured it also holds a Server-Sent Events
+ * connection. Each `patch` message is re-emitted on the event bus as
+ * `data:patch` (resource, patch) where patch is
+ * `{ op: 'create' | 'update' | 'remove', id, data }`. Dropped connections are
+ * reopened with backoff and resume from the last event id; a `reset` message
+ * means the server can't replay what we missed, so all widgets reload.
  */
 
 export class RealtimeService {
-    constructor(eventBus, storage) {
+    constructor(eventBus, storage, scheduler, config = {}) {
         this.eventBus = eventBus;
         this.storage = storage;
-        this.intervals = new Map();
+        this.scheduler = scheduler;
         this.isOnline = navigator.onLine;
-        this.refreshRates = {
-            announcements: 600000,  // 10 minutes
-            tasks: 300000,          // 5 minutes
-            calendar: 600000,       // 10 minutes
-            tickets: 300000,        // 5 minutes
-            shortcuts: 0            // No auto-refresh
-        };
+
+        this.pushUrl = config.pushUrl || null;
+        this.reconnectBaseMs = config.reconnectBaseMs || 1000;
+        this.reconnectMaxMs = config.reconnectMaxMs || 60000;
+        this.eventSource = null;
+        this.pushStatus = 'disabled'; // disabled | connecting | connected | reconnecting | closed
+        this.lastEventId = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.patchesReceived = 0;
+
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+        this.handlePushMessage = this.handlePushMessage.bind(this);
+        this.handlePushReset = this.handlePushReset.bind(this);
         
         this.setupNetworkListeners();
     }
@@ -25,13 +43,33 @@ export class RealtimeService {
     init() {
         console.log('🔄 Initializing Real-time Service...');
         
-        // Start auto-refresh for all widgets
-        this.startAutoRefresh();
-        
-        // Listen for visibility changes
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) {
-                this.handleVisibilityChange();
+        // Apply saved per-widget refresh rates
+        const preferences = this.storage.getUserPreferences();
+        Object.entries(preferences.refreshRates || {}).forEach(([widgetName, interval]) => {
+            this.scheduler.setInterval(widgetName, interval);
+        });
+
+        if (!this.isAutoRefreshEnabled()) {
+            this.scheduler.pause('disabled');
+        }
+
+        if (!this.isOnline) {
+            this.scheduler.pause('offline');
+        }
+
+        // Settings panel toggle
+        this.eventBus.on('auto-refresh:toggled', (enabled) => {
+            this.setAutoRefreshEnabled(enabled);
+        });
+
+        // Toggled in another tab - follow it without saving again
+        this.eventBus.on('storage:changed', (key) => {
+            if (key !== 'user_preferences' && key !== null) return;
+
+            if (this.isAutoRefreshEnabled()) {
+                this.scheduler.resume('disabled');
+            } else {
+                this.scheduler.pause('disabled');
             }
         });
 
@@ -42,113 +80,180 @@ export class RealtimeService {
      * Setup network status listeners
      */
     setupNetworkListeners() {
-        window.addEventListener('online', () => {
-            this.isOnline = true;
-            this.eventBus.emit('network:online');
-            this.resumeAutoRefresh();
-            console.log('🌐 Network connection restored');
-        });
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+    }
 
-        window.addEventListener('offline', () => {
-            this.isOnline = false;
-            this.eventBus.emit('network:offline');
-            this.pauseAutoRefresh();
-            console.log('📡 Network connection lost');
-        });
+    handleOnline() {
+        this.isOnline = true;
+        this.eventBus.emit('network:online');
+        console.log('🌐 Network connection restored');
+
+        if (this.pushUrl && !this.eventSource) {
+            this.reconnectAttempts = 0;
+            this.connectPush();
+        }
+    }
+
+    handleOffline() {
+        this.isOnline = false;
+        this.eventBus.emit('network:offline');
+        console.log('📡 Network connection lost');
+
+        // Reconnect when the network comes back rather than retrying blindly
+        this.closePush('reconnecting');
     }
 
     /**
-     * Start auto-refresh for all widgets
+     * Open the push connection, resuming after the last event we saw
      */
-    startAutoRefresh() {
-        Object.entries(this.refreshRates).forEach(([widget, interval]) => {
-            if (interval > 0) {
-                this.startWidgetRefresh(widget, interval);
+    connectPush() {
+        if (!this.pushUrl) return false;
+
+        if (typeof EventSource === 'undefined') {
+            console.warn('⚠️ Server push unavailable: EventSource is not supported');
+            return false;
+        }
+
+        this.closePush('connecting');
+
+        // EventSource only sends Last-Event-ID on its own retries, so pass it
+        // explicitly when we open a fresh connection
+        const url = new URL(this.pushUrl, document.baseURI);
+        if (this.lastEventId) {
+            url.searchParams.set('lastEventId', this.lastEventId);
+        }
+
+        const eventSource = new EventSource(url.href);
+        this.eventSource = eventSource;
+
+        eventSource.addEventListener('open', () => {
+            this.reconnectAttempts = 0;
+            this.setPushStatus('connected');
+            console.log(`📡 Push channel connected to ${this.pushUrl}`);
+        });
+
+        eventSource.addEventListener('patch', this.handlePushMessage);
+        eventSource.addEventListener('reset', this.handlePushReset);
+
+        eventSource.addEventListener('error', () => {
+            // Take over from the browser's fixed retry so we can back off and resume
+            if (this.eventSource === eventSource) {
+                this.scheduleReconnect();
             }
         });
+
+        return true;
     }
 
     /**
-     * Start auto-refresh for a specific widget
+     * Re-emit a pushed patch for the widgets that display the resource
      */
-    startWidgetRefresh(widgetName, interval) {
-        // Clear existing interval if any
-        this.stopWidgetRefresh(widgetName);
+    handlePushMessage(event) {
+        if (event.lastEventId) {
+            this.lastEventId = event.lastEventId;
+        }
 
-        if (!this.isOnline || interval <= 0) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed push message:', event.data);
             return;
         }
 
-        const intervalId = setInterval(() => {
-            if (this.isOnline && !document.hidden) {
-                this.eventBus.emit('widget:refresh-requested', widgetName);
-                console.log(`🔄 Auto-refresh triggered for ${widgetName}`);
-            }
-        }, interval);
+        const { resource, ...patch } = message;
+        if (!resource || !patch.op) {
+            console.warn('⚠️ Ignoring push message without resource/op:', message);
+            return;
+        }
 
-        this.intervals.set(widgetName, intervalId);
-        console.log(`⏰ Auto-refresh started for ${widgetName} (${interval}ms)`);
+        this.patchesReceived++;
+        this.eventBus.emit('data:patch', resource, patch);
     }
 
     /**
-     * Stop auto-refresh for a specific widget
+     * The server couldn't replay missed patches - reload everything
      */
-    stopWidgetRefresh(widgetName) {
-        const intervalId = this.intervals.get(widgetName);
-        if (intervalId) {
-            clearInterval(intervalId);
-            this.intervals.delete(widgetName);
-            console.log(`⏹️ Auto-refresh stopped for ${widgetName}`);
+    handlePushReset(event) {
+        if (event.lastEventId) {
+            this.lastEventId = event.lastEventId;
         }
+
+        console.log('🔄 Push history unavailable, reloading all widgets');
+        this.scheduler.triggerAll('push-reset');
     }
 
     /**
-     * Pause all auto-refresh (e.g., when offline)
+     * Reconnect with exponential backoff and jitter
      */
-    pauseAutoRefresh() {
-        this.intervals.forEach((intervalId, widgetName) => {
-            clearInterval(intervalId);
-            console.log(`⏸️ Auto-refresh paused for ${widgetName}`);
-        });
+    scheduleReconnect() {
+        this.closePush('reconnecting');
+
+        if (!this.isOnline) return;
+
+        const backoff = Math.min(this.reconnectBaseMs * Math.pow(2, this.reconnectAttempts), this.reconnectMaxMs);
+        const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+        this.reconnectAttempts++;
+
+        console.warn(`⚠️ Push channel lost, reconnecting in ${Math.round(delay / 1000)}s`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connectPush();
+        }, delay);
     }
 
     /**
-     * Resume all auto-refresh (e.g., when back online)
+     * Close the push connection and any pending reconnect
      */
-    resumeAutoRefresh() {
-        this.intervals.clear();
-        this.startAutoRefresh();
-        console.log('▶️ Auto-refresh resumed for all widgets');
+    closePush(status = 'closed') {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        if (this.pushUrl) {
+            this.setPushStatus(status);
+        }
+    }
+
+    setPushStatus(status) {
+        if (this.pushStatus === status) return;
+
+        this.pushStatus = status;
+        this.eventBus.emit('realtime:status-changed', status);
     }
 
     /**
-     * Handle visibility change (tab becomes visible)
+     * Get push connection status
      */
-    handleVisibilityChange() {
-        if (this.isOnline) {
-            // Trigger immediate refresh for all widgets when tab becomes visible
-            Object.keys(this.refreshRates).forEach(widgetName => {
-                this.eventBus.emit('widget:refresh-requested', widgetName);
-            });
-            console.log('👁️ Tab visible - refreshing all widgets');
-        }
+    getPushStatus() {
+        return {
+            url: this.pushUrl,
+            status: this.pushStatus,
+            lastEventId: this.lastEventId,
+            reconnectAttempts: this.reconnectAttempts,
+            patchesReceived: this.patchesReceived
+        };
     }
 
     /**
      * Set custom refresh rate for a widget
      */
     setRefreshRate(widgetName, interval) {
-        this.refreshRates[widgetName] = interval;
-        
-        if (interval > 0) {
-            this.startWidgetRefresh(widgetName, interval);
-        } else {
-            this.stopWidgetRefresh(widgetName);
-        }
+        this.scheduler.setInterval(widgetName, interval);
         
         // Save to storage
         const preferences = this.storage.getUserPreferences();
-        preferences.refreshRates = this.refreshRates;
+        preferences.refreshRates = {
+            ...(preferences.refreshRates || {}),
+            [widgetName]: interval
+        };
         this.storage.setUserPreferences(preferences);
     }
 
@@ -156,7 +261,7 @@ export class RealtimeService {
      * Get current refresh rate for a widget
      */
     getRefreshRate(widgetName) {
-        return this.refreshRates[widgetName] || 0;
+        return this.scheduler.getInterval(widgetName);
     }
 
     /**
@@ -164,9 +269,9 @@ export class RealtimeService {
      */
     setAutoRefreshEnabled(enabled) {
         if (enabled) {
-            this.startAutoRefresh();
+            this.scheduler.resume('disabled');
         } else {
-            this.pauseAutoRefresh();
+            this.scheduler.pause('disabled');
         }
 
         // Save preference
@@ -197,51 +302,14 @@ export class RealtimeService {
         };
     }
 
-    /**
-     * Simulate real-time data updates (for demo purposes)
-     */
-    simulateDataUpdates() {
-        // Simulate new announcements
-        setInterval(() => {
-            if (Math.random() < 0.1) { // 10% chance every interval
-                this.eventBus.emit('data:simulated-update', 'announcements', {
-                    type: 'new',
-                    data: {
-                        id: `sim_${Date.now()}`,
-                        title: 'Simulated Announcement',
-                        message: 'This is a simulated real-time update',
-                        type: 'info',
-                        priority: 'medium',
-                        createdAt: new Date().toISOString()
-                    }
-                });
-            }
-        }, 30000); // Every 30 seconds
-
-        // Simulate ticket updates
-        setInterval(() => {
-            if (Math.random() < 0.15) { // 15% chance
-                this.eventBus.emit('data:simulated-update', 'tickets', {
-                    type: 'status_change',
-                    ticketId: 'TKT-001',
-                    newStatus: 'in_progress'
-                });
-            }
-        }, 45000); // Every 45 seconds
-    }
-
     /**
      * Destroy real-time service
      */
     destroy() {
         console.log('🧹 Destroying Real-time Service...');
         
-        // Clear all intervals
-        this.intervals.forEach((intervalId) => {
-            clearInterval(intervalId);
-        });
-        this.intervals.clear();
-        
+        this.closePush();
+
         // Remove event listeners
         window.removeEventListener('online', this.handleOnline);
         window.removeEventListener('offline', this.handleOffline);
@@ -255,10 +323,10 @@ export class RealtimeService {
     getDebugInfo() {
         return {
             isOnline: this.isOnline,
-            activeIntervals: this.intervals.size,
-            refreshRates: this.refreshRates,
             autoRefreshEnabled: this.isAutoRefreshEnabled(),
-            networkStatus: this.getNetworkStatus()
+            networkStatus: this.getNetworkStatus(),
+            push: this.getPushStatus(),
+            scheduler: this.scheduler.getDebugInfo()
         };
     }
 }
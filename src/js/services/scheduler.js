@@ -0,0 +1,332 @@
+/**
+ * Refresh Scheduler - Owns all periodic and on-demand widget refresh timing
+ *
+ * - One timer per job, with +/- jitter so widgets don't all hit the backend together
+ * - Exponential backoff after failed runs, reset by the next success
+ * - Triggers arriving while a run is in flight, or within the coalescing
+ *   window after one started, collapse into that run
+ * - Scheduled runs pause while the tab is hidden, offline, or auto-refresh is off
+ *
+ * A job's task may return `false` (or throw) to report a failed run.
+ */
+
+export class RefreshScheduler {
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.jobs = new Map();
+        this.intervalOverrides = new Map();
+        this.pauseReasons = new Set();
+
+        this.jitterRatio = options.jitterRatio ?? 0.1;          // +/- 10% of the interval
+        this.coalesceWindowMs = options.coalesceWindowMs ?? 2000;
+        this.retryBaseMs = options.retryBaseMs ?? 30000;         // first retry after 30s
+        this.maxBackoffMs = options.maxBackoffMs ?? 1800000;     // never wait more than 30 minutes
+        this.minDelayMs = options.minDelayMs ?? 1000;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Start listening for visibility and network changes
+     */
+    init() {
+        console.log('⏱️ Initializing Refresh Scheduler...');
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if (document.hidden) {
+            this.pause('hidden');
+        }
+
+        this.eventBus.on('network:offline', () => this.pause('offline'));
+        this.eventBus.on('network:online', () => {
+            this.resume('offline');
+            this.triggerAll('online');
+        });
+
+        console.log('✅ Refresh Scheduler initialized');
+    }
+
+    /**
+     * Register a refresh job. An interval of 0 means "on demand only".
+     */
+    register(name, task, intervalMs = 0) {
+        if (typeof task !== 'function') {
+            throw new Error(`Refresh task for "${name}" must be a function`);
+        }
+
+        this.unregister(name);
+
+        const job = {
+            name,
+            task,
+            intervalMs: this.intervalOverrides.has(name) ? this.intervalOverrides.get(name) : intervalMs,
+            timer: null,
+            nextRunAt: null,
+            lastRunAt: null,
+            lastFinishedAt: null,
+            lastResult: null,
+            lastError: null,
+            lastReason: null,
+            consecutiveFailures: 0,
+            runs: 0,
+            coalesced: 0,
+            due: false,
+            running: null
+        };
+
+        this.jobs.set(name, job);
+        this.scheduleNext(job);
+        return job;
+    }
+
+    /**
+     * Remove a job and its timer
+     */
+    unregister(name) {
+        const job = this.jobs.get(name);
+        if (!job) return false;
+
+        this.clearTimer(job);
+        this.jobs.delete(name);
+        return true;
+    }
+
+    /**
+     * Change a job's interval (remembered for jobs registered later)
+     */
+    setInterval(name, intervalMs) {
+        this.intervalOverrides.set(name, intervalMs);
+
+        const job = this.jobs.get(name);
+        if (job) {
+            job.intervalMs = intervalMs;
+            this.scheduleNext(job);
+        }
+    }
+
+    /**
+     * Get a job's interval
+     */
+    getInterval(name) {
+        const job = this.jobs.get(name);
+        if (job) return job.intervalMs;
+        return this.intervalOverrides.get(name) || 0;
+    }
+
+    /**
+     * Request a refresh now; duplicate requests collapse into one run
+     */
+    trigger(name, reason = 'manual') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return Promise.resolve(false);
+        }
+
+        if (job.running) {
+            job.coalesced++;
+            return job.running;
+        }
+
+        if (job.lastRunAt && Date.now() - job.lastRunAt < this.coalesceWindowMs) {
+            job.coalesced++;
+            return Promise.resolve(job.lastResult === 'success');
+        }
+
+        return this.run(job, reason);
+    }
+
+    /**
+     * Request a refresh of every job
+     */
+    triggerAll(reason = 'manual') {
+        return Promise.all(Array.from(this.jobs.keys()).map(name => this.trigger(name, reason)));
+    }
+
+    /**
+     * Run a job and schedule the following run
+     */
+    run(job, reason) {
+        this.clearTimer(job);
+        job.due = false;
+        job.lastRunAt = Date.now();
+        job.lastReason = reason;
+        job.runs++;
+
+        job.running = (async () => {
+            let succeeded;
+            try {
+                succeeded = (await job.task()) !== false;
+                job.lastError = succeeded ? null : 'Refresh reported failure';
+            } catch (error) {
+                succeeded = false;
+                job.lastError = error.message || String(error);
+            }
+
+            job.lastResult = succeeded ? 'success' : 'failure';
+            job.lastFinishedAt = Date.now();
+            job.consecutiveFailures = succeeded ? 0 : job.consecutiveFailures + 1;
+            job.running = null;
+
+            if (!succeeded) {
+                console.warn(`⚠️ Refresh of ${job.name} failed (${job.consecutiveFailures} in a row): ${job.lastError}`);
+            }
+
+            this.eventBus.emit('scheduler:run-completed', job.name, job.lastResult, reason);
+
+            // The job may have been unregistered while running
+            if (this.jobs.get(job.name) === job) {
+                this.scheduleNext(job);
+            }
+
+            return succeeded;
+        })();
+
+        return job.running;
+    }
+
+    /**
+     * Arm the job's timer for its next periodic run
+     */
+    scheduleNext(job) {
+        this.clearTimer(job);
+
+        const delay = this.computeDelay(job);
+        if (delay === null) {
+            return;
+        }
+
+        job.nextRunAt = Date.now() + delay;
+        job.timer = setTimeout(() => {
+            job.timer = null;
+            job.nextRunAt = null;
+
+            if (this.isPaused()) {
+                // Run as soon as we resume
+                job.due = true;
+                return;
+            }
+
+            this.run(job, 'schedule');
+        }, delay);
+    }
+
+    /**
+     * Delay until the next run: the interval normally, exponential backoff
+     * after failures; null when the job has no periodic runs
+     */
+    computeDelay(job) {
+        if (job.consecutiveFailures > 0) {
+            const backoff = this.retryBaseMs * Math.pow(2, job.consecutiveFailures - 1);
+            return this.applyJitter(Math.min(backoff, this.maxBackoffMs));
+        }
+
+        if (!job.intervalMs || job.intervalMs <= 0) {
+            return null;
+        }
+
+        return this.applyJitter(job.intervalMs);
+    }
+
+    applyJitter(delay) {
+        const jitter = delay * this.jitterRatio * (Math.random() * 2 - 1);
+        return Math.max(this.minDelayMs, Math.round(delay + jitter));
+    }
+
+    clearTimer(job) {
+        if (job.timer) {
+            clearTimeout(job.timer);
+            job.timer = null;
+        }
+        job.nextRunAt = null;
+    }
+
+    /**
+     * Pause scheduled runs for a reason (hidden, offline, disabled)
+     */
+    pause(reason) {
+        this.pauseReasons.add(reason);
+    }
+
+    /**
+     * Lift a pause reason; jobs that came due while paused run now
+     */
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+
+        if (this.isPaused()) return;
+
+        this.jobs.forEach(job => {
+            if (job.due) {
+                this.trigger(job.name, 'resume');
+            }
+        });
+    }
+
+    isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    /**
+     * Hidden tabs don't refresh; becoming visible refreshes everything once
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.pause('hidden');
+            return;
+        }
+
+        this.resume('hidden');
+        if (!this.isPaused()) {
+            this.triggerAll('visible');
+        }
+    }
+
+    /**
+     * Get status for one job
+     */
+    getJobInfo(name) {
+        const job = this.jobs.get(name);
+        if (!job) return null;
+
+        return {
+            intervalMs: job.intervalMs,
+            nextRunAt: job.nextRunAt ? new Date(job.nextRunAt).toISOString() : null,
+            lastRunAt: job.lastRunAt ? new Date(job.lastRunAt).toISOString() : null,
+            lastResult: job.lastResult,
+            lastError: job.lastError,
+            lastReason: job.lastReason,
+            consecutiveFailures: job.consecutiveFailures,
+            runs: job.runs,
+            coalesced: job.coalesced,
+            running: !!job.running,
+            due: job.due
+        };
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        const jobs = {};
+        this.jobs.forEach((job, name) => {
+            jobs[name] = this.getJobInfo(name);
+        });
+
+        return {
+            paused: this.isPaused(),
+            pauseReasons: Array.from(this.pauseReasons),
+            coalesceWindowMs: this.coalesceWindowMs,
+            jitterRatio: this.jitterRatio,
+            jobs
+        };
+    }
+
+    /**
+     * Stop all timers
+     */
+    destroy() {
+        this.jobs.forEach(job => this.clearTimer(job));
+        this.jobs.clear();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+}
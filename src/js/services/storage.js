@@ -1,48 +1,159 @@
 /**
- * Storage Service - Handles LocalStorage operations with fallback
+ * Storage Service - Key/value persistence for preferences and cached widget data
+ *
+ * Reads are synchronous and served from an in-memory copy; writes update that
+ * copy immediately and are written through to the persistent backend in the
+ * background. `init()` picks the backend: IndexedDB when available, otherwise
+ * localStorage, otherwise memory only.
+ *
+ * On the first run with IndexedDB, existing `dashboard_*` localStorage keys are
+ * copied into IndexedDB and then removed from localStorage. Until `init()` has
+ * finished, reads and writes go to localStorage as before.
+ *
+ * Other tabs hear about every write through a BroadcastChannel (or, where that
+ * is missing, a `storage` event on a ping key) and update their copy, which is
+ * re-emitted on the EventBus as `storage:changed` (key, value, details), with a
+ * null key when another tab cleared everything. Every write carries a
+ * timestamp; when two tabs write the same key the later write wins, both in
+ * memory and in IndexedDB.
  */
 
+import { IndexedDbBackend, LocalStorageBackend, MemoryBackend } from './storageBackends.js';
+
+const SYNC_CHANNEL = 'dashboard-storage';
+const SYNC_PING_KEY = 'dashboard-sync'; // outside the dashboard_ prefix on purpose
+
 export class StorageService {
-    constructor() {
-        this.isLocalStorageAvailable = this.checkLocalStorageAvailability();
-        this.memoryStorage = new Map(); // Fallback for when localStorage is not available
+    constructor(eventBus = null) {
+        this.eventBus = eventBus;
         this.prefix = 'dashboard_';
+        this.isLocalStorageAvailable = LocalStorageBackend.isSupported();
+        this.legacyBackend = this.isLocalStorageAvailable ? new LocalStorageBackend({ prefix: this.prefix }) : null;
+        this.backend = this.legacyBackend || new MemoryBackend();
+        this.cache = new Map(this.legacyBackend ? this.legacyBackend.entriesSync() : []);
+        this.updatedAt = new Map(); // key -> timestamp of the write we hold
+        this.lastTimestamp = 0;
+        this.pendingWrites = new Set();
+        this.isReady = false;
+        this.migratedKeys = 0;
+
+        this.tabId = Math.random().toString(36).slice(2, 10);
+        this.channel = null;
+        this.syncStats = { sent: 0, received: 0, ignored: 0 };
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+
+        this.setupSync();
     }
 
     /**
-     * Check if localStorage is available
+     * Open the persistent backend and migrate localStorage data into it
      */
-    checkLocalStorageAvailability() {
-        try {
-            const test = '__localStorage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
+    async init() {
+        console.log('💾 Initializing Storage Service...');
+
+        if (IndexedDbBackend.isSupported()) {
+            try {
+                const backend = await new IndexedDbBackend().open();
+                await this.adoptBackend(backend);
+            } catch (error) {
+                console.warn('⚠️ IndexedDB unavailable, using localStorage:', error.message || error);
+            }
         }
+
+        this.isReady = true;
+        console.log(`✅ Storage Service initialized (${this.backend.name}, sync: ${this.getSyncTransport()})`);
     }
 
     /**
-     * Check if storage is available
+     * Switch to a freshly opened backend, moving legacy localStorage data over
+     */
+    async adoptBackend(backend) {
+        const entries = await backend.entries();
+        const stored = new Map(entries.map(([key, value]) => [key, value]));
+        const updatedAt = new Map(entries.map(([key, , timestamp]) => [key, timestamp]));
+
+        if (this.legacyBackend) {
+            const legacyEntries = this.legacyBackend.entriesSync();
+            const toMigrate = legacyEntries.filter(([key]) => !stored.has(key));
+            const migratedAt = this.nextTimestamp();
+
+            // Only drop the localStorage copies once they are safely stored
+            await Promise.all(toMigrate.map(([key, value]) => backend.set(key, value, migratedAt)));
+            toMigrate.forEach(([key, value]) => {
+                stored.set(key, value);
+                updatedAt.set(key, migratedAt);
+            });
+            await Promise.all(legacyEntries.map(([key]) => this.legacyBackend.delete(key)));
+
+            if (toMigrate.length > 0) {
+                this.migratedKeys = toMigrate.length;
+                console.log(`📦 Migrated ${toMigrate.length} keys from localStorage to ${backend.name}`);
+            }
+        }
+
+        this.backend = backend;
+        this.cache = stored;
+        this.updatedAt = updatedAt;
+    }
+
+    /**
+     * Check if persistent storage is available
      */
     isAvailable() {
-        return this.isLocalStorageAvailable;
+        return this.backend.name !== 'memory';
+    }
+
+    /**
+     * Copy a value so callers can't change stored data by mutating it
+     */
+    copy(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        return typeof structuredClone === 'function'
+            ? structuredClone(value)
+            : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Timestamp for a new write - never behind any write we have seen
+     */
+    nextTimestamp() {
+        this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+        return this.lastTimestamp;
+    }
+
+    /**
+     * Write a change through to the backend
+     * Resolves to false (and logs) when the backend rejects it, e.g. over quota
+     */
+    persist(operation, ...args) {
+        const write = this.backend[operation](...args)
+            .then(() => true)
+            .catch(error => {
+                console.error(`Error writing to ${this.backend.name} storage (${operation} ${args[0] || ''}):`, error);
+                return false;
+            })
+            .finally(() => this.pendingWrites.delete(write));
+
+        this.pendingWrites.add(write);
+        return write;
+    }
+
+    /**
+     * Wait for all pending writes; resolves to false if any failed
+     */
+    async flush() {
+        const results = await Promise.all(Array.from(this.pendingWrites));
+        return results.every(Boolean);
     }
 
     /**
      * Get item from storage
      */
     getItem(key) {
-        const fullKey = this.prefix + key;
-        
         try {
-            if (this.isLocalStorageAvailable) {
-                const item = localStorage.getItem(fullKey);
-                return item ? JSON.parse(item) : null;
-            } else {
-                return this.memoryStorage.get(fullKey) || null;
-            }
+            return this.cache.has(key) ? this.copy(this.cache.get(key)) : null;
         } catch (error) {
             console.error('Error getting item from storage:', error);
             return null;
@@ -51,16 +162,11 @@ export class StorageService {
 
     /**
      * Set item in storage
+     * Pass `{ broadcast: false }` for tab-local data such as large caches
      */
-    setItem(key, value) {
-        const fullKey = this.prefix + key;
-        
+    setItem(key, value, options = {}) {
         try {
-            if (this.isLocalStorageAvailable) {
-                localStorage.setItem(fullKey, JSON.stringify(value));
-            } else {
-                this.memoryStorage.set(fullKey, value);
-            }
+            this.writeItem(key, value, options);
             return true;
         } catch (error) {
             console.error('Error setting item in storage:', error);
@@ -69,106 +175,191 @@ export class StorageService {
     }
 
     /**
-     * Remove item from storage
+     * Set item and wait until the backend has stored it
      */
-    removeItem(key) {
-        const fullKey = this.prefix + key;
-        
+    async setItemAsync(key, value, options = {}) {
         try {
-            if (this.isLocalStorageAvailable) {
-                localStorage.removeItem(fullKey);
-            } else {
-                this.memoryStorage.delete(fullKey);
-            }
-            return true;
+            return await this.writeItem(key, value, options);
         } catch (error) {
-            console.error('Error removing item from storage:', error);
+            console.error('Error setting item in storage:', error);
             return false;
         }
     }
 
+    /**
+     * Update the in-memory copy, persist it and tell other tabs
+     */
+    writeItem(key, value, { broadcast = true } = {}) {
+        const stored = this.copy(value);
+        const updatedAt = this.nextTimestamp();
+
+        this.cache.set(key, stored);
+        this.updatedAt.set(key, updatedAt);
+
+        if (broadcast) {
+            this.broadcast({ type: 'set', key, value: stored, updatedAt });
+        }
+
+        return this.persist('set', key, stored, updatedAt);
+    }
+
+    /**
+     * Remove item from storage
+     */
+    removeItem(key) {
+        const updatedAt = this.nextTimestamp();
+
+        this.cache.delete(key);
+        this.updatedAt.set(key, updatedAt);
+        this.broadcast({ type: 'remove', key, updatedAt });
+        this.persist('delete', key, updatedAt);
+        return true;
+    }
+
     /**
      * Clear all dashboard data from storage
      */
     clear() {
+        this.cache.clear();
+        this.updatedAt.clear();
+        this.broadcast({ type: 'clear', updatedAt: this.nextTimestamp() });
+        this.persist('clear');
+        return true;
+    }
+
+    /**
+     * Listen for writes made by other tabs
+     */
+    setupSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(SYNC_CHANNEL);
+            this.channel.onmessage = (event) => this.handleRemoteChange(event.data);
+        } else if (this.isLocalStorageAvailable) {
+            window.addEventListener('storage', this.handleStorageEvent);
+        }
+    }
+
+    getSyncTransport() {
+        if (this.channel) return 'BroadcastChannel';
+        if (this.isLocalStorageAvailable) return 'storage event';
+        return 'none';
+    }
+
+    /**
+     * Tell other tabs about a local write
+     */
+    broadcast(message) {
+        const payload = { ...message, source: this.tabId };
+
         try {
-            if (this.isLocalStorageAvailable) {
-                const keys = Object.keys(localStorage);
-                keys.forEach(key => {
-                    if (key.startsWith(this.prefix)) {
-                        localStorage.removeItem(key);
-                    }
-                });
+            if (this.channel) {
+                this.channel.postMessage(payload);
+            } else if (this.isLocalStorageAvailable) {
+                // Only other tabs get the storage event
+                localStorage.setItem(SYNC_PING_KEY, JSON.stringify(payload));
             } else {
-                this.memoryStorage.clear();
+                return;
             }
-            return true;
+            this.syncStats.sent++;
         } catch (error) {
-            console.error('Error clearing storage:', error);
-            return false;
+            console.warn('⚠️ Could not share storage change with other tabs:', error);
+        }
+    }
+
+    handleStorageEvent(event) {
+        if (event.key !== SYNC_PING_KEY || !event.newValue) return;
+
+        try {
+            this.handleRemoteChange(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable storage sync message');
         }
     }
 
+    /**
+     * Apply another tab's write unless ours is newer (last writer wins;
+     * equal timestamps are settled by tab id so every tab agrees)
+     */
+    handleRemoteChange(message) {
+        if (!message || message.source === this.tabId) return;
+
+        this.syncStats.received++;
+        this.lastTimestamp = Math.max(this.lastTimestamp, message.updatedAt || 0);
+
+        if (message.type === 'clear') {
+            this.cache.clear();
+            this.updatedAt.clear();
+            this.emitChange(null, null, message);
+            return;
+        }
+
+        const localUpdatedAt = this.updatedAt.get(message.key) || 0;
+        const remoteIsOlder = message.updatedAt < localUpdatedAt ||
+            (message.updatedAt === localUpdatedAt && message.source < this.tabId);
+
+        if (remoteIsOlder) {
+            this.syncStats.ignored++;
+            return;
+        }
+
+        if (message.type === 'remove') {
+            this.cache.delete(message.key);
+        } else {
+            this.cache.set(message.key, message.value);
+        }
+        this.updatedAt.set(message.key, message.updatedAt);
+
+        this.emitChange(message.key, message.type === 'remove' ? null : message.value, message);
+    }
+
+    emitChange(key, value, message) {
+        if (!this.eventBus) return;
+
+        this.eventBus.emit('storage:changed', key, this.copy(value), {
+            type: message.type,
+            updatedAt: message.updatedAt,
+            sourceTab: message.source
+        });
+    }
+
     /**
      * Get all keys with the dashboard prefix
      */
     getAllKeys() {
-        try {
-            if (this.isLocalStorageAvailable) {
-                const keys = Object.keys(localStorage);
-                return keys
-                    .filter(key => key.startsWith(this.prefix))
-                    .map(key => key.replace(this.prefix, ''));
-            } else {
-                return Array.from(this.memoryStorage.keys())
-                    .map(key => key.replace(this.prefix, ''));
-            }
-        } catch (error) {
-            console.error('Error getting all keys:', error);
-            return [];
-        }
+        return Array.from(this.cache.keys());
     }
 
     /**
      * Get storage usage information
+     * Uses navigator.storage.estimate() where supported (origin-wide usage and quota)
      */
-    getStorageInfo() {
-        if (!this.isLocalStorageAvailable) {
-            return {
-                available: false,
-                used: this.memoryStorage.size,
-                total: 'unlimited',
-                percentage: 0
-            };
-        }
+    async getStorageInfo() {
+        const info = {
+            backend: this.backend.name,
+            available: this.isAvailable(),
+            keys: this.cache.size,
+            used: 0,
+            total: null,
+            percentage: 0
+        };
 
         try {
-            let used = 0;
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key) && key.startsWith(this.prefix)) {
-                    used += localStorage[key].length + key.length;
-                }
+            if (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function') {
+                const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+                info.used = usage;
+                info.total = quota;
+                info.percentage = quota > 0 ? Math.round((usage / quota) * 10000) / 100 : 0;
+            } else {
+                // No estimate API - report the size of our own data
+                this.cache.forEach((value, key) => {
+                    info.used += key.length + JSON.stringify(value).length;
+                });
             }
-
-            // Rough estimate of localStorage limit (usually 5-10MB)
-            const estimatedTotal = 5 * 1024 * 1024; // 5MB
-            const percentage = (used / estimatedTotal) * 100;
-
-            return {
-                available: true,
-                used: used,
-                total: estimatedTotal,
-                percentage: Math.round(percentage * 100) / 100
-            };
         } catch (error) {
             console.error('Error getting storage info:', error);
-            return {
-                available: true,
-                used: 0,
-                total: 0,
-                percentage: 0
-            };
         }
+
+        return info;
     }
 
     // Convenience methods for common data types
@@ -227,35 +418,52 @@ export class StorageService {
     }
 
     /**
-     * Get widget data with timestamp
+     * Get the saved quick launch order (shortcut ids), or null if never reordered
      */
-    getWidgetData(widgetName) {
-        const data = this.getItem(`widget_${widgetName}`);
-        if (data && data.timestamp) {
-            // Check if data is stale (older than 1 hour)
-            const oneHour = 60 * 60 * 1000;
-            if (Date.now() - data.timestamp > oneHour) {
-                return null; // Return null for stale data
-            }
+    getShortcutOrder() {
+        return this.getItem('shortcut_order');
+    }
+
+    /**
+     * Save the quick launch order
+     */
+    setShortcutOrder(shortcutIds) {
+        return this.setItem('shortcut_order', shortcutIds);
+    }
+
+    /**
+     * Get cached widget data ({ data, timestamp }), or null when missing or
+     * older than maxAgeMs (default 1 hour)
+     */
+    getWidgetData(widgetName, maxAgeMs = 60 * 60 * 1000) {
+        const entry = this.getItem(`widget_${widgetName}`);
+        if (!entry || !entry.timestamp) {
+            return null;
         }
-        return data;
+
+        if (Date.now() - entry.timestamp > maxAgeMs) {
+            return null; // Return null for stale data
+        }
+
+        return entry;
     }
 
     /**
-     * Set widget data with timestamp
+     * Cache widget data (any size - e.g. thousands of tickets) with a timestamp
+     * Resolves to false when it could not be stored
      */
-    setWidgetData(widgetName, data) {
-        const dataWithTimestamp = {
-            ...data,
-            timestamp: Date.now()
-        };
-        
+    async setWidgetData(widgetName, data) {
         // Check storage quota before saving
-        if (this.getStorageInfo().percentage > 90) {
+        const info = await this.getStorageInfo();
+        if (info.percentage > 90) {
             this.cleanupOldData();
         }
-        
-        return this.setItem(`widget_${widgetName}`, dataWithTimestamp);
+
+        // Cached datasets can be large and each tab keeps its own
+        return this.setItemAsync(`widget_${widgetName}`, {
+            data,
+            timestamp: Date.now()
+        }, { broadcast: false });
     }
 
     /**
@@ -267,7 +475,7 @@ export class StorageService {
         
         // Remove oldest widget data
         widgetDataKeys.forEach(key => {
-            const data = this.getItem(key);
+            const data = this.cache.get(key);
             if (data && data.timestamp) {
                 const oneWeek = 7 * 24 * 60 * 60 * 1000;
                 if (Date.now() - data.timestamp > oneWeek) {
@@ -276,4 +484,31 @@ export class StorageService {
             }
         });
     }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            backend: this.backend.name,
+            isReady: this.isReady,
+            keys: this.getAllKeys(),
+            pendingWrites: this.pendingWrites.size,
+            migratedKeys: this.migratedKeys,
+            tabId: this.tabId,
+            syncTransport: this.getSyncTransport(),
+            sync: { ...this.syncStats }
+        };
+    }
+
+    /**
+     * Stop listening to other tabs
+     */
+    destroy() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        window.removeEventListener('storage', this.handleStorageEvent);
+    }
 }
@@ -0,0 +1,207 @@
+/**
+ * Storage Backends - Persistence layers the StorageService can write through to
+ *
+ * Every backend is asynchronous and stores structured values under
+ * un-prefixed keys:
+ *
+ *   open()                      resolves once the backend is usable, rejects if it isn't
+ *   entries()                   resolves to [[key, value, updatedAt], ...] for every stored key
+ *   set(key, value, updatedAt)  store a value
+ *   delete(key, updatedAt)      remove a value
+ *   clear()                     remove everything
+ *
+ * `updatedAt` is the writer's timestamp. Backends shared between tabs keep it
+ * so that an older write landing late can't overwrite a newer one (last
+ * writer wins); backends without timestamps report 0.
+ */
+
+/**
+ * IndexedDB - no practical size limit, values stored without JSON round-trips
+ */
+export class IndexedDbBackend {
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.databaseName = options.databaseName || 'smart-dashboard';
+        this.storeName = options.storeName || 'keyval';
+        this.metaStoreName = options.metaStoreName || 'meta'; // key -> updatedAt, kept for deletes too
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 2);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [this.storeName, this.metaStoreName].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run request(s) in one transaction and resolve with their result(s)
+     */
+    run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.metaStoreName], mode);
+            const request = operation(
+                transaction.objectStore(this.storeName),
+                transaction.objectStore(this.metaStoreName)
+            );
+
+            transaction.oncomplete = () => resolve(Array.isArray(request)
+                ? request.map(item => item.result)
+                : request && request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async entries() {
+        const [keys, values, metaKeys, timestamps] = await this.run('readonly', (store, meta) => [
+            store.getAllKeys(),
+            store.getAll(),
+            meta.getAllKeys(),
+            meta.getAll()
+        ]);
+
+        const updatedAt = new Map(metaKeys.map((key, index) => [key, timestamps[index]]));
+        return keys.map((key, index) => [key, values[index], updatedAt.get(key) || 0]);
+    }
+
+    /**
+     * Apply a write unless a newer one for the same key is already stored
+     */
+    writeIfNewer(key, updatedAt, write) {
+        return this.run('readwrite', (store, meta) => {
+            const current = meta.get(key);
+            current.onsuccess = () => {
+                if (current.result && current.result > updatedAt) {
+                    return; // A newer write from another tab won
+                }
+                write(store);
+                meta.put(updatedAt, key);
+            };
+            return null;
+        });
+    }
+
+    set(key, value, updatedAt = Date.now()) {
+        return this.writeIfNewer(key, updatedAt, store => store.put(value, key));
+    }
+
+    delete(key, updatedAt = Date.now()) {
+        return this.writeIfNewer(key, updatedAt, store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', (store, meta) => [store.clear(), meta.clear()]);
+    }
+}
+
+/**
+ * localStorage - the original backend, JSON-encoded under a key prefix
+ */
+export class LocalStorageBackend {
+    constructor(options = {}) {
+        this.name = 'localStorage';
+        this.prefix = options.prefix || 'dashboard_';
+    }
+
+    static isSupported() {
+        try {
+            const test = '__localStorage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async open() {
+        if (!LocalStorageBackend.isSupported()) {
+            throw new Error('localStorage is not available');
+        }
+        return this;
+    }
+
+    /**
+     * Read entries synchronously (used before the async backends are open)
+     */
+    entriesSync() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => {
+                try {
+                    return [key.slice(this.prefix.length), JSON.parse(localStorage.getItem(key)), 0];
+                } catch (error) {
+                    console.warn(`⚠️ Skipping unreadable storage key ${key}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    async entries() {
+        return this.entriesSync();
+    }
+
+    async set(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    async clear() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
+
+/**
+ * Memory - last resort when nothing persistent is available
+ */
+export class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.values = new Map();
+    }
+
+    async open() {
+        return this;
+    }
+
+    async entries() {
+        return Array.from(this.values.entries()).map(([key, value]) => [key, value, 0]);
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+
+    async clear() {
+        this.values.clear();
+    }
+}
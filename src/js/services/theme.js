@@ -2,10 +2,15 @@
  * Theme Manager - Handles light/dark theme switching
  */
 
+import { I18nService } from './i18n.js';
+
 export class ThemeManager {
-    constructor() {
+    constructor(storage, eventBus = null, i18n = null) {
+        this.storage = storage;
+        this.eventBus = eventBus;
+        this.i18n = i18n || new I18nService();
         this.currentTheme = 'light';
-        this.storageKey = 'theme_preference';
+        this.storageKey = 'theme';
         this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
     }
 
@@ -29,20 +34,28 @@ export class ThemeManager {
             }
         });
 
+        // Follow theme changes made in other tabs
+        if (this.eventBus) {
+            this.eventBus.on('storage:changed', (key) => {
+                if (key === this.storageKey || key === null) {
+                    this.applyTheme(this.getSavedTheme() || this.getSystemTheme());
+                    this.updateThemeToggle();
+                }
+            });
+
+            // The toggle's label is in the page language
+            this.eventBus.on('locale:changed', () => this.updateThemeToggle());
+        }
+
         // Update theme toggle button
         this.updateThemeToggle();
     }
 
     /**
-     * Get saved theme from localStorage
+     * Get saved theme from storage
      */
     getSavedTheme() {
-        try {
-            return localStorage.getItem(this.storageKey);
-        } catch (error) {
-            console.warn('Could not access localStorage for theme preference');
-            return null;
-        }
+        return this.storage.getItem(this.storageKey);
     }
 
     /**
@@ -73,7 +86,7 @@ export class ThemeManager {
         document.body.offsetHeight;
         
         // Announce theme change to screen readers
-        const announcement = `Theme switched to ${theme} mode`;
+        const announcement = this.i18n.t('theme.switched', { theme });
         this.announceToScreenReader(announcement);
         
         console.log(`🎨 Theme applied: ${theme}`);
@@ -102,13 +115,11 @@ export class ThemeManager {
     }
 
     /**
-     * Save theme preference to localStorage
+     * Save theme preference to storage
      */
     saveTheme(theme) {
-        try {
-            localStorage.setItem(this.storageKey, theme);
-        } catch (error) {
-            console.warn('Could not save theme preference to localStorage');
+        if (!this.storage.setItem(this.storageKey, theme)) {
+            console.warn('Could not save theme preference');
         }
     }
 
@@ -124,7 +135,7 @@ export class ThemeManager {
             }
             
             toggleButton.setAttribute('aria-label', 
-                `Switch to ${this.currentTheme === 'light' ? 'dark' : 'light'} mode`
+                this.i18n.t('theme.switchTo', { theme: this.currentTheme === 'light' ? 'dark' : 'light' })
             );
         }
     }
@@ -187,11 +198,7 @@ export class ThemeManager {
      */
     resetToSystem() {
         // Remove saved preference
-        try {
-            localStorage.removeItem(this.storageKey);
-        } catch (error) {
-            console.warn('Could not remove theme preference from localStorage');
-        }
+        this.storage.removeItem(this.storageKey);
 
         // Apply system theme
         const systemTheme = this.getSystemTheme();
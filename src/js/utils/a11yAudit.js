@@ -0,0 +1,304 @@
+/**
+ * Accessibility Auditor - Runs the rules in a11yRules.js against the page or
+ * a single widget and reports violations
+ *
+ *   const report = auditor.audit(document);
+ *   const report = auditor.audit(section, { target: 'tasks', tags: ['aria', 'names'] });
+ *
+ * Every violation names its rule, severity (high, medium, low) and a CSS
+ * selector for the offending element. Reports export as JSON or as a
+ * standalone HTML page (AccessibilityAuditor.toHTML / download()).
+ *
+ * With watchWidgets() each widget is audited on its own after it renders
+ * (`widget:rendered`), the latest report per widget is kept and announced as
+ * `a11y:audited`, and new violations are logged as warnings. Rules marked
+ * `requiresLayout` (contrast, visual focus order) are skipped when the
+ * auditor runs with `layout: false`, e.g. under jsdom.
+ */
+
+import { a11yRules, getRole, getSelector, describeElement, LANDMARK_ROLES } from './a11yRules.js';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export class AccessibilityAuditor {
+    constructor(eventBus = null, options = {}) {
+        this.eventBus = eventBus;
+        this.rules = options.rules || a11yRules;
+        this.layout = options.layout !== false;
+        this.disabledRules = new Set(options.disabledRules || []);
+        this.auditDelayMs = options.auditDelayMs ?? 100;
+
+        this.reports = new Map();      // widget name -> latest report
+        this.pending = new Map();      // widget name -> audit timer
+        this.subscription = null;
+    }
+
+    /**
+     * Audit a document or element. Page-scoped rules (one main landmark...)
+     * only run against a whole document.
+     */
+    audit(root = document, options = {}) {
+        const { target = root.nodeType === 9 ? 'page' : getSelector(root), tags = null, rules = null } = options;
+        const context = this.createContext(root);
+
+        const checked = [];
+        const skipped = [];
+        const violations = [];
+
+        this.rules.forEach(rule => {
+            if (this.disabledRules.has(rule.id)) return;
+            if (rules && !rules.includes(rule.id)) return;
+            if (tags && !rule.tags.some(tag => tags.includes(tag))) return;
+            if (rule.scope === 'page' && !context.isPage) return;
+
+            if (rule.requiresLayout && !this.layout) {
+                skipped.push(rule.id);
+                return;
+            }
+
+            checked.push(rule.id);
+            try {
+                rule.check(context).forEach(({ element, message }) => {
+                    violations.push({
+                        ruleId: rule.id,
+                        severity: rule.severity,
+                        selector: getSelector(element),
+                        message,
+                        html: describeElement(element)
+                    });
+                });
+            } catch (error) {
+                console.error(`❌ Accessibility rule ${rule.id} failed:`, error);
+            }
+        });
+
+        violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+        return {
+            target,
+            url: context.document.location ? context.document.location.href : null,
+            auditedAt: new Date().toISOString(),
+            layout: this.layout,
+            rules: { checked, skipped },
+            summary: AccessibilityAuditor.summarize(violations),
+            violations
+        };
+    }
+
+    /**
+     * What the rules get to look at, with lookups shared between rules
+     */
+    createContext(root) {
+        const isPage = root.nodeType === 9;
+        const doc = isPage ? root : root.ownerDocument;
+        const scope = isPage ? root.documentElement : root;
+        const elements = [scope, ...scope.querySelectorAll('*')];
+
+        const roles = new Map();
+        const roleOf = (element) => {
+            if (!roles.has(element)) roles.set(element, getRole(element));
+            return roles.get(element);
+        };
+
+        // IDs count across the whole document: a widget clashing with the page is still a clash
+        let idCounts = null;
+        const idCount = (id) => {
+            if (!idCounts) {
+                idCounts = new Map();
+                doc.querySelectorAll('[id]').forEach(element => {
+                    idCounts.set(element.id, (idCounts.get(element.id) || 0) + 1);
+                });
+            }
+            return idCounts.get(id) || 0;
+        };
+
+        const landmarks = elements
+            .filter(element => LANDMARK_ROLES.has(roleOf(element)))
+            .map(element => ({ element, role: roleOf(element) }));
+
+        return { root, document: doc, isPage, elements, landmarks, roleOf, idCount };
+    }
+
+    /**
+     * Audit one widget's section on its own, keep the report and announce it
+     */
+    auditWidget(widgetName, container) {
+        const root = container.closest('.widget, .dashboard__section') || container;
+        const report = this.audit(root, { target: widgetName });
+        const previous = this.reports.get(widgetName);
+
+        this.reports.set(widgetName, report);
+
+        if (this.eventBus) {
+            this.eventBus.emit('a11y:audited', widgetName, report);
+        }
+
+        // Only warn when something changed, not on every re-render
+        const known = new Set((previous ? previous.violations : []).map(AccessibilityAuditor.violationKey));
+        const added = report.violations.filter(violation => !known.has(AccessibilityAuditor.violationKey(violation)));
+        if (added.length > 0) {
+            console.warn(`♿ ${widgetName}: ${added.length} new accessibility violation${added.length === 1 ? '' : 's'}`, added);
+        }
+
+        return report;
+    }
+
+    /**
+     * Audit every widget shortly after each of its renders
+     */
+    watchWidgets() {
+        if (this.subscription || !this.eventBus) return;
+
+        this.subscription = this.eventBus.on('widget:rendered', (widgetName, container) => {
+            clearTimeout(this.pending.get(widgetName));
+            this.pending.set(widgetName, setTimeout(() => {
+                this.pending.delete(widgetName);
+                if (container.isConnected) {
+                    this.auditWidget(widgetName, container);
+                }
+            }, this.auditDelayMs));
+        });
+
+        console.log('♿ Auditing widgets after each render');
+    }
+
+    unwatchWidgets() {
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+        this.pending.forEach(timer => clearTimeout(timer));
+        this.pending.clear();
+    }
+
+    /**
+     * Latest report for a widget, or null before its first audit
+     */
+    getReport(widgetName) {
+        return this.reports.get(widgetName) || null;
+    }
+
+    /**
+     * Latest report of every audited widget
+     */
+    getReports() {
+        return Array.from(this.reports.values());
+    }
+
+    /**
+     * Save reports as a JSON or HTML file; defaults to every widget report
+     * plus a fresh audit of the page
+     */
+    download(format = 'html', reports = [this.audit(document), ...this.getReports()]) {
+        const content = format === 'json'
+            ? AccessibilityAuditor.toJSON(reports)
+            : AccessibilityAuditor.toHTML(reports);
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/html' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `accessibility-report-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    destroy() {
+        this.unwatchWidgets();
+        this.reports.clear();
+    }
+
+    /**
+     * Violation counts by severity
+     */
+    static summarize(violations) {
+        const summary = { total: violations.length };
+        SEVERITIES.forEach(severity => {
+            summary[severity] = violations.filter(violation => violation.severity === severity).length;
+        });
+        return summary;
+    }
+
+    static violationKey(violation) {
+        return `${violation.ruleId}|${violation.selector}|${violation.message}`;
+    }
+
+    /**
+     * One report or a list of them as JSON text
+     */
+    static toJSON(reports) {
+        return JSON.stringify(reports, null, 2);
+    }
+
+    /**
+     * One report or a list of them as a standalone HTML page
+     */
+    static toHTML(reports) {
+        const list = Array.isArray(reports) ? reports : [reports];
+
+        const sections = list.map(report => `
+    <section class="a11y-report__target">
+        <h2>${escapeHtml(report.target)} <small>${report.summary.total} violation${report.summary.total === 1 ? '' : 's'}
+            (${SEVERITIES.map(severity => `${report.summary[severity]} ${severity}`).join(', ')})</small></h2>
+        <p>Audited ${escapeHtml(report.auditedAt)} · ${report.rules.checked.length} rules checked${report.rules.skipped.length > 0 ? ` · skipped without layout: ${escapeHtml(report.rules.skipped.join(', '))}` : ''}</p>
+        ${report.violations.length === 0 ? '<p>No violations found.</p>' : `
+        <table>
+            <thead><tr><th scope="col">Severity</th><th scope="col">Rule</th><th scope="col">Element</th><th scope="col">Problem</th></tr></thead>
+            <tbody>
+                ${report.violations.map(violation => `<tr class="a11y-report__violation--${violation.severity}">
+                    <td>${escapeHtml(violation.severity)}</td>
+                    <td><code>${escapeHtml(violation.ruleId)}</code></td>
+                    <td><code>${escapeHtml(violation.selector)}</code><br><code>${escapeHtml(violation.html)}</code></td>
+                    <td>${escapeHtml(violation.message)}</td>
+                </tr>`).join('\n                ')}
+            </tbody>
+        </table>`}
+    </section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Accessibility Report</title>
+    <style>
+        body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: start; vertical-align: top; }
+        code { font-size: 12px; word-break: break-all; }
+        small { font-weight: normal; color: #4b5563; }
+        .a11y-report__violation--high td:first-child { color: #b91c1c; font-weight: bold; }
+        .a11y-report__violation--medium td:first-child { color: #92400e; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>Accessibility Report</h1>
+${sections}
+    </main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            watching: !!this.subscription,
+            layout: this.layout,
+            rules: this.rules.map(rule => rule.id).filter(id => !this.disabledRules.has(id)),
+            widgets: Object.fromEntries(Array.from(this.reports, ([name, report]) => [name, report.summary]))
+        };
+    }
+}
@@ -0,0 +1,773 @@
+/**
+ * Accessibility Rules - The checks run by AccessibilityAuditor
+ *
+ * A rule looks like:
+ *
+ *   {
+ *       id: 'tabindex-positive',
+ *       severity: 'medium',              // high | medium | low
+ *       tags: ['focus'],                 // lets callers run a subset
+ *       description: 'Positive tabindex values break the natural focus order',
+ *       scope: 'page',                   // optional: only when auditing a whole document
+ *       requiresLayout: true,            // optional: needs real layout / computed colours
+ *       check(context) { return [{ element, message }]; }
+ *   }
+ *
+ * `context` carries the audited root, its elements and a few cached lookups
+ * (see AccessibilityAuditor.createContext). The helpers below - roles, names,
+ * colours, selectors - are exported for the rest of the app to reuse.
+ */
+
+// Concrete ARIA 1.2 roles; abstract roles (widget, landmark, ...) are not allowed in markup
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+    'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+    'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+    'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+    'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+    'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+    'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+const TRUE_FALSE = ['true', 'false'];
+
+// aria-* attribute -> allowed value type
+const ARIA_ATTRIBUTES = {
+    'aria-activedescendant': { type: 'idref' },
+    'aria-atomic': { type: 'token', values: TRUE_FALSE },
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-braillelabel': { type: 'string' },
+    'aria-brailleroledescription': { type: 'string' },
+    'aria-busy': { type: 'token', values: TRUE_FALSE },
+    'aria-checked': { type: 'token', values: ['true', 'false', 'mixed', 'undefined'] },
+    'aria-colcount': { type: 'integer' },
+    'aria-colindex': { type: 'integer' },
+    'aria-colspan': { type: 'integer' },
+    'aria-controls': { type: 'idrefs' },
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+    'aria-describedby': { type: 'idrefs' },
+    'aria-description': { type: 'string' },
+    'aria-details': { type: 'idref' },
+    'aria-disabled': { type: 'token', values: TRUE_FALSE },
+    'aria-errormessage': { type: 'idref' },
+    'aria-expanded': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-flowto': { type: 'idrefs' },
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+    'aria-hidden': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+    'aria-keyshortcuts': { type: 'string' },
+    'aria-label': { type: 'string' },
+    'aria-labelledby': { type: 'idrefs' },
+    'aria-level': { type: 'integer' },
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+    'aria-modal': { type: 'token', values: TRUE_FALSE },
+    'aria-multiline': { type: 'token', values: TRUE_FALSE },
+    'aria-multiselectable': { type: 'token', values: TRUE_FALSE },
+    'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+    'aria-owns': { type: 'idrefs' },
+    'aria-placeholder': { type: 'string' },
+    'aria-posinset': { type: 'integer' },
+    'aria-pressed': { type: 'token', values: ['true', 'false', 'mixed', 'undefined'] },
+    'aria-readonly': { type: 'token', values: TRUE_FALSE },
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+    'aria-required': { type: 'token', values: TRUE_FALSE },
+    'aria-roledescription': { type: 'string' },
+    'aria-rowcount': { type: 'integer' },
+    'aria-rowindex': { type: 'integer' },
+    'aria-rowspan': { type: 'integer' },
+    'aria-selected': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-setsize': { type: 'integer' },
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': { type: 'number' },
+    'aria-valuemin': { type: 'number' },
+    'aria-valuenow': { type: 'number' },
+    'aria-valuetext': { type: 'string' }
+};
+
+// States a role can't work without, unless the native element already provides them
+const REQUIRED_ATTRIBUTES = {
+    checkbox: ['aria-checked'],
+    combobox: ['aria-expanded'],
+    heading: ['aria-level'],
+    menuitemcheckbox: ['aria-checked'],
+    menuitemradio: ['aria-checked'],
+    radio: ['aria-checked'],
+    scrollbar: ['aria-controls', 'aria-valuenow'],
+    slider: ['aria-valuenow'],
+    switch: ['aria-checked']
+};
+
+// Elements whose native state satisfies REQUIRED_ATTRIBUTES
+const NATIVE_STATE_ELEMENTS = {
+    checkbox: 'input[type="checkbox"]',
+    combobox: 'select, input[list]',
+    heading: 'h1, h2, h3, h4, h5, h6',
+    radio: 'input[type="radio"]',
+    slider: 'input[type="range"]',
+    switch: 'input[type="checkbox"]'
+};
+
+// Roles that take their name from their text
+const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+    'tooltip', 'treeitem'
+]);
+
+// Roles that can't be used without an accessible name
+const NAME_REQUIRED_ROLES = new Set([
+    'alertdialog', 'button', 'checkbox', 'combobox', 'dialog', 'img', 'link', 'listbox', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'option', 'progressbar', 'radio', 'searchbox',
+    'slider', 'spinbutton', 'switch', 'tab', 'textbox', 'treeitem'
+]);
+
+const INTERACTIVE_ROLES = new Set([
+    'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab',
+    'textbox', 'treeitem'
+]);
+
+export const LANDMARK_ROLES = new Set(['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search']);
+
+// header/footer are only banner/contentinfo outside these sectioning elements
+const SECTIONING_ELEMENTS = 'article, aside, main, nav, section';
+
+const INPUT_ROLES = {
+    button: 'button', checkbox: 'checkbox', email: 'textbox', image: 'button', number: 'spinbutton',
+    radio: 'radio', range: 'slider', reset: 'button', search: 'searchbox', submit: 'button',
+    tel: 'textbox', text: 'textbox', url: 'textbox'
+};
+
+const IMPLICIT_ROLES = {
+    article: 'article', aside: 'complementary', button: 'button', dialog: 'dialog',
+    fieldset: 'group', hr: 'separator', li: 'listitem', main: 'main', meter: 'meter',
+    nav: 'navigation', ol: 'list', optgroup: 'group', option: 'option', output: 'status',
+    progress: 'progressbar', table: 'table', tbody: 'rowgroup', td: 'cell', textarea: 'textbox',
+    tfoot: 'rowgroup', th: 'columnheader', thead: 'rowgroup', tr: 'row', ul: 'list',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading'
+};
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea',
+    'iframe', 'summary', '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]'
+].join(', ');
+
+/**
+ * Escape a value for use in a CSS selector
+ */
+function cssEscape(value) {
+    if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+        return CSS.escape(value);
+    }
+    return String(value).replace(/^(\d)/, '\\3$1 ').replace(/([^\w-])/g, '\\$1');
+}
+
+function splitTokens(value) {
+    return (value || '').trim().split(/\s+/).filter(Boolean);
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A readable CSS selector that finds `element` again, e.g.
+ * `#tasks-container > ul.task-list > li:nth-of-type(2) > button.task-item__action`
+ */
+export function getSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1) {
+        if (node.id && node.ownerDocument.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+            parts.unshift(`#${cssEscape(node.id)}`);
+            break;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        let part = tag;
+        if (node.classList.length > 0) {
+            part += `.${cssEscape(node.classList[0])}`;
+        }
+
+        const parent = node.parentElement;
+        if (!parent || tag === 'body') {
+            parts.unshift(part);
+            break;
+        }
+
+        const sameTag = Array.from(parent.children).filter(sibling => sibling.tagName === node.tagName);
+        if (sameTag.length > 1) {
+            part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+
+        parts.unshift(part);
+        node = parent;
+    }
+
+    return parts.join(' > ');
+}
+
+/**
+ * Start of an element's markup, for reports
+ */
+export function describeElement(element, maxLength = 120) {
+    const html = element.outerHTML.replace(/\s+/g, ' ');
+    const openingTag = html.slice(0, html.indexOf('>') + 1) || html;
+    return openingTag.length > maxLength ? `${openingTag.slice(0, maxLength - 1)}…` : openingTag;
+}
+
+/**
+ * Hidden from everyone: hidden attribute, display: none or visibility: hidden
+ */
+export function isHidden(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.hidden) return true;
+
+        const style = node.ownerDocument.defaultView.getComputedStyle(node);
+        if (style.display === 'none') return true;
+        if (node === element && style.visibility === 'hidden') return true;
+    }
+    return false;
+}
+
+/**
+ * Hidden from assistive technology (includes aria-hidden="true")
+ */
+export function isHiddenFromAT(element) {
+    return !!element.closest('[aria-hidden="true"]') || isHidden(element);
+}
+
+function isDisabled(element) {
+    return element.matches(':disabled') || element.closest('[aria-disabled="true"]') !== null;
+}
+
+/**
+ * Focusable with Tab (tabindex="-1" and disabled controls are not)
+ */
+export function isTabbable(element) {
+    if (!element.matches(FOCUSABLE_SELECTOR) || element.matches(':disabled')) return false;
+    if (element.tagName === 'SUMMARY' && element.parentElement?.querySelector('summary') !== element) return false;
+
+    const tabindex = element.getAttribute('tabindex');
+    return tabindex === null || Number.parseInt(tabindex, 10) >= 0 || Number.isNaN(Number.parseInt(tabindex, 10));
+}
+
+/**
+ * The element's role: a valid explicit role, otherwise the HTML default.
+ * section and form only become landmarks with a name; `named: false` skips
+ * that check (used while computing the name itself).
+ */
+export function getRole(element, { named = true } = {}) {
+    const explicit = splitTokens(element.getAttribute('role')).find(role => ARIA_ROLES.has(role));
+    if (explicit) return explicit;
+
+    const tag = element.tagName.toLowerCase();
+    switch (tag) {
+        case 'a':
+        case 'area':
+            return element.hasAttribute('href') ? 'link' : null;
+        case 'header':
+            return element.parentElement?.closest(SECTIONING_ELEMENTS) ? null : 'banner';
+        case 'footer':
+            return element.parentElement?.closest(SECTIONING_ELEMENTS) ? null : 'contentinfo';
+        case 'section':
+            return named && getAccessibleName(element) ? 'region' : null;
+        case 'form':
+            return named && getAccessibleName(element) ? 'form' : null;
+        case 'img':
+            return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+        case 'input': {
+            const type = (element.getAttribute('type') || 'text').toLowerCase();
+            if (element.hasAttribute('list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) return 'combobox';
+            return INPUT_ROLES[type] || (type === 'hidden' ? null : 'textbox');
+        }
+        case 'select':
+            return element.multiple || Number(element.getAttribute('size')) > 1 ? 'listbox' : 'combobox';
+        default:
+            return IMPLICIT_ROLES[tag] || null;
+    }
+}
+
+/**
+ * Accessible name, following the main steps of the W3C accname algorithm:
+ * aria-labelledby, aria-label, native labels (label, alt, legend, caption...),
+ * text content for roles that allow it, then title/placeholder
+ */
+export function getAccessibleName(element) {
+    return normalizeText(computeName(element, { visited: new Set(), inReference: false }, false));
+}
+
+/**
+ * `traversing` is true while collecting text for another element's name
+ */
+function computeName(element, state, traversing) {
+    if (state.visited.has(element)) return '';
+    state.visited.add(element);
+
+    // 1. aria-labelledby (not followed again from inside a reference); hidden
+    // elements still count when they are referenced directly
+    const labelledby = splitTokens(element.getAttribute('aria-labelledby'));
+    if (labelledby.length > 0 && !state.inReference) {
+        state.inReference = true;
+        const text = labelledby
+            .map(id => element.ownerDocument.getElementById(id))
+            .filter(Boolean)
+            .map(reference => computeName(reference, state, true))
+            .join(' ');
+        state.inReference = false;
+        if (text.trim()) return text;
+    }
+
+    // 2. aria-label
+    const label = element.getAttribute('aria-label');
+    if (label && label.trim()) return label;
+
+    // 3. Native labelling
+    const nativeName = computeNativeName(element, state);
+    if (nativeName.trim()) return nativeName;
+
+    // 4. Content, for roles that take their name from it (or while collecting a label's text)
+    if (traversing || NAME_FROM_CONTENT_ROLES.has(getRole(element, { named: false }))) {
+        const text = Array.from(element.childNodes).map(child => {
+            if (child.nodeType === 3) return child.textContent;
+            if (child.nodeType !== 1 || isHiddenFromAT(child)) return '';
+            return ` ${computeName(child, state, true)} `;
+        }).join('');
+        if (text.trim()) return text;
+    }
+
+    // 5. Tooltip-ish fallbacks
+    return element.getAttribute('title') || element.getAttribute('placeholder') || '';
+}
+
+function computeNativeName(element, state) {
+    const tag = element.tagName.toLowerCase();
+
+    if (tag === 'img' || tag === 'area') {
+        return element.getAttribute('alt') || '';
+    }
+
+    if (tag === 'input') {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        if (type === 'image') return element.getAttribute('alt') || '';
+        if (['button', 'submit', 'reset'].includes(type)) {
+            return element.value || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+        }
+    }
+
+    if (['input', 'select', 'textarea', 'meter', 'progress', 'output'].includes(tag) && element.labels) {
+        return Array.from(element.labels).map(labelElement => computeName(labelElement, state, true)).join(' ');
+    }
+
+    const captions = { fieldset: 'legend', figure: 'figcaption', table: 'caption' };
+    if (captions[tag]) {
+        const caption = Array.from(element.children).find(child => child.tagName.toLowerCase() === captions[tag]);
+        return caption ? computeName(caption, state, true) : '';
+    }
+
+    return '';
+}
+
+/**
+ * [r, g, b, a] for a computed colour (rgb(), rgba(), hex or transparent);
+ * null for anything else, e.g. an unresolved var()
+ */
+export function parseColor(color) {
+    const value = (color || '').trim().toLowerCase();
+    if (value === 'transparent') return [0, 0, 0, 0];
+
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+        const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit) : hex[1].match(/../g);
+        const [r, g, b, a = 255] = digits.map(pair => Number.parseInt(pair, 16));
+        return [r, g, b, a / 255];
+    }
+
+    const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+    if (!rgb) return null;
+
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    const channels = parts.slice(0, 3).map(part => part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+    const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    return [...channels, alpha].some(Number.isNaN) ? null : [...channels, alpha];
+}
+
+/**
+ * Paint `top` over `bottom` ([r, g, b, a] each)
+ */
+export function blendColors(top, bottom) {
+    const alpha = top[3] + bottom[3] * (1 - top[3]);
+    if (alpha === 0) return [0, 0, 0, 0];
+
+    const channel = index => (top[index] * top[3] + bottom[index] * bottom[3] * (1 - top[3])) / alpha;
+    return [channel(0), channel(1), channel(2), alpha];
+}
+
+function relativeLuminance([r, g, b]) {
+    const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * WCAG contrast ratio between two opaque colours ([r, g, b] or colour strings)
+ */
+export function contrastRatio(foreground, background) {
+    const first = typeof foreground === 'string' ? parseColor(foreground) : foreground;
+    const second = typeof background === 'string' ? parseColor(background) : background;
+    if (!first || !second) return null;
+
+    const l1 = relativeLuminance(first);
+    const l2 = relativeLuminance(second);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function toHex(color) {
+    return `#${color.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * The colour behind an element: background colours of it and its ancestors
+ * blended down to the page (white). Null when an image or gradient is in the
+ * way, since the actual colour behind the text can't be known.
+ */
+export function getEffectiveBackground(element) {
+    const view = element.ownerDocument.defaultView;
+    const layers = [];
+
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const style = view.getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+
+        const color = parseColor(style.backgroundColor || 'transparent');
+        if (!color) return null;
+        if (color[3] > 0) layers.push(color);
+        if (color[3] >= 1) break;
+    }
+
+    return layers.reduceRight((below, layer) => blendColors(layer, below), [255, 255, 255, 1]);
+}
+
+function hasOwnText(element) {
+    return Array.from(element.childNodes).some(child => child.nodeType === 3 && child.textContent.trim());
+}
+
+function checkValue(element, attribute, value, definition) {
+    switch (definition.type) {
+        case 'token':
+            return definition.values.includes(value.trim()) ? null : `expects one of ${definition.values.join(', ')}`;
+        case 'tokens': {
+            const invalid = splitTokens(value).filter(token => !definition.values.includes(token));
+            return invalid.length === 0 ? null : `has unknown tokens: ${invalid.join(', ')}`;
+        }
+        case 'integer':
+            return /^-?\d+$/.test(value.trim()) ? null : 'expects an integer';
+        case 'number':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? null : 'expects a number';
+        case 'idref':
+        case 'idrefs': {
+            const ids = splitTokens(value);
+            if (ids.length === 0) return 'is empty';
+            if (definition.type === 'idref' && ids.length > 1) return 'expects a single ID';
+            const missing = ids.filter(id => !element.ownerDocument.getElementById(id));
+            return missing.length === 0 ? null : `references missing ID${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`;
+        }
+        default:
+            return null;
+    }
+}
+
+export const a11yRules = [
+    // ARIA
+    {
+        id: 'aria-valid-role',
+        severity: 'high',
+        tags: ['aria'],
+        description: 'role attributes must name concrete ARIA roles',
+        check(context) {
+            return context.elements
+                .filter(element => element.hasAttribute('role'))
+                .flatMap(element => {
+                    const roles = splitTokens(element.getAttribute('role'));
+                    if (roles.length === 0) {
+                        return [{ element, message: 'role attribute is empty' }];
+                    }
+                    const invalid = roles.filter(role => !ARIA_ROLES.has(role));
+                    return invalid.length === roles.length
+                        ? [{ element, message: `Unknown or abstract role "${roles.join(' ')}"` }]
+                        : [];
+                });
+        }
+    },
+    {
+        id: 'aria-valid-attr',
+        severity: 'high',
+        tags: ['aria'],
+        description: 'aria-* attributes must exist in ARIA 1.2',
+        check(context) {
+            return context.elements.flatMap(element => Array.from(element.attributes)
+                .filter(attribute => attribute.name.startsWith('aria-') && !ARIA_ATTRIBUTES[attribute.name])
+                .map(attribute => ({ element, message: `Unknown attribute ${attribute.name}` })));
+        }
+    },
+    {
+        id: 'aria-valid-attr-value',
+        severity: 'medium',
+        tags: ['aria'],
+        description: 'ARIA attribute values must match their type; ID references must exist',
+        check(context) {
+            return context.elements.flatMap(element => Array.from(element.attributes)
+                .filter(attribute => ARIA_ATTRIBUTES[attribute.name])
+                .map(attribute => ({
+                    attribute,
+                    problem: checkValue(element, attribute.name, attribute.value, ARIA_ATTRIBUTES[attribute.name])
+                }))
+                .filter(({ problem }) => problem)
+                .map(({ attribute, problem }) => ({
+                    element,
+                    message: `${attribute.name}="${attribute.value}" ${problem}`
+                })));
+        }
+    },
+    {
+        id: 'aria-required-attr',
+        severity: 'medium',
+        tags: ['aria'],
+        description: 'Explicit roles must carry the states they require',
+        check(context) {
+            return context.elements.flatMap(element => {
+                const role = splitTokens(element.getAttribute('role')).find(token => ARIA_ROLES.has(token));
+                const required = REQUIRED_ATTRIBUTES[role];
+                if (!required) return [];
+
+                // Native elements already expose these states
+                if (element.matches(NATIVE_STATE_ELEMENTS[role] || ':not(*)')) return [];
+
+                const missing = required.filter(attribute => !element.hasAttribute(attribute));
+                return missing.length === 0 ? [] : [{
+                    element,
+                    message: `role="${role}" requires ${missing.join(', ')}`
+                }];
+            });
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        severity: 'high',
+        tags: ['aria', 'focus'],
+        description: 'Content hidden with aria-hidden must not be reachable with Tab',
+        check(context) {
+            return context.elements
+                .filter(element => element.closest('[aria-hidden="true"]') && isTabbable(element) && !isHidden(element))
+                .map(element => ({ element, message: 'Focusable element inside aria-hidden="true"' }));
+        }
+    },
+
+    // Names
+    {
+        id: 'accessible-name',
+        severity: 'high',
+        tags: ['names'],
+        description: 'Controls, images and dialogs need an accessible name',
+        check(context) {
+            return context.elements
+                .filter(element => {
+                    const role = context.roleOf(element);
+                    return NAME_REQUIRED_ROLES.has(role) && !isHiddenFromAT(element);
+                })
+                .filter(element => !getAccessibleName(element))
+                .map(element => ({
+                    element,
+                    message: `${context.roleOf(element)} has no accessible name`
+                }));
+        }
+    },
+    {
+        id: 'empty-heading',
+        severity: 'medium',
+        tags: ['names'],
+        description: 'Headings must have text',
+        check(context) {
+            return context.elements
+                .filter(element => context.roleOf(element) === 'heading' && !isHiddenFromAT(element))
+                .filter(element => !getAccessibleName(element))
+                .map(element => ({ element, message: 'Heading is empty' }));
+        }
+    },
+
+    // Landmarks
+    {
+        id: 'landmark-one-main',
+        severity: 'medium',
+        tags: ['landmarks'],
+        scope: 'page',
+        description: 'A page has exactly one main landmark',
+        check(context) {
+            const mains = context.landmarks.filter(({ role }) => role === 'main');
+            if (mains.length === 0) {
+                return [{ element: context.document.body, message: 'Page has no main landmark' }];
+            }
+            return mains.slice(1).map(({ element }) => ({ element, message: `Page has ${mains.length} main landmarks` }));
+        }
+    },
+    {
+        id: 'landmark-no-duplicate',
+        severity: 'medium',
+        tags: ['landmarks'],
+        scope: 'page',
+        description: 'A page has at most one banner and one contentinfo landmark',
+        check(context) {
+            return ['banner', 'contentinfo'].flatMap(role => {
+                const matches = context.landmarks.filter(landmark => landmark.role === role);
+                return matches.slice(1).map(({ element }) => ({
+                    element,
+                    message: `Page has ${matches.length} ${role} landmarks`
+                }));
+            });
+        }
+    },
+    {
+        id: 'landmark-top-level',
+        severity: 'medium',
+        tags: ['landmarks'],
+        description: 'banner, main and contentinfo must not sit inside another landmark',
+        check(context) {
+            return context.landmarks
+                .filter(({ role }) => ['banner', 'main', 'contentinfo'].includes(role))
+                .filter(({ element }) => context.landmarks.some(other => other.element !== element && other.element.contains(element)))
+                .map(({ element, role }) => ({ element, message: `${role} landmark is nested inside another landmark` }));
+        }
+    },
+    {
+        id: 'landmark-unique',
+        severity: 'low',
+        tags: ['landmarks'],
+        description: 'Landmarks sharing a role need different names',
+        check(context) {
+            const seen = new Map();
+            return context.landmarks.flatMap(({ element, role }) => {
+                const key = `${role}|${getAccessibleName(element).toLowerCase()}`;
+                const count = (seen.get(key) || 0) + 1;
+                seen.set(key, count);
+                if (count !== 2 || ['banner', 'main', 'contentinfo'].includes(role)) return [];
+
+                const name = getAccessibleName(element);
+                return [{
+                    element,
+                    message: name ? `More than one ${role} landmark is named "${name}"` : `More than one ${role} landmark has no name`
+                }];
+            });
+        }
+    },
+
+    // IDs
+    {
+        id: 'duplicate-id',
+        severity: 'medium',
+        tags: ['ids'],
+        description: 'IDs must be unique in the document',
+        check(context) {
+            const reported = new Set();
+            return context.elements
+                .filter(element => element.id && context.idCount(element.id) > 1)
+                .filter(element => !reported.has(element.id) && reported.add(element.id))
+                .map(element => {
+                    const referenced = context.document.querySelector(
+                        ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'for']
+                            .map(attribute => `[${attribute}~="${element.id.replace(/["\\]/g, '\\$&')}"]`)
+                            .join(', ')
+                    );
+                    return {
+                        element,
+                        message: `id="${element.id}" is used ${context.idCount(element.id)} times${referenced ? ' and referenced by labels or ARIA' : ''}`
+                    };
+                });
+        }
+    },
+
+    // Focus order
+    {
+        id: 'tabindex-positive',
+        severity: 'medium',
+        tags: ['focus'],
+        description: 'Positive tabindex values take elements out of the reading order',
+        check(context) {
+            return context.elements
+                .filter(element => Number.parseInt(element.getAttribute('tabindex'), 10) > 0)
+                .map(element => ({ element, message: `tabindex="${element.getAttribute('tabindex')}" jumps the focus order` }));
+        }
+    },
+    {
+        id: 'nested-interactive',
+        severity: 'medium',
+        tags: ['focus'],
+        description: 'Interactive controls must not contain other focusable controls',
+        check(context) {
+            return context.elements
+                .filter(element => INTERACTIVE_ROLES.has(context.roleOf(element)) && !isHidden(element))
+                .filter(element => Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR)).some(isTabbable))
+                .map(element => ({ element, message: `${context.roleOf(element)} contains focusable content` }));
+        }
+    },
+    {
+        id: 'focus-order-visual',
+        severity: 'low',
+        tags: ['focus'],
+        requiresLayout: true,
+        description: 'Tab order should follow the visual reading order',
+        check(context) {
+            const rtl = context.document.documentElement.dir === 'rtl';
+            const stops = context.elements
+                .filter(element => isTabbable(element) && !isHidden(element))
+                .map(element => ({ element, rect: element.getBoundingClientRect() }))
+                .filter(({ rect }) => rect.width > 0 && rect.height > 0);
+
+            // Going up *and* backwards along the line means the CSS moved this control ahead of the previous one
+            return stops.slice(1).flatMap(({ element, rect }, index) => {
+                const previous = stops[index].rect;
+                const above = rect.bottom <= previous.top;
+                const before = rtl ? rect.left >= previous.right : rect.right <= previous.left;
+                return above && before ? [{ element, message: 'Reached by Tab after a control shown later on the page' }] : [];
+            });
+        }
+    },
+
+    // Colour
+    {
+        id: 'color-contrast',
+        severity: 'medium',
+        tags: ['color'],
+        requiresLayout: true,
+        description: 'Text contrast meets WCAG AA (4.5:1, 3:1 for large text)',
+        check(context) {
+            const view = context.document.defaultView;
+            return context.elements
+                .filter(element => hasOwnText(element) && !isHidden(element) && !isDisabled(element))
+                .flatMap(element => {
+                    const style = view.getComputedStyle(element);
+                    const foreground = parseColor(style.color);
+                    const background = getEffectiveBackground(element);
+                    if (!foreground || !background) return [];
+
+                    const text = blendColors(foreground, background);
+                    const ratio = contrastRatio(text, background);
+                    const fontSize = parseFloat(style.fontSize) || 16;
+                    const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 700;
+                    const required = fontSize >= 24 || (bold && fontSize >= 18.66) ? 3 : 4.5;
+
+                    return ratio + 0.005 < required ? [{
+                        element,
+                        message: `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${toHex(text)} on ${toHex(background)})`
+                    }] : [];
+                });
+        }
+    }
+];
@@ -2,8 +2,12 @@
  * Accessibility Manager - Handles accessibility features and announcements
  */
 
+import { AccessibilityAuditor } from './a11yAudit.js';
+import { contrastRatio } from './a11yRules.js';
+
 export class AccessibilityManager {
-    constructor() {
+    constructor(auditor = new AccessibilityAuditor()) {
+        this.auditor = auditor;
         this.announcer = null;
         this.focusHistory = [];
         this.trapStack = [];
@@ -286,23 +290,8 @@ export class AccessibilityManager {
      * Check color contrast ratio
      */
     checkColorContrast(foreground, background) {
-        // Simple contrast ratio calculation
-        const getLuminance = (color) => {
-            const rgb = color.match(/\d+/g);
-            if (!rgb) return 0;
-            
-            const [r, g, b] = rgb.map(c => {
-                c = parseInt(c) / 255;
-                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-            });
-            
-            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-        };
+        const ratio = contrastRatio(foreground, background) ?? 1;
 
-        const l1 = getLuminance(foreground);
-        const l2 = getLuminance(background);
-        const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
-        
         return {
             ratio: Math.round(ratio * 100) / 100,
             passAA: ratio >= 4.5,
@@ -342,40 +331,11 @@ export class AccessibilityManager {
     }
 
     /**
-     * Validate accessibility of an element
+     * Validate accessibility of an element and its contents
+     * Returns violations ({ ruleId, severity, selector, message, html })
      */
-    validateElement(element) {
-        const issues = [];
-
-        // Check for missing alt text on images
-        if (element.tagName === 'IMG' && !element.alt) {
-            issues.push('Image missing alt text');
-        }
-
-        // Check for missing labels on form elements
-        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
-            const hasLabel = element.labels && element.labels.length > 0;
-            const hasAriaLabel = element.hasAttribute('aria-label');
-            const hasAriaLabelledby = element.hasAttribute('aria-labelledby');
-            
-            if (!hasLabel && !hasAriaLabel && !hasAriaLabelledby) {
-                issues.push('Form element missing label');
-            }
-        }
-
-        // Check for insufficient color contrast
-        const styles = window.getComputedStyle(element);
-        const color = styles.color;
-        const backgroundColor = styles.backgroundColor;
-        
-        if (color && backgroundColor && color !== backgroundColor) {
-            const contrast = this.checkColorContrast(color, backgroundColor);
-            if (!contrast.passAA) {
-                issues.push(`Insufficient color contrast: ${contrast.ratio}:1`);
-            }
-        }
-
-        return issues;
+    validateElement(element, options = {}) {
+        return this.auditor.audit(element, options).violations;
     }
 
     /**
@@ -0,0 +1,115 @@
+/**
+ * Batch Sender - Queue of items POSTed to a collector in batches
+ *
+ * Shared by ErrorReporter and PerformanceMonitor. Items go out as
+ * `{ [key]: [...] }`, at most `batchSize` per request, with fetch - or with
+ * sendBeacon for `flush({ beacon: true })`, as the page is being hidden.
+ * A failed send keeps the batch queued and tries again `retryMs` later;
+ * beyond `maxQueue` the oldest items are dropped.
+ */
+
+export class BatchSender {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint || null;
+        this.key = options.key || 'items';
+        this.label = options.label || this.key;
+        this.batchSize = options.batchSize || Infinity;
+        this.maxQueue = options.maxQueue || Infinity;
+        this.retryMs = options.retryMs ?? 10000;
+
+        this.queue = [];
+        this.flushTimer = null;
+        this.isFlushing = false;
+        this.isDestroyed = false;
+        this.stats = { sent: 0, dropped: 0, failedSends: 0 };
+    }
+
+    add(item) {
+        this.queue.push(item);
+        if (this.queue.length > this.maxQueue) {
+            this.queue.shift();
+            this.stats.dropped++;
+        }
+    }
+
+    hasFullBatch() {
+        return this.queue.length >= this.batchSize;
+    }
+
+    /**
+     * Flush once, `delayMs` from now, unless a flush is already scheduled
+     */
+    scheduleFlush(delayMs = this.retryMs) {
+        if (this.flushTimer || this.isDestroyed) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delayMs);
+    }
+
+    /**
+     * Send the next batch; resolves to false when it stays queued
+     */
+    async flush({ beacon = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (!this.endpoint || this.queue.length === 0 || this.isFlushing) {
+            return this.queue.length === 0;
+        }
+
+        const batch = this.queue.slice(0, this.batchSize);
+        const body = JSON.stringify({ [this.key]: batch });
+
+        // text/plain keeps the beacon a "simple" cross-origin request
+        if (beacon && typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+            this.markSent(batch);
+            return true;
+        }
+
+        this.isFlushing = true;
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: beacon
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.markSent(batch);
+        } catch (error) {
+            // Not reported: failing to report must not create more reports
+            this.stats.failedSends++;
+            console.warn(`⚠️ Could not send ${this.label}:`, error.message);
+            if (this.retryMs > 0) {
+                this.scheduleFlush();
+            }
+            return false;
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+        return true;
+    }
+
+    markSent(batch) {
+        this.queue = this.queue.filter(item => !batch.includes(item));
+        this.stats.sent += batch.length;
+    }
+
+    /**
+     * Stop retrying; a send already under way still completes
+     */
+    destroy() {
+        this.isDestroyed = true;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Data Query - Filter, sort and count records from plain-object specs
+ *
+ * Specs are JSON so they can be posted to a worker (see
+ * services/dataProcessor.js); the same functions run on the main thread
+ * when there is no worker.
+ *
+ * Filters:
+ *
+ *   { field: 'status', equals: 'open' }
+ *   { field: 'status', in: ['open', 'in_progress'] }
+ *   { field: 'dueDate', before: '2025-07-15T12:00:00.000Z' }   // also `after`
+ *   { field: 'dueDate', sameDay: '2025-07-15T12:00:00.000Z' }  // local calendar day
+ *   { all: [...] }, { any: [...] }, { not: filter }
+ *
+ * A missing filter matches every record. Date filters never match a record
+ * without a valid date.
+ *
+ * Sorts are lists of keys, compared in turn:
+ *
+ *   { field: 'status', order: ['open', 'in_progress'] }  // in the listed order
+ *   { field: 'createdAt', type: 'date', direction: 'desc' }
+ *   { field: 'title' }                                   // plain comparison
+ *
+ * Unlisted values and missing dates sort last in either direction.
+ *
+ * Results hold indexes into the records rather than the records, so the
+ * caller keeps its own objects when they come back from a worker.
+ */
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function toTime(value) {
+    return value === undefined || value === null ? NaN : new Date(value).getTime();
+}
+
+/**
+ * Turn a filter spec into a predicate
+ */
+export function compileFilter(spec) {
+    if (!spec) return () => true;
+
+    if (spec.all) {
+        const filters = spec.all.map(compileFilter);
+        return record => filters.every(filter => filter(record));
+    }
+    if (spec.any) {
+        const filters = spec.any.map(compileFilter);
+        return record => filters.some(filter => filter(record));
+    }
+    if (spec.not) {
+        const filter = compileFilter(spec.not);
+        return record => !filter(record);
+    }
+
+    const { field } = spec;
+    if ('equals' in spec) {
+        return record => record[field] === spec.equals;
+    }
+    if ('in' in spec) {
+        const values = new Set(spec.in);
+        return record => values.has(record[field]);
+    }
+    if ('before' in spec) {
+        const limit = toTime(spec.before);
+        return record => toTime(record[field]) < limit;
+    }
+    if ('after' in spec) {
+        const limit = toTime(spec.after);
+        return record => toTime(record[field]) > limit;
+    }
+    if ('sameDay' in spec) {
+        const day = toDateKey(new Date(spec.sameDay));
+        return record => !Number.isNaN(toTime(record[field])) && toDateKey(new Date(record[field])) === day;
+    }
+
+    throw new Error(`Unknown filter: ${JSON.stringify(spec)}`);
+}
+
+/**
+ * Turn a sort spec into a comparator of records
+ */
+export function compileSort(keys = []) {
+    const comparators = keys.map(key => {
+        const sign = key.direction === 'desc' ? -1 : 1;
+
+        if (key.order) {
+            const rank = new Map(key.order.map((value, i) => [value, i]));
+            return (a, b) => compareNumbers(rank.get(a[key.field]) ?? NaN, rank.get(b[key.field]) ?? NaN, sign);
+        }
+        if (key.type === 'date') {
+            return (a, b) => compareNumbers(toTime(a[key.field]), toTime(b[key.field]), sign);
+        }
+        return (a, b) => {
+            const x = a[key.field];
+            const y = b[key.field];
+            return sign * (x < y ? -1 : x > y ? 1 : 0);
+        };
+    });
+
+    return (a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+}
+
+// Unlisted values and invalid dates (NaN) go last either way
+function compareNumbers(x, y, sign) {
+    if (Number.isNaN(x)) return Number.isNaN(y) ? 0 : 1;
+    if (Number.isNaN(y)) return -1;
+    return sign * (x - y);
+}
+
+/**
+ * Filter and sort records and count named filters over all of them:
+ * { filter, sort, stats: { name: filter } } -> { indexes, stats: { name: count } }
+ */
+export function runQuery(records, { filter = null, sort = null, stats = {} } = {}) {
+    const matches = compileFilter(filter);
+    const indexes = [];
+    records.forEach((record, i) => {
+        if (matches(record)) indexes.push(i);
+    });
+
+    if (sort) {
+        const compare = compileSort(sort);
+        // Array#sort is stable, so equal records keep their order
+        indexes.sort((a, b) => compare(records[a], records[b]));
+    }
+
+    const counts = {};
+    Object.entries(stats).forEach(([name, spec]) => {
+        const counted = compileFilter(spec);
+        counts[name] = records.reduce((count, record) => count + (counted(record) ? 1 : 0), 0);
+    });
+
+    return { indexes, stats: counts };
+}
+
+/**
+ * Indexes of records by the local day of a date field:
+ * { 'YYYY-MM-DD': [index, ...] }, in record order
+ */
+export function buildDateIndex(records, field) {
+    const index = {};
+    records.forEach((record, i) => {
+        const time = toTime(record[field]);
+        if (Number.isNaN(time)) return;
+
+        const key = toDateKey(new Date(time));
+        (index[key] = index[key] || []).push(i);
+    });
+    return index;
+}
+
+const operations = {
+    query: ({ records, spec }) => runQuery(records, spec),
+    indexByDate: ({ records, field }) => buildDateIndex(records, field)
+};
+
+/**
+ * Run an operation by name, as a worker message asks for it
+ */
+export function runOperation(operation, payload) {
+    if (!operations[operation]) {
+        throw new Error(`Unknown data operation: ${operation}`);
+    }
+    return operations[operation](payload);
+}
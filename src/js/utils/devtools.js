@@ -0,0 +1,642 @@
+/**
+ * DevTools Panel - In-app inspector for the event bus, widgets and services
+ *
+ * Hidden by default. Opened with Alt+Shift+D or by loading the page with
+ * `?debug=1` (which also captures events from the very start). Tabs:
+ *
+ * - Events: EventBus traffic with timestamps and payloads, newest last. Events
+ *   emitted before the panel started come from the bus's replay buffer.
+ * - Widgets: each widget's getDebugInfo(), refreshed live
+ * - Services: every service's getDebugInfo() (RealtimeService includes the
+ *   scheduler's timers), plus the widget registry
+ * - Storage: backend, usage estimate and every stored key with its size
+ * - Accessibility: a fresh audit of the page plus each widget's latest
+ *   after-render audit (see utils/a11yAudit.js)
+ * - Performance: budget violations, web vitals, long tasks and each widget's
+ *   timings (see services/performanceMonitor.js). The tab shows how many
+ *   budgets were exceeded.
+ *
+ * The filter box matches event names (`task:*` style patterns work too) and
+ * payload text, or section titles on the other tabs. "Export" downloads the
+ * captured session as JSON.
+ */
+
+import { EventBus } from '../services/eventBus.js';
+
+const TABS = [
+    { id: 'events', label: 'Events' },
+    { id: 'widgets', label: 'Widgets' },
+    { id: 'services', label: 'Services' },
+    { id: 'storage', label: 'Storage' },
+    { id: 'a11y', label: 'Accessibility' },
+    { id: 'performance', label: 'Performance' }
+];
+
+const MAX_DEPTH = 6;
+const MAX_ARRAY_ITEMS = 100;
+
+/**
+ * Copy a value into plain JSON data: DOM nodes, errors, Maps and cycles
+ * become readable placeholders instead of throwing or exploding in size
+ */
+export function toSerializable(value, depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value ?? null;
+
+    switch (typeof value) {
+        case 'string':
+        case 'boolean':
+            return value;
+        case 'number':
+            return Number.isFinite(value) ? value : String(value);
+        case 'bigint':
+            return `${value}n`;
+        case 'function':
+            return `[Function ${value.name || 'anonymous'}]`;
+        case 'symbol':
+            return value.toString();
+    }
+
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Error) return { name: value.name, message: value.message, status: value.status, stack: value.stack };
+    if (typeof Node !== 'undefined' && value instanceof Node) return describeNode(value);
+
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value) || value instanceof Set) {
+        const items = Array.from(value);
+        result = items.slice(0, MAX_ARRAY_ITEMS).map(item => toSerializable(item, depth + 1, seen));
+        if (items.length > MAX_ARRAY_ITEMS) {
+            result.push(`[… ${items.length - MAX_ARRAY_ITEMS} more]`);
+        }
+    } else if (value instanceof Map) {
+        result = {};
+        value.forEach((item, key) => {
+            result[String(key)] = toSerializable(item, depth + 1, seen);
+        });
+    } else {
+        result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = toSerializable(value[key], depth + 1, seen);
+        });
+    }
+
+    seen.delete(value);
+    return result;
+}
+
+function describeNode(node) {
+    if (node.nodeType !== 1) return `[${node.nodeName}]`;
+
+    const id = node.id ? `#${node.id}` : '';
+    const classes = node.classList.length > 0 ? `.${Array.from(node.classList).join('.')}` : '';
+    return `<${node.tagName.toLowerCase()}${id}${classes}>`;
+}
+
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (number, size = 2) => String(number).padStart(size, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+export class DevToolsPanel {
+    constructor(services, options = {}) {
+        this.services = services;
+        this.eventBus = services.eventBus;
+        this.registry = options.registry || null;
+        this.getWidgets = options.getWidgets || (() => new Map());
+        this.maxEvents = options.maxEvents || 500;
+        this.refreshMs = options.refreshMs || 1000;
+
+        this.events = [];
+        this.sequence = 0;
+        this.droppedEvents = 0;
+        this.subscription = null;
+        this.startedAt = null;
+
+        this.element = null;
+        this.activeTab = 'events';
+        this.filter = '';
+        this.isPaused = false;
+        this.expandedEvents = new Set();
+        this.refreshTimer = null;
+        this.renderFrame = null;
+        this.renderToken = 0;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Start capturing events; the panel doesn't need to be open
+     */
+    start() {
+        if (this.subscription) return;
+
+        this.startedAt = Date.now();
+
+        // Whatever the bus still remembers from before we started
+        this.eventBus.getRecentEvents().forEach(({ eventName, args, emittedAt }) => {
+            this.capture(eventName, args, emittedAt);
+        });
+
+        // Highest priority so the log shows events before their listeners react
+        this.subscription = this.eventBus.on('*', (eventName, ...args) => {
+            this.capture(eventName, args);
+        }, { priority: Number.MAX_SAFE_INTEGER });
+
+        console.log('🛠️ DevTools capturing events');
+    }
+
+    /**
+     * Stop capturing events (the log is kept)
+     */
+    stop() {
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    /**
+     * Record one event; payloads are copied now so later mutations don't
+     * rewrite history
+     */
+    capture(eventName, args, time = Date.now()) {
+        this.events.push({
+            id: ++this.sequence,
+            time,
+            eventName,
+            payload: toSerializable(args)
+        });
+
+        if (this.events.length > this.maxEvents) {
+            const removed = this.events.shift();
+            this.expandedEvents.delete(removed.id);
+            this.droppedEvents++;
+        }
+
+        if (eventName === 'performance:budget-exceeded') {
+            this.updateWarnings();
+        }
+
+        if (this.isOpen() && this.activeTab === 'events' && !this.isPaused) {
+            this.scheduleRender();
+        }
+    }
+
+    isOpen() {
+        return !!this.element;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel, starting the capture if needed
+     */
+    open() {
+        if (this.isOpen()) return;
+
+        this.start();
+        this.element = this.createPanel();
+        document.body.appendChild(this.element);
+        this.element.addEventListener('keydown', this.handleKeydown);
+
+        this.selectTab(this.activeTab);
+        this.updateWarnings();
+        this.element.querySelector('.devtools__filter').focus();
+    }
+
+    /**
+     * Count budget violations on the Performance tab
+     */
+    updateWarnings() {
+        if (!this.element || !this.services.performance) return;
+
+        const count = this.services.performance.getViolations().length;
+        const tab = this.element.querySelector('[data-tab="performance"]');
+        tab.textContent = count > 0 ? `Performance (${count})` : 'Performance';
+        tab.classList.toggle('devtools__tab--warning', count > 0);
+        tab.title = count > 0 ? `${count} over budget` : '';
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.stopLiveRefresh();
+        cancelAnimationFrame(this.renderFrame);
+        this.renderFrame = null;
+
+        this.element.removeEventListener('keydown', this.handleKeydown);
+        this.element.remove();
+        this.element = null;
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'devtools';
+        panel.setAttribute('aria-label', 'Developer tools');
+        panel.innerHTML = `
+            <div class="devtools__header">
+                <h2 class="devtools__title">DevTools</h2>
+                <div class="devtools__tabs" role="tablist" aria-label="Inspector views">
+                    ${TABS.map(tab => `
+                        <button type="button" class="devtools__tab" role="tab" id="devtools-tab-${tab.id}"
+                                data-tab="${tab.id}" aria-controls="devtools-body" aria-selected="false">${tab.label}</button>
+                    `).join('')}
+                </div>
+                <button type="button" class="devtools__close" aria-label="Close developer tools" aria-keyshortcuts="Alt+Shift+D">×</button>
+            </div>
+            <div class="devtools__toolbar">
+                <input type="search" class="devtools__filter" placeholder="Filter (e.g. task:* or a payload value)" aria-label="Filter">
+                <button type="button" class="devtools__button devtools__pause" aria-pressed="false">Pause</button>
+                <button type="button" class="devtools__button devtools__clear">Clear</button>
+                <button type="button" class="devtools__button devtools__export">Export</button>
+            </div>
+            <div class="devtools__body" id="devtools-body" role="tabpanel" tabindex="0"></div>
+            <div class="devtools__status" aria-live="polite"></div>
+        `;
+
+        const filterInput = panel.querySelector('.devtools__filter');
+        filterInput.value = this.filter;
+        filterInput.addEventListener('input', () => {
+            this.filter = filterInput.value.trim();
+            this.render();
+        });
+
+        panel.querySelectorAll('.devtools__tab').forEach(tab => {
+            tab.addEventListener('click', () => this.selectTab(tab.dataset.tab));
+        });
+
+        panel.querySelector('.devtools__close').addEventListener('click', () => this.close());
+        panel.querySelector('.devtools__pause').addEventListener('click', () => this.setPaused(!this.isPaused));
+        panel.querySelector('.devtools__clear').addEventListener('click', () => this.clear());
+        panel.querySelector('.devtools__export').addEventListener('click', () => this.downloadSession());
+
+        // Remember which payloads are expanded across re-renders ('toggle' doesn't bubble)
+        panel.querySelector('.devtools__body').addEventListener('toggle', (event) => {
+            const id = Number(event.target.dataset.eventId);
+            if (!id) return;
+            if (event.target.open) {
+                this.expandedEvents.add(id);
+            } else {
+                this.expandedEvents.delete(id);
+            }
+        }, true);
+
+        return panel;
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.close();
+            return;
+        }
+
+        // Arrow keys move between tabs
+        const tab = event.target.closest('.devtools__tab');
+        if (tab && (event.key === 'ArrowRight' || event.key === 'ArrowLeft')) {
+            event.preventDefault();
+            const index = TABS.findIndex(item => item.id === tab.dataset.tab);
+            const next = TABS[(index + (event.key === 'ArrowRight' ? 1 : TABS.length - 1)) % TABS.length];
+            this.selectTab(next.id);
+            this.element.querySelector(`[data-tab="${next.id}"]`).focus();
+        }
+    }
+
+    selectTab(tabId) {
+        this.activeTab = tabId;
+
+        this.element.querySelectorAll('.devtools__tab').forEach(tab => {
+            const selected = tab.dataset.tab === tabId;
+            tab.classList.toggle('devtools__tab--active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        });
+        this.element.querySelector('.devtools__body').setAttribute('aria-labelledby', `devtools-tab-${tabId}`);
+
+        // The event log is pushed; everything else is polled while visible
+        this.stopLiveRefresh();
+        if (tabId !== 'events') {
+            this.refreshTimer = setInterval(() => {
+                if (!this.isPaused) this.render();
+            }, this.refreshMs);
+        }
+
+        this.render();
+    }
+
+    stopLiveRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    setPaused(paused) {
+        this.isPaused = paused;
+
+        if (this.element) {
+            const button = this.element.querySelector('.devtools__pause');
+            button.textContent = paused ? 'Resume' : 'Pause';
+            button.setAttribute('aria-pressed', String(paused));
+            if (!paused) this.render();
+        }
+    }
+
+    /**
+     * Forget captured events
+     */
+    clear() {
+        this.events = [];
+        this.expandedEvents.clear();
+        this.droppedEvents = 0;
+        this.render();
+    }
+
+    /**
+     * Batch bursts of events into one render per frame
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    async render() {
+        if (!this.element) return;
+
+        // A slower async render must not overwrite a newer one
+        const token = ++this.renderToken;
+        const sections = this.activeTab === 'events' ? null : await this.getSections(this.activeTab);
+        if (token !== this.renderToken || !this.element) return;
+
+        const body = this.element.querySelector('.devtools__body');
+        const scrollTop = body.scrollTop;
+        const stickToBottom = body.scrollHeight - body.clientHeight - scrollTop < 20;
+
+        if (sections) {
+            this.renderSections(body, sections);
+            body.scrollTop = scrollTop;
+        } else {
+            this.renderEvents(body);
+            // Follow new events unless the user has scrolled up to read
+            body.scrollTop = stickToBottom ? body.scrollHeight : scrollTop;
+        }
+    }
+
+    renderEvents(body) {
+        const events = this.getFilteredEvents();
+        body.innerHTML = '';
+
+        if (events.length === 0) {
+            body.innerHTML = `<p class="devtools__empty">${this.events.length === 0 ? 'No events captured yet.' : 'No events match the filter.'}</p>`;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'devtools__events';
+
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'devtools__event';
+            item.innerHTML = `
+                <details data-event-id="${event.id}"${this.expandedEvents.has(event.id) ? ' open' : ''}>
+                    <summary class="devtools__event-summary">
+                        <time class="devtools__time" datetime="${new Date(event.time).toISOString()}"></time>
+                        <span class="devtools__event-name"></span>
+                        <span class="devtools__event-preview"></span>
+                    </summary>
+                    <pre class="devtools__json"></pre>
+                </details>
+            `;
+            item.querySelector('.devtools__time').textContent = formatTime(event.time);
+            item.querySelector('.devtools__event-name').textContent = event.eventName;
+            item.querySelector('.devtools__event-preview').textContent = this.previewPayload(event.payload);
+            item.querySelector('.devtools__json').textContent = JSON.stringify(event.payload, null, 2);
+            list.appendChild(item);
+        });
+
+        body.appendChild(list);
+
+        const dropped = this.droppedEvents > 0 ? ` (${this.droppedEvents} older dropped)` : '';
+        this.setStatus(`${events.length} of ${this.events.length} events${dropped}${this.isPaused ? ' - paused' : ''}`);
+    }
+
+    renderSections(body, sections) {
+        const visible = this.filter
+            ? sections.filter(section => section.title.toLowerCase().includes(this.filter.toLowerCase()))
+            : sections;
+
+        body.innerHTML = '';
+
+        if (visible.length === 0) {
+            body.innerHTML = '<p class="devtools__empty">Nothing matches the filter.</p>';
+        }
+
+        visible.forEach(section => {
+            const element = document.createElement('section');
+            element.className = 'devtools__section';
+            element.innerHTML = `
+                <h3 class="devtools__section-title"></h3>
+                <pre class="devtools__json"></pre>
+            `;
+            element.querySelector('.devtools__section-title').textContent = section.title;
+            element.querySelector('.devtools__json').textContent = JSON.stringify(section.data, null, 2);
+            body.appendChild(element);
+        });
+
+        this.setStatus(`${visible.length} of ${sections.length} sections${this.isPaused ? ' - paused' : ` - refreshing every ${this.refreshMs / 1000}s`}`);
+    }
+
+    setStatus(message) {
+        this.element.querySelector('.devtools__status').textContent = message;
+    }
+
+    previewPayload(payload) {
+        if (!Array.isArray(payload) || payload.length === 0) return '';
+
+        const text = payload.map(arg => JSON.stringify(arg)).join(', ');
+        return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+    }
+
+    /**
+     * Events matching the filter: a name pattern when it contains `*`,
+     * otherwise a case-insensitive match on the name or payload text
+     */
+    getFilteredEvents() {
+        if (!this.filter) return this.events;
+
+        if (EventBus.isPattern(this.filter)) {
+            const regex = EventBus.compilePattern(this.filter);
+            return this.events.filter(event => regex.test(event.eventName));
+        }
+
+        const needle = this.filter.toLowerCase();
+        return this.events.filter(event => event.eventName.toLowerCase().includes(needle)
+            || JSON.stringify(event.payload).toLowerCase().includes(needle));
+    }
+
+    async getSections(tabId) {
+        switch (tabId) {
+            case 'widgets':
+                return this.getWidgetSections();
+            case 'services':
+                return this.getServiceSections();
+            case 'storage':
+                return this.getStorageSections();
+            case 'a11y':
+                return this.getAccessibilitySections();
+            case 'performance':
+                return this.getPerformanceSections();
+            default:
+                return [];
+        }
+    }
+
+    getWidgetSections() {
+        return Array.from(this.getWidgets(), ([name, widget]) => ({
+            title: name,
+            data: this.readDebugInfo(widget)
+        }));
+    }
+
+    getServiceSections() {
+        // Realtime first: its debug info carries the scheduler's timers
+        const names = Object.keys(this.services)
+            .filter(name => this.services[name] && typeof this.services[name].getDebugInfo === 'function')
+            .sort((a, b) => (b === 'realtime') - (a === 'realtime'));
+
+        const sections = names.map(name => ({
+            title: name,
+            data: this.readDebugInfo(this.services[name])
+        }));
+
+        if (this.registry) {
+            sections.push({ title: 'registry', data: this.readDebugInfo(this.registry) });
+        }
+
+        return sections;
+    }
+
+    async getStorageSections() {
+        const storage = this.services.storage;
+        const usage = await storage.getStorageInfo();
+
+        const keys = storage.getAllKeys().sort().map(key => {
+            const value = storage.getItem(key);
+            return {
+                title: key,
+                data: { bytes: JSON.stringify(value ?? null).length, value: toSerializable(value) }
+            };
+        });
+
+        return [
+            { title: 'usage', data: usage },
+            { title: 'service', data: this.readDebugInfo(storage) },
+            ...keys
+        ];
+    }
+
+    getAccessibilitySections() {
+        const auditor = this.services.a11yAudit;
+        if (!auditor) return [];
+
+        return [auditor.audit(document), ...auditor.getReports()].map(report => ({
+            title: report.target,
+            data: { summary: report.summary, skipped: report.rules.skipped, violations: report.violations }
+        }));
+    }
+
+    getPerformanceSections() {
+        const monitor = this.services.performance;
+        if (!monitor) return [];
+
+        const summary = monitor.getSummary();
+        return [
+            { title: 'over budget', data: monitor.getViolations() },
+            { title: 'web vitals', data: summary.vitals },
+            { title: 'long tasks', data: summary.longTasks },
+            ...Object.entries(summary.widgets).map(([widget, phases]) => ({ title: widget, data: phases }))
+        ];
+    }
+
+    readDebugInfo(target) {
+        try {
+            return toSerializable(target.getDebugInfo());
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Everything captured so far plus a snapshot of current state
+     */
+    async exportSession() {
+        return {
+            exportedAt: new Date().toISOString(),
+            capturingSince: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            droppedEvents: this.droppedEvents,
+            events: this.events.map(event => ({
+                time: new Date(event.time).toISOString(),
+                eventName: event.eventName,
+                payload: event.payload
+            })),
+            widgets: Object.fromEntries(this.getWidgetSections().map(section => [section.title, section.data])),
+            services: Object.fromEntries(this.getServiceSections().map(section => [section.title, section.data])),
+            storage: Object.fromEntries((await this.getStorageSections()).map(section => [section.title, section.data])),
+            accessibility: Object.fromEntries(this.getAccessibilitySections().map(section => [section.title, section.data])),
+            performance: Object.fromEntries(this.getPerformanceSections().map(section => [section.title, section.data]))
+        };
+    }
+
+    /**
+     * Save the session as a JSON file
+     */
+    async downloadSession() {
+        const session = await this.exportSession();
+        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dashboard-session-${session.exportedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        if (this.element) {
+            this.setStatus(`Exported ${session.events.length} events`);
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.stop();
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            capturing: !!this.subscription,
+            open: this.isOpen(),
+            activeTab: this.activeTab,
+            events: this.events.length,
+            droppedEvents: this.droppedEvents,
+            maxEvents: this.maxEvents
+        };
+    }
+}
@@ -2,8 +2,11 @@
  * Loading Manager - Handles loading states and indicators
  */
 
+import { I18nService } from '../services/i18n.js';
+
 export class LoadingManager {
-    constructor() {
+    constructor(i18n = null) {
+        this.i18n = i18n || new I18nService();
         this.loadingElement = null;
         this.activeLoaders = new Set();
         this.init();
@@ -22,7 +25,7 @@ export class LoadingManager {
     /**
      * Show global loading indicator
      */
-    show(message = 'Loading...') {
+    show(message = this.i18n.t('loading.default')) {
         if (!this.loadingElement) return;
 
         const textElement = this.loadingElement.querySelector('.loading__text');
@@ -47,13 +50,13 @@ export class LoadingManager {
         this.loadingElement.style.display = 'none';
         
         // Announce completion to screen readers
-        this.announceToScreenReader('Loading complete');
+        this.announceToScreenReader(this.i18n.t('loading.complete'));
     }
 
     /**
      * Create a loading state for a specific element
      */
-    showElementLoading(element, message = 'Loading...') {
+    showElementLoading(element, message = this.i18n.t('loading.default')) {
         if (!element) return null;
 
         const loaderId = this.generateLoaderId();
@@ -172,7 +175,7 @@ export class LoadingManager {
     /**
      * Show loading button state
      */
-    showButtonLoading(button, loadingText = 'Loading...') {
+    showButtonLoading(button, loadingText = this.i18n.t('loading.default')) {
         if (!button) return;
 
         // Store original content
@@ -0,0 +1,205 @@
+/**
+ * Message Format - The ICU MessageFormat syntax the locale packs use
+ *
+ *   'Hello {name}'                                          // argument
+ *   '{count, plural, =0 {No events} one {# event} other {# events}}'
+ *   '{status, select, open {Open} other {Closed}}'
+ *   '{amount, number}', '{ratio, number, percent}', '{amount, number, integer}'
+ *   '{when, date, medium}', '{when, time, short}'           // short, medium, long or full
+ *
+ * Plural categories come from Intl.PluralRules, so each language gets its
+ * own (`one`/`other` in English and German, `one`/`few`/`many`/`other` in
+ * Polish...); `=n` matches an exact number first. `#` is the plural number,
+ * formatted for the locale, as are numbers passed to plain arguments.
+ * Apostrophes quote syntax characters: `'{'` is a literal brace and `''` an
+ * apostrophe; any other apostrophe is just text.
+ */
+
+const intlCache = new Map();
+
+function cached(kind, locale, options, create) {
+    const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+    if (!intlCache.has(key)) {
+        intlCache.set(key, create());
+    }
+    return intlCache.get(key);
+}
+
+export function getNumberFormat(locale, options = {}) {
+    return cached('number', locale, options, () => new Intl.NumberFormat(locale, options));
+}
+
+export function getPluralRules(locale) {
+    return cached('plural', locale, {}, () => new Intl.PluralRules(locale));
+}
+
+const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' }
+};
+
+/**
+ * Parse a message into text and argument parts
+ */
+export function parseMessage(message) {
+    let position = 0;
+
+    const fail = (problem) => {
+        throw new SyntaxError(`${problem} at ${position} in message: ${message}`);
+    };
+
+    const skipSpaces = () => {
+        while (/\s/.test(message[position] || '')) position++;
+    };
+
+    const expect = (character) => {
+        skipSpaces();
+        if (message[position] !== character) fail(`Expected "${character}"`);
+        position++;
+    };
+
+    const readWord = () => {
+        skipSpaces();
+        const start = position;
+        while (position < message.length && !/[\s,{}]/.test(message[position])) position++;
+        if (position === start) fail('Expected a name');
+        return message.slice(start, position);
+    };
+
+    const parseParts = (inPlural) => {
+        const parts = [];
+        let text = '';
+        const flush = () => {
+            if (text) parts.push(text);
+            text = '';
+        };
+
+        while (position < message.length) {
+            const character = message[position];
+
+            if (character === "'") {
+                const next = message[position + 1];
+                if (next === "'") {
+                    text += "'";
+                    position += 2;
+                } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                    const end = message.indexOf("'", position + 1);
+                    const stop = end === -1 ? message.length : end;
+                    text += message.slice(position + 1, stop);
+                    position = stop + 1;
+                } else {
+                    text += character;
+                    position++;
+                }
+            } else if (character === '}') {
+                break;
+            } else if (character === '#' && inPlural) {
+                flush();
+                parts.push({ type: 'pound' });
+                position++;
+            } else if (character === '{') {
+                flush();
+                position++;
+                parts.push(parseArgument());
+            } else {
+                text += character;
+                position++;
+            }
+        }
+
+        flush();
+        return parts;
+    };
+
+    const parseArgument = () => {
+        const name = readWord();
+        skipSpaces();
+        if (message[position] === '}') {
+            position++;
+            return { type: 'argument', name };
+        }
+
+        expect(',');
+        const type = readWord();
+        skipSpaces();
+
+        if (type === 'plural' || type === 'select') {
+            expect(',');
+            const options = {};
+            for (;;) {
+                skipSpaces();
+                if (message[position] === '}') break;
+                if (position >= message.length) fail('Unclosed argument');
+
+                const key = readWord();
+                expect('{');
+                options[key] = parseParts(type === 'plural');
+                expect('}');
+            }
+            position++;
+
+            if (!options.other) fail(`${type} needs an "other" option`);
+            return { type, name, options };
+        }
+
+        let style = null;
+        if (message[position] === ',') {
+            position++;
+            const end = message.indexOf('}', position);
+            if (end === -1) fail('Unclosed argument');
+            style = message.slice(position, end).trim();
+            position = end;
+        }
+        expect('}');
+        return { type, name, style };
+    };
+
+    const parts = parseParts(false);
+    if (position < message.length) fail('Unexpected "}"');
+    return parts;
+}
+
+/**
+ * Fill a parsed message in for a locale
+ */
+export function formatParts(parts, params, locale, pound = null) {
+    return parts.map(part => {
+        if (typeof part === 'string') return part;
+
+        if (part.type === 'pound') {
+            return getNumberFormat(locale).format(pound);
+        }
+
+        const value = params[part.name];
+        if (value === undefined) {
+            return `{${part.name}}`;
+        }
+
+        switch (part.type) {
+            case 'plural': {
+                const number = Number(value);
+                const options = part.options[`=${number}`]
+                    || part.options[getPluralRules(locale).select(number)]
+                    || part.options.other;
+                return formatParts(options, params, locale, number);
+            }
+            case 'select':
+                return formatParts(part.options[String(value)] || part.options.other, params, locale, pound);
+            case 'number':
+                return getNumberFormat(locale, NUMBER_STYLES[part.style] || {}).format(value);
+            case 'date':
+                return new Date(value).toLocaleDateString(locale, { dateStyle: part.style || 'medium' });
+            case 'time':
+                return new Date(value).toLocaleTimeString(locale, { timeStyle: part.style || 'short' });
+            default:
+                return typeof value === 'number' ? getNumberFormat(locale).format(value) : String(value);
+        }
+    }).join('');
+}
+
+/**
+ * Parse and fill in a message in one go
+ */
+export function formatMessage(message, params = {}, locale = 'en-US') {
+    return formatParts(parseMessage(message), params, locale);
+}
@@ -0,0 +1,154 @@
+/**
+ * DOM Reconciler - Update rendered markup in place instead of replacing it
+ *
+ * `reconcile(parent, html)` makes the children of `parent` match `html`
+ * while keeping every node that can stay. Nodes that did not change are left
+ * alone; changed ones get their attributes and text patched. Only new nodes
+ * are created, so focus, scroll position, selection and listeners on kept
+ * nodes survive a re-render.
+ *
+ * Siblings are matched:
+ *
+ * - by key: an element with a `data-*-id` attribute (`data-task-id`,
+ *   `data-ticket-id`, ...) or `data-key` matches the element of the same tag
+ *   and key, wherever it moved to
+ * - otherwise in order, by tag name (or node type for text and comments)
+ *
+ * Some state belongs to the user rather than the template: the `open`
+ * attribute of <details> and <dialog> only applies when the element is
+ * created, and inputs keep what is typed into them while they have focus.
+ */
+
+const KEY_ATTRIBUTE = /^data-(?:[a-z0-9-]+-)?id$|^data-key$/;
+
+// Attributes the template only sets on creation, by tag name
+const USER_STATE_ATTRIBUTES = {
+    DETAILS: ['open'],
+    DIALOG: ['open']
+};
+
+/**
+ * Key an element is matched by, or null to match it by position
+ */
+export function getKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const attribute = Array.from(node.attributes).find(({ name }) => KEY_ATTRIBUTE.test(name));
+    return attribute ? `${node.nodeName}[${attribute.name}=${attribute.value}]` : null;
+}
+
+/**
+ * Make parent's children match html; returns parent
+ */
+export function reconcile(parent, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    // Moving a kept node blurs it, so put the focus back afterwards
+    const focused = document.activeElement;
+    reconcileChildren(parent, template.content);
+
+    if (focused && focused !== document.activeElement && focused.isConnected && parent.contains(focused)) {
+        focused.focus({ preventScroll: true });
+    }
+    return parent;
+}
+
+function reconcileChildren(current, next) {
+    const keyed = new Map();
+    const unkeyed = [];
+    Array.from(current.childNodes).forEach(node => {
+        const key = getKey(node);
+        if (key) {
+            if (!keyed.has(key)) keyed.set(key, []);
+            keyed.get(key).push(node);
+        } else {
+            unkeyed.push(node);
+        }
+    });
+
+    // Every node before the cursor is in its final place
+    let cursor = current.firstChild;
+    let unkeyedIndex = 0;
+
+    Array.from(next.childNodes).forEach(nextNode => {
+        const key = getKey(nextNode);
+        let match = null;
+
+        if (key) {
+            match = keyed.has(key) ? keyed.get(key).shift() || null : null;
+        } else {
+            const index = unkeyed.findIndex((node, i) => i >= unkeyedIndex && isSameKind(node, nextNode));
+            if (index !== -1) {
+                match = unkeyed[index];
+                unkeyedIndex = index + 1;
+            }
+        }
+
+        if (match) {
+            patchNode(match, nextNode);
+        } else {
+            match = nextNode;
+        }
+
+        if (match === cursor) {
+            cursor = cursor.nextSibling;
+        } else {
+            current.insertBefore(match, cursor);
+        }
+    });
+
+    // Whatever is left over has no counterpart in the new markup
+    while (cursor) {
+        const stale = cursor;
+        cursor = cursor.nextSibling;
+        stale.remove();
+    }
+}
+
+function isSameKind(node, other) {
+    return node.nodeType === other.nodeType && node.nodeName === other.nodeName;
+}
+
+function patchNode(current, next) {
+    if (current.nodeType !== Node.ELEMENT_NODE) {
+        if (current.nodeValue !== next.nodeValue) {
+            current.nodeValue = next.nodeValue;
+        }
+        return;
+    }
+
+    patchAttributes(current, next);
+    patchFormState(current, next);
+    reconcileChildren(current, next);
+}
+
+function patchAttributes(current, next) {
+    const userState = USER_STATE_ATTRIBUTES[current.nodeName] || [];
+
+    Array.from(current.attributes).forEach(({ name }) => {
+        if (!next.hasAttribute(name) && !userState.includes(name)) {
+            current.removeAttribute(name);
+        }
+    });
+
+    Array.from(next.attributes).forEach(({ name, value }) => {
+        if (current.getAttribute(name) !== value && !userState.includes(name)) {
+            current.setAttribute(name, value);
+        }
+    });
+}
+
+/**
+ * The value attribute is only the default once an input has been used
+ */
+function patchFormState(current, next) {
+    if (current === document.activeElement) return;
+
+    if (current.nodeName === 'INPUT') {
+        if (current.value !== next.value) current.value = next.value;
+        if (current.checked !== next.checked) current.checked = next.checked;
+    } else if (current.nodeName === 'TEXTAREA') {
+        if (current.value !== next.value) current.value = next.value;
+    }
+}
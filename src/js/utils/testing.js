@@ -1,43 +1,76 @@
 /**
  * Testing Utilities - Comprehensive testing suite for the dashboard
+ *
+ * In the browser console: `await new TestingSuite().runAllTests()`.
+ * `npm run test:suite` runs it headlessly (see scripts/run-tests.js) with
+ * `{ layout: false }`: checks that need real layout or computed styles are
+ * reported as skipped instead of failing on jsdom's zero-sized boxes.
  */
 
+import { AccessibilityAuditor } from './a11yAudit.js';
+import { VITALS, formatMetric } from '../services/performanceMonitor.js';
+
+export const TEST_CATEGORIES = ['accessibility', 'performance', 'functionality', 'responsive', 'compatibility'];
+
 export class TestingSuite {
-    constructor() {
+    constructor(options = {}) {
         this.tests = [];
         this.results = [];
+        this.hasLayout = options.layout !== false;
+        this.breakpoints = options.breakpoints || [320, 768, 1024, 1280];
+        this.auditor = new AccessibilityAuditor(null, { layout: this.hasLayout });
+        // The running dashboard's PerformanceMonitor, for the budget checks
+        this.monitor = options.monitor
+            || (typeof window !== 'undefined' && window.dashboard ? window.dashboard.services.performance : null);
     }
 
     /**
-     * Run all tests
+     * Run all tests, or only the given categories (see TEST_CATEGORIES)
      */
-    async runAllTests() {
+    async runAllTests(options = {}) {
         console.log('🧪 Starting comprehensive test suite...');
         
+        const categories = options.categories || TEST_CATEGORIES;
+        const runners = {
+            accessibility: () => this.runAccessibilityTests(),
+            performance: () => this.runPerformanceTests(),
+            functionality: () => this.runFunctionalityTests(),
+            responsive: () => this.runResponsiveTests(),
+            compatibility: () => this.runCompatibilityTests()
+        };
+
+        const unknown = categories.filter(category => !runners[category]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown test categories: ${unknown.join(', ')}`);
+        }
+
         this.results = [];
         
-        // Accessibility tests
-        await this.runAccessibilityTests();
-        
-        // Performance tests
-        await this.runPerformanceTests();
-        
-        // Functionality tests
-        await this.runFunctionalityTests();
-        
-        // Responsive design tests
-        await this.runResponsiveTests();
-        
-        // Browser compatibility tests
-        await this.runCompatibilityTests();
+        for (const category of categories) {
+            await runners[category]();
+        }
         
         // Generate report
-        this.generateReport();
+        this.report = this.generateReport();
         
         console.log('✅ Test suite completed');
         return this.results;
     }
 
+    /**
+     * Result for a check that can't run in this environment
+     */
+    skip(category, test, reason) {
+        return {
+            category,
+            test,
+            passed: true,
+            skipped: true,
+            message: `Skipped: ${reason}`,
+            severity: 'low'
+        };
+    }
+
     /**
      * Run accessibility tests
      */
@@ -50,6 +83,10 @@ export class TestingSuite {
             this.testColorContrast,
             this.testFocusManagement,
             this.testARIALabels,
+            this.testLandmarks,
+            this.testDuplicateIds,
+            this.testFocusOrder,
+            this.testWidgetAudits,
             this.testSemanticHTML,
             this.testSkipLinks,
             this.testTouchTargets
@@ -75,6 +112,10 @@ export class TestingSuite {
      * Test keyboard navigation
      */
     testKeyboardNavigation() {
+        if (!this.hasLayout) {
+            return this.skip('Accessibility', 'Keyboard Navigation', 'needs layout and :focus styles');
+        }
+
         const focusableElements = document.querySelectorAll(
             'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
         );
@@ -163,38 +204,38 @@ export class TestingSuite {
     }
 
     /**
-     * Test color contrast
+     * Result for the audit rules with the given tags, run against the page
      */
-    testColorContrast() {
-        const issues = [];
-        const textElements = document.querySelectorAll('p, span, div, h1, h2, h3, h4, h5, h6, a, button, label');
-        
-        textElements.forEach((element, index) => {
-            const styles = window.getComputedStyle(element);
-            const color = styles.color;
-            const backgroundColor = styles.backgroundColor;
-            
-            if (color && backgroundColor && color !== backgroundColor) {
-                const contrast = this.calculateContrastRatio(color, backgroundColor);
-                if (contrast < 4.5) {
-                    issues.push(`Element ${index} has insufficient contrast ratio: ${contrast.toFixed(2)}`);
-                }
-            }
-        });
+    runAudit(test, tags, passMessage) {
+        const report = this.auditor.audit(document, { tags });
+        const { violations } = report;
+        const listed = violations.slice(0, 3).map(violation => `${violation.ruleId} at ${violation.selector}`);
+        if (violations.length > listed.length) listed.push(`${violations.length - listed.length} more`);
 
         return {
             category: 'Accessibility',
-            test: 'Color Contrast',
-            passed: issues.length === 0,
-            message: issues.length === 0 ? 'Color contrast meets WCAG AA standards' : `${issues.length} contrast issues found`,
-            severity: 'medium',
+            test,
+            passed: violations.length === 0,
+            message: violations.length === 0 ? passMessage : `${violations.length} violations: ${listed.join('; ')}`,
+            severity: violations.some(violation => violation.severity === 'high') ? 'high' : 'medium',
             details: {
-                elementsChecked: textElements.length,
-                issues: issues
+                rules: report.rules.checked,
+                violations
             }
         };
     }
 
+    /**
+     * Test color contrast
+     */
+    testColorContrast() {
+        if (!this.hasLayout) {
+            return this.skip('Accessibility', 'Color Contrast', 'needs computed styles');
+        }
+
+        return this.runAudit('Color Contrast', ['color'], 'Color contrast meets WCAG AA standards');
+    }
+
     /**
      * Test focus management
      */
@@ -233,39 +274,51 @@ export class TestingSuite {
     }
 
     /**
-     * Test ARIA labels
+     * Test ARIA roles, attributes and accessible names
      */
     testARIALabels() {
-        const issues = [];
-        
-        // Check for proper ARIA usage
-        const ariaElements = document.querySelectorAll('[aria-label], [aria-labelledby], [aria-describedby], [role]');
-        ariaElements.forEach((element, index) => {
-            // Check for empty aria-label
-            if (element.hasAttribute('aria-label') && !element.getAttribute('aria-label').trim()) {
-                issues.push(`Element ${index} has empty aria-label`);
-            }
-            
-            // Check for invalid aria-labelledby references
-            if (element.hasAttribute('aria-labelledby')) {
-                const ids = element.getAttribute('aria-labelledby').split(' ');
-                ids.forEach(id => {
-                    if (!document.getElementById(id)) {
-                        issues.push(`Element ${index} references non-existent ID in aria-labelledby: ${id}`);
-                    }
-                });
-            }
-        });
+        return this.runAudit('ARIA Labels', ['aria', 'names'], 'ARIA roles, attributes and names are valid');
+    }
+
+    /**
+     * Test landmark structure
+     */
+    testLandmarks() {
+        return this.runAudit('Landmarks', ['landmarks'], 'Landmark structure is sound');
+    }
+
+    /**
+     * Test for duplicate IDs
+     */
+    testDuplicateIds() {
+        return this.runAudit('Duplicate IDs', ['ids'], 'All IDs are unique');
+    }
+
+    /**
+     * Test focus order
+     */
+    testFocusOrder() {
+        return this.runAudit('Focus Order', ['focus'], 'Focus order follows the page');
+    }
+
+    /**
+     * Audit each widget section on its own, as after a render
+     */
+    testWidgetAudits() {
+        const sections = Array.from(document.querySelectorAll('[data-widget]'));
+        const reports = sections.map(section => this.auditor.audit(section, { target: section.dataset.widget }));
+        const failing = reports.filter(report => report.violations.length > 0);
 
         return {
             category: 'Accessibility',
-            test: 'ARIA Labels',
-            passed: issues.length === 0,
-            message: issues.length === 0 ? 'ARIA labels are properly implemented' : issues.join('; '),
-            severity: 'medium',
+            test: 'Widget Audits',
+            passed: failing.length === 0,
+            message: failing.length === 0
+                ? `${reports.length} widgets pass the audit on their own`
+                : failing.map(report => `${report.target}: ${report.summary.total} violations`).join('; '),
+            severity: failing.some(report => report.summary.high > 0) ? 'high' : 'medium',
             details: {
-                ariaElements: ariaElements.length,
-                issues: issues
+                reports
             }
         };
     }
@@ -345,6 +398,10 @@ export class TestingSuite {
      * Test touch targets
      */
     testTouchTargets() {
+        if (!this.hasLayout) {
+            return this.skip('Accessibility', 'Touch Targets', 'needs layout');
+        }
+
         const issues = [];
         const interactiveElements = document.querySelectorAll('button, a, input, select, textarea, [onclick], [role="button"]');
         
@@ -378,7 +435,9 @@ export class TestingSuite {
             this.testPageLoadTime,
             this.testResourceSizes,
             this.testMemoryUsage,
-            this.testRenderPerformance
+            this.testRenderPerformance,
+            this.testWebVitals,
+            this.testWidgetTimings
         ];
 
         for (const test of tests) {
@@ -402,7 +461,11 @@ export class TestingSuite {
      */
     testPageLoadTime() {
         const navigation = performance.getEntriesByType('navigation')[0];
-        const loadTime = navigation ? navigation.loadEventEnd - navigation.loadEventStart : 0;
+        if (!navigation) {
+            return this.skip('Performance', 'Page Load Time', 'no navigation timing in this environment');
+        }
+
+        const loadTime = navigation.loadEventEnd - navigation.loadEventStart;
         
         return {
             category: 'Performance',
@@ -451,20 +514,29 @@ export class TestingSuite {
     }
 
     /**
-     * Test memory usage
+     * Test memory usage: the standard API needs a cross-origin isolated page,
+     * `performance.memory` is Chrome-only
      */
-    testMemoryUsage() {
-        if (!performance.memory) {
-            return {
-                category: 'Performance',
-                test: 'Memory Usage',
-                passed: true,
-                message: 'Memory API not available',
-                severity: 'low'
+    async testMemoryUsage() {
+        let bytes;
+        let details;
+
+        if (typeof performance.measureUserAgentSpecificMemory === 'function' && window.crossOriginIsolated) {
+            const measurement = await performance.measureUserAgentSpecificMemory();
+            bytes = measurement.bytes;
+            details = { bytes, breakdown: measurement.breakdown.length };
+        } else if (performance.memory) {
+            bytes = performance.memory.usedJSHeapSize;
+            details = {
+                usedJSHeapSize: performance.memory.usedJSHeapSize,
+                totalJSHeapSize: performance.memory.totalJSHeapSize,
+                jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
             };
+        } else {
+            return this.skip('Performance', 'Memory Usage', 'no memory measurement API in this environment');
         }
 
-        const memoryUsage = performance.memory.usedJSHeapSize / 1024 / 1024; // MB
+        const memoryUsage = bytes / 1024 / 1024; // MB
         
         return {
             category: 'Performance',
@@ -472,11 +544,7 @@ export class TestingSuite {
             passed: memoryUsage < 50, // 50MB
             message: `Memory usage: ${memoryUsage.toFixed(2)}MB`,
             severity: 'low',
-            details: {
-                usedJSHeapSize: performance.memory.usedJSHeapSize,
-                totalJSHeapSize: performance.memory.totalJSHeapSize,
-                jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-            }
+            details
         };
     }
 
@@ -486,7 +554,11 @@ export class TestingSuite {
     testRenderPerformance() {
         const paintEntries = performance.getEntriesByType('paint');
         const fcp = paintEntries.find(entry => entry.name === 'first-contentful-paint');
-        const fcpTime = fcp ? fcp.startTime : 0;
+        if (!fcp) {
+            return this.skip('Performance', 'Render Performance', 'no paint timing in this environment');
+        }
+
+        const fcpTime = fcp.startTime;
         
         return {
             category: 'Performance',
@@ -501,22 +573,75 @@ export class TestingSuite {
         };
     }
 
+    /**
+     * Test LCP, CLS and INP measured so far against their budgets
+     */
+    testWebVitals() {
+        if (!this.monitor) {
+            return this.skip('Performance', 'Web Vitals', 'no performance monitor running');
+        }
+
+        const measured = VITALS.filter(name => this.monitor.vitals[name] !== null);
+        if (measured.length === 0) {
+            return this.skip('Performance', 'Web Vitals', 'no web vitals measured in this environment');
+        }
+
+        const over = this.monitor.getViolations().filter(violation => VITALS.includes(violation.metric));
+
+        return {
+            category: 'Performance',
+            test: 'Web Vitals',
+            passed: over.length === 0,
+            message: measured.map(name => `${name.toUpperCase()} ${formatMetric(name, this.monitor.vitals[name])}`).join(', ')
+                + (over.length > 0 ? ` - over budget: ${over.map(violation => violation.metric.toUpperCase()).join(', ')}` : ''),
+            severity: 'medium',
+            details: this.monitor.getSummary().vitals
+        };
+    }
+
+    /**
+     * Test widget init, render and refresh times and long tasks against
+     * their budgets
+     */
+    testWidgetTimings() {
+        if (!this.monitor) {
+            return this.skip('Performance', 'Widget Timings', 'no performance monitor running');
+        }
+
+        const summary = this.monitor.getSummary();
+        const timings = Object.values(summary.widgets)
+            .reduce((count, phases) => count + Object.values(phases).reduce((sum, phase) => sum + phase.count, 0), 0);
+        const over = this.monitor.getViolations().filter(violation => !VITALS.includes(violation.metric));
+
+        return {
+            category: 'Performance',
+            test: 'Widget Timings',
+            passed: over.length === 0,
+            message: over.length === 0
+                ? `${timings} widget timings and ${summary.longTasks.count} long tasks within budget`
+                : `Over budget: ${over.map(violation => `${violation.widget || 'long task'} ${violation.metric} ${formatMetric(violation.metric, violation.value)} (budget ${formatMetric(violation.metric, violation.budget)})`).join('; ')}`,
+            severity: 'medium',
+            details: { widgets: summary.widgets, longTasks: summary.longTasks, violations: over }
+        };
+    }
+
     /**
      * Run functionality tests
      */
     async runFunctionalityTests() {
         console.log('🔧 Running functionality tests...');
         
-        // Test widget loading
+        // Test widget loading - every section is marked with data-widget
         const widgets = ['announcements', 'tasks', 'calendar', 'tickets', 'quickLaunch'];
         
         for (const widgetName of widgets) {
-            const widget = document.querySelector(`.widget--${widgetName}`);
+            const widget = document.querySelector(`[data-widget="${widgetName}"]`);
+            const error = widget && widget.querySelector('.widget__error');
             this.results.push({
                 category: 'Functionality',
                 test: `${widgetName} Widget Loading`,
-                passed: !!widget,
-                message: widget ? 'Widget loaded successfully' : 'Widget not found',
+                passed: !!widget && !error,
+                message: !widget ? 'Widget not found' : error ? `Widget shows an error: ${error.textContent.trim()}` : 'Widget loaded successfully',
                 severity: 'high'
             });
         }
@@ -528,26 +653,129 @@ export class TestingSuite {
     async runResponsiveTests() {
         console.log('📱 Running responsive design tests...');
         
-        const breakpoints = [320, 768, 1024, 1280];
+        const tests = [
+            this.testViewportMeta,
+            this.testBreakpointCoverage,
+            this.testHorizontalOverflow
+        ];
+
+        for (const test of tests) {
+            try {
+                const result = await test.call(this);
+                this.results.push(result);
+            } catch (error) {
+                this.results.push({
+                    category: 'Responsive Design',
+                    test: test.name,
+                    passed: false,
+                    message: error.message,
+                    severity: 'medium'
+                });
+            }
+        }
+    }
+
+    /**
+     * Test that the page scales to the device width
+     */
+    testViewportMeta() {
+        const viewport = document.querySelector('meta[name="viewport"]');
+        const content = viewport ? viewport.getAttribute('content') || '' : '';
         const issues = [];
-        
-        breakpoints.forEach(width => {
-            // Simulate viewport width (limited testing in this environment)
-            const mediaQuery = window.matchMedia(`(min-width: ${width}px)`);
-            // This is a simplified test - in a real environment you'd use tools like Puppeteer
+
+        if (!viewport) {
+            issues.push('No viewport meta tag');
+        } else {
+            if (!/width\s*=\s*device-width/.test(content)) {
+                issues.push('Viewport does not use width=device-width');
+            }
+            if (/user-scalable\s*=\s*no|maximum-scale\s*=\s*1(\.0)?\b/.test(content)) {
+                issues.push('Viewport prevents zooming');
+            }
+        }
+
+        return {
+            category: 'Responsive Design',
+            test: 'Viewport Meta',
+            passed: issues.length === 0,
+            message: issues.length === 0 ? 'Viewport is responsive and zoomable' : issues.join('; '),
+            severity: 'high',
+            details: {
+                content,
+                issues
+            }
+        };
+    }
+
+    /**
+     * Test that the stylesheets adapt the layout at each breakpoint
+     */
+    testBreakpointCoverage() {
+        const mediaQueries = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            let rules;
+            try {
+                rules = Array.from(sheet.cssRules || []);
+            } catch (error) {
+                return; // Cross-origin stylesheet
+            }
+            rules.forEach(rule => {
+                if (rule.media && rule.media.mediaText) {
+                    mediaQueries.push(rule.media.mediaText);
+                }
+            });
         });
 
-        this.results.push({
+        const widths = mediaQueries.flatMap(query => Array.from(query.matchAll(/(min|max)-width:\s*(\d+)px/g), match => (
+            match[1] === 'min' ? Number(match[2]) : Number(match[2]) + 1
+        )));
+
+        // The smallest breakpoint is the base layout
+        const missing = this.breakpoints.slice(1).filter(width => !widths.includes(width));
+
+        return {
             category: 'Responsive Design',
-            test: 'Breakpoint Testing',
-            passed: true,
-            message: 'Responsive design structure is in place',
+            test: 'Breakpoint Coverage',
+            passed: missing.length === 0,
+            message: missing.length === 0
+                ? `Media queries cover ${this.breakpoints.slice(1).join(', ')}px`
+                : `No media query at ${missing.join(', ')}px`,
             severity: 'medium',
             details: {
-                breakpoints: breakpoints,
-                note: 'Full responsive testing requires browser automation tools'
+                breakpoints: this.breakpoints,
+                mediaQueries: Array.from(new Set(mediaQueries)),
+                missing
             }
-        });
+        };
+    }
+
+    /**
+     * Test that nothing scrolls sideways at the current width
+     */
+    testHorizontalOverflow() {
+        if (!this.hasLayout) {
+            return this.skip('Responsive Design', 'Horizontal Overflow', 'needs layout');
+        }
+
+        const viewportWidth = document.documentElement.clientWidth;
+        const overflowing = Array.from(document.querySelectorAll('body *'))
+            .filter(element => element.getBoundingClientRect().right > viewportWidth + 1)
+            .slice(0, 10)
+            .map(element => element.className || element.tagName.toLowerCase());
+
+        return {
+            category: 'Responsive Design',
+            test: 'Horizontal Overflow',
+            passed: overflowing.length === 0,
+            message: overflowing.length === 0
+                ? `No horizontal overflow at ${viewportWidth}px`
+                : `${overflowing.length} elements wider than the ${viewportWidth}px viewport`,
+            severity: 'medium',
+            details: {
+                viewportWidth,
+                overflowing
+            }
+        };
     }
 
     /**
@@ -557,7 +785,7 @@ export class TestingSuite {
         console.log('🌐 Running browser compatibility tests...');
         
         const features = [
-            { name: 'ES6 Modules', test: () => typeof import !== 'undefined' },
+            { name: 'ES6 Modules', test: () => 'noModule' in document.createElement('script') },
             { name: 'CSS Grid', test: () => CSS.supports('display', 'grid') },
             { name: 'CSS Custom Properties', test: () => CSS.supports('--test', '0') },
             { name: 'Fetch API', test: () => typeof fetch !== 'undefined' },
@@ -566,7 +794,12 @@ export class TestingSuite {
         ];
 
         features.forEach(feature => {
-            const supported = feature.test();
+            let supported;
+            try {
+                supported = !!feature.test();
+            } catch (error) {
+                supported = false; // e.g. no CSS global at all
+            }
             this.results.push({
                 category: 'Browser Compatibility',
                 test: feature.name,
@@ -577,43 +810,6 @@ export class TestingSuite {
         });
     }
 
-    /**
-     * Calculate contrast ratio between two colors
-     */
-    calculateContrastRatio(color1, color2) {
-        const getLuminance = (color) => {
-            const rgb = this.parseColor(color);
-            if (!rgb) return 0;
-            
-            const [r, g, b] = rgb.map(c => {
-                c = c / 255;
-                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-            });
-            
-            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-        };
-
-        const l1 = getLuminance(color1);
-        const l2 = getLuminance(color2);
-        const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
-        
-        return ratio;
-    }
-
-    /**
-     * Parse color string to RGB values
-     */
-    parseColor(color) {
-        const div = document.createElement('div');
-        div.style.color = color;
-        document.body.appendChild(div);
-        const computedColor = window.getComputedStyle(div).color;
-        document.body.removeChild(div);
-        
-        const match = computedColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        return match ? [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])] : null;
-    }
-
     /**
      * Generate test report
      */
@@ -622,8 +818,9 @@ export class TestingSuite {
             timestamp: new Date().toISOString(),
             summary: {
                 total: this.results.length,
-                passed: this.results.filter(r => r.passed).length,
+                passed: this.results.filter(r => r.passed && !r.skipped).length,
                 failed: this.results.filter(r => !r.passed).length,
+                skipped: this.results.filter(r => r.skipped).length,
                 categories: {}
             },
             results: this.results
@@ -632,10 +829,12 @@ export class TestingSuite {
         // Group by category
         this.results.forEach(result => {
             if (!report.summary.categories[result.category]) {
-                report.summary.categories[result.category] = { total: 0, passed: 0, failed: 0 };
+                report.summary.categories[result.category] = { total: 0, passed: 0, failed: 0, skipped: 0 };
             }
             report.summary.categories[result.category].total++;
-            if (result.passed) {
+            if (result.skipped) {
+                report.summary.categories[result.category].skipped++;
+            } else if (result.passed) {
                 report.summary.categories[result.category].passed++;
             } else {
                 report.summary.categories[result.category].failed++;
@@ -692,9 +891,9 @@ export class TestingSuite {
                 
                 <div class="test-results">
                     ${this.results.map(result => `
-                        <div class="test-result ${result.passed ? 'passed' : 'failed'}">
+                        <div class="test-result ${result.skipped ? 'skipped' : result.passed ? 'passed' : 'failed'}">
                             <div class="test-header">
-                                <span class="test-status">${result.passed ? '✅' : '❌'}</span>
+                                <span class="test-status">${result.skipped ? '⏭️' : result.passed ? '✅' : '❌'}</span>
                                 <span class="test-name">${result.test}</span>
                                 <span class="test-category">${result.category}</span>
                             </div>
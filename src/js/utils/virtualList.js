@@ -0,0 +1,246 @@
+/**
+ * Virtual List - Render only the rows of a long list that are in view
+ *
+ * A list of more than `threshold` items becomes a scrolling window
+ * (`.virtual-list`) holding the visible rows plus `overscan` rows either
+ * side; padding stands in for the rest so the scrollbar stays true. Row
+ * heights start out as `rowHeight` and are measured as rows are shown, so
+ * rows may differ in height. Shorter lists render every row.
+ *
+ * Windowed rows carry aria-posinset/aria-setsize so screen readers still
+ * announce "12 of 10000". Arrow keys, Page Up/Down, Home and End move focus
+ * between rows, rendering the target row first when it is out of view.
+ *
+ * BaseWidget.createVirtualList() wires a list to a widget's container:
+ *
+ *   this.ticketList = this.createVirtualList('tickets__list', {
+ *       rowHeight: 200,
+ *       renderItem: (ticket, ariaPosition) => this.renderTicket(ticket, ariaPosition)
+ *   });
+ *
+ *   render() {
+ *       this.patchHTML(`<div class="tickets__header">...</div> ${this.ticketList.render(tickets)}`);
+ *   }
+ *
+ * `renderItem` returns the markup of one row: a single element with a
+ * data-*-id attribute (see utils/reconcile.js) and `ariaPosition` - the
+ * aria-posinset/aria-setsize attributes, empty when every row is rendered -
+ * in its opening tag.
+ */
+
+import { reconcile } from './reconcile.js';
+
+export class VirtualList {
+    constructor(options = {}) {
+        this.className = options.className;
+        this.renderItem = options.renderItem;
+        this.getKey = options.getKey || (item => item.id);
+        this.getElement = options.getElement || (() => null);
+        this.rowHeight = options.rowHeight || 100;
+        this.overscan = options.overscan ?? 4;
+        this.threshold = options.threshold ?? 10;
+        // Used until the list has been laid out (and in jsdom, which has no layout)
+        this.viewportHeight = options.viewportHeight || 600;
+
+        this.items = [];
+        this.heights = new Map();  // key -> measured row height
+        this.offsets = [0];        // top of each row, plus the total at the end
+        this.gap = 0;
+        this.start = 0;
+        this.end = 0;
+        this.renderedKeys = [];
+        this.frame = null;
+    }
+
+    get isVirtual() {
+        return this.items.length > this.threshold;
+    }
+
+    /**
+     * Markup for the list element holding the rows in view
+     */
+    render(items) {
+        this.items = items;
+
+        const element = this.getElement();
+        if (element) {
+            this.measure(element);
+        }
+        this.computeRange(element);
+
+        const className = this.isVirtual ? `${this.className} virtual-list` : this.className;
+        const style = this.isVirtual ? ` style="${this.getPaddingStyle()}"` : '';
+        return `
+            <div class="${className}" role="list"${style}>
+                ${this.renderRows()}
+            </div>
+        `;
+    }
+
+    /**
+     * Patch the rendered rows after a scroll; `include` is an index that
+     * must be rendered whatever the scroll position
+     */
+    update(element, include = null) {
+        if (!this.isVirtual) return;
+
+        const previous = { start: this.start, end: this.end, style: this.getPaddingStyle() };
+        this.measure(element);
+        this.computeRange(element, include);
+
+        const style = this.getPaddingStyle();
+        if (previous.start === this.start && previous.end === this.end && previous.style === style) {
+            return;
+        }
+
+        element.setAttribute('style', style);
+        reconcile(element, this.renderRows());
+    }
+
+    /**
+     * Update once per frame however many scroll events arrive
+     */
+    scheduleUpdate(element) {
+        if (this.frame !== null) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update(element);
+        });
+    }
+
+    /**
+     * Move focus between rows with the arrow, Page Up/Down, Home and End keys
+     */
+    handleKeydown(event, element) {
+        const index = this.start + Array.prototype.indexOf.call(element.children, event.target);
+        const page = Math.max(1, this.end - this.start - 2 * this.overscan);
+        const targets = {
+            ArrowDown: index + 1,
+            ArrowUp: index - 1,
+            PageDown: index + page,
+            PageUp: index - page,
+            Home: 0,
+            End: this.items.length - 1
+        };
+
+        if (!(event.key in targets)) return;
+
+        event.preventDefault();
+        this.focusIndex(element, Math.min(this.items.length - 1, Math.max(0, targets[event.key])));
+    }
+
+    /**
+     * Focus the row for an item index, rendering it first if needed
+     */
+    focusIndex(element, index) {
+        if (index < this.start || index >= this.end) {
+            this.update(element, index);
+        }
+
+        const row = element.children[index - this.start];
+        if (row) {
+            row.focus();
+        }
+    }
+
+    /**
+     * Remember the heights of the rows on screen
+     */
+    measure(element) {
+        if (!this.isVirtual) return;
+
+        Array.from(element.children).forEach((row, i) => {
+            const height = row.getBoundingClientRect().height;
+            if (this.renderedKeys[i] !== undefined && height > 0) {
+                this.heights.set(this.renderedKeys[i], height);
+            }
+        });
+        this.gap = parseFloat(getComputedStyle(element).rowGap) || 0;
+    }
+
+    computeRange(element, include = null) {
+        const count = this.items.length;
+        if (!this.isVirtual) {
+            this.start = 0;
+            this.end = count;
+            return;
+        }
+
+        this.offsets = [0];
+        this.items.forEach((item, i) => {
+            const height = this.heights.get(this.getKey(item)) || this.rowHeight;
+            this.offsets.push(this.offsets[i] + height + this.gap);
+        });
+
+        const scrollTop = element ? element.scrollTop : 0;
+        const viewportHeight = (element && element.clientHeight) || this.viewportHeight;
+        let first = this.indexAt(scrollTop);
+        let last = this.indexAt(scrollTop + viewportHeight) + 1;
+
+        if (include !== null && include < first) {
+            last = include + (last - first);
+            first = include;
+        } else if (include !== null && include >= last) {
+            first = include + 1 - (last - first);
+            last = include + 1;
+        }
+
+        this.start = Math.max(0, first - this.overscan);
+        this.end = Math.min(count, last + this.overscan);
+    }
+
+    /**
+     * Index of the row at a distance from the top of the list
+     */
+    indexAt(y) {
+        let low = 0;
+        let high = this.items.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.offsets[middle] <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    getPaddingStyle() {
+        if (!this.isVirtual) return '';
+
+        const before = this.offsets[this.start];
+        const after = this.offsets[this.items.length] - this.offsets[this.end];
+        return `padding-top: ${Math.round(before)}px; padding-bottom: ${Math.round(after)}px;`;
+    }
+
+    renderRows() {
+        const rows = this.items.slice(this.start, this.end);
+        this.renderedKeys = rows.map(item => this.getKey(item));
+
+        return rows.map((item, i) => this.renderItem(item, this.isVirtual
+            ? `aria-posinset="${this.start + i + 1}" aria-setsize="${this.items.length}"`
+            : '')).join('');
+    }
+
+    destroy() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return {
+            items: this.items.length,
+            virtual: this.isVirtual,
+            rendered: this.end - this.start,
+            range: [this.start, this.end],
+            measuredRows: this.heights.size
+        };
+    }
+}
@@ -9,6 +9,7 @@ export class AnnouncementsWidget extends BaseWidget {
         super(container, services);
         this.dismissedAnnouncements = new Set();
         this.refreshIntervalMs = 600000; // 10 minutes for announcements
+        this.addEventListeners();
     }
 
     /**
@@ -28,9 +29,6 @@ export class AnnouncementsWidget extends BaseWidget {
             // Set up toggle functionality
             this.setupToggle();
             
-            // Start auto-refresh
-            this.startAutoRefresh();
-            
             this.isInitialized = true;
             console.log('✅ Announcements Widget initialized');
             
@@ -44,37 +42,9 @@ export class AnnouncementsWidget extends BaseWidget {
      */
     async loadData() {
         try {
-            const response = await fetch('src/data/announcements.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const announcements = await response.json();
-            
-            // Filter out expired and dismissed announcements
-            this.data = announcements.filter(announcement => {
-                // Check if expired
-                if (announcement.expiresAt && new Date(announcement.expiresAt) < new Date()) {
-                    return false;
-                }
-                
-                // Check if dismissed
-                if (this.dismissedAnnouncements.has(announcement.id)) {
-                    return false;
-                }
-                
-                return true;
-            });
+            const announcements = await this.services.dataSource.load('announcements');
             
-            // Sort by priority and creation date
-            this.data.sort((a, b) => {
-                const priorityOrder = { high: 3, medium: 2, low: 1 };
-                const priorityDiff = (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0);
-                
-                if (priorityDiff !== 0) return priorityDiff;
-                
-                return new Date(b.createdAt) - new Date(a.createdAt);
-            });
+            this.data = this.prepareAnnouncements(announcements);
             
         } catch (error) {
             console.error('Failed to load announcements:', error);
@@ -82,6 +52,53 @@ export class AnnouncementsWidget extends BaseWidget {
         }
     }
 
+    /**
+     * Drop expired and dismissed announcements and sort the rest
+     */
+    prepareAnnouncements(announcements) {
+        // Filter out expired and dismissed announcements
+        const visible = announcements.filter(announcement => {
+            // Check if expired
+            if (announcement.expiresAt && new Date(announcement.expiresAt) < this.now()) {
+                return false;
+            }
+            
+            // Check if dismissed
+            if (this.dismissedAnnouncements.has(announcement.id)) {
+                return false;
+            }
+            
+            return true;
+        });
+        
+        // Sort by priority and creation date
+        visible.sort((a, b) => {
+            const priorityOrder = { high: 3, medium: 2, low: 1 };
+            const priorityDiff = (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0);
+            
+            if (priorityDiff !== 0) return priorityDiff;
+            
+            return new Date(b.createdAt) - new Date(a.createdAt);
+        });
+
+        return visible;
+    }
+
+    /**
+     * Apply a pushed announcement change without reloading
+     */
+    applyPatch(resource, patch) {
+        const isNew = patch.op === 'create' && !(this.data || []).some(announcement => announcement.id === patch.id);
+
+        this.data = this.prepareAnnouncements(this.mergePatch(this.data, patch));
+        this.render();
+
+        const added = isNew && this.data.find(announcement => announcement.id === patch.id);
+        if (added) {
+            this.announce(this.t('announcements.new', { title: added.title }));
+        }
+    }
+
     /**
      * Render the announcements
      */
@@ -90,7 +107,7 @@ export class AnnouncementsWidget extends BaseWidget {
         this.updateToggleCount();
         
         if (!this.data || this.data.length === 0) {
-            this.showEmptyState('No announcements at this time', 'Refresh', () => this.refresh());
+            this.showEmptyState(this.t('announcements.empty'), this.t('widget.refresh'), () => this.refresh());
             return;
         }
 
@@ -98,14 +115,11 @@ export class AnnouncementsWidget extends BaseWidget {
             this.renderAnnouncement(announcement)
         ).join('');
 
-        this.container.innerHTML = `
+        this.patchHTML(`
             <div class="announcements__list" role="list">
                 ${announcementsHTML}
             </div>
-        `;
-
-        // Add event listeners for dismiss buttons
-        this.addEventListeners();
+        `);
         
         // Restore saved collapse state after rendering
         this.restoreToggleState();
@@ -113,7 +127,7 @@ export class AnnouncementsWidget extends BaseWidget {
         // Announce new announcements to screen readers
         const highPriorityCount = this.data.filter(a => a.priority === 'high').length;
         if (highPriorityCount > 0) {
-            this.announce(`${highPriorityCount} high priority announcement${highPriorityCount !== 1 ? 's' : ''} available`, 'assertive');
+            this.announce(this.t('announcements.highPriorityCount', { count: highPriorityCount }), 'assertive');
         }
     }
 
@@ -122,7 +136,7 @@ export class AnnouncementsWidget extends BaseWidget {
      */
     restoreToggleState() {
         const savedState = this.services.storage.getItem('announcements_collapsed');
-        const isCollapsed = savedState === true || savedState === 'true';
+        const isCollapsed = savedState === true;
         
         if (isCollapsed) {
             // Apply collapsed state
@@ -139,7 +153,7 @@ export class AnnouncementsWidget extends BaseWidget {
 
         // Load saved state from localStorage
         const savedState = this.services.storage.getItem('announcements_collapsed');
-        const isCollapsed = savedState === true || savedState === 'true';
+        const isCollapsed = savedState === true;
         
         // Set initial state (expanded by default if no saved state)
         this.setToggleState(!isCollapsed);
@@ -157,7 +171,7 @@ export class AnnouncementsWidget extends BaseWidget {
             this.services.storage.setItem('announcements_collapsed', newCollapsedState);
             
             // Announce state change
-            this.announce(isExpanded ? 'Announcements collapsed' : 'Announcements expanded');
+            this.announce(this.t(isExpanded ? 'announcements.collapsed' : 'announcements.expanded'));
             
             console.log(`📋 Announcements state saved: ${newCollapsedState ? 'collapsed' : 'expanded'}`);
         });
@@ -185,11 +199,11 @@ export class AnnouncementsWidget extends BaseWidget {
         if (isExpanded) {
             container.classList.remove('announcements--collapsed');
             container.classList.add('announcements--expanded');
-            toggleButton.setAttribute('aria-label', 'Collapse announcements');
+            toggleButton.setAttribute('aria-label', this.t('announcements.collapse'));
         } else {
             container.classList.add('announcements--collapsed');
             container.classList.remove('announcements--expanded');
-            toggleButton.setAttribute('aria-label', 'Expand announcements');
+            toggleButton.setAttribute('aria-label', this.t('announcements.expand'));
         }
     }
 
@@ -199,14 +213,13 @@ export class AnnouncementsWidget extends BaseWidget {
     updateToggleCount() {
         const countElement = document.querySelector('.announcements__count');
         if (countElement && this.data) {
-            countElement.textContent = this.data.length.toString();
+            countElement.textContent = this.services.i18n.formatNumber(this.data.length);
             
             // Update aria-label with count
             const toggleButton = document.querySelector('.announcements__toggle');
             if (toggleButton) {
                 const isExpanded = toggleButton.getAttribute('aria-expanded') === 'true';
-                const action = isExpanded ? 'Collapse' : 'Expand';
-                toggleButton.setAttribute('aria-label', `${action} ${this.data.length} announcement${this.data.length !== 1 ? 's' : ''}`);
+                toggleButton.setAttribute('aria-label', this.t('announcements.toggleCount', { expanded: isExpanded, count: this.data.length }));
             }
         }
     }
@@ -221,7 +234,7 @@ export class AnnouncementsWidget extends BaseWidget {
         
         const dismissButton = announcement.dismissible ? `
             <button class="announcement__dismiss" 
-                    aria-label="Dismiss announcement: ${this.sanitizeHTML(announcement.title)}"
+                    aria-label="${this.t('announcements.dismissLabel', { title: this.sanitizeHTML(announcement.title) })}"
                     data-announcement-id="${announcement.id}">
                 <span aria-hidden="true">×</span>
             </button>
@@ -229,7 +242,7 @@ export class AnnouncementsWidget extends BaseWidget {
 
         const timeAgo = this.formatRelativeTime(announcement.createdAt);
         const expiresText = announcement.expiresAt ? 
-            `Expires ${this.formatDate(announcement.expiresAt)}` : '';
+            this.t('announcements.expires', { date: this.formatDate(announcement.expiresAt) }) : '';
 
         return `
             <div class="announcement ${typeClass} ${priorityClass} ${dismissibleClass}" 
@@ -255,36 +268,27 @@ export class AnnouncementsWidget extends BaseWidget {
                         ${this.sanitizeHTML(announcement.message)}
                     </div>
                     
-                    ${announcement.priority === 'high' ? '<div class="announcement__priority-indicator" aria-label="High priority"></div>' : ''}
+                    ${announcement.priority === 'high' ? `<div class="announcement__priority-indicator" aria-label="${this.t('common.highPriority')}"></div>` : ''}
                 </div>
             </div>
         `;
     }
 
-    /**
-     * Add event listeners
-     */
     addEventListeners() {
-        // Dismiss button listeners
-        const dismissButtons = this.container.querySelectorAll('.announcement__dismiss');
-        dismissButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const announcementId = button.getAttribute('data-announcement-id');
-                this.dismissAnnouncement(announcementId);
-            });
+        // Dismiss buttons
+        this.delegate('click', '.announcement__dismiss', (e, button) => {
+            e.preventDefault();
+            const announcementId = button.getAttribute('data-announcement-id');
+            this.dismissAnnouncement(announcementId);
         });
 
         // Keyboard support for announcements
-        const announcements = this.container.querySelectorAll('.announcement');
-        announcements.forEach(announcement => {
-            announcement.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    // Could expand announcement or show more details
-                    e.preventDefault();
-                    this.expandAnnouncement(announcement);
-                }
-            });
+        this.delegate('keydown', '.announcement', (e, announcement) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === announcement) {
+                // Could expand announcement or show more details
+                e.preventDefault();
+                this.expandAnnouncement(announcement);
+            }
         });
     }
 
@@ -300,27 +304,122 @@ export class AnnouncementsWidget extends BaseWidget {
         
         // Announce dismissal to screen readers
         const title = announcementElement.querySelector('.announcement__title').textContent;
-        this.announce(`Announcement "${title}" dismissed`);
+        this.announce(this.describeQueuedChange(this.t('announcements.dismissed', { title })));
 
         // Remove after animation
         setTimeout(() => {
-            // Add to dismissed set
-            this.dismissedAnnouncements.add(announcementId);
-            
-            // Save to storage
+            const announcement = this.data.find(a => a.id === announcementId);
+            if (!announcement) return;
+
+            // Recorded first so a refused dismissal can take the command back off the stack
+            let dismissalId = null;
+            const command = this.services.commands.record({
+                label: this.t('announcements.dismissed', { title }),
+                undo: () => this.restoreAnnouncement(announcement, dismissalId, command),
+                redo: () => {
+                    dismissalId = this.applyDismissal(announcementId, title, command);
+                }
+            });
+            dismissalId = this.applyDismissal(announcementId, title, command);
+        }, 300); // Match CSS animation duration
+    }
+
+    /**
+     * Hide a dismissed announcement and record the dismissal on the server
+     * Returns the id of the dismissal record
+     */
+    applyDismissal(announcementId, title, command) {
+        const dismissalId = `dismissal_${announcementId}_${Date.now()}`;
+
+        // Add to dismissed set (re-read first so dismissals from other tabs survive)
+        this.loadDismissedAnnouncements();
+        this.dismissedAnnouncements.add(announcementId);
+        
+        // Save to storage
+        this.saveDismissedAnnouncements();
+        
+        // Remove from data and re-render
+        this.data = this.data.filter(a => a.id !== announcementId);
+        this.render();
+        
+        // Update toggle count
+        this.updateToggleCount();
+        
+        // Emit event
+        this.services.eventBus.emit('announcement:dismissed', announcementId);
+
+        // Bring the announcement back if the server refuses the dismissal
+        this.saveOptimistically({
+            resource: 'dismissals',
+            operation: 'create',
+            payload: { id: dismissalId, announcementId, dismissedAt: this.now().toISOString() },
+            label: this.t('announcements.dismissAction', { title })
+        }, () => {
+            this.services.commands.discard(command);
+
+            this.loadDismissedAnnouncements();
+            this.dismissedAnnouncements.delete(announcementId);
             this.saveDismissedAnnouncements();
-            
-            // Remove from data and re-render
-            this.data = this.data.filter(a => a.id !== announcementId);
+            this.refresh();
+        });
+
+        return dismissalId;
+    }
+
+    /**
+     * Undo a dismissal: show the announcement again and delete the record
+     */
+    restoreAnnouncement(announcement, dismissalId, command) {
+        this.loadDismissedAnnouncements();
+        this.dismissedAnnouncements.delete(announcement.id);
+        this.saveDismissedAnnouncements();
+
+        const others = (this.data || []).filter(a => a.id !== announcement.id);
+        this.data = this.prepareAnnouncements([...others, announcement]);
+        this.render();
+
+        this.services.eventBus.emit('announcement:restored', announcement.id);
+
+        this.saveOptimistically({
+            resource: 'dismissals',
+            operation: 'remove',
+            id: dismissalId,
+            label: this.t('announcements.restoreAction', { title: announcement.title })
+        }, () => {
+            this.services.commands.discard(command);
+
+            this.loadDismissedAnnouncements();
+            this.dismissedAnnouncements.add(announcement.id);
+            this.saveDismissedAnnouncements();
+            this.data = this.data.filter(a => a.id !== announcement.id);
             this.render();
-            
-            // Update toggle count
-            this.updateToggleCount();
-            
-            // Emit event
-            this.services.eventBus.emit('announcement:dismissed', announcementId);
-            
-        }, 300); // Match CSS animation duration
+        });
+    }
+
+    /**
+     * Follow dismissals and collapse state changed in another tab
+     */
+    onStorageChanged(key, value) {
+        if (!this.isInitialized) return;
+
+        if (key === 'announcements_collapsed') {
+            this.setToggleState(value !== true);
+            return;
+        }
+
+        if (key !== 'dismissed_announcements' && key !== null) return;
+
+        const previous = this.dismissedAnnouncements;
+        this.loadDismissedAnnouncements();
+
+        // Un-dismissed announcements are no longer in this.data - reload them
+        if ([...previous].some(id => !this.dismissedAnnouncements.has(id))) {
+            this.refresh();
+            return;
+        }
+
+        this.data = this.prepareAnnouncements(this.data || []);
+        this.render();
     }
 
     /**
@@ -354,7 +453,7 @@ export class AnnouncementsWidget extends BaseWidget {
         this.dismissedAnnouncements.clear();
         this.saveDismissedAnnouncements();
         this.refresh();
-        this.announce('All dismissed announcements cleared');
+        this.announce(this.t('announcements.cleared'));
     }
 
     /**
@@ -390,7 +489,7 @@ export class AnnouncementsWidget extends BaseWidget {
             dismissedCount: this.dismissedAnnouncements.size,
             highPriorityCount: this.getAnnouncementsByPriority('high').length,
             criticalCount: this.data ? this.data.filter(a => a.priority === 'high' && a.type === 'error').length : 0,
-            isCollapsed: savedState === true || savedState === 'true',
+            isCollapsed: savedState === true,
             savedCollapseState: savedState
         };
     }
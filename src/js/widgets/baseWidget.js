@@ -2,21 +2,146 @@
  * Base Widget Class - Common functionality for all dashboard widgets
  */
 
+import { reconcile } from '../utils/reconcile.js';
+import { VirtualList } from '../utils/virtualList.js';
+
 export class BaseWidget {
     constructor(container, services) {
         this.container = container;
         this.services = services;
+        this.widgetName = null; // Registry name, set by WidgetRegistry.create()
+        this.defaultPreferences = {};
+        this.resources = []; // Data resources this widget displays, set by WidgetRegistry.create()
+        this.offlineBanner = null;
+        this.offlineCacheInfo = null;
         this.isInitialized = false;
         this.isLoading = false;
         this.data = null;
-        this.refreshInterval = null;
+        this.view = null; // What render() shows, from prepareView()
+        this.viewVersion = 0;
         this.autoRefreshEnabled = true;
-        this.refreshIntervalMs = 300000; // 5 minutes default
+        this.refreshIntervalMs = 300000; // 5 minutes default, timing is owned by the RefreshScheduler
         
         // Bind methods to preserve context
         this.refresh = this.refresh.bind(this);
         this.handleError = this.handleError.bind(this);
         this.handleResize = this.handleResize.bind(this);
+        this.handleDataLoaded = this.handleDataLoaded.bind(this);
+        this.onStorageChanged = this.onStorageChanged.bind(this);
+        this.onClockChanged = this.onClockChanged.bind(this);
+        this.onLocaleChanged = this.onLocaleChanged.bind(this);
+
+        // Announce every render (e.g. for the accessibility audit), however it was triggered
+        const render = this.render;
+        this.render = (...args) => {
+            const startedAt = performance.now();
+            const result = render.apply(this, args);
+            this.reportTiming('render', startedAt);
+            this.services.eventBus.emit('widget:rendered', this.widgetName || this.constructor.name, this.container);
+            return result;
+        };
+
+        // Time init and refresh for the performance monitor, failed or not
+        ['init', 'refresh'].forEach(phase => {
+            const method = this[phase];
+            this[phase] = async (...args) => {
+                const startedAt = performance.now();
+                try {
+                    return await method.apply(this, args);
+                } finally {
+                    this.reportTiming(phase, startedAt);
+                }
+            };
+        });
+
+        this.subscriptions = [];
+        this.listen('data:loaded', this.handleDataLoaded);
+        this.listen('storage:changed', this.onStorageChanged);
+        this.listen('clock:changed', this.onClockChanged);
+        this.listen('locale:changed', this.onLocaleChanged);
+
+        this.delegatedListeners = [];
+        this.virtualLists = [];
+        this.emptyStateAction = null;
+        this.delegate('click', '.widget__error-retry', () => this.refresh());
+        this.delegate('click', '.widget__empty-action', () => {
+            if (this.emptyStateAction) {
+                this.emptyStateAction();
+            }
+        });
+    }
+
+    /**
+     * Emit how long an init, render or refresh took (see services/performanceMonitor.js)
+     */
+    reportTiming(phase, startedAt) {
+        this.services.eventBus.emit('widget:timing', this.widgetName || this.constructor.name, phase, performance.now() - startedAt);
+    }
+
+    /**
+     * Subscribe to an event bus name or pattern for the widget's lifetime;
+     * destroy() unsubscribes
+     */
+    listen(eventName, callback, options = {}) {
+        const subscription = this.services.eventBus.on(eventName, callback, options);
+        this.subscriptions.push(subscription);
+        return subscription;
+    }
+
+    /**
+     * Handle `type` events from elements matching `selector` with one listener
+     * on the container, so it keeps working whatever a render replaces;
+     * the handler gets (event, matchedElement). destroy() removes it.
+     */
+    delegate(type, selector, handler, options = {}) {
+        const listener = (event) => {
+            const element = event.target instanceof Element ? event.target.closest(selector) : null;
+            if (element && this.container.contains(element)) {
+                handler.call(this, event, element);
+            }
+        };
+
+        this.container.addEventListener(type, listener, options);
+        this.delegatedListeners.push({ type, listener, options });
+    }
+
+    /**
+     * Window a long list so only the rows in view are in the DOM; put
+     * `list.render(items)` where the list element goes (see utils/virtualList.js)
+     */
+    createVirtualList(className, options) {
+        const selector = `.${className}`;
+        const list = new VirtualList({
+            ...options,
+            className,
+            getElement: () => this.container.querySelector(selector)
+        });
+
+        // scroll doesn't bubble, so catch it on the way down
+        this.delegate('scroll', selector, (event, element) => {
+            if (event.target === element) {
+                list.scheduleUpdate(element);
+            }
+        }, { capture: true });
+
+        this.delegate('keydown', `${selector} > *`, (event, row) => {
+            if (event.target === row) {
+                list.handleKeydown(event, row.parentElement);
+            }
+        });
+
+        this.virtualLists.push(list);
+        return list;
+    }
+
+    /**
+     * Update the container (or an element inside it) to match `html`,
+     * touching only what changed so focus, scroll position and open state
+     * survive re-renders. List items are matched by their data-*-id
+     * attribute (see utils/reconcile.js).
+     */
+    patchHTML(html, target = this.container) {
+        return reconcile(target, html);
     }
 
     /**
@@ -40,27 +165,203 @@ export class BaseWidget {
         throw new Error('render() method must be implemented by subclass');
     }
 
+    /**
+     * Work out what render() shows from the loaded data - filtered, sorted,
+     * counted - usually through services.dataProcessor so long lists are
+     * handled off the main thread. Resolves to the new this.view; widgets
+     * that render straight from their data keep the default.
+     */
+    async prepareView() {
+        return null;
+    }
+
+    /**
+     * Prepare the view and render it. Resolves to false when a later update
+     * started meanwhile, as its view replaces this one.
+     */
+    async update() {
+        const version = ++this.viewVersion;
+        const view = await this.prepareView();
+        if (version !== this.viewVersion) return false;
+
+        this.view = view;
+        this.render();
+        return true;
+    }
+
     /**
      * Refresh widget data and re-render
+     * Resolves to false when loading failed so the scheduler can back off
      */
     async refresh() {
         if (this.isLoading) {
             console.log(`${this.constructor.name} is already loading, skipping refresh`);
-            return;
+            return true;
         }
 
         try {
             this.setLoadingState(true);
             await this.loadData();
-            this.render();
+            await this.update();
             this.services.eventBus.emit('widget:refreshed', this.constructor.name);
+            return true;
         } catch (error) {
             this.handleError(error);
+            return false;
         } finally {
             this.setLoadingState(false);
         }
     }
 
+    /**
+     * Apply a pushed data patch ({ op: 'create' | 'update' | 'remove', id, data })
+     * Subclasses override this to patch in place; by default the widget reloads
+     */
+    applyPatch(resource, patch) {
+        this.services.scheduler.trigger(this.getSchedulerName(), 'push');
+    }
+
+    /**
+     * Return a copy of `records` with a patch applied, matching records by id
+     */
+    mergePatch(records, patch) {
+        const list = Array.isArray(records) ? records : [];
+        const exists = list.some(record => record.id === patch.id);
+
+        switch (patch.op) {
+            case 'create':
+                return exists
+                    ? list.map(record => record.id === patch.id ? { ...patch.data } : record)
+                    : [...list, { ...patch.data }];
+            case 'update':
+                return list.map(record => record.id === patch.id ? { ...record, ...patch.data } : record);
+            case 'remove':
+                return list.filter(record => record.id !== patch.id);
+            default:
+                throw new Error(`Unknown patch operation: ${patch.op}`);
+        }
+    }
+
+    /**
+     * Queue a change the UI already shows (see OutboxService). `undo` runs if
+     * the server refuses it; resolves to the saved record, or null after undo.
+     */
+    async saveOptimistically(mutation, undo) {
+        try {
+            return await this.services.outbox.enqueue(mutation);
+        } catch (error) {
+            undo(error);
+            return null;
+        }
+    }
+
+    /**
+     * Screen reader message for a change that was applied locally
+     */
+    describeQueuedChange(message) {
+        return this.services.outbox.isOnline() ? message : this.t('widget.queuedChange', { message });
+    }
+
+    /**
+     * Show the offline banner while our data comes from the offline cache
+     */
+    handleDataLoaded(resource, adapterName, cacheInfo) {
+        if (!this.resources.includes(resource)) return;
+
+        this.updateOfflineBanner(cacheInfo && cacheInfo.offline ? cacheInfo : null);
+    }
+
+    /**
+     * A stored key was changed by another tab (key is null when it cleared
+     * storage). Override to update live; the default ignores it.
+     */
+    onStorageChanged(key, value, details) {
+        // No-op by default
+    }
+
+    /**
+     * The dashboard clock moved; overdue, today and relative times may have
+     * changed, so re-render what we have
+     */
+    onClockChanged(now, traveling) {
+        if (this.isInitialized) {
+            this.render();
+        }
+    }
+
+    /**
+     * The language changed; render again in the new one
+     */
+    onLocaleChanged(locale, previousLocale) {
+        if (this.isInitialized) {
+            this.render();
+        }
+        if (this.offlineBanner) {
+            this.updateOfflineBanner(this.offlineCacheInfo);
+        }
+    }
+
+    /**
+     * Show, update or remove the "offline, last updated X ago" banner
+     * The banner sits just before the container so renders don't wipe it
+     */
+    updateOfflineBanner(cacheInfo) {
+        this.offlineCacheInfo = cacheInfo;
+        if (!cacheInfo) {
+            if (this.offlineBanner) {
+                this.offlineBanner.remove();
+                this.offlineBanner = null;
+            }
+            return;
+        }
+
+        if (!this.offlineBanner) {
+            this.offlineBanner = document.createElement('div');
+            this.offlineBanner.className = 'widget__offline-banner';
+            this.offlineBanner.setAttribute('role', 'status');
+            this.container.parentNode.insertBefore(this.offlineBanner, this.container);
+        }
+
+        let lastUpdated = this.t('widget.offline.unknownTime');
+        if (cacheInfo.cachedAt) {
+            // Cache age is real time, even while the dashboard clock travels
+            const relative = this.formatRelativeTime(cacheInfo.cachedAt, new Date());
+            const justNow = relative === this.t('time.justNow');
+            lastUpdated = `<time datetime="${cacheInfo.cachedAt}" title="${this.formatDate(cacheInfo.cachedAt)}">${justNow ? this.t('widget.offline.justNow') : relative}</time>`;
+        }
+
+        this.offlineBanner.innerHTML = `
+            <span class="widget__offline-icon" aria-hidden="true">📴</span>
+            <span class="widget__offline-text">${this.t('widget.offline', { time: lastUpdated })}</span>
+        `;
+    }
+
+    /**
+     * Keep a copy of the widget's dataset in storage for when loading fails
+     * (stored in IndexedDB, so thousands of records are fine)
+     */
+    cacheDataset(records) {
+        return this.services.storage.setWidgetData(this.getSchedulerName(), records);
+    }
+
+    /**
+     * Get the dataset saved by cacheDataset() and show the offline banner,
+     * or null when there is no copy younger than maxAgeMs
+     */
+    restoreCachedDataset(maxAgeMs = 24 * 60 * 60 * 1000) {
+        const cached = this.services.storage.getWidgetData(this.getSchedulerName(), maxAgeMs);
+        if (!cached) {
+            return null;
+        }
+
+        this.updateOfflineBanner({
+            fromCache: true,
+            offline: true,
+            cachedAt: new Date(cached.timestamp).toISOString()
+        });
+        return cached.data;
+    }
+
     /**
      * Set loading state
      */
@@ -69,7 +370,7 @@ export class BaseWidget {
         
         if (isLoading) {
             this.container.classList.add('widget--loading');
-            this.services.loading.showElementLoading(this.container, 'Loading...');
+            this.services.loading.showElementLoading(this.container, this.t('loading.default'));
         } else {
             this.container.classList.remove('widget--loading');
             this.services.loading.hideElementLoading(this.container);
@@ -85,7 +386,7 @@ export class BaseWidget {
         this.services.eventBus.emit('widget:error', this.constructor.name, error);
         
         // Show error state in widget
-        this.showErrorState(error.message || 'An error occurred while loading data');
+        this.showErrorState(error.message || this.t('widget.error'));
     }
 
     /**
@@ -96,28 +397,23 @@ export class BaseWidget {
             <div class="widget__error">
                 <div class="widget__error-icon">⚠️</div>
                 <div class="widget__error-message">${message}</div>
-                <button class="widget__error-retry" onclick="this.closest('.widget').dispatchEvent(new CustomEvent('retry'))">
-                    Retry
+                <button class="widget__error-retry">
+                    ${this.t('widget.retry')}
                 </button>
             </div>
         `;
         
-        this.container.innerHTML = errorHTML;
-        
-        // Add retry event listener
-        this.container.addEventListener('retry', () => {
-            this.refresh();
-        }, { once: true });
+        this.patchHTML(errorHTML);
     }
 
     /**
      * Show empty state in widget
      */
-    showEmptyState(message = 'No data available', actionText = null, actionCallback = null) {
+    showEmptyState(message = this.t('widget.empty'), actionText = null, actionCallback = null) {
         let actionHTML = '';
         if (actionText && actionCallback) {
             actionHTML = `
-                <button class="widget__empty-action" onclick="this.dispatchEvent(new CustomEvent('action'))">
+                <button class="widget__empty-action">
                     ${actionText}
                 </button>
             `;
@@ -131,11 +427,9 @@ export class BaseWidget {
             </div>
         `;
         
-        this.container.innerHTML = emptyHTML;
-        
-        if (actionCallback) {
-            this.container.addEventListener('action', actionCallback, { once: true });
-        }
+        // Clicks are handled by the listener delegated in the constructor
+        this.emptyStateAction = actionCallback;
+        this.patchHTML(emptyHTML);
     }
 
     /**
@@ -152,29 +446,32 @@ export class BaseWidget {
         this.services.loading.removeSkeleton(this.container);
     }
 
+    /**
+     * Name this widget's refresh job is registered under
+     */
+    getSchedulerName() {
+        return this.widgetName || this.constructor.name;
+    }
+
+    /**
+     * Effective auto-refresh interval (0 = on demand only)
+     */
+    getAutoRefreshInterval() {
+        return this.autoRefreshEnabled && this.refreshIntervalMs > 0 ? this.refreshIntervalMs : 0;
+    }
+
     /**
      * Start auto-refresh
      */
     startAutoRefresh() {
-        if (this.refreshInterval) {
-            this.stopAutoRefresh();
-        }
-
-        if (this.autoRefreshEnabled && this.refreshIntervalMs > 0) {
-            this.refreshInterval = setInterval(this.refresh, this.refreshIntervalMs);
-            console.log(`Auto-refresh started for ${this.constructor.name} (${this.refreshIntervalMs}ms)`);
-        }
+        this.services.scheduler.setInterval(this.getSchedulerName(), this.getAutoRefreshInterval());
     }
 
     /**
-     * Stop auto-refresh
+     * Stop auto-refresh (manual and visibility refreshes still work)
      */
     stopAutoRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-            this.refreshInterval = null;
-            console.log(`Auto-refresh stopped for ${this.constructor.name}`);
-        }
+        this.services.scheduler.setInterval(this.getSchedulerName(), 0);
     }
 
     /**
@@ -182,11 +479,7 @@ export class BaseWidget {
      */
     setAutoRefreshInterval(intervalMs) {
         this.refreshIntervalMs = intervalMs;
-        
-        if (this.refreshInterval) {
-            this.stopAutoRefresh();
-            this.startAutoRefresh();
-        }
+        this.startAutoRefresh();
     }
 
     /**
@@ -215,7 +508,10 @@ export class BaseWidget {
      */
     getPreferences() {
         const key = `widget_${this.constructor.name.toLowerCase()}_preferences`;
-        return this.services.storage.getItem(key) || {};
+        return {
+            ...this.defaultPreferences,
+            ...(this.services.storage.getItem(key) || {})
+        };
     }
 
     /**
@@ -227,10 +523,33 @@ export class BaseWidget {
     }
 
     /**
-     * Format date for display
+     * Current dashboard time - use this instead of new Date() so time travel
+     * (services/clock.js) and pinned test clocks apply
+     */
+    now() {
+        return this.services.clock ? this.services.clock.now() : new Date();
+    }
+
+    /**
+     * Translate a message from the active locale pack (see services/i18n.js)
+     */
+    t(key, params = {}) {
+        return this.services.i18n.t(key, params);
+    }
+
+    /**
+     * Whether the widget is laid out right to left, for code that maps
+     * arrow keys or pointer positions onto reading order
+     */
+    isRightToLeft() {
+        const scope = this.container.closest('[dir]');
+        return scope ? scope.getAttribute('dir') === 'rtl' : false;
+    }
+
+    /**
+     * Format date for display in the active locale
      */
     formatDate(dateString, options = {}) {
-        const date = new Date(dateString);
         const defaultOptions = {
             year: 'numeric',
             month: 'short',
@@ -239,24 +558,23 @@ export class BaseWidget {
             minute: '2-digit'
         };
         
-        return date.toLocaleDateString('en-US', { ...defaultOptions, ...options });
+        return this.services.i18n.formatDate(dateString, { ...defaultOptions, ...options });
     }
 
     /**
      * Format relative time (e.g., "2 hours ago")
      */
-    formatRelativeTime(dateString) {
+    formatRelativeTime(dateString, now = this.now()) {
         const date = new Date(dateString);
-        const now = new Date();
         const diffMs = now - date;
         const diffMins = Math.floor(diffMs / 60000);
         const diffHours = Math.floor(diffMins / 60);
         const diffDays = Math.floor(diffHours / 24);
 
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins} minute${diffMins !== 1 ? 's' : ''} ago`;
-        if (diffHours < 24) return `${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`;
-        if (diffDays < 7) return `${diffDays} day${diffDays !== 1 ? 's' : ''} ago`;
+        if (diffMins < 1) return this.t('time.justNow');
+        if (diffMins < 60) return this.t('time.minutesAgo', { count: diffMins });
+        if (diffHours < 24) return this.t('time.hoursAgo', { count: diffHours });
+        if (diffDays < 7) return this.t('time.daysAgo', { count: diffDays });
         
         return this.formatDate(dateString, { year: 'numeric', month: 'short', day: 'numeric' });
     }
@@ -310,10 +628,16 @@ export class BaseWidget {
     destroy() {
         console.log(`Destroying ${this.constructor.name}`);
         
-        this.stopAutoRefresh();
+        this.services.scheduler.unregister(this.getSchedulerName());
         
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
+        this.subscriptions.forEach(subscription => subscription.unsubscribe());
+        this.subscriptions = [];
+        this.delegatedListeners.forEach(({ type, listener, options }) => this.container.removeEventListener(type, listener, options));
+        this.delegatedListeners = [];
+        this.virtualLists.forEach(list => list.destroy());
+        this.updateOfflineBanner(null);
         
         // Clear container
         if (this.container) {
@@ -329,10 +653,14 @@ export class BaseWidget {
     getDebugInfo() {
         return {
             name: this.constructor.name,
+            widgetName: this.widgetName,
             isInitialized: this.isInitialized,
             isLoading: this.isLoading,
             autoRefreshEnabled: this.autoRefreshEnabled,
             refreshIntervalMs: this.refreshIntervalMs,
+            schedule: this.services.scheduler.getJobInfo(this.getSchedulerName()),
+            resources: this.resources,
+            offline: !!this.offlineBanner,
             hasData: !!this.data,
             dataLength: Array.isArray(this.data) ? this.data.length : 0
         };
@@ -3,14 +3,19 @@
  */
 
 import { BaseWidget } from './baseWidget.js';
+import { toDateKey } from '../utils/dataQuery.js';
+
+// Any Sunday; the grid's weekday headers are named from the week it starts
+const FIRST_SUNDAY = new Date(2025, 6, 6);
 
 export class CalendarWidget extends BaseWidget {
     constructor(container, services) {
         super(container, services);
         this.events = [];
-        this.currentDate = new Date();
-        this.selectedDate = new Date();
+        this.currentDate = this.now();
+        this.selectedDate = this.now();
         this.refreshIntervalMs = 600000; // 10 minutes
+        this.addEventListeners();
     }
 
     async init() {
@@ -18,8 +23,7 @@ export class CalendarWidget extends BaseWidget {
             console.log('📅 Initializing Calendar Widget...');
             
             await this.loadData();
-            this.render();
-            this.startAutoRefresh();
+            await this.update();
             
             this.isInitialized = true;
             console.log('✅ Calendar Widget initialized');
@@ -31,15 +35,10 @@ export class CalendarWidget extends BaseWidget {
 
     async loadData() {
         try {
-            const response = await fetch('src/data/calendar.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            this.events = await response.json();
+            this.events = await this.services.dataSource.load('events');
             
             // Sort events by start time
-            this.events.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+            this.sortEvents();
             
         } catch (error) {
             console.error('Failed to load calendar events:', error);
@@ -47,16 +46,52 @@ export class CalendarWidget extends BaseWidget {
         }
     }
 
+    sortEvents() {
+        this.events.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+
+    /**
+     * Apply a pushed event change without reloading
+     */
+    applyPatch(resource, patch) {
+        this.events = this.mergePatch(this.events, patch);
+        this.sortEvents();
+        this.update().catch(this.handleError);
+    }
+
+    /**
+     * Index the events by day, so each calendar cell is a lookup rather
+     * than a pass over every event. The index only changes with the events.
+     */
+    async prepareView() {
+        const events = this.events;
+        if (this.view && this.view.events === events) {
+            return this.view;
+        }
+
+        const byDate = await this.services.dataProcessor.indexByDate(events, 'startTime');
+        return { events, byDate };
+    }
+
+    /**
+     * Follow the clock to its month before re-rendering
+     */
+    onClockChanged(now, traveling) {
+        this.currentDate = this.now();
+        this.selectedDate = this.now();
+        super.onClockChanged(now, traveling);
+    }
+
     render() {
         const todayEvents = this.getTodayEvents();
         const upcomingEvents = this.getUpcomingEvents();
 
-        this.container.innerHTML = `
+        this.patchHTML(`
             <div class="calendar__header">
                 <div class="calendar__today-summary">
-                    <h3 class="calendar__today-title">Today's Schedule</h3>
+                    <h3 class="calendar__today-title">${this.t('calendar.todayTitle')}</h3>
                     <div class="calendar__today-count">
-                        ${todayEvents.length} event${todayEvents.length !== 1 ? 's' : ''}
+                        ${this.t('calendar.eventCount', { count: todayEvents.length })}
                     </div>
                 </div>
             </div>
@@ -65,7 +100,7 @@ export class CalendarWidget extends BaseWidget {
                 <div class="calendar__today-events">
                     ${todayEvents.length > 0 ? 
                         todayEvents.map(event => this.renderEvent(event, true)).join('') :
-                        '<div class="calendar__no-events">No events scheduled for today</div>'
+                        `<div class="calendar__no-events">${this.t('calendar.noEventsToday')}</div>`
                     }
                 </div>
                 
@@ -74,21 +109,20 @@ export class CalendarWidget extends BaseWidget {
                 </div>
                 
                 <div class="calendar__upcoming">
-                    <h4 class="calendar__upcoming-title">Upcoming Events</h4>
+                    <h4 class="calendar__upcoming-title">${this.t('calendar.upcoming')}</h4>
                     <div class="calendar__upcoming-list">
                         ${upcomingEvents.slice(0, 3).map(event => this.renderEvent(event, false)).join('')}
                     </div>
                 </div>
             </div>
-        `;
-
-        this.addEventListeners();
+        `);
     }
 
     renderEvent(event, isToday = false) {
+        const { i18n } = this.services;
         const startTime = new Date(event.startTime);
         const endTime = new Date(event.endTime);
-        const now = new Date();
+        const now = this.now();
         const isOngoing = now >= startTime && now <= endTime;
         const isPast = now > endTime;
         
@@ -105,7 +139,7 @@ export class CalendarWidget extends BaseWidget {
                  data-event-id="${event.id}"
                  role="button"
                  tabindex="0"
-                 aria-label="Event: ${this.sanitizeHTML(event.title)} at ${startTime.toLocaleString()}">
+                 aria-label="${this.t('calendar.eventLabel', { title: this.sanitizeHTML(event.title), time: i18n.formatDateTime(startTime) })}">
                 
                 <div class="event__content">
                     <div class="event__header">
@@ -113,25 +147,25 @@ export class CalendarWidget extends BaseWidget {
                         <div class="event__title-section">
                             <h5 class="event__title">${this.sanitizeHTML(event.title)}</h5>
                             <div class="event__time">
-                                ${startTime.toLocaleTimeString('en-US', timeFormat)} - 
-                                ${endTime.toLocaleTimeString('en-US', timeFormat)}
+                                ${i18n.formatTime(startTime, timeFormat)} - 
+                                ${i18n.formatTime(endTime, timeFormat)}
                             </div>
                         </div>
                         <div class="event__status">
-                            ${isOngoing ? '<span class="event__status-badge event__status-badge--live">LIVE</span>' : ''}
-                            ${event.priority === 'high' ? '<span class="event__priority-indicator" aria-label="High priority">!</span>' : ''}
+                            ${isOngoing ? `<span class="event__status-badge event__status-badge--live">${this.t('calendar.live')}</span>` : ''}
+                            ${event.priority === 'high' ? `<span class="event__priority-indicator" aria-label="${this.t('common.highPriority')}">!</span>` : ''}
                         </div>
                     </div>
                     
                     <div class="event__details">
                         ${event.location ? `<div class="event__location">📍 ${this.sanitizeHTML(event.location)}</div>` : ''}
                         ${event.attendees && event.attendees.length > 0 ? 
-                            `<div class="event__attendees">👥 ${event.attendees.length} attendee${event.attendees.length !== 1 ? 's' : ''}</div>` : ''
+                            `<div class="event__attendees">👥 ${this.t('calendar.attendees', { count: event.attendees.length })}</div>` : ''
                         }
                         ${event.meetingLink ? 
                             `<div class="event__meeting-link">
                                 <a href="${event.meetingLink}" target="_blank" rel="noopener noreferrer">
-                                    🔗 Join Meeting
+                                    🔗 ${this.t('calendar.join')}
                                 </a>
                             </div>` : ''
                         }
@@ -144,35 +178,34 @@ export class CalendarWidget extends BaseWidget {
     renderMiniCalendar() {
         const year = this.currentDate.getFullYear();
         const month = this.currentDate.getMonth();
-        const today = new Date();
+        const today = this.now();
         
         const firstDay = new Date(year, month, 1);
         const lastDay = new Date(year, month + 1, 0);
         const startDate = new Date(firstDay);
         startDate.setDate(startDate.getDate() - firstDay.getDay());
         
-        const monthName = firstDay.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        const { i18n } = this.services;
+        const monthName = i18n.formatDate(firstDay, { month: 'long', year: 'numeric' });
+        const weekdays = Array.from({ length: 7 }, (_, i) => {
+            const date = new Date(FIRST_SUNDAY.getFullYear(), FIRST_SUNDAY.getMonth(), FIRST_SUNDAY.getDate() + i);
+            return `<th role="columnheader" abbr="${i18n.formatDate(date, { weekday: 'long' })}">${i18n.formatDate(date, { weekday: 'narrow' })}</th>`;
+        });
         
         let calendarHTML = `
             <div class="mini-calendar__header">
                 <button class="mini-calendar__nav mini-calendar__nav--prev" 
-                        aria-label="Previous month"
+                        aria-label="${this.t('calendar.previousMonth')}"
                         data-action="prev-month">‹</button>
                 <h4 class="mini-calendar__title">${monthName}</h4>
                 <button class="mini-calendar__nav mini-calendar__nav--next" 
-                        aria-label="Next month"
+                        aria-label="${this.t('calendar.nextMonth')}"
                         data-action="next-month">›</button>
             </div>
-            <table class="mini-calendar__grid" role="grid" aria-label="Calendar">
+            <table class="mini-calendar__grid" role="grid" aria-label="${this.t('calendar.grid')}">
                 <thead>
                     <tr role="row">
-                        <th role="columnheader" abbr="Sunday">S</th>
-                        <th role="columnheader" abbr="Monday">M</th>
-                        <th role="columnheader" abbr="Tuesday">T</th>
-                        <th role="columnheader" abbr="Wednesday">W</th>
-                        <th role="columnheader" abbr="Thursday">T</th>
-                        <th role="columnheader" abbr="Friday">F</th>
-                        <th role="columnheader" abbr="Saturday">S</th>
+                        ${weekdays.join('\n')}
                     </tr>
                 </thead>
                 <tbody>
@@ -199,7 +232,7 @@ export class CalendarWidget extends BaseWidget {
                         role="gridcell"
                         data-date="${currentDate.toISOString().split('T')[0]}"
                         tabindex="${isToday ? '0' : '-1'}"
-                        aria-label="${currentDate.toLocaleDateString()} ${hasEvents ? 'has events' : ''}">
+                        aria-label="${this.t('calendar.dayLabel', { date: i18n.formatDate(currentDate), hasEvents })}">
                         <span class="mini-calendar__date">${currentDate.getDate()}</span>
                         ${hasEvents ? '<span class="mini-calendar__event-indicator" aria-hidden="true">•</span>' : ''}
                     </td>
@@ -220,102 +253,80 @@ export class CalendarWidget extends BaseWidget {
 
     addEventListeners() {
         // Event click handlers
-        const events = this.container.querySelectorAll('.calendar__event');
-        events.forEach(event => {
-            event.addEventListener('click', () => {
-                const eventId = event.getAttribute('data-event-id');
-                this.showEventDetails(eventId);
-            });
-            
-            event.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    const eventId = event.getAttribute('data-event-id');
-                    this.showEventDetails(eventId);
-                }
-            });
+        this.delegate('click', '.calendar__event', (e, event) => {
+            this.showEventDetails(event.getAttribute('data-event-id'));
+        });
+
+        this.delegate('keydown', '.calendar__event', (e, event) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === event) {
+                e.preventDefault();
+                this.showEventDetails(event.getAttribute('data-event-id'));
+            }
         });
 
         // Mini calendar navigation
-        const prevButton = this.container.querySelector('[data-action="prev-month"]');
-        const nextButton = this.container.querySelector('[data-action="next-month"]');
-        
-        if (prevButton) {
-            prevButton.addEventListener('click', () => {
-                this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-                this.render();
-            });
-        }
-        
-        if (nextButton) {
-            nextButton.addEventListener('click', () => {
-                this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-                this.render();
-            });
-        }
+        this.delegate('click', '[data-action="prev-month"]', () => {
+            this.currentDate.setMonth(this.currentDate.getMonth() - 1);
+            this.render();
+        });
+
+        this.delegate('click', '[data-action="next-month"]', () => {
+            this.currentDate.setMonth(this.currentDate.getMonth() + 1);
+            this.render();
+        });
 
         // Calendar cell clicks
-        const cells = this.container.querySelectorAll('.mini-calendar__cell');
-        cells.forEach(cell => {
-            cell.addEventListener('click', () => {
-                const dateStr = cell.getAttribute('data-date');
-                if (dateStr) {
-                    this.selectedDate = new Date(dateStr);
-                    this.showDayEvents(this.selectedDate);
-                }
-            });
+        this.delegate('click', '.mini-calendar__cell', (e, cell) => {
+            const dateStr = cell.getAttribute('data-date');
+            if (dateStr) {
+                this.selectedDate = new Date(dateStr);
+                this.showDayEvents(this.selectedDate);
+            }
         });
 
         // Keyboard navigation for calendar
-        this.setupCalendarKeyboardNavigation();
+        this.delegate('keydown', '.mini-calendar__cell', (e, cell) => this.handleCalendarKeydown(e, cell));
     }
 
-    setupCalendarKeyboardNavigation() {
-        const cells = this.container.querySelectorAll('.mini-calendar__cell');
-        
-        cells.forEach(cell => {
-            cell.addEventListener('keydown', (e) => {
-                const currentIndex = Array.from(cells).indexOf(cell);
-                let newIndex = currentIndex;
-                
-                switch (e.key) {
-                    case 'ArrowLeft':
-                        newIndex = Math.max(0, currentIndex - 1);
-                        break;
-                    case 'ArrowRight':
-                        newIndex = Math.min(cells.length - 1, currentIndex + 1);
-                        break;
-                    case 'ArrowUp':
-                        newIndex = Math.max(0, currentIndex - 7);
-                        break;
-                    case 'ArrowDown':
-                        newIndex = Math.min(cells.length - 1, currentIndex + 7);
-                        break;
-                    case 'Enter':
-                    case ' ':
-                        e.preventDefault();
-                        cell.click();
-                        return;
-                    default:
-                        return;
-                }
-                
+    handleCalendarKeydown(e, cell) {
+        const cells = Array.from(this.container.querySelectorAll('.mini-calendar__cell'));
+        const currentIndex = cells.indexOf(cell);
+        // The grid is mirrored right to left, so the arrows follow what's on screen
+        const forward = this.isRightToLeft() ? 'ArrowLeft' : 'ArrowRight';
+        let newIndex = currentIndex;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                newIndex = e.key === forward
+                    ? Math.min(cells.length - 1, currentIndex + 1)
+                    : Math.max(0, currentIndex - 1);
+                break;
+            case 'ArrowUp':
+                newIndex = Math.max(0, currentIndex - 7);
+                break;
+            case 'ArrowDown':
+                newIndex = Math.min(cells.length - 1, currentIndex + 7);
+                break;
+            case 'Enter':
+            case ' ':
                 e.preventDefault();
-                cells[newIndex].focus();
-            });
-        });
+                cell.click();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        cells[newIndex].focus();
     }
 
     getTodayEvents() {
-        const today = new Date();
-        return this.events.filter(event => {
-            const eventDate = new Date(event.startTime);
-            return eventDate.toDateString() === today.toDateString();
-        });
+        return this.getEventsForDate(this.now());
     }
 
     getUpcomingEvents() {
-        const now = new Date();
+        const now = this.now();
         const nextWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
         
         return this.events.filter(event => {
@@ -324,11 +335,14 @@ export class CalendarWidget extends BaseWidget {
         });
     }
 
+    /**
+     * Events starting on a date's local day, as of the last update()
+     */
     getEventsForDate(date) {
-        return this.events.filter(event => {
-            const eventDate = new Date(event.startTime);
-            return eventDate.toDateString() === date.toDateString();
-        });
+        if (!this.view) return [];
+
+        const indexes = this.view.byDate[toDateKey(date)] || [];
+        return indexes.map(i => this.view.events[i]);
     }
 
     showEventDetails(eventId) {
@@ -342,38 +356,38 @@ export class CalendarWidget extends BaseWidget {
             <div class="event-modal__content" role="dialog" aria-labelledby="event-modal-title" aria-modal="true">
                 <div class="event-modal__header">
                     <h3 id="event-modal-title">${this.sanitizeHTML(event.title)}</h3>
-                    <button class="event-modal__close" aria-label="Close event details">×</button>
+                    <button class="event-modal__close" aria-label="${this.t('calendar.closeDetails')}">×</button>
                 </div>
                 <div class="event-modal__body">
                     <div class="event-detail">
-                        <strong>📅 Time:</strong> 
+                        <strong>📅 ${this.t('field.time')}</strong> 
                         ${this.formatDate(event.startTime)} - ${this.formatDate(event.endTime)}
                     </div>
                     ${event.location ? `
                         <div class="event-detail">
-                            <strong>📍 Location:</strong> ${this.sanitizeHTML(event.location)}
+                            <strong>📍 ${this.t('field.location')}</strong> ${this.sanitizeHTML(event.location)}
                         </div>
                     ` : ''}
                     ${event.description ? `
                         <div class="event-detail">
-                            <strong>📝 Description:</strong> ${this.sanitizeHTML(event.description)}
+                            <strong>📝 ${this.t('field.description')}</strong> ${this.sanitizeHTML(event.description)}
                         </div>
                     ` : ''}
                     ${event.attendees && event.attendees.length > 0 ? `
                         <div class="event-detail">
-                            <strong>👥 Attendees:</strong> ${event.attendees.map(a => this.sanitizeHTML(a)).join(', ')}
+                            <strong>👥 ${this.t('field.attendees')}</strong> ${event.attendees.map(a => this.sanitizeHTML(a)).join(', ')}
                         </div>
                     ` : ''}
                     ${event.organizer ? `
                         <div class="event-detail">
-                            <strong>👤 Organizer:</strong> ${this.sanitizeHTML(event.organizer)}
+                            <strong>👤 ${this.t('field.organizer')}</strong> ${this.sanitizeHTML(event.organizer)}
                         </div>
                     ` : ''}
                     ${event.meetingLink ? `
                         <div class="event-detail">
-                            <strong>🔗 Meeting Link:</strong> 
+                            <strong>🔗 ${this.t('field.meetingLink')}</strong> 
                             <a href="${event.meetingLink}" target="_blank" rel="noopener noreferrer">
-                                Join Meeting
+                                ${this.t('calendar.join')}
                             </a>
                         </div>
                     ` : ''}
@@ -411,14 +425,14 @@ export class CalendarWidget extends BaseWidget {
 
     showDayEvents(date) {
         const events = this.getEventsForDate(date);
-        const dateStr = date.toLocaleDateString('en-US', { 
+        const dateStr = this.services.i18n.formatDate(date, { 
             weekday: 'long', 
             year: 'numeric', 
             month: 'long', 
             day: 'numeric' 
         });
 
-        this.announce(`${events.length} event${events.length !== 1 ? 's' : ''} on ${dateStr}`);
+        this.announce(this.t('calendar.dayEvents', { count: events.length, date: dateStr }));
         
         // Could show a detailed day view or highlight the events
         console.log(`Events for ${dateStr}:`, events);
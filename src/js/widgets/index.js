@@ -0,0 +1,57 @@
+/**
+ * Built-in Widgets - Definitions registered with the WidgetRegistry at startup
+ */
+
+import { AnnouncementsWidget } from './announcements.js';
+import { QuickLaunchWidget } from './quickLaunch.js';
+import { TasksWidget } from './tasks.js';
+import { CalendarWidget } from './calendar.js';
+import { TicketsWidget } from './tickets.js';
+
+export const builtInWidgets = [
+    {
+        name: 'announcements',
+        title: 'Announcements',
+        widgetClass: AnnouncementsWidget,
+        container: '#announcements-container',
+        priority: 1,
+        requiredServices: ['dataSource', 'storage', 'outbox', 'commands'],
+        resources: ['announcements']
+    },
+    {
+        name: 'quickLaunch',
+        title: 'Quick Launch',
+        widgetClass: QuickLaunchWidget,
+        container: '#quick-launch-container',
+        priority: 2,
+        requiredServices: ['dataSource', 'storage', 'commands'],
+        resources: ['shortcuts']
+    },
+    {
+        name: 'tasks',
+        title: 'Tasks & Approvals',
+        widgetClass: TasksWidget,
+        container: '#tasks-container',
+        priority: 3,
+        requiredServices: ['dataSource', 'outbox', 'commands', 'dataProcessor'],
+        resources: ['tasks']
+    },
+    {
+        name: 'calendar',
+        title: 'Team Calendar',
+        widgetClass: CalendarWidget,
+        container: '#calendar-container',
+        priority: 4,
+        requiredServices: ['dataSource', 'dataProcessor'],
+        resources: ['events']
+    },
+    {
+        name: 'tickets',
+        title: 'Support Tickets',
+        widgetClass: TicketsWidget,
+        container: '#tickets-container',
+        priority: 5,
+        requiredServices: ['dataSource', 'outbox', 'commands', 'dataProcessor'],
+        resources: ['tickets']
+    }
+];
@@ -8,21 +8,19 @@ export class QuickLaunchWidget extends BaseWidget {
     constructor(container, services) {
         super(container, services);
         this.shortcuts = [];
+        this.defaultShortcuts = null;
         this.isDragging = false;
         this.draggedElement = null;
         this.refreshIntervalMs = 0; // No auto-refresh for shortcuts
+        this.addEventListeners();
     }
 
     async init() {
         try {
             console.log('🚀 Initializing Quick Launch Widget...');
             
-            // Clean up any duplicates in storage first
-            this.cleanupDuplicates();
-            
             await this.loadData();
             this.render();
-            this.setupDragAndDrop();
             
             this.isInitialized = true;
             console.log('✅ Quick Launch Widget initialized');
@@ -35,36 +33,14 @@ export class QuickLaunchWidget extends BaseWidget {
     async loadData() {
         try {
             // Load default shortcuts
-            const response = await fetch('src/data/shortcuts.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const defaultShortcuts = await response.json();
+            this.defaultShortcuts = await this.services.dataSource.load('shortcuts');
             
             // Load custom shortcuts from storage
             const customShortcuts = this.services.storage.getCustomShortcuts();
             
-            // Combine all shortcuts
-            const allShortcuts = [...defaultShortcuts, ...customShortcuts];
-            
-            // Remove duplicates based on ID (keep the last occurrence)
-            const uniqueShortcuts = [];
-            const seenIds = new Set();
+            this.shortcuts = this.buildShortcuts(this.defaultShortcuts, customShortcuts);
             
-            // Process in reverse to keep the last occurrence of each ID
-            for (let i = allShortcuts.length - 1; i >= 0; i--) {
-                const shortcut = allShortcuts[i];
-                if (!seenIds.has(shortcut.id)) {
-                    seenIds.add(shortcut.id);
-                    uniqueShortcuts.unshift(shortcut);
-                }
-            }
-            
-            // Sort by order and assign to shortcuts
-            this.shortcuts = uniqueShortcuts.sort((a, b) => a.order - b.order);
-            
-            console.log(`📊 Loaded ${this.shortcuts.length} unique shortcuts (removed ${allShortcuts.length - this.shortcuts.length} duplicates)`);
+            console.log(`📊 Loaded ${this.shortcuts.length} unique shortcuts`);
             
         } catch (error) {
             console.error('Failed to load shortcuts:', error);
@@ -72,9 +48,54 @@ export class QuickLaunchWidget extends BaseWidget {
         }
     }
 
+    /**
+     * Combine default and custom shortcuts in the saved order
+     */
+    buildShortcuts(defaultShortcuts, customShortcuts) {
+        const allShortcuts = [...defaultShortcuts, ...customShortcuts];
+        
+        // Remove duplicates based on ID (keep the last occurrence)
+        const uniqueShortcuts = [];
+        const seenIds = new Set();
+        
+        // Process in reverse to keep the last occurrence of each ID
+        for (let i = allShortcuts.length - 1; i >= 0; i--) {
+            const shortcut = allShortcuts[i];
+            if (!seenIds.has(shortcut.id)) {
+                seenIds.add(shortcut.id);
+                uniqueShortcuts.unshift({ ...shortcut });
+            }
+        }
+
+        // A drag-and-drop order covers default shortcuts too; ids it doesn't
+        // know yet keep their own order and go after it
+        const savedOrder = this.services.storage.getShortcutOrder() || [];
+        uniqueShortcuts.forEach(shortcut => {
+            const index = savedOrder.indexOf(shortcut.id);
+            if (index !== -1) {
+                shortcut.order = index + 1;
+            } else if (savedOrder.length > 0) {
+                shortcut.order = savedOrder.length + (shortcut.order || 0);
+            }
+        });
+        
+        return uniqueShortcuts.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Follow shortcut changes made in another tab
+     */
+    onStorageChanged(key) {
+        if (!['custom_shortcuts', 'shortcut_order', null].includes(key)) return;
+        if (!this.isInitialized || !this.defaultShortcuts || this.isDragging) return;
+
+        this.shortcuts = this.buildShortcuts(this.defaultShortcuts, this.services.storage.getCustomShortcuts());
+        this.render();
+    }
+
     render() {
         if (!this.shortcuts || this.shortcuts.length === 0) {
-            this.showEmptyState('No shortcuts available', 'Add Shortcut', () => this.showAddShortcutDialog());
+            this.showEmptyState(this.t('quickLaunch.empty'), this.t('quickLaunch.dialog.add'), () => this.showAddShortcutDialog());
             return;
         }
 
@@ -82,24 +103,24 @@ export class QuickLaunchWidget extends BaseWidget {
             this.renderShortcut(shortcut)
         ).join('');
 
-        this.container.innerHTML = `
-            <div class="quick-launch__grid" role="grid" aria-label="Quick launch shortcuts">
+        this.patchHTML(`
+            <div class="quick-launch__grid" role="grid" aria-label="${this.t('quickLaunch.grid')}">
                 ${shortcutsHTML}
                 <div class="quick-launch__add-button" role="gridcell">
                     <button class="shortcut shortcut--add" 
-                            aria-label="Add new shortcut"
-                            title="Add new shortcut">
+                            aria-label="${this.t('quickLaunch.addNew')}"
+                            title="${this.t('quickLaunch.addNew')}">
                         <span class="shortcut__icon">➕</span>
-                        <span class="shortcut__title">Add More</span>
+                        <span class="shortcut__title">${this.t('quickLaunch.addMore')}</span>
                     </button>
                 </div>
             </div>
-        `;
-
-        this.addEventListeners();
+        `);
     }
 
     renderShortcut(shortcut) {
+        const title = this.sanitizeHTML(shortcut.title);
+
         return `
             <div class="quick-launch__item" 
                  role="gridcell"
@@ -108,24 +129,22 @@ export class QuickLaunchWidget extends BaseWidget {
                 <a href="${shortcut.url}" 
                    class="shortcut" 
                    style="--shortcut-color: ${shortcut.color}"
-                   aria-label="${this.sanitizeHTML(shortcut.title)}: ${this.sanitizeHTML(shortcut.description)}"
+                   aria-label="${title}: ${this.sanitizeHTML(shortcut.description)}"
                    title="${this.sanitizeHTML(shortcut.description)}">
                     <span class="shortcut__icon" aria-hidden="true">${shortcut.icon}</span>
-                    <span class="shortcut__title">${this.sanitizeHTML(shortcut.title)}</span>
+                    <span class="shortcut__title">${title}</span>
                 </a>
                 <div class="shortcut__actions">
                     <button class="shortcut__action shortcut__action--edit" 
-                            aria-label="Edit ${this.sanitizeHTML(shortcut.title)} shortcut"
+                            aria-label="${this.t('quickLaunch.editLabel', { title })}"
                             data-shortcut-id="${shortcut.id}"
-                            title="Edit shortcut"
-                            onclick="event.preventDefault(); event.stopPropagation();">
+                            title="${this.t('quickLaunch.edit')}">
                         <span aria-hidden="true">✏️</span>
                     </button>
                     <button class="shortcut__action shortcut__action--delete" 
-                            aria-label="Delete ${this.sanitizeHTML(shortcut.title)} shortcut"
+                            aria-label="${this.t('quickLaunch.deleteLabel', { title })}"
                             data-shortcut-id="${shortcut.id}"
-                            title="Delete shortcut"
-                            onclick="event.preventDefault(); event.stopPropagation();">
+                            title="${this.t('quickLaunch.delete')}">
                         <span aria-hidden="true">🗑️</span>
                     </button>
                 </div>
@@ -135,42 +154,26 @@ export class QuickLaunchWidget extends BaseWidget {
 
     addEventListeners() {
         // Add shortcut button
-        const addButton = this.container.querySelector('.shortcut--add');
-        if (addButton) {
-            addButton.addEventListener('click', () => this.showAddShortcutDialog());
-        }
+        this.delegate('click', '.shortcut--add', () => this.showAddShortcutDialog());
 
         // Edit shortcut buttons
-        const editButtons = this.container.querySelectorAll('.shortcut__action--edit');
-        editButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const shortcutId = button.getAttribute('data-shortcut-id');
-                this.editShortcut(shortcutId);
-            });
+        this.delegate('click', '.shortcut__action--edit', (e, button) => {
+            e.preventDefault();
+            this.editShortcut(button.getAttribute('data-shortcut-id'));
         });
 
         // Delete shortcut buttons
-        const deleteButtons = this.container.querySelectorAll('.shortcut__action--delete');
-        deleteButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const shortcutId = button.getAttribute('data-shortcut-id');
-                this.deleteShortcut(shortcutId);
-            });
+        this.delegate('click', '.shortcut__action--delete', (e, button) => {
+            e.preventDefault();
+            this.deleteShortcut(button.getAttribute('data-shortcut-id'));
         });
 
         // Shortcut click tracking
-        const shortcuts = this.container.querySelectorAll('.shortcut:not(.shortcut--add)');
-        shortcuts.forEach(shortcut => {
-            shortcut.addEventListener('click', (e) => {
-                const shortcutId = shortcut.closest('[data-shortcut-id]')?.getAttribute('data-shortcut-id');
-                if (shortcutId) {
-                    this.trackShortcutUsage(shortcutId);
-                }
-            });
+        this.delegate('click', '.shortcut:not(.shortcut--add)', (e, shortcut) => {
+            const shortcutId = shortcut.closest('[data-shortcut-id]')?.getAttribute('data-shortcut-id');
+            if (shortcutId) {
+                this.trackShortcutUsage(shortcutId);
+            }
         });
 
         // Drag and drop functionality
@@ -178,31 +181,27 @@ export class QuickLaunchWidget extends BaseWidget {
     }
 
     setupDragAndDrop() {
-        const items = this.container.querySelectorAll('.quick-launch__item');
-        
-        items.forEach(item => {
-            item.addEventListener('dragstart', (e) => this.handleDragStart(e));
-            item.addEventListener('dragover', (e) => this.handleDragOver(e));
-            item.addEventListener('drop', (e) => this.handleDrop(e));
-            item.addEventListener('dragend', (e) => this.handleDragEnd(e));
-        });
+        this.delegate('dragstart', '.quick-launch__item', (e, item) => this.handleDragStart(e, item));
+        this.delegate('dragover', '.quick-launch__item', (e) => this.handleDragOver(e));
+        this.delegate('drop', '.quick-launch__item', (e) => this.handleDrop(e));
+        this.delegate('dragend', '.quick-launch__item', (e, item) => this.handleDragEnd(e, item));
     }
 
-    handleDragStart(e) {
+    handleDragStart(e, item) {
         this.isDragging = true;
-        this.draggedElement = e.target;
-        e.target.classList.add('dragging');
+        this.draggedElement = item;
+        item.classList.add('dragging');
         e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/html', e.target.outerHTML);
+        e.dataTransfer.setData('text/html', item.outerHTML);
         
-        this.announce('Started dragging shortcut. Use arrow keys to reorder.');
+        this.announce(this.t('quickLaunch.dragStarted'));
     }
 
     handleDragOver(e) {
         e.preventDefault();
         e.dataTransfer.dropEffect = 'move';
         
-        const afterElement = this.getDragAfterElement(this.container, e.clientY);
+        const afterElement = this.getDragAfterElement(this.container, e.clientX, e.clientY);
         const dragging = this.container.querySelector('.dragging');
         
         if (afterElement == null) {
@@ -215,28 +214,32 @@ export class QuickLaunchWidget extends BaseWidget {
     handleDrop(e) {
         e.preventDefault();
         this.reorderShortcuts();
-        this.announce('Shortcut reordered');
+        this.announce(this.t('quickLaunch.reordered'));
     }
 
-    handleDragEnd(e) {
+    handleDragEnd(e, item) {
         this.isDragging = false;
-        e.target.classList.remove('dragging');
+        item.classList.remove('dragging');
         this.draggedElement = null;
     }
 
-    getDragAfterElement(container, y) {
+    /**
+     * The shortcut the dragged one should go before, or undefined for the
+     * end: the first in reading order whose row is below the pointer, or
+     * that is in the pointer's row past it (to the left when right to left)
+     */
+    getDragAfterElement(container, x, y) {
         const draggableElements = [...container.querySelectorAll('.quick-launch__item:not(.dragging)')];
-        
-        return draggableElements.reduce((closest, child) => {
+        const rtl = this.isRightToLeft();
+
+        return draggableElements.find(child => {
             const box = child.getBoundingClientRect();
-            const offset = y - box.top - box.height / 2;
-            
-            if (offset < 0 && offset > closest.offset) {
-                return { offset: offset, element: child };
-            } else {
-                return closest;
-            }
-        }, { offset: Number.NEGATIVE_INFINITY }).element;
+            if (y < box.top) return true;
+            if (y > box.bottom) return false;
+
+            const center = box.left + box.width / 2;
+            return rtl ? x > center : x < center;
+        });
     }
 
     reorderShortcuts() {
@@ -256,11 +259,12 @@ export class QuickLaunchWidget extends BaseWidget {
 
         // Save to storage
         this.saveShortcuts();
+        this.services.storage.setShortcutOrder(newOrder.map(item => item.id));
     }
 
     showAddShortcutDialog(existingShortcut = null) {
         const isEditing = !!existingShortcut;
-        const dialogTitle = isEditing ? 'Edit Shortcut' : 'Add New Shortcut';
+        const dialogTitle = this.t(isEditing ? 'quickLaunch.dialog.editTitle' : 'quickLaunch.dialog.addTitle');
         
         // Create modal dialog
         const dialog = document.createElement('div');
@@ -271,34 +275,34 @@ export class QuickLaunchWidget extends BaseWidget {
                 <h3 id="dialog-title">${dialogTitle}</h3>
                 <form class="shortcut-form">
                     <div class="form-group">
-                        <label for="shortcut-title">Title</label>
+                        <label for="shortcut-title">${this.t('quickLaunch.dialog.title')}</label>
                         <input type="text" id="shortcut-title" required maxlength="50" 
                                value="${isEditing ? this.sanitizeHTML(existingShortcut.title) : ''}">
                     </div>
                     <div class="form-group">
-                        <label for="shortcut-url">URL</label>
+                        <label for="shortcut-url">${this.t('quickLaunch.dialog.url')}</label>
                         <input type="url" id="shortcut-url" required 
                                value="${isEditing ? existingShortcut.url : ''}">
                     </div>
                     <div class="form-group">
-                        <label for="shortcut-description">Description</label>
+                        <label for="shortcut-description">${this.t('quickLaunch.dialog.description')}</label>
                         <input type="text" id="shortcut-description" maxlength="100" 
                                value="${isEditing ? this.sanitizeHTML(existingShortcut.description) : ''}">
                     </div>
                     <div class="form-group">
-                        <label for="shortcut-icon">Icon (emoji)</label>
+                        <label for="shortcut-icon">${this.t('quickLaunch.dialog.icon')}</label>
                         <input type="text" id="shortcut-icon" maxlength="2" placeholder="🔗" 
                                value="${isEditing ? existingShortcut.icon : ''}">
                     </div>
                     <div class="form-group">
-                        <label for="shortcut-color">Color</label>
+                        <label for="shortcut-color">${this.t('quickLaunch.dialog.color')}</label>
                         <input type="color" id="shortcut-color" 
                                value="${isEditing ? existingShortcut.color : '#3b82f6'}">
                     </div>
                     <div class="form-actions">
-                        <button type="button" class="btn btn--secondary" data-action="cancel">Cancel</button>
+                        <button type="button" class="btn btn--secondary" data-action="cancel">${this.t('quickLaunch.dialog.cancel')}</button>
                         <button type="submit" class="btn btn--primary">
-                            ${isEditing ? 'Update Shortcut' : 'Add Shortcut'}
+                            ${this.t(isEditing ? 'quickLaunch.dialog.update' : 'quickLaunch.dialog.add')}
                         </button>
                     </div>
                 </form>
@@ -365,30 +369,20 @@ export class QuickLaunchWidget extends BaseWidget {
         this.shortcuts.push(newShortcut);
         this.saveShortcuts();
         this.render();
-        this.setupDragAndDrop();
         
         this.closeDialog(dialog);
-        this.announce(`Shortcut "${newShortcut.title}" added`);
+        this.announce(this.t('quickLaunch.added', { title: newShortcut.title }));
     }
 
     removeShortcut(shortcutId) {
-        const shortcut = this.shortcuts.find(s => s.id === shortcutId);
-        if (!shortcut) return;
-
-        if (confirm(`Remove "${shortcut.title}" shortcut?`)) {
-            this.shortcuts = this.shortcuts.filter(s => s.id !== shortcutId);
-            this.saveShortcuts();
-            this.render();
-            this.setupDragAndDrop();
-            this.announce(`Shortcut "${shortcut.title}" removed`);
-        }
+        return this.deleteShortcut(shortcutId);
     }
 
     trackShortcutUsage(shortcutId) {
         const shortcut = this.shortcuts.find(s => s.id === shortcutId);
         if (shortcut) {
             shortcut.usage = (shortcut.usage || 0) + 1;
-            shortcut.lastUsed = new Date().toISOString();
+            shortcut.lastUsed = this.now().toISOString();
             this.saveShortcuts();
         }
     }
@@ -398,33 +392,6 @@ export class QuickLaunchWidget extends BaseWidget {
         this.services.storage.setCustomShortcuts(customShortcuts);
     }
 
-    /**
-     * Clean up localStorage duplicates
-     */
-    cleanupDuplicates() {
-        const customShortcuts = this.services.storage.getCustomShortcuts();
-        if (!customShortcuts || customShortcuts.length === 0) return;
-        
-        // Remove duplicates from custom shortcuts
-        const uniqueCustomShortcuts = [];
-        const seenIds = new Set();
-        
-        // Process in reverse to keep the last occurrence
-        for (let i = customShortcuts.length - 1; i >= 0; i--) {
-            const shortcut = customShortcuts[i];
-            if (!seenIds.has(shortcut.id)) {
-                seenIds.add(shortcut.id);
-                uniqueCustomShortcuts.unshift(shortcut);
-            }
-        }
-        
-        // Save cleaned up shortcuts back to storage
-        if (uniqueCustomShortcuts.length !== customShortcuts.length) {
-            this.services.storage.setCustomShortcuts(uniqueCustomShortcuts);
-            console.log(`🧹 Cleaned up ${customShortcuts.length - uniqueCustomShortcuts.length} duplicate shortcuts from storage`);
-        }
-    }
-
     /**
      * Edit an existing shortcut
      */
@@ -436,15 +403,12 @@ export class QuickLaunchWidget extends BaseWidget {
     }
 
     /**
-     * Delete a shortcut with confirmation
+     * Delete a shortcut; the undo toast replaces a confirmation dialog
      */
     deleteShortcut(shortcutId) {
-        const shortcut = this.shortcuts.find(s => s.id === shortcutId);
-        if (!shortcut) return;
-
-        // Show confirmation dialog
-        const confirmed = confirm(`Are you sure you want to delete "${shortcut.title}"?`);
-        if (!confirmed) return;
+        const index = this.shortcuts.findIndex(s => s.id === shortcutId);
+        if (index === -1) return;
+        const shortcut = this.shortcuts[index];
 
         // Remove from shortcuts array
         this.shortcuts = this.shortcuts.filter(s => s.id !== shortcutId);
@@ -456,11 +420,28 @@ export class QuickLaunchWidget extends BaseWidget {
         this.render();
         
         // Announce to screen readers
-        this.announce(`Shortcut "${shortcut.title}" deleted`);
+        this.announce(this.t('quickLaunch.deleted', { title: shortcut.title }));
+
+        this.services.commands.record({
+            label: this.t('quickLaunch.deleted', { title: shortcut.title }),
+            undo: () => this.restoreShortcut(shortcut, index),
+            redo: () => this.deleteShortcut(shortcutId)
+        });
         
         console.log(`🗑️ Shortcut deleted: ${shortcut.title}`);
     }
 
+    /**
+     * Put a deleted shortcut back where it was
+     */
+    restoreShortcut(shortcut, index) {
+        if (this.shortcuts.some(s => s.id === shortcut.id)) return;
+
+        this.shortcuts.splice(Math.min(index, this.shortcuts.length), 0, shortcut);
+        this.saveShortcuts();
+        this.render();
+    }
+
     getDebugInfo() {
         const baseInfo = super.getDebugInfo();
         return {
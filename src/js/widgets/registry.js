@@ -0,0 +1,192 @@
+/**
+ * Widget Registry - Declares which widgets the dashboard can run
+ *
+ * A widget definition looks like:
+ *
+ *   {
+ *       name: 'tasks',                      // unique id, used in preferences
+ *       title: 'Tasks & Approvals',         // shown in settings / created sections
+ *       widgetClass: TasksWidget,           // class extending BaseWidget
+ *       container: '#tasks-container',      // default mount point
+ *       priority: 3,                        // lower initializes first
+ *       requiredServices: ['dataSource'],   // keys of DashboardApp.services
+ *       resources: ['tasks'],               // data resources whose pushed patches it receives
+ *       defaultPreferences: {},             // merged under saved widget preferences
+ *       events: {}                          // events it emits, see services/eventCatalogue.js
+ *   }
+ *
+ * Third-party widgets are listed in a JSON manifest and loaded with import():
+ *
+ *   { "widgets": [ { "name": "weather", "module": "./weather.js", "export": "WeatherWidget",
+ *                    "title": "Weather", "container": "#weather-container" } ] }
+ */
+
+export class WidgetRegistry {
+    constructor(eventBus = null) {
+        this.eventBus = eventBus;
+        this.definitions = new Map();
+    }
+
+    /**
+     * Register a widget definition
+     */
+    register(definition) {
+        const normalized = this.normalizeDefinition(definition);
+
+        if (this.definitions.has(normalized.name)) {
+            console.warn(`⚠️ Widget "${normalized.name}" is already registered - replacing it`);
+        }
+
+        this.definitions.set(normalized.name, normalized);
+
+        if (this.eventBus) {
+            // Declared before announcing, so listeners may emit them straight away
+            Object.entries(normalized.events).forEach(([eventName, eventDefinition]) => {
+                this.eventBus.defineEvent(eventName, eventDefinition);
+            });
+            this.eventBus.emit('widget:registered', normalized.name, normalized);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a definition and fill in defaults
+     */
+    normalizeDefinition(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('Widget definition requires a name');
+        }
+
+        if (typeof definition.widgetClass !== 'function') {
+            throw new Error(`Widget "${definition.name}" requires a widgetClass`);
+        }
+
+        return {
+            title: definition.name,
+            container: `#${definition.name}-container`,
+            priority: 100,
+            requiredServices: [],
+            resources: [],
+            defaultPreferences: {},
+            events: {},
+            ...definition
+        };
+    }
+
+    /**
+     * Remove a widget definition
+     */
+    unregister(name) {
+        return this.definitions.delete(name);
+    }
+
+    /**
+     * Check whether a widget is registered
+     */
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    /**
+     * Get a widget definition
+     */
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    /**
+     * Get all definitions, ordered by priority
+     */
+    getAll() {
+        return Array.from(this.definitions.values())
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Get all registered widget names, ordered by priority
+     */
+    getNames() {
+        return this.getAll().map(definition => definition.name);
+    }
+
+    /**
+     * Get the services a widget needs but the app doesn't provide
+     */
+    getMissingServices(name, services) {
+        const definition = this.get(name);
+        if (!definition) return [];
+
+        return definition.requiredServices.filter(service => !services[service]);
+    }
+
+    /**
+     * Instantiate a registered widget
+     */
+    create(name, container, services) {
+        const definition = this.get(name);
+        if (!definition) {
+            throw new Error(`Unknown widget: ${name}`);
+        }
+
+        const widget = new definition.widgetClass(container, services);
+        widget.widgetName = definition.name;
+        widget.defaultPreferences = { ...definition.defaultPreferences };
+        widget.resources = [...definition.resources];
+
+        return widget;
+    }
+
+    /**
+     * Load third-party widgets listed in a manifest file
+     */
+    async loadManifest(manifestUrl) {
+        let manifest;
+
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            console.warn(`⚠️ Could not load widget manifest ${manifestUrl}:`, error.message);
+            return [];
+        }
+
+        const entries = Array.isArray(manifest.widgets) ? manifest.widgets : [];
+        const baseUrl = new URL(manifestUrl, document.baseURI);
+        const registered = [];
+
+        for (const entry of entries) {
+            try {
+                const moduleUrl = new URL(entry.module, baseUrl).href;
+                const module = await import(moduleUrl);
+                const widgetClass = module[entry.export || 'default'];
+
+                const { module: _module, export: _export, ...definition } = entry;
+                registered.push(this.register({ ...definition, widgetClass }));
+                console.log(`🧩 Loaded widget plugin "${entry.name}" from ${moduleUrl}`);
+
+            } catch (error) {
+                console.error(`❌ Failed to load widget plugin "${entry.name}":`, error);
+            }
+        }
+
+        return registered;
+    }
+
+    /**
+     * Get debug information
+     */
+    getDebugInfo() {
+        return this.getAll().map(definition => ({
+            name: definition.name,
+            title: definition.title,
+            container: definition.container,
+            priority: definition.priority,
+            requiredServices: definition.requiredServices,
+            resources: definition.resources
+        }));
+    }
+}
@@ -4,6 +4,37 @@
 
 import { BaseWidget } from './baseWidget.js';
 
+// Query specs for services/dataProcessor.js, by filter tab
+const TASK_FILTERS = {
+    all: null,
+    pending: { field: 'status', equals: 'pending' },
+    approvals: { field: 'type', equals: 'approval' },
+    high: { field: 'priority', equals: 'high' }
+};
+
+// Pending first, then by priority, then by due date
+const TASK_SORT = [
+    { field: 'status', order: ['pending', 'in_progress', 'completed', 'rejected'] },
+    { field: 'priority', order: ['high', 'medium', 'low'] },
+    { field: 'dueDate', type: 'date' }
+];
+
+const NOT_COMPLETED = { not: { field: 'status', equals: 'completed' } };
+
+// Currency symbols the task feed writes amounts with
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+/**
+ * Split an amount like "$1,247.50" into a number and currency code,
+ * or null when it isn't one we can reformat
+ */
+function parseAmount(amount) {
+    const match = /^\s*([$€£])\s*([\d,]+(?:\.\d+)?)\s*$/.exec(String(amount));
+    if (!match) return null;
+
+    return { value: Number(match[2].replace(/,/g, '')), currency: CURRENCY_SYMBOLS[match[1]] };
+}
+
 export class TasksWidget extends BaseWidget {
     constructor(container, services) {
         super(container, services);
@@ -11,6 +42,11 @@ export class TasksWidget extends BaseWidget {
         this.currentFilter = 'all';
         this.currentSort = 'dueDate';
         this.refreshIntervalMs = 300000; // 5 minutes
+        this.taskList = this.createVirtualList('tasks__list', {
+            rowHeight: 160,
+            renderItem: (task, ariaPosition) => this.renderTask(task, ariaPosition)
+        });
+        this.addEventListeners();
     }
 
     async init() {
@@ -18,8 +54,7 @@ export class TasksWidget extends BaseWidget {
             console.log('📋 Initializing Tasks Widget...');
             
             await this.loadData();
-            this.render();
-            this.startAutoRefresh();
+            await this.update();
             
             this.isInitialized = true;
             console.log('✅ Tasks Widget initialized');
@@ -31,15 +66,8 @@ export class TasksWidget extends BaseWidget {
 
     async loadData() {
         try {
-            const response = await fetch('src/data/tasks.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            this.tasks = await response.json();
-            
-            // Sort tasks by due date and priority
-            this.sortTasks();
+            const tasks = await this.services.dataSource.load('tasks');
+            this.tasks = this.services.outbox.applyPending('tasks', tasks);
             
         } catch (error) {
             console.error('Failed to load tasks:', error);
@@ -47,15 +75,51 @@ export class TasksWidget extends BaseWidget {
         }
     }
 
+    /**
+     * Apply a pushed task change without reloading
+     */
+    applyPatch(resource, patch) {
+        this.tasks = this.services.outbox.applyPending('tasks', this.mergePatch(this.tasks, patch));
+        this.update().catch(this.handleError);
+    }
+
+    /**
+     * The current tab's tasks in order, and the counts the header shows
+     */
+    async prepareView() {
+        const tasks = this.tasks;
+        const now = this.now().toISOString();
+        const { indexes, stats } = await this.services.dataProcessor.query(tasks, {
+            filter: TASK_FILTERS[this.currentFilter],
+            sort: TASK_SORT,
+            stats: {
+                ...TASK_FILTERS,
+                overdue: { all: [{ field: 'dueDate', before: now }, NOT_COMPLETED] },
+                dueToday: { all: [{ field: 'dueDate', sameDay: now }, NOT_COMPLETED] }
+            }
+        });
+
+        return { tasks: indexes.map(i => tasks[i]), stats };
+    }
+
+    /**
+     * Overdue and due-today counts depend on the time, so recount them
+     */
+    onClockChanged(now, traveling) {
+        if (this.isInitialized) {
+            this.update().catch(this.handleError);
+        }
+    }
+
     render() {
         if (!this.tasks || this.tasks.length === 0) {
-            this.showEmptyState('No tasks available', 'Refresh', () => this.refresh());
+            this.showEmptyState(this.t('tasks.empty'), this.t('widget.refresh'), () => this.refresh());
             return;
         }
 
         const filteredTasks = this.getFilteredTasks();
         
-        this.container.innerHTML = `
+        this.patchHTML(`
             <div class="tasks__header">
                 <div class="tasks__filters">
                     ${this.renderFilters()}
@@ -64,30 +128,26 @@ export class TasksWidget extends BaseWidget {
                     ${this.renderSummary()}
                 </div>
             </div>
-            <div class="tasks__list" role="list">
-                ${filteredTasks.map(task => this.renderTask(task)).join('')}
-            </div>
-        `;
-
-        this.addEventListeners();
+            ${this.taskList.render(filteredTasks)}
+        `);
     }
 
     renderFilters() {
-        const filters = [
-            { key: 'all', label: 'All', count: this.tasks.length },
-            { key: 'pending', label: 'Pending', count: this.tasks.filter(t => t.status === 'pending').length },
-            { key: 'approvals', label: 'Approvals', count: this.tasks.filter(t => t.type === 'approval').length },
-            { key: 'high', label: 'High Priority', count: this.tasks.filter(t => t.priority === 'high').length }
-        ];
+        const { stats } = this.view;
+        const filters = Object.keys(TASK_FILTERS).map(key => ({
+            key,
+            label: this.t(`tasks.filter.${key}`),
+            count: stats[key]
+        }));
 
         return `
-            <div class="tasks__filter-buttons" role="tablist" aria-label="Task filters">
+            <div class="tasks__filter-buttons" role="tablist" aria-label="${this.t('tasks.filters')}">
                 ${filters.map(filter => `
                     <button class="tasks__filter ${this.currentFilter === filter.key ? 'tasks__filter--active' : ''}"
                             role="tab"
                             aria-selected="${this.currentFilter === filter.key}"
                             data-filter="${filter.key}">
-                        ${filter.label} (${filter.count})
+                        ${this.t('common.filter', filter)}
                     </button>
                 `).join('')}
             </div>
@@ -95,27 +155,23 @@ export class TasksWidget extends BaseWidget {
     }
 
     renderSummary() {
-        const overdueTasks = this.tasks.filter(task => 
-            new Date(task.dueDate) < new Date() && task.status !== 'completed'
-        ).length;
-
-        const dueTodayTasks = this.tasks.filter(task => {
-            const dueDate = new Date(task.dueDate);
-            const today = new Date();
-            return dueDate.toDateString() === today.toDateString() && task.status !== 'completed';
-        }).length;
+        const { overdue: overdueTasks, dueToday: dueTodayTasks } = this.view.stats;
 
         return `
             <div class="tasks__summary-stats">
-                ${overdueTasks > 0 ? `<span class="tasks__stat tasks__stat--overdue">⚠️ ${overdueTasks} overdue</span>` : ''}
-                ${dueTodayTasks > 0 ? `<span class="tasks__stat tasks__stat--today">📅 ${dueTodayTasks} due today</span>` : ''}
+                ${overdueTasks > 0 ? `<span class="tasks__stat tasks__stat--overdue">⚠️ ${this.t('tasks.overdueCount', { count: overdueTasks })}</span>` : ''}
+                ${dueTodayTasks > 0 ? `<span class="tasks__stat tasks__stat--today">📅 ${this.t('tasks.dueTodayCount', { count: dueTodayTasks })}</span>` : ''}
             </div>
         `;
     }
 
-    renderTask(task) {
-        const isOverdue = new Date(task.dueDate) < new Date() && task.status !== 'completed';
-        const isDueToday = new Date(task.dueDate).toDateString() === new Date().toDateString();
+    /**
+     * One list row; ariaPosition is set while the list is windowed
+     */
+    renderTask(task, ariaPosition = '') {
+        const now = this.now();
+        const isOverdue = new Date(task.dueDate) < now && task.status !== 'completed';
+        const isDueToday = new Date(task.dueDate).toDateString() === now.toDateString();
         
         const statusClass = `task--${task.status}`;
         const priorityClass = `task--priority-${task.priority}`;
@@ -125,17 +181,19 @@ export class TasksWidget extends BaseWidget {
         return `
             <div class="task ${statusClass} ${priorityClass} ${overdueClass} ${dueTodayClass}" 
                  role="listitem"
-                 data-task-id="${task.id}">
+                 data-task-id="${task.id}"
+                 ${ariaPosition}
+                 tabindex="0">
                 
                 <div class="task__content">
                     <div class="task__header">
                         <div class="task__icon" aria-hidden="true">${task.icon}</div>
                         <div class="task__title-section">
-                            <h4 class="task__title">${this.sanitizeHTML(task.title)}</h4>
+                            <h3 class="task__title">${this.sanitizeHTML(task.title)}</h3>
                             <p class="task__description">${this.sanitizeHTML(task.description)}</p>
                         </div>
                         <div class="task__status">
-                            <span class="task__status-badge" aria-label="Status: ${task.status}">
+                            <span class="task__status-badge" aria-label="${this.t('common.statusLabel', { status: this.t('tasks.status', task) })}">
                                 ${this.getStatusIcon(task.status)}
                             </span>
                         </div>
@@ -144,15 +202,15 @@ export class TasksWidget extends BaseWidget {
                     <div class="task__meta">
                         <div class="task__details">
                             <span class="task__assignee">
-                                <strong>Assignee:</strong> ${this.sanitizeHTML(task.assignee)}
+                                <strong>${this.t('field.assignee')}</strong> ${this.sanitizeHTML(task.assignee)}
                             </span>
                             <span class="task__requester">
-                                <strong>From:</strong> ${this.sanitizeHTML(task.requester)}
+                                <strong>${this.t('field.from')}</strong> ${this.sanitizeHTML(task.requester)}
                             </span>
                             <span class="task__due-date ${isOverdue ? 'task__due-date--overdue' : ''}">
-                                <strong>Due:</strong> ${this.formatDate(task.dueDate)}
-                                ${isOverdue ? ' (Overdue)' : ''}
-                                ${isDueToday ? ' (Today)' : ''}
+                                <strong>${this.t('field.due')}</strong> ${this.formatDate(task.dueDate)}
+                                ${isOverdue ? ` ${this.t('common.overdue')}` : ''}
+                                ${isDueToday ? ` ${this.t('tasks.today')}` : ''}
                             </span>
                         </div>
                         
@@ -163,7 +221,7 @@ export class TasksWidget extends BaseWidget {
                     
                     ${task.type === 'approval' && task.amount ? `
                         <div class="task__approval-amount">
-                            Amount: <strong>${task.amount}</strong>
+                            ${this.t('field.amount')} <strong>${this.formatAmount(task.amount)}</strong>
                         </div>
                     ` : ''}
                 </div>
@@ -173,9 +231,10 @@ export class TasksWidget extends BaseWidget {
 
     renderTaskActions(task) {
         if (task.status === 'completed') {
-            return `<span class="task__completed">✅ Completed ${this.formatRelativeTime(task.completedAt)}</span>`;
+            return `<span class="task__completed">✅ ${this.t('tasks.completedAgo', { time: this.formatRelativeTime(task.completedAt) })}</span>`;
         }
 
+        const title = this.sanitizeHTML(task.title);
         const actions = [];
         
         if (task.type === 'approval') {
@@ -183,16 +242,16 @@ export class TasksWidget extends BaseWidget {
                 <button class="task__action task__action--approve" 
                         data-task-id="${task.id}" 
                         data-action="approve"
-                        aria-label="Approve ${this.sanitizeHTML(task.title)}">
-                    ✅ Approve
+                        aria-label="${this.t('tasks.approveLabel', { title })}">
+                    ✅ ${this.t('tasks.approve')}
                 </button>
             `);
             actions.push(`
                 <button class="task__action task__action--reject" 
                         data-task-id="${task.id}" 
                         data-action="reject"
-                        aria-label="Reject ${this.sanitizeHTML(task.title)}">
-                    ❌ Reject
+                        aria-label="${this.t('tasks.rejectLabel', { title })}">
+                    ❌ ${this.t('tasks.reject')}
                 </button>
             `);
         } else {
@@ -200,8 +259,8 @@ export class TasksWidget extends BaseWidget {
                 <button class="task__action task__action--complete" 
                         data-task-id="${task.id}" 
                         data-action="complete"
-                        aria-label="Mark ${this.sanitizeHTML(task.title)} as complete">
-                    ✅ Complete
+                        aria-label="${this.t('tasks.completeLabel', { title })}">
+                    ✅ ${this.t('tasks.complete')}
                 </button>
             `);
         }
@@ -210,14 +269,24 @@ export class TasksWidget extends BaseWidget {
             <button class="task__action task__action--view" 
                     data-task-id="${task.id}" 
                     data-action="view"
-                    aria-label="View details for ${this.sanitizeHTML(task.title)}">
-                👁️ View
+                    aria-label="${this.t('common.viewDetails', { name: title })}">
+                👁️ ${this.t('common.view')}
             </button>
         `);
 
         return actions.join('');
     }
 
+    /**
+     * Amounts in the locale's number format, or as sent if unparseable
+     */
+    formatAmount(amount) {
+        const parsed = parseAmount(amount);
+        if (!parsed) return this.sanitizeHTML(String(amount));
+
+        return this.services.i18n.formatCurrency(parsed.value, parsed.currency);
+    }
+
     getStatusIcon(status) {
         const icons = {
             pending: '⏳',
@@ -230,35 +299,26 @@ export class TasksWidget extends BaseWidget {
 
     addEventListeners() {
         // Filter buttons
-        const filterButtons = this.container.querySelectorAll('.tasks__filter');
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                this.currentFilter = button.getAttribute('data-filter');
-                this.render();
-                this.announce(`Filtered tasks: ${button.textContent}`);
-            });
+        this.delegate('click', '.tasks__filter', (e, button) => {
+            this.currentFilter = button.getAttribute('data-filter');
+            this.update()
+                .then(() => this.announce(this.t('tasks.filtered', { filter: button.textContent })))
+                .catch(this.handleError);
         });
 
         // Task action buttons
-        const actionButtons = this.container.querySelectorAll('.task__action');
-        actionButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const taskId = button.getAttribute('data-task-id');
-                const action = button.getAttribute('data-action');
-                this.handleTaskAction(taskId, action);
-            });
+        this.delegate('click', '.task__action', (e, button) => {
+            const taskId = button.getAttribute('data-task-id');
+            const action = button.getAttribute('data-action');
+            this.handleTaskAction(taskId, action);
         });
 
-        // Keyboard navigation for tasks
-        const tasks = this.container.querySelectorAll('.task');
-        tasks.forEach(task => {
-            task.setAttribute('tabindex', '0');
-            task.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    const taskId = task.getAttribute('data-task-id');
-                    this.handleTaskAction(taskId, 'view');
-                }
-            });
+        // Keyboard navigation for tasks (Enter on an action button is its click)
+        this.delegate('keydown', '.task', (e, task) => {
+            if (e.key === 'Enter' && e.target === task) {
+                const taskId = task.getAttribute('data-task-id');
+                this.handleTaskAction(taskId, 'view');
+            }
         });
     }
 
@@ -283,27 +343,83 @@ export class TasksWidget extends BaseWidget {
     }
 
     approveTask(task) {
-        task.status = 'completed';
-        task.completedAt = new Date().toISOString();
-        this.render();
-        this.announce(`Task "${task.title}" approved`);
-        this.services.eventBus.emit('task:approved', task);
+        return this.updateTask(task, {
+            status: 'completed',
+            completedAt: this.now().toISOString()
+        }, this.t('tasks.approveAction', task), this.t('tasks.approved', task), 'task:approved');
     }
 
     rejectTask(task) {
-        task.status = 'rejected';
-        task.completedAt = new Date().toISOString();
-        this.render();
-        this.announce(`Task "${task.title}" rejected`);
-        this.services.eventBus.emit('task:rejected', task);
+        return this.updateTask(task, {
+            status: 'rejected',
+            completedAt: this.now().toISOString()
+        }, this.t('tasks.rejectAction', task), this.t('tasks.rejected', task), 'task:rejected');
     }
 
     completeTask(task) {
-        task.status = 'completed';
-        task.completedAt = new Date().toISOString();
-        this.render();
-        this.announce(`Task "${task.title}" completed`);
-        this.services.eventBus.emit('task:completed', task);
+        return this.updateTask(task, {
+            status: 'completed',
+            completedAt: this.now().toISOString()
+        }, this.t('tasks.completeAction', task), this.t('tasks.completed', task), 'task:completed');
+    }
+
+    /**
+     * Show task changes straight away and queue them in the outbox;
+     * the change is undone if the server refuses it, and can be undone
+     * by the user through the command stack
+     */
+    async updateTask(task, changes, label, successMessage, eventName) {
+        // null rather than undefined so undoing also clears fields on the server
+        const previous = Object.fromEntries(Object.keys(changes).map(key => [key, task[key] ?? null]));
+
+        Object.assign(task, changes);
+        this.update().catch(this.handleError);
+        if (successMessage) {
+            this.announce(this.describeQueuedChange(successMessage));
+        }
+        this.services.eventBus.emit(eventName, task);
+
+        const command = this.services.commands.record({
+            label: successMessage,
+            undo: () => this.reapplyTaskChange(task.id, previous, this.t('commands.undoAction', { label }), null, 'task:restored'),
+            redo: () => this.reapplyTaskChange(task.id, changes, label, null, eventName)
+        });
+
+        const saved = await this.saveOptimistically({
+            resource: 'tasks',
+            operation: 'update',
+            id: task.id,
+            payload: changes,
+            label
+        }, () => {
+            this.services.commands.discard(command);
+
+            // Records may have been reloaded since, so look the task up again
+            const current = this.tasks.find(item => item.id === task.id);
+            if (current) {
+                Object.assign(current, previous);
+                this.update().catch(this.handleError);
+            }
+        });
+
+        if (saved) {
+            const current = this.tasks.find(item => item.id === task.id);
+            if (current) {
+                Object.assign(current, saved);
+                this.update().catch(this.handleError);
+            }
+        }
+    }
+
+    /**
+     * Apply changes to the current copy of a task (used by undo/redo).
+     * Returns once the change is shown; the save goes on in the outbox.
+     */
+    reapplyTaskChange(taskId, changes, label, successMessage, eventName) {
+        const task = this.tasks.find(item => item.id === taskId);
+        if (task) {
+            this.updateTask(task, { ...changes }, label, successMessage, eventName);
+        }
     }
 
     viewTaskDetails(task) {
@@ -315,19 +431,19 @@ export class TasksWidget extends BaseWidget {
             <div class="task-modal__content" role="dialog" aria-labelledby="task-modal-title" aria-modal="true">
                 <div class="task-modal__header">
                     <h3 id="task-modal-title">${this.sanitizeHTML(task.title)}</h3>
-                    <button class="task-modal__close" aria-label="Close task details">×</button>
+                    <button class="task-modal__close" aria-label="${this.t('tasks.closeDetails')}">×</button>
                 </div>
                 <div class="task-modal__body">
-                    <p><strong>Description:</strong> ${this.sanitizeHTML(task.description)}</p>
-                    <p><strong>Type:</strong> ${task.type}</p>
-                    <p><strong>Status:</strong> ${task.status}</p>
-                    <p><strong>Priority:</strong> ${task.priority}</p>
-                    <p><strong>Assignee:</strong> ${this.sanitizeHTML(task.assignee)}</p>
-                    <p><strong>Requester:</strong> ${this.sanitizeHTML(task.requester)}</p>
-                    <p><strong>Due Date:</strong> ${this.formatDate(task.dueDate)}</p>
-                    <p><strong>Created:</strong> ${this.formatDate(task.createdAt)}</p>
-                    ${task.amount ? `<p><strong>Amount:</strong> ${task.amount}</p>` : ''}
-                    ${task.category ? `<p><strong>Category:</strong> ${task.category}</p>` : ''}
+                    <p><strong>${this.t('field.description')}</strong> ${this.sanitizeHTML(task.description)}</p>
+                    <p><strong>${this.t('field.type')}</strong> ${this.t('tasks.type', task)}</p>
+                    <p><strong>${this.t('field.status')}</strong> ${this.t('tasks.status', task)}</p>
+                    <p><strong>${this.t('field.priority')}</strong> ${this.t('priority', task)}</p>
+                    <p><strong>${this.t('field.assignee')}</strong> ${this.sanitizeHTML(task.assignee)}</p>
+                    <p><strong>${this.t('field.requester')}</strong> ${this.sanitizeHTML(task.requester)}</p>
+                    <p><strong>${this.t('field.dueDate')}</strong> ${this.formatDate(task.dueDate)}</p>
+                    <p><strong>${this.t('field.created')}</strong> ${this.formatDate(task.createdAt)}</p>
+                    ${task.amount ? `<p><strong>${this.t('field.amount')}</strong> ${this.formatAmount(task.amount)}</p>` : ''}
+                    ${task.category ? `<p><strong>${this.t('field.category')}</strong> ${task.category}</p>` : ''}
                 </div>
             </div>
         `;
@@ -360,56 +476,25 @@ export class TasksWidget extends BaseWidget {
         });
     }
 
+    /**
+     * Tasks on the current tab, as of the last update()
+     */
     getFilteredTasks() {
-        let filtered = this.tasks;
-
-        switch (this.currentFilter) {
-            case 'pending':
-                filtered = this.tasks.filter(t => t.status === 'pending');
-                break;
-            case 'approvals':
-                filtered = this.tasks.filter(t => t.type === 'approval');
-                break;
-            case 'high':
-                filtered = this.tasks.filter(t => t.priority === 'high');
-                break;
-        }
-
-        return filtered;
-    }
-
-    sortTasks() {
-        this.tasks.sort((a, b) => {
-            // First by status (pending first)
-            if (a.status !== b.status) {
-                const statusOrder = { pending: 0, in_progress: 1, completed: 2, rejected: 3 };
-                return (statusOrder[a.status] || 99) - (statusOrder[b.status] || 99);
-            }
-
-            // Then by priority
-            const priorityOrder = { high: 0, medium: 1, low: 2 };
-            if (a.priority !== b.priority) {
-                return (priorityOrder[a.priority] || 99) - (priorityOrder[b.priority] || 99);
-            }
-
-            // Finally by due date
-            return new Date(a.dueDate) - new Date(b.dueDate);
-        });
+        return this.view ? this.view.tasks : [];
     }
 
     getDebugInfo() {
         const baseInfo = super.getDebugInfo();
-        const overdueTasks = this.tasks.filter(t => 
-            new Date(t.dueDate) < new Date() && t.status !== 'completed'
-        ).length;
+        const stats = this.view ? this.view.stats : {};
         
         return {
             ...baseInfo,
             totalTasks: this.tasks.length,
-            pendingTasks: this.tasks.filter(t => t.status === 'pending').length,
-            overdueTasks: overdueTasks,
-            approvalTasks: this.tasks.filter(t => t.type === 'approval').length,
-            currentFilter: this.currentFilter
+            pendingTasks: stats.pending,
+            overdueTasks: stats.overdue,
+            approvalTasks: stats.approvals,
+            currentFilter: this.currentFilter,
+            list: this.taskList.getDebugInfo()
         };
     }
 }
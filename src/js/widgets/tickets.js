@@ -4,12 +4,34 @@
 
 import { BaseWidget } from './baseWidget.js';
 
+// Query specs for services/dataProcessor.js, by filter tab
+const TICKET_FILTERS = {
+    open: { field: 'status', in: ['open', 'in_progress'] },
+    high: { field: 'priority', equals: 'high' },
+    assigned: { field: 'assignee', equals: 'IT Ingrid' },
+    all: null
+};
+
+// Open and in progress first, then by priority, then newest first
+const TICKET_SORT = [
+    { field: 'status', order: ['open', 'in_progress', 'pending', 'resolved'] },
+    { field: 'priority', order: ['high', 'medium', 'low'] },
+    { field: 'createdAt', type: 'date', direction: 'desc' }
+];
+
+const UNRESOLVED = { field: 'status', in: ['open', 'in_progress', 'pending'] };
+
 export class TicketsWidget extends BaseWidget {
     constructor(container, services) {
         super(container, services);
         this.tickets = [];
         this.currentFilter = 'open';
         this.refreshIntervalMs = 300000; // 5 minutes
+        this.ticketList = this.createVirtualList('tickets__list', {
+            rowHeight: 200,
+            renderItem: (ticket, ariaPosition) => this.renderTicket(ticket, ariaPosition)
+        });
+        this.addEventListeners();
     }
 
     async init() {
@@ -17,8 +39,7 @@ export class TicketsWidget extends BaseWidget {
             console.log('🎫 Initializing Support Tickets Widget...');
             
             await this.loadData();
-            this.render();
-            this.startAutoRefresh();
+            await this.update();
             
             this.isInitialized = true;
             console.log('✅ Support Tickets Widget initialized');
@@ -30,32 +51,77 @@ export class TicketsWidget extends BaseWidget {
 
     async loadData() {
         try {
-            const response = await fetch('src/data/tickets.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const tickets = await this.services.dataSource.load('tickets');
+            this.tickets = this.services.outbox.applyPending('tickets', tickets);
             
-            this.tickets = await response.json();
-            
-            // Sort tickets by priority and creation date
-            this.sortTickets();
+            // Keep a copy for when the help desk can't be reached
+            this.cacheDataset(this.tickets);
             
         } catch (error) {
+            const cachedTickets = this.restoreCachedDataset();
+            if (cachedTickets) {
+                console.warn('⚠️ Failed to load support tickets, showing cached copy:', error.message);
+                this.tickets = this.services.outbox.applyPending('tickets', cachedTickets);
+                return;
+            }
+
             console.error('Failed to load support tickets:', error);
             throw error;
         }
     }
 
+    /**
+     * Apply a pushed ticket change (e.g. a status update) without reloading
+     */
+    applyPatch(resource, patch) {
+        this.tickets = this.services.outbox.applyPending('tickets', this.mergePatch(this.tickets, patch));
+        this.update().catch(this.handleError);
+        this.cacheDataset(this.tickets);
+    }
+
+    /**
+     * The current tab's tickets in order, the tab counts and the stats
+     * of unresolved tickets
+     */
+    async prepareView() {
+        const tickets = this.tickets;
+        const now = this.now().toISOString();
+        const unresolvedWith = filter => ({ all: [UNRESOLVED, filter] });
+        const { indexes, stats } = await this.services.dataProcessor.query(tickets, {
+            filter: TICKET_FILTERS[this.currentFilter],
+            sort: TICKET_SORT,
+            stats: {
+                ...TICKET_FILTERS,
+                unresolved: UNRESOLVED,
+                unresolvedHigh: unresolvedWith({ field: 'priority', equals: 'high' }),
+                unresolvedMedium: unresolvedWith({ field: 'priority', equals: 'medium' }),
+                unresolvedLow: unresolvedWith({ field: 'priority', equals: 'low' }),
+                overdue: unresolvedWith({ field: 'dueDate', before: now })
+            }
+        });
+
+        return { tickets: indexes.map(i => tickets[i]), stats };
+    }
+
+    /**
+     * The overdue count depends on the time, so recount it
+     */
+    onClockChanged(now, traveling) {
+        if (this.isInitialized) {
+            this.update().catch(this.handleError);
+        }
+    }
+
     render() {
         if (!this.tickets || this.tickets.length === 0) {
-            this.showEmptyState('No support tickets found', 'Refresh', () => this.refresh());
+            this.showEmptyState(this.t('tickets.empty'), this.t('widget.refresh'), () => this.refresh());
             return;
         }
 
         const filteredTickets = this.getFilteredTickets();
         const stats = this.getTicketStats();
 
-        this.container.innerHTML = `
+        this.patchHTML(`
             <div class="tickets__header">
                 <div class="tickets__stats">
                     ${this.renderStats(stats)}
@@ -65,20 +131,8 @@ export class TicketsWidget extends BaseWidget {
                 </div>
             </div>
             
-            <div class="tickets__list" role="list">
-                ${filteredTickets.slice(0, 10).map(ticket => this.renderTicket(ticket)).join('')}
-            </div>
-            
-            ${filteredTickets.length > 10 ? `
-                <div class="tickets__footer">
-                    <button class="tickets__view-all" aria-label="View all ${filteredTickets.length} tickets">
-                        View All ${filteredTickets.length} Tickets
-                    </button>
-                </div>
-            ` : ''}
-        `;
-
-        this.addEventListeners();
+            ${this.ticketList.render(filteredTickets)}
+        `);
     }
 
     renderStats(stats) {
@@ -86,56 +140,63 @@ export class TicketsWidget extends BaseWidget {
             <div class="tickets__stats-grid">
                 <div class="ticket-stat ticket-stat--high">
                     <div class="ticket-stat__number">${stats.high}</div>
-                    <div class="ticket-stat__label">High Priority</div>
+                    <div class="ticket-stat__label">${this.t('tickets.stat.high')}</div>
                 </div>
                 <div class="ticket-stat ticket-stat--medium">
                     <div class="ticket-stat__number">${stats.medium}</div>
-                    <div class="ticket-stat__label">Medium</div>
+                    <div class="ticket-stat__label">${this.t('tickets.stat.medium')}</div>
                 </div>
                 <div class="ticket-stat ticket-stat--low">
                     <div class="ticket-stat__number">${stats.low}</div>
-                    <div class="ticket-stat__label">Low</div>
+                    <div class="ticket-stat__label">${this.t('tickets.stat.low')}</div>
                 </div>
                 <div class="ticket-stat ticket-stat--overdue">
                     <div class="ticket-stat__number">${stats.overdue}</div>
-                    <div class="ticket-stat__label">Overdue</div>
+                    <div class="ticket-stat__label">${this.t('tickets.stat.overdue')}</div>
                 </div>
             </div>
         `;
     }
 
     renderFilters() {
-        const filters = [
-            { key: 'open', label: 'Open', count: this.tickets.filter(t => ['open', 'in_progress'].includes(t.status)).length },
-            { key: 'high', label: 'High Priority', count: this.tickets.filter(t => t.priority === 'high').length },
-            { key: 'assigned', label: 'Assigned to Me', count: this.tickets.filter(t => t.assignee === 'IT Ingrid').length },
-            { key: 'all', label: 'All', count: this.tickets.length }
-        ];
+        const { stats } = this.view;
+        const filters = Object.keys(TICKET_FILTERS).map(key => ({
+            key,
+            label: this.t(`tickets.filter.${key}`),
+            count: stats[key]
+        }));
 
         return `
-            <div class="tickets__filter-buttons" role="tablist" aria-label="Ticket filters">
+            <div class="tickets__filter-buttons" role="tablist" aria-label="${this.t('tickets.filters')}">
                 ${filters.map(filter => `
                     <button class="tickets__filter ${this.currentFilter === filter.key ? 'tickets__filter--active' : ''}"
                             role="tab"
                             aria-selected="${this.currentFilter === filter.key}"
                             data-filter="${filter.key}">
-                        ${filter.label} (${filter.count})
+                        ${this.t('common.filter', filter)}
                     </button>
                 `).join('')}
             </div>
         `;
     }
 
-    renderTicket(ticket) {
-        const isOverdue = ticket.dueDate && new Date(ticket.dueDate) < new Date() && ticket.status !== 'resolved';
+    /**
+     * One list row; ariaPosition is set while the list is windowed
+     */
+    renderTicket(ticket, ariaPosition = '') {
+        const isOverdue = ticket.dueDate && new Date(ticket.dueDate) < this.now() && ticket.status !== 'resolved';
         const statusClass = `ticket--${ticket.status}`;
         const priorityClass = `ticket--priority-${ticket.priority}`;
         const overdueClass = isOverdue ? 'ticket--overdue' : '';
+        const { intlLocale } = this.services.i18n;
+        const priority = this.t('priority', ticket);
+        const status = this.t('tickets.status', ticket);
 
         return `
             <div class="ticket ${statusClass} ${priorityClass} ${overdueClass}" 
                  role="listitem"
                  data-ticket-id="${ticket.id}"
+                 ${ariaPosition}
                  tabindex="0">
                 
                 <div class="ticket__content">
@@ -146,18 +207,18 @@ export class TicketsWidget extends BaseWidget {
                         </div>
                         
                         <div class="ticket__title-section">
-                            <h4 class="ticket__title">${this.sanitizeHTML(ticket.title)}</h4>
+                            <h3 class="ticket__title">${this.sanitizeHTML(ticket.title)}</h3>
                             <p class="ticket__description">${this.sanitizeHTML(ticket.description)}</p>
                         </div>
                         
                         <div class="ticket__badges">
                             <span class="ticket__priority-badge ticket__priority-badge--${ticket.priority}" 
-                                  aria-label="Priority: ${ticket.priority}">
-                                ${this.getPriorityIcon(ticket.priority)} ${ticket.priority.toUpperCase()}
+                                  aria-label="${this.t('common.priorityLabel', { priority })}">
+                                ${this.getPriorityIcon(ticket.priority)} ${priority.toLocaleUpperCase(intlLocale)}
                             </span>
                             <span class="ticket__status-badge ticket__status-badge--${ticket.status}" 
-                                  aria-label="Status: ${ticket.status}">
-                                ${this.getStatusIcon(ticket.status)} ${ticket.status.replace('_', ' ').toUpperCase()}
+                                  aria-label="${this.t('common.statusLabel', { status })}">
+                                ${this.getStatusIcon(ticket.status)} ${status.toLocaleUpperCase(intlLocale)}
                             </span>
                         </div>
                     </div>
@@ -165,18 +226,18 @@ export class TicketsWidget extends BaseWidget {
                     <div class="ticket__meta">
                         <div class="ticket__details">
                             <span class="ticket__assignee">
-                                <strong>Assigned:</strong> ${this.sanitizeHTML(ticket.assignee)}
+                                <strong>${this.t('field.assigned')}</strong> ${this.sanitizeHTML(ticket.assignee)}
                             </span>
                             <span class="ticket__reporter">
-                                <strong>Reporter:</strong> ${this.sanitizeHTML(ticket.reporter)}
+                                <strong>${this.t('field.reporter')}</strong> ${this.sanitizeHTML(ticket.reporter)}
                             </span>
                             <span class="ticket__created">
-                                <strong>Created:</strong> ${this.formatRelativeTime(ticket.createdAt)}
+                                <strong>${this.t('field.created')}</strong> ${this.formatRelativeTime(ticket.createdAt)}
                             </span>
                             ${ticket.dueDate ? `
                                 <span class="ticket__due ${isOverdue ? 'ticket__due--overdue' : ''}">
-                                    <strong>Due:</strong> ${this.formatDate(ticket.dueDate)}
-                                    ${isOverdue ? ' (Overdue)' : ''}
+                                    <strong>${this.t('field.due')}</strong> ${this.formatDate(ticket.dueDate)}
+                                    ${isOverdue ? ` ${this.t('common.overdue')}` : ''}
                                 </span>
                             ` : ''}
                         </div>
@@ -188,7 +249,7 @@ export class TicketsWidget extends BaseWidget {
                     
                     ${ticket.affectedUsers ? `
                         <div class="ticket__impact">
-                            <strong>Impact:</strong> ${ticket.affectedUsers} user${ticket.affectedUsers !== 1 ? 's' : ''} affected
+                            <strong>${this.t('field.impact')}</strong> ${this.t('tickets.affected', { count: ticket.affectedUsers })}
                         </div>
                     ` : ''}
                     
@@ -197,7 +258,7 @@ export class TicketsWidget extends BaseWidget {
                             <div class="progress-bar">
                                 <div class="progress-bar__fill" style="width: ${ticket.progress}%"></div>
                             </div>
-                            <span class="progress-bar__text">${ticket.progress}% complete</span>
+                            <span class="progress-bar__text">${this.t('tickets.progress', ticket)}</span>
                         </div>
                     ` : ''}
                 </div>
@@ -213,8 +274,8 @@ export class TicketsWidget extends BaseWidget {
                 <button class="ticket__action ticket__action--start" 
                         data-ticket-id="${ticket.id}" 
                         data-action="start"
-                        aria-label="Start working on ${ticket.id}">
-                    ▶️ Start
+                        aria-label="${this.t('tickets.startLabel', ticket)}">
+                    ▶️ ${this.t('tickets.start')}
                 </button>
             `);
         }
@@ -224,8 +285,8 @@ export class TicketsWidget extends BaseWidget {
                 <button class="ticket__action ticket__action--resolve" 
                         data-ticket-id="${ticket.id}" 
                         data-action="resolve"
-                        aria-label="Resolve ${ticket.id}">
-                    ✅ Resolve
+                        aria-label="${this.t('tickets.resolveLabel', ticket)}">
+                    ✅ ${this.t('tickets.resolve')}
                 </button>
             `);
         }
@@ -234,8 +295,8 @@ export class TicketsWidget extends BaseWidget {
             <button class="ticket__action ticket__action--view" 
                     data-ticket-id="${ticket.id}" 
                     data-action="view"
-                    aria-label="View details for ${ticket.id}">
-                👁️ View
+                    aria-label="${this.t('common.viewDetails', { name: ticket.id })}">
+                👁️ ${this.t('common.view')}
             </button>
         `);
 
@@ -263,50 +324,34 @@ export class TicketsWidget extends BaseWidget {
 
     addEventListeners() {
         // Filter buttons
-        const filterButtons = this.container.querySelectorAll('.tickets__filter');
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                this.currentFilter = button.getAttribute('data-filter');
-                this.render();
-                this.announce(`Filtered tickets: ${button.textContent}`);
-            });
+        this.delegate('click', '.tickets__filter', (e, button) => {
+            this.currentFilter = button.getAttribute('data-filter');
+            this.update()
+                .then(() => this.announce(this.t('tickets.filtered', { filter: button.textContent })))
+                .catch(this.handleError);
         });
 
         // Ticket action buttons
-        const actionButtons = this.container.querySelectorAll('.ticket__action');
-        actionButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const ticketId = button.getAttribute('data-ticket-id');
-                const action = button.getAttribute('data-action');
-                this.handleTicketAction(ticketId, action);
-            });
+        this.delegate('click', '.ticket__action', (e, button) => {
+            const ticketId = button.getAttribute('data-ticket-id');
+            const action = button.getAttribute('data-action');
+            this.handleTicketAction(ticketId, action);
         });
 
-        // Ticket click for details
-        const tickets = this.container.querySelectorAll('.ticket');
-        tickets.forEach(ticket => {
-            ticket.addEventListener('click', () => {
+        // Ticket click for details, unless it was on one of its actions
+        this.delegate('click', '.ticket', (e, ticket) => {
+            if (e.target.closest('.ticket__action')) return;
+            const ticketId = ticket.getAttribute('data-ticket-id');
+            this.handleTicketAction(ticketId, 'view');
+        });
+
+        this.delegate('keydown', '.ticket', (e, ticket) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === ticket) {
+                e.preventDefault();
                 const ticketId = ticket.getAttribute('data-ticket-id');
                 this.handleTicketAction(ticketId, 'view');
-            });
-            
-            ticket.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    const ticketId = ticket.getAttribute('data-ticket-id');
-                    this.handleTicketAction(ticketId, 'view');
-                }
-            });
+            }
         });
-
-        // View all button
-        const viewAllButton = this.container.querySelector('.tickets__view-all');
-        if (viewAllButton) {
-            viewAllButton.addEventListener('click', () => {
-                this.showAllTickets();
-            });
-        }
     }
 
     handleTicketAction(ticketId, action) {
@@ -327,20 +372,80 @@ export class TicketsWidget extends BaseWidget {
     }
 
     startTicket(ticket) {
-        ticket.status = 'in_progress';
-        ticket.updatedAt = new Date().toISOString();
-        this.render();
-        this.announce(`Started working on ticket ${ticket.id}`);
-        this.services.eventBus.emit('ticket:started', ticket);
+        return this.updateTicket(ticket, {
+            status: 'in_progress',
+            updatedAt: this.now().toISOString()
+        }, this.t('tickets.startAction', ticket), this.t('tickets.started', ticket), 'ticket:started');
     }
 
     resolveTicket(ticket) {
-        ticket.status = 'resolved';
-        ticket.resolvedAt = new Date().toISOString();
-        ticket.updatedAt = new Date().toISOString();
-        this.render();
-        this.announce(`Ticket ${ticket.id} resolved`);
-        this.services.eventBus.emit('ticket:resolved', ticket);
+        const now = this.now().toISOString();
+        return this.updateTicket(ticket, {
+            status: 'resolved',
+            resolvedAt: now,
+            updatedAt: now
+        }, this.t('tickets.resolveAction', ticket), this.t('tickets.resolved', ticket), 'ticket:resolved');
+    }
+
+    /**
+     * Show ticket changes straight away and queue them in the outbox;
+     * the change is undone if the server refuses it, and can be undone
+     * by the user through the command stack
+     */
+    async updateTicket(ticket, changes, label, successMessage, eventName) {
+        // null rather than undefined so undoing also clears fields on the server
+        const previous = Object.fromEntries(Object.keys(changes).map(key => [key, ticket[key] ?? null]));
+
+        Object.assign(ticket, changes);
+        this.update().catch(this.handleError);
+        if (successMessage) {
+            this.announce(this.describeQueuedChange(successMessage));
+        }
+        this.services.eventBus.emit(eventName, ticket);
+
+        const command = this.services.commands.record({
+            label: successMessage,
+            undo: () => this.reapplyTicketChange(ticket.id, previous, this.t('commands.undoAction', { label }), null, 'ticket:restored'),
+            redo: () => this.reapplyTicketChange(ticket.id, changes, label, null, eventName)
+        });
+
+        const saved = await this.saveOptimistically({
+            resource: 'tickets',
+            operation: 'update',
+            id: ticket.id,
+            payload: changes,
+            label
+        }, () => {
+            this.services.commands.discard(command);
+
+            // Records may have been reloaded since, so look the ticket up again
+            const current = this.tickets.find(item => item.id === ticket.id);
+            if (current) {
+                Object.assign(current, previous);
+                this.update().catch(this.handleError);
+                this.cacheDataset(this.tickets);
+            }
+        });
+
+        if (saved) {
+            const current = this.tickets.find(item => item.id === ticket.id);
+            if (current) {
+                Object.assign(current, saved);
+                this.update().catch(this.handleError);
+                this.cacheDataset(this.tickets);
+            }
+        }
+    }
+
+    /**
+     * Apply changes to the current copy of a ticket (used by undo/redo).
+     * Returns once the change is shown; the save goes on in the outbox.
+     */
+    reapplyTicketChange(ticketId, changes, label, successMessage, eventName) {
+        const ticket = this.tickets.find(item => item.id === ticketId);
+        if (ticket) {
+            this.updateTicket(ticket, { ...changes }, label, successMessage, eventName);
+        }
     }
 
     viewTicketDetails(ticket) {
@@ -351,53 +456,53 @@ export class TicketsWidget extends BaseWidget {
             <div class="ticket-modal__content" role="dialog" aria-labelledby="ticket-modal-title" aria-modal="true">
                 <div class="ticket-modal__header">
                     <h3 id="ticket-modal-title">${ticket.id}: ${this.sanitizeHTML(ticket.title)}</h3>
-                    <button class="ticket-modal__close" aria-label="Close ticket details">×</button>
+                    <button class="ticket-modal__close" aria-label="${this.t('tickets.closeDetails')}">×</button>
                 </div>
                 <div class="ticket-modal__body">
                     <div class="ticket-detail-grid">
                         <div class="ticket-detail">
-                            <strong>Description:</strong>
+                            <strong>${this.t('field.description')}</strong>
                             <p>${this.sanitizeHTML(ticket.description)}</p>
                         </div>
                         <div class="ticket-detail">
-                            <strong>Status:</strong> ${ticket.status.replace('_', ' ')}
+                            <strong>${this.t('field.status')}</strong> ${this.t('tickets.status', ticket)}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Priority:</strong> ${ticket.priority}
+                            <strong>${this.t('field.priority')}</strong> ${this.t('priority', ticket)}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Category:</strong> ${ticket.category}
+                            <strong>${this.t('field.category')}</strong> ${ticket.category}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Assignee:</strong> ${this.sanitizeHTML(ticket.assignee)}
+                            <strong>${this.t('field.assignee')}</strong> ${this.sanitizeHTML(ticket.assignee)}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Reporter:</strong> ${this.sanitizeHTML(ticket.reporter)}
+                            <strong>${this.t('field.reporter')}</strong> ${this.sanitizeHTML(ticket.reporter)}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Created:</strong> ${this.formatDate(ticket.createdAt)}
+                            <strong>${this.t('field.created')}</strong> ${this.formatDate(ticket.createdAt)}
                         </div>
                         <div class="ticket-detail">
-                            <strong>Last Updated:</strong> ${this.formatDate(ticket.updatedAt)}
+                            <strong>${this.t('field.lastUpdated')}</strong> ${this.formatDate(ticket.updatedAt)}
                         </div>
                         ${ticket.dueDate ? `
                             <div class="ticket-detail">
-                                <strong>Due Date:</strong> ${this.formatDate(ticket.dueDate)}
+                                <strong>${this.t('field.dueDate')}</strong> ${this.formatDate(ticket.dueDate)}
                             </div>
                         ` : ''}
                         ${ticket.affectedUsers ? `
                             <div class="ticket-detail">
-                                <strong>Affected Users:</strong> ${ticket.affectedUsers}
+                                <strong>${this.t('field.affectedUsers')}</strong> ${this.services.i18n.formatNumber(ticket.affectedUsers)}
                             </div>
                         ` : ''}
                         ${ticket.tags && ticket.tags.length > 0 ? `
                             <div class="ticket-detail">
-                                <strong>Tags:</strong> ${ticket.tags.join(', ')}
+                                <strong>${this.t('field.tags')}</strong> ${ticket.tags.join(', ')}
                             </div>
                         ` : ''}
                         ${ticket.resolution ? `
                             <div class="ticket-detail">
-                                <strong>Resolution:</strong>
+                                <strong>${this.t('field.resolution')}</strong>
                                 <p>${this.sanitizeHTML(ticket.resolution)}</p>
                             </div>
                         ` : ''}
@@ -434,60 +539,27 @@ export class TicketsWidget extends BaseWidget {
         });
     }
 
-    showAllTickets() {
-        // This would typically navigate to a full tickets page
-        console.log('Show all tickets view');
-        this.announce('Full tickets view would open here');
-    }
-
+    /**
+     * Tickets on the current tab, as of the last update()
+     */
     getFilteredTickets() {
-        let filtered = this.tickets;
-
-        switch (this.currentFilter) {
-            case 'open':
-                filtered = this.tickets.filter(t => ['open', 'in_progress'].includes(t.status));
-                break;
-            case 'high':
-                filtered = this.tickets.filter(t => t.priority === 'high');
-                break;
-            case 'assigned':
-                filtered = this.tickets.filter(t => t.assignee === 'IT Ingrid');
-                break;
-        }
-
-        return filtered;
+        return this.view ? this.view.tickets : [];
     }
 
+    /**
+     * Unresolved tickets by priority, and how many are overdue
+     */
     getTicketStats() {
-        const openTickets = this.tickets.filter(t => ['open', 'in_progress', 'pending'].includes(t.status));
+        const stats = this.view ? this.view.stats : {};
         
         return {
-            high: openTickets.filter(t => t.priority === 'high').length,
-            medium: openTickets.filter(t => t.priority === 'medium').length,
-            low: openTickets.filter(t => t.priority === 'low').length,
-            overdue: openTickets.filter(t => 
-                t.dueDate && new Date(t.dueDate) < new Date()
-            ).length
+            high: stats.unresolvedHigh,
+            medium: stats.unresolvedMedium,
+            low: stats.unresolvedLow,
+            overdue: stats.overdue
         };
     }
 
-    sortTickets() {
-        this.tickets.sort((a, b) => {
-            // First by status (open/in_progress first)
-            const statusOrder = { open: 0, in_progress: 1, pending: 2, resolved: 3 };
-            const statusDiff = (statusOrder[a.status] || 99) - (statusOrder[b.status] || 99);
-            if (statusDiff !== 0) return statusDiff;
-
-            // Then by priority
-            const priorityOrder = { high: 0, medium: 1, low: 2 };
-            const priorityDiff = (priorityOrder[a.priority] || 99) - (priorityOrder[b.priority] || 99);
-            if (priorityDiff !== 0) return priorityDiff;
-
-            // Finally by creation date (newest first)
-            return new Date(b.createdAt) - new Date(a.createdAt);
-        });
-    }
-
     getDebugInfo() {
         const baseInfo = super.getDebugInfo();
         const stats = this.getTicketStats();
@@ -495,10 +567,11 @@ export class TicketsWidget extends BaseWidget {
         return {
             ...baseInfo,
             totalTickets: this.tickets.length,
-            openTickets: this.tickets.filter(t => ['open', 'in_progress', 'pending'].includes(t.status)).length,
+            openTickets: this.view ? this.view.stats.unresolved : 0,
             highPriorityTickets: stats.high,
             overdueTickets: stats.overdue,
-            currentFilter: this.currentFilter
+            currentFilter: this.currentFilter,
+            list: this.ticketList.getDebugInfo()
         };
     }
 }
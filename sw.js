@@ -0,0 +1,227 @@
+/**
+ * Service Worker - Offline support for the dashboard
+ *
+ * - App shell (index.html, CSS, every src/js module) is precached on install
+ *   and served network-first, so a cold start with no network still works
+ * - Bundled widget data (src/data/*.json) is served stale-while-revalidate
+ * - REST API reads (/api/*) are served network-first with a cache fallback
+ *
+ * Responses stored in the cache carry an `X-SW-Cached-At` timestamp. When a
+ * response comes from the cache because the network is unavailable it also
+ * carries `X-SW-Offline: 1`, which widgets turn into an "offline" banner.
+ *
+ * Bump CACHE_VERSION on every deploy that changes the files below: the new
+ * worker precaches into fresh caches and deletes the previous version's.
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'dashboard-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+
+// Keep in sync with src/js/** when modules are added or removed
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'src/css/main.css',
+    'src/js/main.js',
+    'src/js/config.js',
+    'src/js/navbar.js',
+    'src/js/locales/index.js',
+    'src/js/locales/en.js',
+    'src/js/locales/de.js',
+    'src/js/locales/ka.js',
+    'src/js/locales/ar.js',
+    'src/js/locales/he.js',
+    'src/js/services/commandStack.js',
+    'src/js/services/clock.js',
+    'src/js/services/customization.js',
+    'src/js/services/dataAdapters.js',
+    'src/js/services/dataProcessor.js',
+    'src/js/services/dataSource.js',
+    'src/js/services/dataWorker.js',
+    'src/js/services/errorReporter.js',
+    'src/js/services/eventBus.js',
+    'src/js/services/eventCatalogue.js',
+    'src/js/services/i18n.js',
+    'src/js/services/migrations.js',
+    'src/js/services/outbox.js',
+    'src/js/services/performanceMonitor.js',
+    'src/js/services/realtime.js',
+    'src/js/services/scheduler.js',
+    'src/js/services/storage.js',
+    'src/js/services/storageBackends.js',
+    'src/js/services/theme.js',
+    'src/js/utils/a11yAudit.js',
+    'src/js/utils/a11yRules.js',
+    'src/js/utils/accessibility.js',
+    'src/js/utils/batchSender.js',
+    'src/js/utils/dataQuery.js',
+    'src/js/utils/devtools.js',
+    'src/js/utils/loading.js',
+    'src/js/utils/messageFormat.js',
+    'src/js/utils/reconcile.js',
+    'src/js/utils/testing.js',
+    'src/js/utils/virtualList.js',
+    'src/js/widgets/announcements.js',
+    'src/js/widgets/baseWidget.js',
+    'src/js/widgets/calendar.js',
+    'src/js/widgets/index.js',
+    'src/js/widgets/quickLaunch.js',
+    'src/js/widgets/registry.js',
+    'src/js/widgets/tasks.js',
+    'src/js/widgets/tickets.js',
+    'plugins/manifest.json'
+];
+
+const DATA_URLS = [
+    'src/data/announcements.json',
+    'src/data/calendar.json',
+    'src/data/dismissals.json',
+    'src/data/shortcuts.json',
+    'src/data/tasks.json',
+    'src/data/tickets.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shellCache = await caches.open(SHELL_CACHE);
+        await shellCache.addAll(PRECACHE_URLS);
+
+        const dataCache = await caches.open(DATA_CACHE);
+        await Promise.all(DATA_URLS.map(async (url) => {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok) {
+                await dataCache.put(url, await stampResponse(response));
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    const path = url.pathname.slice(self.registration.scope.length - self.location.origin.length);
+
+    if (path.startsWith('src/data/') && path.endsWith('.json')) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+        return;
+    }
+
+    if (path.startsWith('api/')) {
+        // The push stream must never be cached
+        if (path !== 'api/stream') {
+            event.respondWith(networkFirst(request, DATA_CACHE, request));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate' && (path === '' || path === 'index.html')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+        return;
+    }
+
+    if (PRECACHE_URLS.includes(path)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, path));
+    }
+});
+
+/**
+ * Answer from the cache immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const revalidate = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, await stampResponse(response.clone()));
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(revalidate.catch(() => {}));
+        return self.navigator.onLine === false ? markOffline(cached) : cached;
+    }
+
+    try {
+        return await revalidate;
+    } catch (error) {
+        return offlineError();
+    }
+}
+
+/**
+ * Try the network; fall back to the cached copy when it is unreachable
+ */
+async function networkFirst(request, cacheName, cacheKey) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey, await stampResponse(response.clone()));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch: true });
+        return cached ? markOffline(cached) : offlineError();
+    }
+}
+
+/**
+ * Copy a response, adding the time it was cached
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Cached-At', new Date().toISOString());
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Copy a cached response, flagging that it was served because we are offline
+ */
+async function markOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Offline', '1');
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function offlineError() {
+    return new Response(JSON.stringify({ error: 'Offline and not cached' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
@@ -0,0 +1,110 @@
+/**
+ * Test helpers - Build the dashboard's services the way DashboardApp does,
+ * with widget data served from the src/data fixtures and a frozen clock
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { EventBus } from '../src/js/services/eventBus.js';
+import { eventCatalogue } from '../src/js/services/eventCatalogue.js';
+import { StorageService } from '../src/js/services/storage.js';
+import { RefreshScheduler } from '../src/js/services/scheduler.js';
+import { CommandStack } from '../src/js/services/commandStack.js';
+import { ClockService } from '../src/js/services/clock.js';
+import { DataSourceService } from '../src/js/services/dataSource.js';
+import { OutboxService } from '../src/js/services/outbox.js';
+import { DataProcessor } from '../src/js/services/dataProcessor.js';
+import { I18nService } from '../src/js/services/i18n.js';
+import { LoadingManager } from '../src/js/utils/loading.js';
+import { AccessibilityManager } from '../src/js/utils/accessibility.js';
+import { AccessibilityAuditor } from '../src/js/utils/a11yAudit.js';
+import { WidgetRegistry } from '../src/js/widgets/registry.js';
+import { builtInWidgets } from '../src/js/widgets/index.js';
+import { defaultConfig } from '../src/js/config.js';
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/data');
+
+// Midday on the Tuesday of the week the fixture data describes
+export const FIXTURE_NOW = '2025-07-15T12:00:00Z';
+
+/**
+ * Read a fixture file from src/data
+ */
+export function loadFixture(file) {
+    return JSON.parse(readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+/**
+ * Every configured resource, keyed by resource name (events -> calendar.json etc.)
+ */
+export function loadFixtures() {
+    return Object.fromEntries(Object.entries(defaultConfig.dataSources.resources)
+        .map(([resource, { file }]) => [resource, loadFixture(file)]));
+}
+
+/**
+ * The services a widget needs, backed by the mock adapter
+ */
+export function createServices({ now = FIXTURE_NOW, data = loadFixtures() } = {}) {
+    const eventBus = new EventBus({ catalogue: eventCatalogue, validate: true });
+    const storage = new StorageService(eventBus);
+    const a11yAudit = new AccessibilityAuditor(eventBus, { layout: false });
+    const accessibility = new AccessibilityManager(a11yAudit);
+    const scheduler = new RefreshScheduler(eventBus);
+    const dataSource = new DataSourceService({ defaultAdapter: 'mock', adapters: { mock: { data } } }, eventBus);
+    const clock = new ClockService(eventBus);
+    clock.travelTo(now, { freeze: true, updateUrl: false });
+    const i18n = new I18nService(storage, eventBus);
+
+    return {
+        eventBus,
+        storage,
+        accessibility,
+        a11yAudit,
+        scheduler,
+        dataSource,
+        clock,
+        i18n,
+        loading: new LoadingManager(i18n),
+        commands: new CommandStack(eventBus, accessibility, {}, i18n),
+        outbox: new OutboxService(dataSource, storage, eventBus, accessibility, defaultConfig.outbox, i18n),
+        dataProcessor: new DataProcessor()
+    };
+}
+
+/**
+ * Create a built-in widget in a fresh container and wait for its first render
+ */
+export async function mountWidget(name, services) {
+    const registry = new WidgetRegistry();
+    builtInWidgets.forEach(definition => registry.register(definition));
+
+    const container = document.createElement('div');
+    container.className = 'widget__content';
+    document.body.appendChild(container);
+
+    const widget = registry.create(name, container, services);
+    await widget.init();
+    return widget;
+}
+
+/**
+ * A widget's markup without template indentation, for readable snapshots
+ */
+export function renderedHtml(widget) {
+    return widget.container.innerHTML
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Undo what createServices()/mountWidget() set up
+ */
+export function cleanup(services) {
+    services.storage.destroy();
+    document.body.innerHTML = '';
+    localStorage.clear();
+}
@@ -0,0 +1,42 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createApiServer } from '../../server/api.js';
+
+describe('API server static files', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        // Only GETs below, so the store never touches src/data
+        server = createApiServer({ store: {} });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('serves the dashboard pointed at the API', async () => {
+        const page = await fetch(`${baseUrl}/`);
+        expect(page.status).toBe(200);
+        expect(await page.text()).toContain("defaultAdapter: 'rest'");
+
+        expect((await fetch(`${baseUrl}/src/js/main.js`)).status).toBe(200);
+        expect((await fetch(`${baseUrl}/sw.js`)).status).toBe(200);
+        expect((await fetch(`${baseUrl}/plugins/manifest.json`)).status).toBe(200);
+    });
+
+    it('does not serve other files at the repository root', async () => {
+        for (const file of ['package.json', 'package-lock.json', 'manifest.json', '.gitignore']) {
+            expect((await fetch(`${baseUrl}/${file}`)).status).toBe(404);
+        }
+    });
+
+    it('does not serve the rest of the repository', async () => {
+        for (const file of ['.git/config', 'server/api.js', 'requests.jsonl', 'README.md']) {
+            expect((await fetch(`${baseUrl}/${file}`)).status).toBe(404);
+        }
+        expect((await fetch(`${baseUrl}/src/../package.json`)).status).toBe(404);
+    });
+});
@@ -0,0 +1,201 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    ErrorCollector,
+    MetricsCollector,
+    createCollectorServer,
+    fingerprint,
+    normalizeMessage,
+    renderCollectorPage,
+    topFrame
+} from '../../server/collector.js';
+
+const CHROME_STACK = `TypeError: Cannot read properties of undefined (reading 'title')
+    at TasksWidget.renderTask (http://localhost:8000/src/js/widgets/tasks.js:120:31)
+    at Array.map (<anonymous>)`;
+
+function report(overrides = {}) {
+    return {
+        name: 'TypeError',
+        message: "Cannot read properties of undefined (reading 'title')",
+        stack: CHROME_STACK,
+        source: 'widget',
+        widget: 'TasksWidget',
+        timestamp: '2025-07-15T12:00:00.000Z',
+        breadcrumbs: [{ time: '2025-07-15T11:59:59.000Z', type: 'click', message: 'button "Approve"' }],
+        ...overrides
+    };
+}
+
+describe('fingerprint', () => {
+    it('masks numbers and IDs in messages', () => {
+        expect(normalizeMessage('Record not found: TKT-012')).toBe('Record not found: <id>');
+        expect(normalizeMessage('HTTP error! status: 503')).toBe('HTTP error! status: <n>');
+    });
+
+    it('reads the top frame of Chrome and Firefox stacks without line numbers', () => {
+        expect(topFrame(CHROME_STACK)).toBe('TasksWidget.renderTask (tasks.js)');
+        expect(topFrame('renderTask@http://localhost:8000/src/js/widgets/tasks.js?v=2:98:7')).toBe('renderTask (tasks.js)');
+    });
+
+    it('groups the same bug across records and builds', () => {
+        const first = fingerprint(report({ message: 'Record not found: TKT-001' }));
+        const second = fingerprint(report({
+            message: 'Record not found: TKT-007',
+            stack: CHROME_STACK.replace('120:31', '131:9')
+        }));
+
+        expect(first).toBe(second);
+        expect(fingerprint(report({ name: 'RangeError', message: 'Record not found: TKT-001' }))).not.toBe(first);
+        expect(fingerprint(report({ fingerprint: 'custom' }))).toBe('custom');
+    });
+});
+
+describe('ErrorCollector', () => {
+    it('counts duplicates and keeps the latest report', () => {
+        const collector = new ErrorCollector();
+
+        collector.add([
+            report(),
+            report({ timestamp: '2025-07-15T12:05:00.000Z', source: 'window', widget: null }),
+            report({ name: 'Error', message: 'Quota exceeded', stack: null, widget: null })
+        ]);
+
+        const [group, other] = collector.list();
+        expect(group).toMatchObject({
+            count: 2,
+            firstSeen: '2025-07-15T12:00:00.000Z',
+            lastSeen: '2025-07-15T12:05:00.000Z',
+            sources: { widget: 1, window: 1 },
+            widgets: { TasksWidget: 1 }
+        });
+        expect(group.latest.source).toBe('window');
+        expect(other.count).toBe(1);
+    });
+
+    it('ignores entries that are not reports', () => {
+        expect(new ErrorCollector().add([null, 'oops', { name: 'Error' }])).toBe(0);
+    });
+
+    it('forgets the groups seen longest ago', () => {
+        const collector = new ErrorCollector({ maxGroups: 2 });
+
+        collector.add(['a', 'b', 'c'].map((message, index) => report({ message, timestamp: `2025-07-15T12:0${index}:00.000Z` })));
+
+        expect(collector.list().map(group => group.message)).toEqual(['c', 'b']);
+    });
+
+    it('renders counts, stack and breadcrumbs as escaped HTML', () => {
+        const collector = new ErrorCollector();
+        collector.add([report(), report({ message: '<script>alert(1)</script>', stack: null })]);
+
+        const html = renderCollectorPage(collector.list());
+
+        expect(html).toContain('2 reports in 2 groups');
+        expect(html).toContain('TasksWidget.renderTask');
+        expect(html).toContain('[click] button &quot;Approve&quot;');
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).not.toContain('<script>alert');
+    });
+});
+
+describe('MetricsCollector', () => {
+    it('summarizes samples per metric and widget', () => {
+        const metrics = new MetricsCollector();
+
+        const accepted = metrics.add([
+            ...[10, 20, 30, 40].map(value => ({ metric: 'render', widget: 'tasks', value, time: '2025-07-15T12:00:00.000Z' })),
+            { metric: 'render', widget: 'calendar', value: 5 },
+            { metric: 'cls', value: 0.12 },
+            { metric: 'render', value: 'slow' }
+        ]);
+
+        expect(accepted).toBe(6);
+        expect(metrics.summarize()).toEqual([
+            { metric: 'cls', widget: null, lastSeen: null, count: 1, p50: 0.12, p75: 0.12, p95: 0.12, max: 0.12 },
+            { metric: 'render', widget: 'calendar', lastSeen: null, count: 1, p50: 5, p75: 5, p95: 5, max: 5 },
+            { metric: 'render', widget: 'tasks', lastSeen: '2025-07-15T12:00:00.000Z', count: 4, p50: 20, p75: 30, p95: 40, max: 40 }
+        ]);
+    });
+
+    it('keeps the newest samples', () => {
+        const metrics = new MetricsCollector({ maxSamples: 2 });
+
+        metrics.add([1, 2, 3].map(value => ({ metric: 'longTask', value })));
+
+        expect(metrics.samples.map(sample => sample.value)).toEqual([2, 3]);
+    });
+});
+
+describe('collector server', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        server = createCollectorServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('accepts batches, including text/plain beacons', async () => {
+        const batch = await fetch(`${baseUrl}/reports`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reports: [report(), report()] })
+        });
+        const beacon = await fetch(`${baseUrl}/reports`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ reports: [report()] })
+        });
+
+        expect(batch.status).toBe(202);
+        expect(await beacon.json()).toEqual({ accepted: 1 });
+
+        const groups = await (await fetch(`${baseUrl}/reports`)).json();
+        expect(groups).toHaveLength(1);
+        expect(groups[0].count).toBe(3);
+
+        const page = await fetch(`${baseUrl}/`);
+        expect(page.headers.get('content-type')).toContain('text/html');
+        expect(await page.text()).toContain('3 reports in 1 group');
+    });
+
+    it('collects performance samples and shows their percentiles', async () => {
+        const response = await fetch(`${baseUrl}/metrics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ samples: [{ metric: 'render', widget: 'tasks', value: 42 }, { metric: 'cls', value: 0.05 }] })
+        });
+
+        expect(await response.json()).toEqual({ accepted: 2 });
+        expect((await (await fetch(`${baseUrl}/metrics`)).json()).map(entry => entry.metric)).toEqual(['cls', 'render']);
+
+        const page = await (await fetch(`${baseUrl}/`)).text();
+        expect(page).toContain('<td>tasks</td>');
+        expect(page).toContain('<td>42ms</td>');
+        expect(page).toContain('<td>0.050</td>');
+
+        expect((await fetch(`${baseUrl}/metrics`, { method: 'DELETE' })).status).toBe(204);
+        expect(server.metrics.summarize()).toEqual([]);
+    });
+
+    it('rejects bodies that are not JSON', async () => {
+        const response = await fetch(`${baseUrl}/reports`, { method: 'POST', body: 'not json' });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('clears everything on DELETE', async () => {
+        server.collector.add([report()]);
+
+        const response = await fetch(`${baseUrl}/reports`, { method: 'DELETE' });
+
+        expect(response.status).toBe(204);
+        expect(server.collector.list()).toEqual([]);
+    });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AccessibilityAuditor } from '../../src/js/utils/a11yAudit.js';
+import { getAccessibleName, contrastRatio, parseColor } from '../../src/js/utils/a11yRules.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+function render(html) {
+    const root = document.createElement('div');
+    root.id = 'fixture';
+    root.innerHTML = html;
+    document.body.appendChild(root);
+    return root;
+}
+
+function ruleIds(report) {
+    return report.violations.map(violation => violation.ruleId);
+}
+
+describe('AccessibilityAuditor', () => {
+    let auditor;
+
+    beforeEach(() => {
+        auditor = new AccessibilityAuditor(null, { layout: false });
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('reports rule, severity and selector for each violation', () => {
+        const root = render('<ul class="list"><li><button class="list__action"></button></li></ul>');
+
+        const report = auditor.audit(root, { target: 'fixture' });
+
+        expect(report.target).toBe('fixture');
+        expect(report.violations).toEqual([{
+            ruleId: 'accessible-name',
+            severity: 'high',
+            selector: '#fixture > ul.list > li > button.list__action',
+            message: 'button has no accessible name',
+            html: '<button class="list__action">'
+        }]);
+        expect(report.summary).toEqual({ total: 1, high: 1, medium: 0, low: 0 });
+    });
+
+    it('checks ARIA roles, attribute names and values', () => {
+        const root = render(`
+            <div role="widget" aria-bogus="1"></div>
+            <button aria-expanded="yes" aria-controls="missing">Menu</button>
+            <span role="checkbox" tabindex="0">Notify me</span>
+            <input type="checkbox" role="switch" aria-label="Dark mode">
+        `);
+
+        const report = auditor.audit(root, { tags: ['aria'] });
+
+        expect(ruleIds(report).sort()).toEqual([
+            'aria-required-attr',
+            'aria-valid-attr',
+            'aria-valid-attr-value',
+            'aria-valid-attr-value',
+            'aria-valid-role'
+        ]);
+        expect(report.violations.map(violation => violation.message)).toContain('aria-controls="missing" references missing ID missing');
+    });
+
+    it('computes accessible names like a screen reader', () => {
+        const root = render(`
+            <h2 id="heading">Tasks <span aria-hidden="true">✓</span></h2>
+            <section aria-labelledby="heading"></section>
+            <label for="search">Search tasks</label><input id="search" type="search">
+            <button><span aria-hidden="true">×</span><span class="sr-only">Close</span></button>
+            <a href="/help" title="Help centre"><img src="help.png" alt=""></a>
+            <input type="submit">
+        `);
+
+        expect(getAccessibleName(root.querySelector('section'))).toBe('Tasks');
+        expect(getAccessibleName(root.querySelector('input[type="search"]'))).toBe('Search tasks');
+        expect(getAccessibleName(root.querySelector('button'))).toBe('Close');
+        expect(getAccessibleName(root.querySelector('a'))).toBe('Help centre');
+        expect(getAccessibleName(root.querySelector('input[type="submit"]'))).toBe('Submit');
+        expect(auditor.audit(root, { tags: ['names'] }).violations).toEqual([]);
+    });
+
+    it('checks landmark structure on the whole page', () => {
+        document.body.innerHTML = `
+            <header>Site</header>
+            <nav aria-label="Main">One</nav>
+            <nav aria-label="Main">Two</nav>
+            <div role="banner">Another banner</div>
+        `;
+
+        const report = auditor.audit(document, { tags: ['landmarks'] });
+
+        expect(ruleIds(report).sort()).toEqual(['landmark-no-duplicate', 'landmark-one-main', 'landmark-unique']);
+    });
+
+    it('skips page-only rules when auditing an element', () => {
+        const root = render('<main><header>Nested banner? No - a header inside main is not a banner</header></main>');
+
+        const report = auditor.audit(root, { tags: ['landmarks'] });
+
+        expect(report.rules.checked).not.toContain('landmark-one-main');
+        expect(report.violations).toEqual([]);
+    });
+
+    it('finds duplicate IDs across the document', () => {
+        document.body.innerHTML = '<p id="status">Page</p>';
+        const root = render('<label for="status">Status</label><output id="status"></output>');
+
+        const report = auditor.audit(root, { tags: ['ids'] });
+
+        expect(report.violations).toHaveLength(1);
+        expect(report.violations[0].message).toBe('id="status" is used 2 times and referenced by labels or ARIA');
+    });
+
+    it('checks focus order', () => {
+        const root = render(`
+            <button tabindex="3">Jump</button>
+            <div aria-hidden="true"><a href="/hidden">Hidden link</a></div>
+            <a href="/card" class="card"><button>Nested</button></a>
+        `);
+
+        const report = auditor.audit(root, { tags: ['focus'] });
+
+        expect(ruleIds(report).sort()).toEqual(['aria-hidden-focus', 'nested-interactive', 'tabindex-positive']);
+        expect(report.rules.skipped).toEqual(['focus-order-visual']);
+    });
+
+    it('measures contrast on computed colours when layout is available', () => {
+        const root = render(`
+            <div style="background-color: rgb(255, 255, 255)">
+                <p class="faint" style="color: rgb(170, 170, 170)">Faint</p>
+                <p class="dark" style="color: rgb(33, 33, 33)">Dark</p>
+                <p class="large" style="color: rgb(130, 130, 130); font-size: 32px">Large</p>
+            </div>
+        `);
+
+        const report = new AccessibilityAuditor(null, { layout: true }).audit(root, { tags: ['color'] });
+
+        expect(report.violations).toHaveLength(1);
+        expect(report.violations[0]).toMatchObject({
+            ruleId: 'color-contrast',
+            selector: '#fixture > div > p.faint:nth-of-type(1)',
+            message: 'Contrast 2.32:1 is below 4.5:1 (#aaaaaa on #ffffff)'
+        });
+    });
+
+    it('parses colours and computes WCAG ratios', () => {
+        expect(parseColor('rgba(0, 0, 0, 0.5)')).toEqual([0, 0, 0, 0.5]);
+        expect(parseColor('#fff')).toEqual([255, 255, 255, 1]);
+        expect(parseColor('var(--color-text)')).toBeNull();
+        expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+    });
+
+    it('leaves out disabled rules', () => {
+        const root = render('<button></button>');
+
+        const report = new AccessibilityAuditor(null, { layout: false, disabledRules: ['accessible-name'] }).audit(root);
+
+        expect(report.rules.checked).not.toContain('accessible-name');
+        expect(report.violations).toEqual([]);
+    });
+
+    it('exports reports as JSON and HTML', () => {
+        const root = render('<img src="chart.png">');
+        const report = auditor.audit(root, { target: 'chart <widget>' });
+
+        expect(JSON.parse(AccessibilityAuditor.toJSON([report]))[0].violations[0].ruleId).toBe('accessible-name');
+
+        const html = AccessibilityAuditor.toHTML(report);
+        expect(html).toContain('<title>Accessibility Report</title>');
+        expect(html).toContain('chart &lt;widget&gt;');
+        expect(html).toContain('<code>accessible-name</code>');
+        expect(html).toContain('<code>#fixture &gt; img</code>');
+    });
+
+    it('audits a widget after it renders', () => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const eventBus = new EventBus();
+        const audited = vi.fn();
+        eventBus.on('a11y:audited', audited);
+        const watcher = new AccessibilityAuditor(eventBus, { layout: false, auditDelayMs: 50 });
+        watcher.watchWidgets();
+
+        const section = render('<section class="widget"><div class="widget__content"><button></button></div></section>');
+        const container = section.querySelector('.widget__content');
+        eventBus.emit('widget:rendered', 'demo', container);
+        eventBus.emit('widget:rendered', 'demo', container);
+        vi.advanceTimersByTime(50);
+
+        expect(audited).toHaveBeenCalledTimes(1);
+        expect(watcher.getReport('demo').summary.total).toBe(1);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+
+        // Same violations again: no new warning
+        eventBus.emit('widget:rendered', 'demo', container);
+        vi.advanceTimersByTime(50);
+        expect(audited).toHaveBeenCalledTimes(2);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+
+        watcher.destroy();
+        vi.useRealTimers();
+    });
+});
+
+describe('Built-in widgets', () => {
+    let services;
+
+    beforeEach(() => {
+        services = createServices();
+    });
+
+    afterEach(() => {
+        cleanup(services);
+    });
+
+    it.each(['tasks', 'tickets', 'calendar', 'announcements', 'quickLaunch'])('%s renders without violations', async (name) => {
+        const rendered = vi.fn();
+        services.eventBus.on('widget:rendered', rendered);
+
+        const widget = await mountWidget(name, services);
+        const report = services.a11yAudit.audit(widget.container, { target: name });
+
+        expect(rendered).toHaveBeenCalledWith(name, widget.container);
+        expect(report.violations).toEqual([]);
+    });
+});
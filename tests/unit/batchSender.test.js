@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { BatchSender } from '../../src/js/utils/batchSender.js';
+
+describe('BatchSender', () => {
+    let fetchMock;
+    let sender;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        fetchMock = vi.fn(() => Promise.resolve(new Response(null, { status: 202 })));
+        vi.stubGlobal('fetch', fetchMock);
+        sender = new BatchSender('/collect', { key: 'items', batchSize: 2, retryMs: 1000 });
+    });
+
+    afterEach(() => {
+        sender.destroy();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    const sentBatches = () => fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body).items);
+
+    it('sends one batch at a time and schedules the rest', async () => {
+        ['a', 'b', 'c'].forEach(item => sender.add(item));
+
+        expect(await sender.flush()).toBe(true);
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(sentBatches()).toEqual([['a', 'b'], ['c']]);
+        expect(sender.stats).toMatchObject({ sent: 3, failedSends: 0 });
+    });
+
+    it('retries a failed batch on its own', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        fetchMock.mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 503 })));
+        sender.add('a');
+
+        expect(await sender.flush()).toBe(false);
+        expect(sender.queue).toEqual(['a']);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(sender.queue).toEqual([]);
+    });
+
+    it('falls back to fetch when the beacon is refused', async () => {
+        const sendBeacon = vi.fn(() => false);
+        vi.stubGlobal('navigator', { ...navigator, sendBeacon });
+        sender.add('a');
+
+        expect(await sender.flush({ beacon: true })).toBe(true);
+        expect(sendBeacon).toHaveBeenCalledWith('/collect', expect.any(Blob));
+        expect(fetchMock.mock.calls[0][1].keepalive).toBe(true);
+    });
+});
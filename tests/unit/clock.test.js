@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ClockService } from '../../src/js/services/clock.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+
+describe('ClockService', () => {
+    let eventBus;
+    let clock;
+
+    beforeEach(() => {
+        vi.useFakeTimers({ now: new Date('2026-03-02T08:00:00Z') });
+        eventBus = new EventBus();
+        clock = new ClockService(eventBus);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        window.history.replaceState(null, '', '/index.html');
+    });
+
+    it('tells the real time by default', () => {
+        expect(clock.now().toISOString()).toBe('2026-03-02T08:00:00.000Z');
+        expect(clock.isTraveling()).toBe(false);
+    });
+
+    it('keeps ticking after traveling', () => {
+        clock.travelTo('2025-07-14T09:00:00Z', { updateUrl: false });
+        vi.advanceTimersByTime(90 * 1000);
+
+        expect(clock.now().toISOString()).toBe('2025-07-14T09:01:30.000Z');
+        expect(clock.isTraveling()).toBe(true);
+    });
+
+    it('stands still when frozen', () => {
+        clock.travelTo('2025-07-14T09:00:00Z', { freeze: true, updateUrl: false });
+        vi.advanceTimersByTime(90 * 1000);
+
+        expect(clock.now().toISOString()).toBe('2025-07-14T09:00:00.000Z');
+    });
+
+    it('announces changes', () => {
+        const changed = vi.fn();
+        eventBus.on('clock:changed', changed);
+
+        clock.travelTo('2025-07-14T09:00:00Z', { updateUrl: false });
+        clock.reset({ updateUrl: false });
+        clock.reset({ updateUrl: false });
+
+        expect(changed.mock.calls).toEqual([
+            ['2025-07-14T09:00:00.000Z', true],
+            ['2026-03-02T08:00:00.000Z', false]
+        ]);
+    });
+
+    it('ignores times it cannot read', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(clock.travelTo('next tuesday')).toBe(false);
+        expect(clock.travelTo('')).toBe(false);
+        expect(clock.isTraveling()).toBe(false);
+    });
+
+    it('starts at ?now= and keeps the URL in step', () => {
+        window.history.replaceState(null, '', '/index.html?now=2025-07-14T09:00:00Z&freeze=1&debug=1');
+        clock.init();
+        expect(clock.now().toISOString()).toBe('2025-07-14T09:00:00.000Z');
+        expect(clock.isFrozen()).toBe(true);
+
+        clock.travelTo('2025-07-15T12:00:00Z');
+        let params = new URLSearchParams(window.location.search);
+        expect(params.get('now')).toBe('2025-07-15T12:00:00.000Z');
+        expect(params.has('freeze')).toBe(false);
+
+        clock.reset();
+        params = new URLSearchParams(window.location.search);
+        expect(params.has('now')).toBe(false);
+        expect(params.get('debug')).toBe('1');
+    });
+
+    it('formats values for datetime-local inputs in local time', () => {
+        expect(ClockService.toInputValue(new Date(2025, 6, 4, 9, 5))).toBe('2025-07-04T09:05');
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+describe('CommandStack', () => {
+    let services;
+    let widget;
+
+    beforeEach(async () => {
+        services = createServices();
+        widget = await mountWidget('tasks', services);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        widget.destroy();
+        services.commands.destroy();
+        cleanup(services);
+    });
+
+    const pendingTask = () => widget.tasks.find(task => task.status === 'pending');
+
+    it('undoes and redoes while offline without waiting for the server', async () => {
+        vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const task = pendingTask();
+        const undone = vi.fn();
+        services.eventBus.on('command:undone', undone);
+
+        widget.completeTask(task);
+        expect(task.status).toBe('completed');
+
+        expect(await services.commands.undo()).toBe(true);
+        expect(widget.tasks.find(item => item.id === task.id).status).toBe('pending');
+        expect(undone).toHaveBeenCalledTimes(1);
+        expect(services.commands.canRedo()).toBe(true);
+
+        expect(await services.commands.redo()).toBe(true);
+        expect(widget.tasks.find(item => item.id === task.id).status).toBe('completed');
+        expect(services.commands.canUndo()).toBe(true);
+        expect(services.outbox.getEntries()).toHaveLength(3);
+    });
+
+    it('forgets a command whose change the server refused', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(services.dataSource, 'update').mockRejectedValue(Object.assign(new Error('Forbidden'), { status: 403 }));
+        const task = pendingTask();
+
+        await widget.completeTask(task);
+
+        expect(widget.tasks.find(item => item.id === task.id).status).toBe('pending');
+        expect(services.commands.canUndo()).toBe(false);
+        expect(document.querySelector('.undo-toast')).toBeNull();
+    });
+
+    it('forgets a dismissal the server refused', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const create = vi.spyOn(services.dataSource, 'create')
+            .mockRejectedValue(Object.assign(new Error('Forbidden'), { status: 403 }));
+        const announcements = await mountWidget('announcements', services);
+        const [announcement] = announcements.data;
+
+        try {
+            announcements.dismissAnnouncement(announcement.id);
+
+            await vi.waitFor(() => expect(create).toHaveBeenCalled());
+            await vi.waitFor(() => expect(announcements.dismissedAnnouncements.has(announcement.id)).toBe(false));
+            expect(services.commands.canUndo()).toBe(false);
+            expect(document.querySelector('.undo-toast')).toBeNull();
+        } finally {
+            announcements.destroy();
+        }
+    });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CustomizationService } from '../../src/js/services/customization.js';
+import { StorageService } from '../../src/js/services/storage.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+import { ClockService } from '../../src/js/services/clock.js';
+
+describe('CustomizationService', () => {
+    let eventBus;
+    let storage;
+    let customization;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="dashboard__grid">
+                <section data-widget="announcements"></section>
+                <section data-widget="tasks"></section>
+                <section data-widget="calendar"></section>
+            </div>
+        `;
+        eventBus = new EventBus();
+        storage = new StorageService(eventBus);
+        customization = new CustomizationService(storage, eventBus);
+        customization.init();
+    });
+
+    afterEach(() => {
+        storage.destroy();
+        localStorage.clear();
+        document.body.innerHTML = '';
+    });
+
+    function sectionOrder() {
+        return Array.from(document.querySelectorAll('.dashboard__grid > section'),
+            section => section.getAttribute('data-widget'));
+    }
+
+    it('merges saved preferences over the defaults', () => {
+        storage.setUserPreferences({ theme: 'dark', fontSize: 'large' });
+        customization.init();
+
+        expect(customization.getPreferences()).toMatchObject({ theme: 'dark', fontSize: 'large', compactMode: false });
+        expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+        expect(document.documentElement.style.fontSize).toBe('18px');
+    });
+
+    it('reorders widget sections and saves the order', () => {
+        const changed = vi.fn();
+        eventBus.on('preferences:changed', changed);
+
+        eventBus.emit('widget:reorder', ['calendar', 'announcements', 'tasks']);
+
+        expect(sectionOrder()).toEqual(['calendar', 'announcements', 'tasks']);
+        expect(storage.getUserPreferences().widgetOrder).toEqual(['calendar', 'announcements', 'tasks']);
+        expect(changed).toHaveBeenCalledTimes(1);
+    });
+
+    it('hides and shows widgets', () => {
+        customization.toggleWidgetVisibility('tasks');
+        const tasks = document.querySelector('[data-widget="tasks"]');
+        expect(tasks.style.display).toBe('none');
+        expect(tasks.getAttribute('aria-hidden')).toBe('true');
+
+        customization.toggleWidgetVisibility('tasks');
+        expect(tasks.style.display).toBe('');
+        expect(storage.getUserPreferences().hiddenWidgets).toEqual([]);
+    });
+
+    it('adds registered widgets to the order once', () => {
+        eventBus.emit('widget:registered', 'weather', { title: 'Weather' });
+        eventBus.emit('widget:registered', 'weather', { title: 'Weather' });
+
+        expect(customization.getPreferences().widgetOrder.filter(name => name === 'weather')).toHaveLength(1);
+        expect(customization.knownWidgets.get('weather')).toBe('Weather');
+    });
+
+    it('rejects invalid settings and imports', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        customization.setTheme('sepia');
+        expect(customization.getPreferences().theme).toBe('light');
+
+        expect(customization.importPreferences('{"widgetOrder": "tasks"}')).toBe(false);
+        expect(customization.importPreferences('not json')).toBe(false);
+        expect(customization.importPreferences('{"theme": "dark", "compactMode": true}')).toBe(true);
+        expect(document.body.classList.contains('compact-mode')).toBe(true);
+    });
+
+    it('resets to defaults and can restore what was there', () => {
+        customization.setCompactMode(true);
+        customization.setWidgetVisibility('calendar', false);
+        const before = customization.getPreferences();
+
+        customization.resetToDefaults();
+        expect(customization.getPreferences()).toMatchObject({ compactMode: false, hiddenWidgets: [] });
+
+        customization.restorePreferences(before);
+        expect(customization.getPreferences()).toMatchObject({ compactMode: true, hiddenWidgets: ['calendar'] });
+    });
+
+    it('moves the clock from the settings panel', () => {
+        const clock = new ClockService(eventBus);
+        customization = new CustomizationService(storage, eventBus, null, clock);
+        customization.init();
+        const panel = customization.createCustomizationPanel();
+        document.body.appendChild(panel);
+        const input = panel.querySelector('#clock-override');
+
+        input.value = '2025-07-14T09:00';
+        input.dispatchEvent(new Event('change'));
+        expect(clock.isTraveling()).toBe(true);
+        expect(ClockService.toInputValue(clock.now())).toBe('2025-07-14T09:00');
+        expect(new URLSearchParams(window.location.search).has('now')).toBe(true);
+
+        panel.querySelector('#clock-reset').click();
+        expect(clock.isTraveling()).toBe(false);
+        expect(input.value).toBe('');
+        expect(panel.querySelector('#clock-reset').disabled).toBe(true);
+    });
+
+    it('follows preferences saved in another tab', () => {
+        const synced = vi.fn();
+        eventBus.on('preferences:synced', synced);
+
+        storage.handleRemoteChange({
+            type: 'set',
+            key: 'user_preferences',
+            value: { ...customization.getPreferences(), hiddenWidgets: ['announcements'] },
+            updatedAt: Date.now() + 1000,
+            source: 'other-tab'
+        });
+
+        expect(document.querySelector('[data-widget="announcements"]').style.display).toBe('none');
+        expect(synced).toHaveBeenCalledTimes(1);
+    });
+});
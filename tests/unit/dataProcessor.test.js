@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { runQuery, buildDateIndex, runOperation } from '../../src/js/utils/dataQuery.js';
+import { DataProcessor } from '../../src/js/services/dataProcessor.js';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+const records = [
+    { id: 'a', status: 'resolved', priority: 'low', dueDate: '2025-07-14T09:00:00Z' },
+    { id: 'b', status: 'open', priority: 'high', dueDate: '2025-07-15T17:00:00Z' },
+    { id: 'c', status: 'open', priority: 'urgent' },
+    { id: 'd', status: 'pending', priority: 'high', dueDate: '2025-07-13T09:00:00Z' },
+    { id: 'e', status: 'open', priority: 'high', dueDate: '2025-07-12T09:00:00Z' }
+];
+
+function ids(result) {
+    return result.indexes.map(i => records[i].id);
+}
+
+/**
+ * Runs operations like services/dataWorker.js, a tick later and on a copy
+ */
+class FakeWorker extends EventTarget {
+    static instances = [];
+
+    constructor(url, options) {
+        super();
+        this.url = String(url);
+        this.options = options;
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage({ id, operation, payload }) {
+        setTimeout(() => {
+            const result = runOperation(operation, structuredClone(payload));
+            this.dispatchEvent(new MessageEvent('message', { data: { id, result } }));
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('runQuery', () => {
+    it('filters, sorts with unlisted values last and keeps ties in order', () => {
+        const result = runQuery(records, {
+            filter: { not: { field: 'status', equals: 'resolved' } },
+            sort: [
+                { field: 'status', order: ['open', 'pending'] },
+                { field: 'priority', order: ['high', 'medium', 'low'] }
+            ]
+        });
+
+        expect(ids(result)).toEqual(['b', 'e', 'c', 'd']);
+    });
+
+    it('sorts by date either way, with missing dates last', () => {
+        expect(ids(runQuery(records, { sort: [{ field: 'dueDate', type: 'date' }] })))
+            .toEqual(['e', 'd', 'a', 'b', 'c']);
+        expect(ids(runQuery(records, { sort: [{ field: 'dueDate', type: 'date', direction: 'desc' }] }))[0])
+            .toBe('b');
+    });
+
+    it('counts named filters over every record', () => {
+        const now = '2025-07-15T12:00:00Z';
+        const { stats } = runQuery(records, {
+            filter: { field: 'id', equals: 'a' },
+            stats: {
+                all: null,
+                open: { field: 'status', in: ['open', 'pending'] },
+                overdue: { all: [{ field: 'dueDate', before: now }, { not: { field: 'status', equals: 'resolved' } }] },
+                dueToday: { field: 'dueDate', sameDay: now },
+                highOrUrgent: { any: [{ field: 'priority', equals: 'high' }, { field: 'priority', equals: 'urgent' }] }
+            }
+        });
+
+        expect(stats).toEqual({ all: 5, open: 4, overdue: 2, dueToday: 1, highOrUrgent: 4 });
+    });
+
+    it('rejects specs it does not understand', () => {
+        expect(() => runQuery(records, { filter: { field: 'status', like: 'op%' } })).toThrow('Unknown filter');
+        expect(() => runOperation('explode', {})).toThrow('Unknown data operation: explode');
+    });
+});
+
+describe('buildDateIndex', () => {
+    it('groups record indexes by local day and skips records without a date', () => {
+        expect(buildDateIndex(records, 'dueDate')).toEqual({
+            '2025-07-12': [4],
+            '2025-07-13': [3],
+            '2025-07-14': [0],
+            '2025-07-15': [1]
+        });
+    });
+});
+
+describe('DataProcessor', () => {
+    let processor;
+
+    beforeEach(() => {
+        FakeWorker.instances = [];
+        vi.stubGlobal('Worker', FakeWorker);
+        processor = new DataProcessor({ workerUrl: 'src/js/services/dataWorker.js', workerThreshold: 3 });
+    });
+
+    afterEach(() => {
+        processor.destroy();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('processes short lists on the main thread', async () => {
+        const result = await processor.query(records.slice(0, 2), { filter: { field: 'status', equals: 'open' } });
+
+        expect(result.indexes).toEqual([1]);
+        expect(FakeWorker.instances).toHaveLength(0);
+        expect(processor.getDebugInfo()).toMatchObject({ inline: 1, worker: 0 });
+    });
+
+    it('sends long lists to one module worker and matches requests to answers', async () => {
+        const spec = { sort: [{ field: 'dueDate', type: 'date' }] };
+        const [sorted, byDate] = await Promise.all([
+            processor.query(records, spec),
+            processor.indexByDate(records, 'dueDate')
+        ]);
+
+        expect(sorted).toEqual(runQuery(records, spec));
+        expect(byDate).toEqual(buildDateIndex(records, 'dueDate'));
+        expect(FakeWorker.instances).toHaveLength(1);
+        expect(FakeWorker.instances[0].url).toMatch(/\/src\/js\/services\/dataWorker\.js$/);
+        expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+        expect(processor.getDebugInfo()).toMatchObject({ worker: 2, pending: 0 });
+    });
+
+    it('finishes on the main thread when the worker fails', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(FakeWorker.prototype, 'postMessage').mockImplementation(function () {
+            setTimeout(() => this.dispatchEvent(new ErrorEvent('error', { message: 'SyntaxError in worker', cancelable: true })));
+        });
+
+        const result = await processor.query(records, { filter: { field: 'priority', equals: 'high' } });
+        expect(ids(result)).toEqual(['b', 'd', 'e']);
+        expect(FakeWorker.instances[0].terminated).toBe(true);
+
+        // It stays on the main thread from then on
+        await processor.query(records);
+        expect(FakeWorker.instances).toHaveLength(1);
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(processor.getDebugInfo()).toMatchObject({ workerFailed: true, workerFailures: 1, inline: 2 });
+    });
+
+    it('stays on the main thread without Worker support or a worker URL', async () => {
+        vi.stubGlobal('Worker', undefined);
+        await processor.query(records);
+
+        const inlineOnly = new DataProcessor({ workerUrl: null, workerThreshold: 0 });
+        await inlineOnly.query(records);
+
+        expect(processor.getDebugInfo().inline).toBe(1);
+        expect(inlineOnly.getDebugInfo().inline).toBe(1);
+    });
+});
+
+describe('calendar date index', () => {
+    let services;
+    let widget;
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('finds the same events per day as a pass over every event, indexing once', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        services = createServices();
+        const indexByDate = vi.spyOn(services.dataProcessor, 'indexByDate');
+        widget = await mountWidget('calendar', services);
+
+        for (let day = 1; day <= 31; day++) {
+            const date = new Date(2025, 6, day, 12);
+            const expected = widget.events.filter(event => new Date(event.startTime).toDateString() === date.toDateString());
+            expect(widget.getEventsForDate(date)).toEqual(expected);
+        }
+
+        widget.container.querySelector('[data-action="next-month"]').click();
+        await widget.update();
+        expect(indexByDate).toHaveBeenCalledTimes(1);
+
+        widget.applyPatch('events', { op: 'remove', id: 'cal_004' });
+        await vi.waitFor(() => expect(indexByDate).toHaveBeenCalledTimes(2));
+        await vi.waitFor(() => expect(widget.getTodayEvents().map(event => event.id)).not.toContain('cal_004'));
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ErrorReporter } from '../../src/js/services/errorReporter.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+import { eventCatalogue } from '../../src/js/services/eventCatalogue.js';
+
+function okResponse() {
+    return Promise.resolve(new Response(null, { status: 202 }));
+}
+
+function sentReports(fetchMock, call = 0) {
+    return JSON.parse(fetchMock.mock.calls[call][1].body).reports;
+}
+
+describe('ErrorReporter', () => {
+    let eventBus;
+    let reporter;
+    let fetchMock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        fetchMock = vi.fn(okResponse);
+        vi.stubGlobal('fetch', fetchMock);
+        eventBus = new EventBus({ catalogue: eventCatalogue, validate: true });
+        reporter = new ErrorReporter(eventBus, { endpoint: '/errors', batchSize: 3, flushIntervalMs: 5000 });
+        reporter.init();
+    });
+
+    afterEach(() => {
+        reporter.destroy();
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+        document.body.innerHTML = '';
+    });
+
+    it('captures widget errors with breadcrumbs of what led to them', () => {
+        document.body.innerHTML = '<button class="task-item__action">Approve</button>';
+        document.querySelector('button').click();
+        eventBus.emit('task:approved', { id: 'task_1', title: 'Budget', status: 'approved' });
+        eventBus.emit('widget:error', 'TasksWidget', new Error('Cannot render task_1'));
+
+        const [report] = reporter.sender.queue;
+        expect(report).toMatchObject({
+            source: 'widget',
+            widget: 'TasksWidget',
+            name: 'Error',
+            message: 'Cannot render task_1'
+        });
+        expect(report.breadcrumbs.map(({ type, message }) => `${type}: ${message}`)).toEqual([
+            'click: button.task-item__action "Approve"',
+            'event: task:approved'
+        ]);
+        expect(report.breadcrumbs[1].data).toContain('"Budget"');
+    });
+
+    it('captures uncaught errors and unhandled rejections', () => {
+        window.dispatchEvent(new ErrorEvent('error', {
+            message: 'Boom',
+            error: new TypeError('Boom'),
+            filename: 'http://localhost/src/js/main.js',
+            lineno: 12,
+            colno: 4
+        }));
+        const rejection = new Event('unhandledrejection');
+        rejection.reason = 'timeout';
+        window.dispatchEvent(rejection);
+        // A broken <img> fires a plain `error` event - not a script error
+        window.dispatchEvent(new Event('error'));
+
+        expect(reporter.sender.queue.map(report => [report.source, report.name, report.message])).toEqual([
+            ['window', 'TypeError', 'Boom'],
+            ['promise', 'Error', 'timeout']
+        ]);
+        expect(reporter.sender.queue[0].context.location).toBe('http://localhost/src/js/main.js:12:4');
+    });
+
+    it('sends a batch once it is full', async () => {
+        ['one', 'two', 'three'].forEach(message => reporter.captureException(new Error(message)));
+        await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+
+        expect(fetchMock.mock.calls[0][0]).toBe('/errors');
+        expect(sentReports(fetchMock).map(report => report.message)).toEqual(['one', 'two', 'three']);
+        await vi.waitFor(() => expect(reporter.sender.queue).toEqual([]));
+    });
+
+    it('sends a partial batch after the flush interval', async () => {
+        reporter.captureException(new Error('lonely'));
+        expect(fetchMock).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(5000);
+
+        expect(sentReports(fetchMock).map(report => report.message)).toEqual(['lonely']);
+        expect(reporter.getDebugInfo()).toMatchObject({ queued: 0, captured: 1, sent: 1 });
+    });
+
+    it('keeps reports queued when sending fails', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        fetchMock.mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 503 })));
+
+        reporter.captureException(new Error('flaky'));
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(reporter.sender.queue).toHaveLength(1);
+        expect(reporter.getDebugInfo().failedSends).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(reporter.sender.queue).toEqual([]);
+    });
+
+    it('drops the oldest reports beyond maxQueue', () => {
+        const small = new ErrorReporter(eventBus, { endpoint: '/errors', batchSize: 10, maxQueue: 2 });
+
+        ['a', 'b', 'c'].forEach(message => small.captureException(new Error(message)));
+
+        expect(small.sender.queue.map(report => report.message)).toEqual(['b', 'c']);
+        expect(small.sender.stats.dropped).toBe(1);
+        small.sender.destroy();
+    });
+
+    it('uses sendBeacon when the page is hidden', () => {
+        const sendBeacon = vi.fn(() => true);
+        vi.stubGlobal('navigator', { ...navigator, userAgent: navigator.userAgent, sendBeacon });
+        reporter.captureException(new Error('leaving'));
+
+        vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+        document.dispatchEvent(new Event('visibilitychange'));
+
+        expect(sendBeacon).toHaveBeenCalledWith('/errors', expect.any(Blob));
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(reporter.sender.queue).toEqual([]);
+    });
+
+    it('only keeps reports in memory without an endpoint', () => {
+        const local = new ErrorReporter(eventBus);
+        const captured = vi.fn();
+        eventBus.on('error:captured', captured);
+
+        local.captureException(new Error('offline'));
+
+        expect(local.sender.queue).toEqual([]);
+        expect(captured).toHaveBeenCalledWith(expect.objectContaining({ message: 'offline' }));
+        expect(local.getDebugInfo().recent).toHaveLength(1);
+    });
+});
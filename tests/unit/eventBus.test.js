@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventBus } from '../../src/js/services/eventBus.js';
+
+describe('EventBus', () => {
+    it('calls listeners in subscription order', () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('task:approved', () => calls.push('first'));
+        bus.on('task:approved', () => calls.push('second'));
+        bus.on('task:approved', () => calls.push('third'));
+
+        bus.emit('task:approved', { id: 'task_001' });
+
+        expect(calls).toEqual(['first', 'second', 'third']);
+    });
+
+    it('runs higher priorities first, ties in subscription order, patterns included', () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('task:approved', () => calls.push('exact'));
+        bus.on('task:*', () => calls.push('pattern'), { priority: 5 });
+        bus.on('task:approved', () => calls.push('urgent'), { priority: 10 });
+        bus.on('*', () => calls.push('catch-all'));
+
+        bus.emit('task:approved', {});
+
+        expect(calls).toEqual(['urgent', 'pattern', 'exact', 'catch-all']);
+    });
+
+    it('passes the event name to pattern listeners only', () => {
+        const bus = new EventBus();
+        const exact = vi.fn();
+        const pattern = vi.fn();
+        bus.on('widget:error', exact);
+        bus.on('*:error', pattern);
+
+        bus.emit('widget:error', 'tasks', 'boom');
+
+        expect(exact).toHaveBeenCalledWith('tasks', 'boom');
+        expect(pattern).toHaveBeenCalledWith('widget:error', 'tasks', 'boom');
+    });
+
+    it('matches `*` segments within one level and trailing `*` at any depth', () => {
+        expect(EventBus.compilePattern('*:error').test('widget:error')).toBe(true);
+        expect(EventBus.compilePattern('*:error').test('task:comment:error')).toBe(false);
+        expect(EventBus.compilePattern('task:*').test('task:comment:added')).toBe(true);
+        expect(EventBus.compilePattern('task:*').test('tasks:loaded')).toBe(false);
+    });
+
+    it('drops once() listeners after the first emit', () => {
+        const bus = new EventBus();
+        const listener = vi.fn();
+        bus.once('data:loaded', listener);
+
+        bus.emit('data:loaded', 'tasks');
+        bus.emit('data:loaded', 'tickets');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(bus.listenerCount('data:loaded')).toBe(0);
+    });
+
+    it('keeps delivering the current emit to listeners removed by an earlier one', () => {
+        const bus = new EventBus();
+        const calls = [];
+        let second;
+        bus.on('widget:refreshed', () => {
+            calls.push('first');
+            second.unsubscribe();
+        });
+        second = bus.on('widget:refreshed', () => calls.push('second'));
+
+        bus.emit('widget:refreshed', 'tasks');
+        bus.emit('widget:refreshed', 'tasks');
+
+        expect(calls).toEqual(['first', 'first']);
+    });
+
+    it('isolates throwing listeners', () => {
+        const bus = new EventBus();
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const after = vi.fn();
+        bus.on('widget:refreshed', () => {
+            throw new Error('listener failed');
+        });
+        bus.on('widget:refreshed', after);
+
+        expect(bus.emit('widget:refreshed', 'tasks')).toBe(true);
+        expect(after).toHaveBeenCalled();
+        expect(error).toHaveBeenCalled();
+    });
+
+    it('awaits async listeners one after another in emitAsync()', async () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('preferences:reset', async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            calls.push('slow');
+        }, { priority: 1 });
+        bus.on('preferences:reset', () => calls.push('fast'));
+
+        await bus.emitAsync('preferences:reset');
+
+        expect(calls).toEqual(['slow', 'fast']);
+    });
+
+    it('replays buffered events to late subscribers, oldest first', () => {
+        const bus = new EventBus({ replayLimit: 2 });
+        bus.emit('widget:refreshed', 'tasks');
+        bus.emit('widget:refreshed', 'calendar');
+        bus.emit('widget:refreshed', 'tickets');
+
+        const all = vi.fn();
+        const latest = vi.fn();
+        bus.on('widget:refreshed', all, { replay: true });
+        bus.once('widget:refreshed', latest, { replay: true });
+
+        expect(all.mock.calls).toEqual([['calendar'], ['tickets']]);
+        expect(latest.mock.calls).toEqual([['tickets']]);
+    });
+
+    it('warns once per payload problem when validating', () => {
+        const bus = new EventBus({
+            validate: true,
+            catalogue: {
+                'task:approved': { payload: [{ name: 'task', type: 'object' }] }
+            }
+        });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        bus.emit('task:approved', 'task_001');
+        bus.emit('task:approved', 'task_002');
+        bus.emit('task:approved', { id: 'task_003' });
+
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toContain("Event 'task:approved' payload");
+    });
+
+    it('warns about events missing from the catalogue', () => {
+        const bus = new EventBus({ validate: true, catalogue: {} });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        bus.emit('task:aproved', {});
+
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toContain('task:aproved');
+    });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { I18nService } from '../../src/js/services/i18n.js';
+import { StorageService } from '../../src/js/services/storage.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+import { eventCatalogue } from '../../src/js/services/eventCatalogue.js';
+import { formatMessage, parseMessage } from '../../src/js/utils/messageFormat.js';
+import { localePacks } from '../../src/js/locales/index.js';
+import en from '../../src/js/locales/en.js';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+describe('formatMessage', () => {
+    const events = '{count, plural, =0 {No events} one {# event} other {# events}}';
+
+    it('fills in arguments and formats numbers for the locale', () => {
+        expect(formatMessage('{label} ({count})', { label: 'All', count: 1200 })).toBe('All (1,200)');
+        expect(formatMessage('{count}', { count: 1200 }, 'de-DE')).toBe('1.200');
+        expect(formatMessage('{n, number, percent}', { n: 0.25 })).toBe('25%');
+    });
+
+    it('picks plural forms by the locale rules, with exact matches first', () => {
+        expect(formatMessage(events, { count: 0 })).toBe('No events');
+        expect(formatMessage(events, { count: 1 })).toBe('1 event');
+        expect(formatMessage(events, { count: 1000 })).toBe('1,000 events');
+        expect(formatMessage('{count, plural, one {# Termin} other {# Termine}}', { count: 2 }, 'de-DE')).toBe('2 Termine');
+    });
+
+    it('selects on strings and booleans, falling back to other', () => {
+        const status = '{status, select, in_progress {in progress} other {{status}}}';
+        expect(formatMessage(status, { status: 'in_progress' })).toBe('in progress');
+        expect(formatMessage(status, { status: 'open' })).toBe('open');
+        expect(formatMessage('{on, select, true {yes} other {no}}', { on: true })).toBe('yes');
+    });
+
+    it('treats quoted braces and doubled apostrophes as text', () => {
+        expect(formatMessage("Today's '{count}' it''s", { count: 3 })).toBe("Today's {count} it's");
+    });
+
+    it('leaves missing arguments visible', () => {
+        expect(formatMessage('Hello {name}')).toBe('Hello {name}');
+    });
+
+    it('rejects malformed messages', () => {
+        expect(() => parseMessage('{count, plural, one {#}')).toThrow(SyntaxError);
+        expect(() => parseMessage('{count, plural, one {# event}}')).toThrow(/other/);
+    });
+});
+
+describe('locale packs', () => {
+    it.each(Object.keys(localePacks))('%s has every English message, and they all parse', async (locale) => {
+        const pack = (await localePacks[locale].load()).default;
+
+        expect(Object.keys(pack.messages).sort()).toEqual(Object.keys(en.messages).sort());
+        Object.values(pack.messages).forEach(message => expect(() => parseMessage(message)).not.toThrow());
+    });
+});
+
+describe('I18nService', () => {
+    let eventBus;
+    let storage;
+    let i18n;
+
+    beforeEach(() => {
+        eventBus = new EventBus({ catalogue: eventCatalogue, validate: true });
+        storage = new StorageService(eventBus);
+        i18n = new I18nService(storage, eventBus);
+    });
+
+    afterEach(() => {
+        storage.destroy();
+        localStorage.clear();
+        window.history.replaceState(null, '', '/');
+        document.documentElement.setAttribute('lang', 'en');
+        document.documentElement.setAttribute('dir', 'ltr');
+        document.body.innerHTML = '';
+    });
+
+    it('translates in English before init()', () => {
+        expect(i18n.locale).toBe('en');
+        expect(i18n.t('calendar.eventCount', { count: 1 })).toBe('1 event');
+    });
+
+    it('falls back to English, then to the key itself', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        await i18n.setLocale('de');
+        const { 'tasks.empty': untranslated, ...messages } = i18n.pack.messages;
+        i18n.pack = { ...i18n.pack, messages };
+
+        expect(i18n.t('tasks.empty')).toBe('No tasks available');
+        expect(i18n.t('no.such.key')).toBe('no.such.key');
+        expect(i18n.t('no.such.key')).toBe('no.such.key');
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(i18n.getDebugInfo()).toMatchObject({ fallbacks: ['de:tasks.empty'], missing: ['no.such.key'] });
+        warn.mockRestore();
+    });
+
+    it('formats dates, numbers and currency for the active locale', async () => {
+        await i18n.setLocale('de');
+
+        expect(i18n.formatDate('2025-07-15T12:00:00Z')).toBe('15.7.2025');
+        expect(i18n.formatNumber(1247.5)).toBe('1.247,5');
+        expect(i18n.formatCurrency(1247.5, 'EUR')).toMatch(/^1\.247,50\s€$/);
+    });
+
+    it('switches locale, saves it, translates the page and tells listeners', async () => {
+        document.body.innerHTML = `
+            <h2 data-i18n="widget.tasks.title">Tasks &amp; Approvals</h2>
+            <button data-i18n-aria-label="header.aboutLabel" aria-label="About this dashboard"></button>
+        `;
+        const changed = vi.fn();
+        eventBus.on('locale:changed', changed);
+
+        expect(await i18n.setLocale('de-AT')).toBe(true);
+
+        expect(i18n.locale).toBe('de');
+        expect(storage.getItem('locale')).toBe('de');
+        expect(document.documentElement.getAttribute('lang')).toBe('de');
+        expect(document.querySelector('h2').textContent).toBe('Aufgaben & Freigaben');
+        expect(document.querySelector('button').getAttribute('aria-label')).not.toBe('About this dashboard');
+        expect(changed).toHaveBeenCalledWith('de', 'en');
+    });
+
+    it('lays the page out right to left for Arabic and Hebrew', async () => {
+        await i18n.setLocale('ar');
+        expect(document.documentElement.getAttribute('dir')).toBe('rtl');
+        expect(i18n.t('calendar.eventCount', { count: 2 })).toBe('فعاليتان');
+
+        await i18n.setLocale('he');
+        expect(i18n.t('calendar.attendees', { count: 2 })).toBe('שני משתתפים');
+
+        await i18n.setLocale('en');
+        expect(document.documentElement.getAttribute('dir')).toBe('ltr');
+        expect(i18n.getAvailableLocales()).toContainEqual({ locale: 'he', name: 'עברית', dir: 'rtl' });
+    });
+
+    it('ignores locales it has no pack for', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await i18n.setLocale('fr')).toBe(false);
+        expect(i18n.locale).toBe('en');
+        warn.mockRestore();
+    });
+
+    it('prefers ?lang= over the saved locale over the browser languages', async () => {
+        storage.setItem('locale', 'ka');
+        window.history.replaceState(null, '', '/?lang=de');
+        expect(i18n.detectLocale()).toBe('de');
+
+        window.history.replaceState(null, '', '/');
+        await i18n.init();
+        expect(i18n.locale).toBe('ka');
+
+        storage.removeItem('locale');
+        expect(i18n.detectLocale()).toBe('en');
+    });
+});
+
+describe('widgets after a locale change', () => {
+    let services;
+    let widget;
+
+    beforeEach(async () => {
+        services = createServices();
+        widget = await mountWidget('tasks', services);
+    });
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+        localStorage.clear();
+        document.documentElement.setAttribute('lang', 'en');
+    });
+
+    it('re-render in the new language', async () => {
+        await services.i18n.setLocale('de');
+
+        await vi.waitFor(() => {
+            expect(widget.container.querySelector('[data-filter="all"]').textContent.trim()).toBe('Alle (8)');
+        });
+        expect(widget.container.querySelector('.tasks__stat--overdue').textContent).toContain('1 überfällig');
+    });
+});
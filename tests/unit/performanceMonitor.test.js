@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PerformanceMonitor, percentile } from '../../src/js/services/performanceMonitor.js';
+import { TestingSuite } from '../../src/js/utils/testing.js';
+import { defaultConfig } from '../../src/js/config.js';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+/**
+ * PerformanceObserver that supports every entry type and lets tests
+ * deliver entries
+ */
+class FakePerformanceObserver {
+    static supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'longtask'];
+    static instances = [];
+
+    constructor(callback) {
+        this.callback = callback;
+        FakePerformanceObserver.instances.push(this);
+    }
+
+    observe(options) {
+        this.options = options;
+    }
+
+    disconnect() {
+        this.disconnected = true;
+    }
+
+    static deliver(type, entries) {
+        FakePerformanceObserver.instances
+            .filter(observer => observer.options.type === type)
+            .forEach(observer => observer.callback({ getEntries: () => entries }));
+    }
+}
+
+describe('PerformanceMonitor', () => {
+    let services;
+    let monitor;
+    let warn;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        FakePerformanceObserver.instances = [];
+        vi.stubGlobal('PerformanceObserver', FakePerformanceObserver);
+        services = createServices();
+        monitor = new PerformanceMonitor(services.eventBus, services.storage, {
+            ...defaultConfig.performance,
+            flushIntervalMs: 0
+        });
+        monitor.init();
+    });
+
+    afterEach(() => {
+        monitor.destroy();
+        cleanup(services);
+        vi.unstubAllGlobals();
+    });
+
+    it('times widget init, render and refresh', async () => {
+        const widget = await mountWidget('tasks', services);
+        await widget.refresh();
+
+        const summary = monitor.getSummary();
+        expect(Object.keys(summary.widgets.tasks).sort()).toEqual(['init', 'refresh', 'render']);
+        expect(summary.widgets.tasks.render.count).toBe(2);
+        expect(summary.widgets.tasks.init).toMatchObject({ count: 1, budget: 1000 });
+        expect(summary.widgets.tasks.init.max).toBeGreaterThanOrEqual(summary.widgets.tasks.render.p50);
+    });
+
+    it('warns and emits when a timing goes over budget', () => {
+        const exceeded = vi.fn();
+        services.eventBus.on('performance:budget-exceeded', exceeded);
+
+        services.eventBus.emit('widget:timing', 'tasks', 'render', 20);
+        services.eventBus.emit('widget:timing', 'tasks', 'render', 72.4);
+
+        expect(exceeded).toHaveBeenCalledTimes(1);
+        expect(exceeded.mock.calls[0][0]).toMatchObject({ metric: 'render', widget: 'tasks', value: 72.4, budget: 50 });
+        expect(warn).toHaveBeenCalledWith('⚠️ Over performance budget: tasks render 72ms (budget 50ms)');
+    });
+
+    it('lets a widget have its own budget', () => {
+        monitor.budgets = { ...monitor.budgets, widgets: { calendar: { render: 100 } } };
+
+        services.eventBus.emit('widget:timing', 'calendar', 'render', 80);
+        services.eventBus.emit('widget:timing', 'tasks', 'render', 80);
+
+        expect(monitor.getViolations().map(violation => violation.widget)).toEqual(['tasks']);
+    });
+
+    it('measures LCP, CLS and INP from observed entries', () => {
+        FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 900 }, { startTime: 1800 }]);
+        FakePerformanceObserver.deliver('layout-shift', [
+            { startTime: 100, value: 0.02, hadRecentInput: false },
+            { startTime: 600, value: 0.03, hadRecentInput: false },
+            { startTime: 700, value: 0.5, hadRecentInput: true },   // caused by the user
+            { startTime: 4000, value: 0.04, hadRecentInput: false } // a new session window
+        ]);
+        FakePerformanceObserver.deliver('event', [
+            { interactionId: 1, duration: 48 },
+            { interactionId: 1, duration: 96 },
+            { interactionId: 0, duration: 400 },                    // not an interaction
+            { interactionId: 2, duration: 64 }
+        ]);
+
+        expect(monitor.vitals).toEqual({ lcp: 1800, cls: 0.05, inp: 96 });
+        expect(monitor.getViolations()).toEqual([]);
+    });
+
+    it('reports each web vital over budget once', () => {
+        FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 2600 }]);
+        FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 3100 }]);
+
+        expect(monitor.getViolations()).toEqual([
+            expect.objectContaining({ metric: 'lcp', value: 2600, budget: 2500, widget: null })
+        ]);
+        expect(monitor.vitals.lcp).toBe(3100);
+    });
+
+    it('records long tasks against their budget', () => {
+        FakePerformanceObserver.deliver('longtask', [{ duration: 80 }, { duration: 260 }]);
+
+        expect(monitor.getSummary().longTasks).toMatchObject({ count: 2, max: 260, budget: 200 });
+        expect(monitor.getViolations()).toEqual([expect.objectContaining({ metric: 'longTask', value: 260 })]);
+    });
+
+    it('stores samples, with the web vitals once the page is hidden', async () => {
+        services.eventBus.emit('widget:timing', 'tasks', 'render', 12);
+        FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 1200 }]);
+
+        vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+        document.dispatchEvent(new Event('visibilitychange'));
+        await services.storage.flush();
+
+        expect(services.storage.getItem('performance_samples').map(sample => sample.metric)).toEqual(['render', 'lcp']);
+        expect(monitor.getHistory()).toHaveLength(2);
+
+        // A later session keeps adding to the history
+        const next = new PerformanceMonitor(services.eventBus, services.storage, { maxSamples: 2 });
+        next.record('render', 15, 'tasks');
+        expect(next.getHistory().map(sample => sample.value)).toEqual([1200, 15]);
+    });
+
+    it('posts new samples to the endpoint and keeps them when that fails', async () => {
+        const fetchMock = vi.fn()
+            .mockResolvedValueOnce(new Response(null, { status: 503 }))
+            .mockResolvedValueOnce(new Response(null, { status: 202 }));
+        vi.stubGlobal('fetch', fetchMock);
+        const posting = new PerformanceMonitor(services.eventBus, services.storage, { endpoint: '/metrics' });
+        posting.record('render', 12, 'tasks');
+
+        expect(await posting.flush()).toBe(false);
+        posting.record('render', 14, 'tasks');
+        expect(await posting.flush()).toBe(true);
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(fetchMock.mock.calls[1][1].body).samples.map(sample => sample.value)).toEqual([12, 14]);
+        expect(posting.getDebugInfo()).toMatchObject({ unsent: 0, sent: 2, failedSends: 1 });
+    });
+
+    it('stops observing on destroy', () => {
+        monitor.destroy();
+
+        expect(FakePerformanceObserver.instances.every(observer => observer.disconnected)).toBe(true);
+        services.eventBus.emit('widget:timing', 'tasks', 'render', 500);
+        expect(monitor.getViolations()).toEqual([]);
+    });
+
+    it('fails the test suite check when a widget is over budget', () => {
+        const suite = new TestingSuite({ layout: false, monitor });
+        expect(suite.testWidgetTimings()).toMatchObject({ passed: true });
+        expect(suite.testWebVitals()).toMatchObject({ skipped: true });
+
+        services.eventBus.emit('widget:timing', 'tickets', 'refresh', 2500);
+
+        expect(suite.testWidgetTimings()).toMatchObject({
+            passed: false,
+            message: 'Over budget: tickets refresh 2500ms (budget 2000ms)'
+        });
+    });
+});
+
+describe('percentile', () => {
+    it('uses the nearest rank', () => {
+        expect(percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+        expect(percentile([1, 2, 3, 4], 95)).toBe(4);
+        expect(percentile([7], 0)).toBe(7);
+        expect(percentile([], 50)).toBeNull();
+    });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RealtimeService } from '../../src/js/services/realtime.js';
+import { RefreshScheduler } from '../../src/js/services/scheduler.js';
+import { StorageService } from '../../src/js/services/storage.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+
+/**
+ * Stands in for the browser's EventSource; tests drive it by hand
+ */
+class FakeEventSource {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+describe('RealtimeService', () => {
+    let eventBus;
+    let storage;
+    let scheduler;
+    let realtime;
+
+    function createRealtime(config = {}) {
+        realtime = new RealtimeService(eventBus, storage, scheduler, config);
+        return realtime;
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers({ now: new Date('2025-07-15T12:00:00Z') });
+        vi.stubGlobal('EventSource', FakeEventSource);
+        FakeEventSource.instances = [];
+        eventBus = new EventBus();
+        storage = new StorageService(eventBus);
+        scheduler = new RefreshScheduler(eventBus, { jitterRatio: 0 });
+    });
+
+    afterEach(() => {
+        realtime.destroy();
+        scheduler.destroy();
+        storage.destroy();
+        localStorage.clear();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    describe('network status', () => {
+        it('re-emits the browser going offline and online', () => {
+            createRealtime();
+            const events = [];
+            eventBus.on('network:*', (eventName) => events.push(eventName));
+
+            window.dispatchEvent(new Event('offline'));
+            expect(realtime.getNetworkStatus().online).toBe(false);
+            window.dispatchEvent(new Event('online'));
+
+            expect(events).toEqual(['network:offline', 'network:online']);
+            expect(realtime.isOnline).toBe(true);
+        });
+    });
+
+    describe('refresh settings', () => {
+        it('applies saved refresh rates and the auto-refresh switch on init', () => {
+            storage.setUserPreferences({ autoRefresh: false, refreshRates: { tickets: 60000 } });
+            createRealtime().init();
+
+            expect(scheduler.getInterval('tickets')).toBe(60000);
+            expect(scheduler.getDebugInfo().pauseReasons).toContain('disabled');
+        });
+
+        it('saves refresh rate and auto-refresh changes', () => {
+            createRealtime().init();
+
+            realtime.setRefreshRate('calendar', 120000);
+            eventBus.emit('auto-refresh:toggled', false);
+
+            expect(scheduler.getInterval('calendar')).toBe(120000);
+            expect(storage.getUserPreferences()).toMatchObject({ autoRefresh: false, refreshRates: { calendar: 120000 } });
+            expect(scheduler.isPaused()).toBe(true);
+
+            eventBus.emit('auto-refresh:toggled', true);
+            expect(scheduler.isPaused()).toBe(false);
+        });
+    });
+
+    describe('server push', () => {
+        it('re-emits patch messages as data:patch', () => {
+            createRealtime({ pushUrl: '/api/stream' }).connectPush();
+            const patches = [];
+            eventBus.on('data:patch', (resource, patch) => patches.push([resource, patch]));
+
+            const source = FakeEventSource.instances[0];
+            source.dispatch('open');
+            source.dispatch('patch', {
+                lastEventId: '7',
+                data: JSON.stringify({ resource: 'tickets', op: 'update', id: 'TKT-001', data: { status: 'resolved' } })
+            });
+
+            expect(realtime.getPushStatus()).toMatchObject({ status: 'connected', lastEventId: '7' });
+            expect(patches).toEqual([['tickets', { op: 'update', id: 'TKT-001', data: { status: 'resolved' } }]]);
+        });
+
+        it('ignores malformed messages', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            createRealtime({ pushUrl: '/api/stream' }).connectPush();
+            const patch = vi.fn();
+            eventBus.on('data:patch', patch);
+
+            FakeEventSource.instances[0].dispatch('patch', { data: 'not json' });
+            FakeEventSource.instances[0].dispatch('patch', { data: JSON.stringify({ op: 'update' }) });
+
+            expect(patch).not.toHaveBeenCalled();
+            expect(realtime.patchesReceived).toBe(0);
+        });
+
+        it('reconnects with backoff and resumes after the last event id', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            vi.spyOn(Math, 'random').mockReturnValue(1); // no jitter: full backoff
+            createRealtime({ pushUrl: '/api/stream', reconnectBaseMs: 1000 }).connectPush();
+
+            const first = FakeEventSource.instances[0];
+            first.dispatch('patch', { lastEventId: '42', data: JSON.stringify({ resource: 'tasks', op: 'remove', id: 'task_001' }) });
+            first.dispatch('error');
+            expect(first.closed).toBe(true);
+            expect(realtime.getPushStatus().status).toBe('reconnecting');
+
+            await vi.advanceTimersByTimeAsync(999);
+            expect(FakeEventSource.instances).toHaveLength(1);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(FakeEventSource.instances).toHaveLength(2);
+            expect(new URL(FakeEventSource.instances[1].url).searchParams.get('lastEventId')).toBe('42');
+
+            // Second failure waits twice as long
+            FakeEventSource.instances[1].dispatch('error');
+            await vi.advanceTimersByTimeAsync(1999);
+            expect(FakeEventSource.instances).toHaveLength(2);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(FakeEventSource.instances).toHaveLength(3);
+        });
+
+        it('reloads every widget when the server cannot replay', () => {
+            const triggerAll = vi.spyOn(scheduler, 'triggerAll');
+            createRealtime({ pushUrl: '/api/stream' }).connectPush();
+
+            FakeEventSource.instances[0].dispatch('reset', { lastEventId: '100' });
+
+            expect(triggerAll).toHaveBeenCalledWith('push-reset');
+            expect(realtime.getPushStatus().lastEventId).toBe('100');
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { reconcile, getKey } from '../../src/js/utils/reconcile.js';
+import { createServices, mountWidget, cleanup } from '../helpers.js';
+
+function list(ids) {
+    return `<ul>${ids.map(id => `<li data-task-id="${id}" tabindex="0">${id}</li>`).join('')}</ul>`;
+}
+
+describe('reconcile', () => {
+    let root;
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    function mount(html) {
+        root = document.createElement('div');
+        document.body.appendChild(root);
+        return reconcile(root, html);
+    }
+
+    it('keys elements by their data-*-id or data-key attribute', () => {
+        root = document.createElement('div');
+        root.innerHTML = '<p data-ticket-id="TKT-1"></p><p data-key="a"></p><p data-filter="all"></p>';
+        expect(Array.from(root.children, getKey)).toEqual(['P[data-ticket-id=TKT-1]', 'P[data-key=a]', null]);
+    });
+
+    it('keeps keyed nodes and their state when items move, change or go', () => {
+        mount(list(['a', 'b', 'c']));
+        const [a, b, c] = root.querySelectorAll('li');
+        c.focus();
+
+        reconcile(root, list(['c', 'a', 'd']).replace('>a<', '>A<'));
+
+        const items = Array.from(root.querySelectorAll('li'));
+        expect(items.map(item => item.textContent)).toEqual(['c', 'A', 'd']);
+        expect(items[0]).toBe(c);
+        expect(items[1]).toBe(a);
+        expect(b.isConnected).toBe(false);
+        expect(document.activeElement).toBe(c);
+    });
+
+    it('patches attributes and text in place', () => {
+        mount('<button class="tab tab--active" aria-selected="true">All (3)</button>');
+        const button = root.firstChild;
+
+        reconcile(root, '<button class="tab" data-count="2">All (2)</button>');
+
+        expect(root.firstChild).toBe(button);
+        expect(button.outerHTML).toBe('<button class="tab" data-count="2">All (2)</button>');
+    });
+
+    it('replaces an element whose tag changed', () => {
+        mount('<div class="empty">Nothing here</div>');
+        const empty = root.firstChild;
+
+        reconcile(root, '<ul class="list"></ul>');
+
+        expect(empty.isConnected).toBe(false);
+        expect(root.innerHTML).toBe('<ul class="list"></ul>');
+    });
+
+    it('leaves open state and what is being typed to the user', () => {
+        mount('<details><summary>More</summary></details><input value="">');
+        const [details, input] = root.children;
+        details.open = true;
+        input.focus();
+        input.value = 'half typed';
+
+        reconcile(root, '<details><summary>More</summary></details><input value="">');
+        expect(details.open).toBe(true);
+        expect(input.value).toBe('half typed');
+
+        input.blur();
+        reconcile(root, '<details><summary>More</summary></details><input value="saved">');
+        expect(input.value).toBe('saved');
+    });
+});
+
+describe('widget renders', () => {
+    let services;
+    let widget;
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('keep focus and listeners across a refresh', async () => {
+        services = createServices();
+        widget = await mountWidget('tickets', services);
+        const ticket = widget.container.querySelector('[data-ticket-id="TKT-003"]');
+        ticket.focus();
+
+        await widget.refresh();
+
+        expect(widget.container.querySelector('[data-ticket-id="TKT-003"]')).toBe(ticket);
+        expect(document.activeElement).toBe(ticket);
+
+        // One delegated listener per event type, however often it rendered
+        ticket.querySelector('[data-action="start"]').click();
+        expect(widget.tickets.find(item => item.id === 'TKT-003').status).toBe('in_progress');
+        expect(document.querySelectorAll('.ticket-modal')).toHaveLength(0);
+    });
+
+    it('keep the list and its tabs when switching filters', async () => {
+        services = createServices();
+        widget = await mountWidget('tasks', services);
+        const list = widget.container.querySelector('.tasks__list');
+        const filter = widget.container.querySelector('[data-filter="high"]');
+
+        filter.click();
+        await vi.waitFor(() => expect(filter.getAttribute('aria-selected')).toBe('true'));
+
+        expect(widget.container.querySelector('.tasks__list')).toBe(list);
+        expect(widget.container.querySelector('[data-filter="high"]')).toBe(filter);
+        expect(Array.from(list.children).every(task => task.classList.contains('task--priority-high'))).toBe(true);
+    });
+
+    it('run the empty state action once per click', async () => {
+        services = createServices({ data: { tasks: [] } });
+        widget = await mountWidget('tasks', services);
+        let refreshes = 0;
+        widget.refresh = async () => { refreshes++; };
+
+        widget.render();
+        widget.container.querySelector('.widget__empty-action').click();
+
+        expect(refreshes).toBe(1);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RefreshScheduler } from '../../src/js/services/scheduler.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+
+const MINUTE = 60 * 1000;
+
+describe('RefreshScheduler', () => {
+    let eventBus;
+    let scheduler;
+
+    beforeEach(() => {
+        vi.useFakeTimers({ now: new Date('2025-07-15T12:00:00Z') });
+        eventBus = new EventBus();
+        scheduler = new RefreshScheduler(eventBus, { jitterRatio: 0 });
+    });
+
+    afterEach(() => {
+        scheduler.destroy();
+        vi.useRealTimers();
+    });
+
+    it('runs a job every interval', async () => {
+        const task = vi.fn().mockResolvedValue(true);
+        scheduler.register('tasks', task, 5 * MINUTE);
+
+        await vi.advanceTimersByTimeAsync(5 * MINUTE - 1);
+        expect(task).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(task).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(10 * MINUTE);
+        expect(task).toHaveBeenCalledTimes(3);
+        expect(scheduler.getJobInfo('tasks').lastReason).toBe('schedule');
+    });
+
+    it('keeps jitter within the configured ratio', () => {
+        scheduler = new RefreshScheduler(eventBus, { jitterRatio: 0.1 });
+        vi.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.999999);
+
+        expect(scheduler.applyJitter(10 * MINUTE)).toBe(9 * MINUTE);
+        expect(scheduler.applyJitter(10 * MINUTE)).toBe(11 * MINUTE);
+    });
+
+    it('never runs on-demand jobs by itself', async () => {
+        const task = vi.fn().mockResolvedValue(true);
+        scheduler.register('quickLaunch', task, 0);
+
+        await vi.advanceTimersByTimeAsync(60 * MINUTE);
+        expect(task).not.toHaveBeenCalled();
+    });
+
+    it('collapses triggers during a run and inside the coalescing window', async () => {
+        let finish;
+        const task = vi.fn(() => new Promise(resolve => {
+            finish = resolve;
+        }));
+        scheduler.register('tickets', task, 0);
+
+        const first = scheduler.trigger('tickets');
+        const second = scheduler.trigger('tickets');
+        finish(true);
+        expect(await first).toBe(true);
+        expect(await second).toBe(true);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        await scheduler.trigger('tickets');
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(scheduler.getJobInfo('tickets').coalesced).toBe(2);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        const third = scheduler.trigger('tickets');
+        finish(true);
+        await third;
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('backs off exponentially after failures and resets on success', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const task = vi.fn()
+            .mockRejectedValueOnce(new Error('offline'))
+            .mockResolvedValueOnce(false)
+            .mockResolvedValue(true);
+        scheduler.register('calendar', task, 10 * MINUTE);
+
+        await vi.advanceTimersByTimeAsync(10 * MINUTE);
+        expect(scheduler.getJobInfo('calendar')).toMatchObject({ consecutiveFailures: 1, lastError: 'offline' });
+
+        // 30s, then 60s
+        await vi.advanceTimersByTimeAsync(30 * 1000);
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(scheduler.getJobInfo('calendar').consecutiveFailures).toBe(2);
+
+        await vi.advanceTimersByTimeAsync(60 * 1000 - 1);
+        expect(task).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(task).toHaveBeenCalledTimes(3);
+
+        expect(scheduler.getJobInfo('calendar')).toMatchObject({ consecutiveFailures: 0, lastResult: 'success' });
+        expect(scheduler.getJobInfo('calendar').nextRunAt).toBe(new Date(Date.now() + 10 * MINUTE).toISOString());
+    });
+
+    it('holds scheduled runs while paused and runs them on resume', async () => {
+        const task = vi.fn().mockResolvedValue(true);
+        scheduler.register('announcements', task, 5 * MINUTE);
+
+        scheduler.pause('disabled');
+        scheduler.pause('hidden');
+        await vi.advanceTimersByTimeAsync(10 * MINUTE);
+        expect(task).not.toHaveBeenCalled();
+
+        scheduler.resume('hidden');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(task).not.toHaveBeenCalled();
+
+        scheduler.resume('disabled');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(scheduler.getJobInfo('announcements').lastReason).toBe('resume');
+    });
+
+    it('refreshes once when the network comes back', async () => {
+        const task = vi.fn().mockResolvedValue(true);
+        scheduler.init();
+        scheduler.register('tickets', task, 5 * MINUTE);
+
+        eventBus.emit('network:offline');
+        await vi.advanceTimersByTimeAsync(5 * MINUTE);
+        expect(task).not.toHaveBeenCalled();
+
+        eventBus.emit('network:online');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(scheduler.getJobInfo('tickets').coalesced).toBe(1);
+    });
+
+    it('reports completed runs on the event bus in order', async () => {
+        const completed = [];
+        eventBus.on('scheduler:run-completed', (name, result, reason) => completed.push([name, result, reason]));
+        scheduler.register('tasks', vi.fn().mockResolvedValue(true), 0);
+        scheduler.register('tickets', vi.fn().mockResolvedValue(false), 0);
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await scheduler.triggerAll('visible');
+
+        expect(completed).toEqual([
+            ['tasks', 'success', 'visible'],
+            ['tickets', 'failure', 'visible']
+        ]);
+    });
+
+    it('remembers interval overrides for jobs registered later', () => {
+        scheduler.setInterval('tickets', 2 * MINUTE);
+        scheduler.register('tickets', vi.fn(), 5 * MINUTE);
+
+        expect(scheduler.getInterval('tickets')).toBe(2 * MINUTE);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { StorageService } from '../../src/js/services/storage.js';
+import { EventBus } from '../../src/js/services/eventBus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('StorageService', () => {
+    let storage;
+
+    afterEach(() => {
+        storage.destroy();
+        localStorage.clear();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    describe('backend selection', () => {
+        it('writes through to localStorage when IndexedDB is missing', async () => {
+            storage = new StorageService();
+            await storage.init();
+
+            expect(storage.backend.name).toBe('localStorage');
+            await storage.setItemAsync('user_preferences', { theme: 'dark' });
+            expect(JSON.parse(localStorage.getItem('dashboard_user_preferences'))).toEqual({ theme: 'dark' });
+        });
+
+        it('reads what an earlier session left in localStorage', () => {
+            localStorage.setItem('dashboard_custom_shortcuts', JSON.stringify([{ id: 'shortcut_100' }]));
+            localStorage.setItem('unrelated', '"ignored"');
+
+            storage = new StorageService();
+
+            expect(storage.getCustomShortcuts()).toEqual([{ id: 'shortcut_100' }]);
+            expect(storage.getAllKeys()).toEqual(['custom_shortcuts']);
+        });
+
+        it('falls back to memory when localStorage refuses writes', async () => {
+            vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+                throw new DOMException('denied', 'SecurityError');
+            });
+
+            storage = new StorageService();
+            await storage.init();
+
+            expect(storage.backend.name).toBe('memory');
+            expect(storage.isAvailable()).toBe(false);
+            expect(storage.setItem('user_preferences', { theme: 'dark' })).toBe(true);
+            expect(storage.getItem('user_preferences')).toEqual({ theme: 'dark' });
+        });
+
+        it('hands out copies, not the stored objects', () => {
+            storage = new StorageService();
+            storage.setItem('user_preferences', { hiddenWidgets: [] });
+
+            storage.getItem('user_preferences').hiddenWidgets.push('tasks');
+
+            expect(storage.getItem('user_preferences')).toEqual({ hiddenWidgets: [] });
+        });
+    });
+
+    describe('quota', () => {
+        it('reports a write the backend rejects and keeps the value for this session', async () => {
+            storage = new StorageService();
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            vi.spyOn(storage.backend, 'set').mockRejectedValue(new DOMException('full', 'QuotaExceededError'));
+
+            expect(await storage.setItemAsync('widget_tickets', { data: [] })).toBe(false);
+            expect(storage.setItem('widget_tasks', { data: [] })).toBe(true);
+            expect(await storage.flush()).toBe(false);
+            expect(storage.getItem('widget_tickets')).toEqual({ data: [] });
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Error writing to localStorage storage (set widget_tickets)'),
+                expect.any(DOMException)
+            );
+        });
+
+        it('reports usage from navigator.storage.estimate()', async () => {
+            vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 450, quota: 1000 }) } });
+            storage = new StorageService();
+
+            expect(await storage.getStorageInfo()).toMatchObject({ used: 450, total: 1000, percentage: 45 });
+        });
+
+        it('drops week-old widget caches when storage is over 90% full', async () => {
+            vi.useFakeTimers({ now: new Date('2025-07-15T12:00:00Z') });
+            vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 950, quota: 1000 }) } });
+            storage = new StorageService();
+            storage.setItem('widget_calendar', { data: [], timestamp: Date.now() - 8 * DAY_MS });
+            storage.setItem('widget_tasks', { data: [], timestamp: Date.now() - DAY_MS });
+            storage.setItem('user_preferences', { theme: 'dark', timestamp: Date.now() - 30 * DAY_MS });
+
+            expect(await storage.setWidgetData('tickets', [{ id: 'TKT-001' }])).toBe(true);
+
+            expect(storage.getAllKeys().sort()).toEqual(['user_preferences', 'widget_tasks', 'widget_tickets']);
+        });
+    });
+
+    describe('widget data', () => {
+        it('treats cached data older than maxAgeMs as missing', async () => {
+            vi.useFakeTimers({ now: new Date('2025-07-15T12:00:00Z') });
+            storage = new StorageService();
+            await storage.setWidgetData('tasks', [{ id: 'task_001' }]);
+
+            vi.advanceTimersByTime(30 * 60 * 1000);
+            expect(storage.getWidgetData('tasks').data).toEqual([{ id: 'task_001' }]);
+
+            vi.advanceTimersByTime(31 * 60 * 1000);
+            expect(storage.getWidgetData('tasks')).toBeNull();
+            expect(storage.getWidgetData('tasks', DAY_MS)).not.toBeNull();
+        });
+    });
+
+    describe('changes from other tabs', () => {
+        it('applies newer remote writes and ignores older ones', () => {
+            const eventBus = new EventBus();
+            const changed = vi.fn();
+            eventBus.on('storage:changed', changed);
+            storage = new StorageService(eventBus);
+            storage.setItem('user_preferences', { theme: 'light' });
+            const localUpdatedAt = storage.updatedAt.get('user_preferences');
+
+            storage.handleRemoteChange({ type: 'set', key: 'user_preferences', value: { theme: 'dark' }, updatedAt: localUpdatedAt - 1, source: 'other' });
+            expect(storage.getItem('user_preferences')).toEqual({ theme: 'light' });
+            expect(changed).not.toHaveBeenCalled();
+
+            storage.handleRemoteChange({ type: 'set', key: 'user_preferences', value: { theme: 'dark' }, updatedAt: localUpdatedAt + 1, source: 'other' });
+            expect(storage.getItem('user_preferences')).toEqual({ theme: 'dark' });
+            expect(changed).toHaveBeenCalledWith('user_preferences', { theme: 'dark' }, expect.objectContaining({ sourceTab: 'other' }));
+        });
+    });
+});
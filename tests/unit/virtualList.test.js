@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateTickets } from '../../scripts/generate-tickets.js';
+import { createServices, mountWidget, loadFixtures, cleanup } from '../helpers.js';
+
+function press(element, key) {
+    element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+function positions(list) {
+    return Array.from(list.children, row => Number(row.getAttribute('aria-posinset')));
+}
+
+describe('VirtualList in the tickets widget', () => {
+    let services;
+    let widget;
+    let list;
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        services = createServices({ data: { ...loadFixtures(), tickets: generateTickets(10000) } });
+        widget = await mountWidget('tickets', services);
+        const all = widget.container.querySelector('[data-filter="all"]');
+        all.click();
+        await vi.waitFor(() => expect(all.getAttribute('aria-selected')).toBe('true'));
+        list = widget.container.querySelector('.tickets__list');
+    });
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders only a window of rows, with their place in the whole list', () => {
+        expect(list.classList.contains('virtual-list')).toBe(true);
+        expect(list.children.length).toBeLessThan(20);
+        expect(positions(list)).toEqual(Array.from({ length: list.children.length }, (_, i) => i + 1));
+        expect(list.firstElementChild.getAttribute('aria-setsize')).toBe('10000');
+
+        // The padding stands in for the rows that aren't rendered
+        const rowHeight = widget.ticketList.rowHeight;
+        expect(list.style.paddingTop).toBe('0px');
+        expect(list.style.paddingBottom).toBe(`${(10000 - list.children.length) * rowHeight}px`);
+    });
+
+    it('renders the rows scrolled to', () => {
+        Object.defineProperty(list, 'scrollTop', { configurable: true, value: 5000 * widget.ticketList.rowHeight });
+        widget.ticketList.update(list);
+
+        const shown = positions(list);
+        expect(shown).toContain(5001);
+        expect(shown[0]).toBeGreaterThan(4990);
+        expect(list.style.paddingTop).toBe(`${(shown[0] - 1) * widget.ticketList.rowHeight}px`);
+
+        // A full render (e.g. the clock moving) keeps the scrolled-to window
+        widget.render();
+        expect(positions(widget.container.querySelector('.tickets__list'))).toEqual(shown);
+    });
+
+    it('moves focus with the arrow keys, Home and End', () => {
+        const last = list.lastElementChild;
+        const lastPosition = Number(last.getAttribute('aria-posinset'));
+        last.focus();
+
+        press(last, 'ArrowDown');
+        expect(document.activeElement.getAttribute('aria-posinset')).toBe(String(lastPosition + 1));
+        expect(document.activeElement.parentElement).toBe(list);
+
+        press(document.activeElement, 'End');
+        expect(document.activeElement.getAttribute('aria-posinset')).toBe('10000');
+        expect(document.activeElement.getAttribute('data-ticket-id')).toBe(widget.getFilteredTickets()[9999].id);
+
+        press(document.activeElement, 'Home');
+        expect(document.activeElement.getAttribute('aria-posinset')).toBe('1');
+    });
+
+    it('leaves keys pressed inside a row to the row', () => {
+        const button = list.firstElementChild.querySelector('.ticket__action');
+        button.focus();
+
+        press(button, 'ArrowDown');
+        expect(document.activeElement).toBe(button);
+    });
+
+    it('renders short lists in full', async () => {
+        widget.tickets = widget.tickets.slice(0, 5);
+        await widget.update();
+
+        const shortList = widget.container.querySelector('.tickets__list');
+        expect(shortList.classList.contains('virtual-list')).toBe(false);
+        expect(shortList.hasAttribute('style')).toBe(false);
+        expect(shortList.querySelector('[aria-posinset]')).toBeNull();
+    });
+});
+
+describe('generateTickets', () => {
+    it('makes the same tickets for the same seed', () => {
+        expect(generateTickets(50, { seed: 7 })).toEqual(generateTickets(50, { seed: 7 }));
+        expect(generateTickets(50, { seed: 7 })).not.toEqual(generateTickets(50, { seed: 8 }));
+    });
+
+    it('makes tickets shaped like the fixture', () => {
+        const fixtureFields = new Set(loadFixtures().tickets.flatMap(ticket => Object.keys(ticket)));
+        const tickets = generateTickets(500);
+
+        expect(new Set(tickets.map(ticket => ticket.id)).size).toBe(500);
+        expect(tickets[0].id).toBe('GEN-001');
+        tickets.forEach(ticket => {
+            Object.keys(ticket).forEach(field => expect(fixtureFields).toContain(field));
+            expect(new Date(ticket.createdAt).getTime()).toBeLessThanOrEqual(new Date('2025-07-15T12:00:00Z').getTime());
+        });
+        expect(new Set(tickets.map(ticket => ticket.status))).toEqual(new Set(['open', 'in_progress', 'pending', 'resolved']));
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServices, mountWidget, renderedHtml, cleanup } from '../helpers.js';
+
+describe('AnnouncementsWidget', () => {
+    let services;
+    let widget;
+
+    async function mountAt(now) {
+        services = createServices({ now });
+        widget = await mountWidget('announcements', services);
+    }
+
+    function shownIds() {
+        return Array.from(widget.container.querySelectorAll('.announcement'),
+            announcement => announcement.getAttribute('data-announcement-id'));
+    }
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders the fixture announcements', async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        expect(renderedHtml(widget)).toMatchSnapshot();
+    });
+
+    it('hides announcements that expired before the injected time', async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        expect(shownIds()).not.toContain('ann_001');
+        expect(shownIds()).toHaveLength(4);
+    });
+
+    it('shows every announcement before any expire', async () => {
+        await mountAt('2025-07-14T09:00:00Z');
+        expect(shownIds()).toHaveLength(5);
+    });
+
+    it('leaves out dismissed announcements', async () => {
+        services = createServices({ now: '2025-07-14T09:00:00Z' });
+        services.storage.setItem('dismissed_announcements', ['ann_002']);
+        widget = await mountWidget('announcements', services);
+        expect(shownIds()).not.toContain('ann_002');
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServices, mountWidget, renderedHtml, cleanup } from '../helpers.js';
+
+describe('CalendarWidget', () => {
+    let services;
+    let widget;
+
+    async function mountAt(now) {
+        services = createServices({ now });
+        widget = await mountWidget('calendar', services);
+    }
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders the fixture events', async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        expect(renderedHtml(widget)).toMatchSnapshot();
+    });
+
+    it("lists today's events for the injected date", async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        expect(widget.getTodayEvents().map(event => event.id).sort())
+            .toEqual(['cal_003', 'cal_004', 'cal_005', 'cal_006']);
+        expect(widget.container.querySelector('.mini-calendar__cell--today').getAttribute('data-date'))
+            .toBe('2025-07-15');
+    });
+
+    it('shows the running event as live', async () => {
+        await mountAt('2025-07-15T15:30:00Z');
+        const live = widget.container.querySelectorAll('.event--ongoing');
+        expect(live).toHaveLength(1);
+        expect(live[0].getAttribute('data-event-id')).toBe('cal_004');
+    });
+
+    it('follows the clock to another month', async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        services.clock.travelTo('2025-08-04T09:00:00Z', { freeze: true, updateUrl: false });
+
+        expect(widget.container.querySelector('.mini-calendar__title').textContent).toBe('August 2025');
+        expect(widget.container.querySelector('.mini-calendar__cell--today').getAttribute('data-date')).toBe('2025-08-04');
+    });
+
+    it('moves along the mirrored grid with the arrow keys right to left', async () => {
+        await mountAt('2025-07-15T12:00:00Z');
+        const pressOnToday = (key) => {
+            const today = widget.container.querySelector('.mini-calendar__cell--today');
+            today.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+            return document.activeElement.getAttribute('data-date');
+        };
+
+        expect(pressOnToday('ArrowRight')).toBe('2025-07-16');
+        widget.container.setAttribute('dir', 'rtl');
+        expect(pressOnToday('ArrowLeft')).toBe('2025-07-16');
+        expect(pressOnToday('ArrowRight')).toBe('2025-07-14');
+    });
+
+    it('has nothing scheduled on a free day', async () => {
+        await mountAt('2025-07-19T09:00:00Z');
+        expect(widget.container.querySelector('.calendar__no-events')).not.toBeNull();
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServices, mountWidget, renderedHtml, cleanup } from '../helpers.js';
+
+describe('QuickLaunchWidget', () => {
+    let services;
+    let widget;
+
+    beforeEach(() => {
+        services = createServices();
+    });
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders the fixture shortcuts', async () => {
+        widget = await mountWidget('quickLaunch', services);
+        expect(renderedHtml(widget)).toMatchSnapshot();
+    });
+
+    it('puts shortcuts in the saved order', async () => {
+        const ids = services.dataSource.getAdapter('mock').datasets.get('shortcuts').map(shortcut => shortcut.id);
+        services.storage.setShortcutOrder([...ids].reverse());
+
+        widget = await mountWidget('quickLaunch', services);
+        const shown = Array.from(widget.container.querySelectorAll('.quick-launch__item'),
+            shortcut => shortcut.getAttribute('data-shortcut-id'));
+        expect(shown).toEqual([...ids].reverse());
+    });
+
+    it('drops a dragged shortcut by reading order in either direction', async () => {
+        widget = await mountWidget('quickLaunch', services);
+        const items = Array.from(widget.container.querySelectorAll('.quick-launch__item')).slice(0, 3);
+        // Only the first three tiles take part; the rest count as being dragged
+        widget.container.querySelectorAll('.quick-launch__item').forEach(item => item.classList.add('dragging'));
+        items.forEach(item => item.classList.remove('dragging'));
+
+        // One row of three 100px tiles, laid out from the start edge of a 300px grid
+        const layOut = (rtl) => items.forEach((item, index) => {
+            const left = rtl ? 200 - index * 100 : index * 100;
+            item.getBoundingClientRect = () => ({ top: 0, bottom: 100, left, right: left + 100, width: 100, height: 100 });
+        });
+
+        layOut(false);
+        expect(widget.getDragAfterElement(widget.container, 120, 50)).toBe(items[1]);
+        expect(widget.getDragAfterElement(widget.container, 180, 50)).toBe(items[2]);
+        expect(widget.getDragAfterElement(widget.container, 290, 50)).toBeUndefined();
+        expect(widget.getDragAfterElement(widget.container, 290, -10)).toBe(items[0]);
+
+        widget.container.setAttribute('dir', 'rtl');
+        layOut(true);
+        expect(widget.getDragAfterElement(widget.container, 180, 50)).toBe(items[1]);
+        expect(widget.getDragAfterElement(widget.container, 120, 50)).toBe(items[2]);
+        expect(widget.getDragAfterElement(widget.container, 10, 50)).toBeUndefined();
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServices, mountWidget, renderedHtml, cleanup } from '../helpers.js';
+
+describe('TasksWidget', () => {
+    let services;
+    let widget;
+
+    beforeEach(async () => {
+        services = createServices();
+        widget = await mountWidget('tasks', services);
+    });
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders the fixture tasks', () => {
+        expect(renderedHtml(widget)).toMatchSnapshot();
+    });
+
+    it('counts overdue and due-today tasks against the injected clock', () => {
+        const summary = widget.container.querySelector('.tasks__summary-stats');
+        expect(summary.querySelector('.tasks__stat--overdue').textContent).toContain('1 overdue');
+        expect(summary.querySelector('.tasks__stat--today').textContent).toContain('3 due today');
+    });
+
+    it('re-renders when the clock travels', async () => {
+        services.clock.travelTo('2025-07-01T09:00:00Z', { freeze: true, updateUrl: false });
+        await vi.waitFor(() => expect(widget.container.querySelector('.tasks__stat--overdue')).toBeNull());
+    });
+});
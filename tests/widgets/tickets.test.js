@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServices, mountWidget, renderedHtml, cleanup } from '../helpers.js';
+
+describe('TicketsWidget', () => {
+    let services;
+    let widget;
+
+    beforeEach(async () => {
+        services = createServices();
+        widget = await mountWidget('tickets', services);
+    });
+
+    afterEach(() => {
+        widget.destroy();
+        cleanup(services);
+    });
+
+    it('renders the fixture tickets', () => {
+        expect(renderedHtml(widget)).toMatchSnapshot();
+    });
+
+    it('marks open tickets past their due date as overdue', () => {
+        const overdue = Array.from(widget.container.querySelectorAll('.ticket--overdue'),
+            ticket => ticket.getAttribute('data-ticket-id'));
+
+        // TKT-008 is past due too, but resolved
+        expect(overdue.sort()).toEqual(['TKT-001', 'TKT-003', 'TKT-009']);
+        expect(widget.getTicketStats().overdue).toBe(3);
+    });
+
+    it('follows the clock forward', async () => {
+        services.clock.travelTo('2025-07-16T18:00:00Z', { freeze: true, updateUrl: false });
+        await vi.waitFor(() => expect(widget.getTicketStats().overdue).toBe(8));
+        expect(widget.container.querySelector('.ticket-stat--overdue .ticket-stat__number').textContent).toBe('8');
+    });
+});
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vitest/config';
+
+// Widgets format dates in the local time zone; pin it so snapshots match everywhere
+process.env.TZ = 'UTC';
+
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        environmentOptions: {
+            jsdom: { url: 'http://localhost/index.html' }
+        },
+        include: ['tests/**/*.test.js'],
+        restoreMocks: true,
+        // The dashboard's emoji progress logs drown the report; warnings and errors stay
+        onConsoleLog: (log, type) => type === 'stderr'
+    }
+});